@@ -1,19 +1,44 @@
+const crypto = require("crypto");
+const fs = require("fs");
 const multer = require("multer");
 const path = require("path");
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage(); // Store files in memory for direct IPFS upload
+const { getDataDir } = require("../utils/jsonStore");
+const {
+  getAllowedMimeTypes,
+  resolveDeclaredFormat,
+  isAllowedFormat,
+} = require("../utils/fileFormats");
+
+// Spool uploads to disk so large files are streamed instead of held in memory
+const uploadTempDir = path.join(getDataDir(), "tmp");
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(uploadTempDir, { recursive: true }, (error) =>
+      cb(error, uploadTempDir)
+    );
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${crypto.randomBytes(16).toString("hex")}.upload`);
+  },
+});
 
 const fileFilter = (req, file, cb) => {
-  const allowedTypes = (
-    process.env.ALLOWED_FILE_TYPES || "text/csv,application/json,text/plain"
-  ).split(",");
+  // Browsers report many data formats as application/octet-stream, so the
+  // file extension is considered too. Content is checked after upload.
+  const format = resolveDeclaredFormat({
+    mimeType: file.mimetype,
+    fileName: file.originalname,
+  });
 
-  if (allowedTypes.includes(file.mimetype)) {
+  if (isAllowedFormat(format)) {
     cb(null, true);
   } else {
     cb(
-      new Error(`Invalid file type. Allowed types: ${allowedTypes.join(", ")}`),
+      new Error(
+        `Invalid file type. Allowed types: ${getAllowedMimeTypes().join(", ")}`
+      ),
       false
     );
   }
@@ -28,6 +53,17 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// Remove the spooled upload once the response has been sent. Register before
+// the multer middleware so the file is removed whatever happens afterwards.
+const cleanupUploadedFile = (req, res, next) => {
+  res.on("close", () => {
+    if (req.file && req.file.path) {
+      fs.unlink(req.file.path, () => {});
+    }
+  });
+  next();
+};
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -66,5 +102,7 @@ const handleMulterError = (err, req, res, next) => {
 
 module.exports = {
   upload,
+  uploadTempDir,
+  cleanupUploadedFile,
   handleMulterError,
 };
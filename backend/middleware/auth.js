@@ -0,0 +1,54 @@
+const authService = require("../services/authService");
+const aptosService = require("../services/aptosService");
+const { isSameAptosAddress } = require("../utils/helpers");
+
+/**
+ * Require a valid wallet session token
+ * Sets req.user.address to the verified Aptos address
+ */
+function requireAuth(req, res, next) {
+  const header = req.get("Authorization") || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return res.status(401).json({
+      success: false,
+      error: "Authentication required",
+      message:
+        "Sign in with your wallet via /api/auth/challenge and send the session token as a Bearer token",
+    });
+  }
+
+  const session = authService.verifyToken(token);
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid session",
+      message: "Session token is invalid or has expired",
+    });
+  }
+
+  req.user = session;
+  next();
+}
+
+/**
+ * Require the authenticated user to be the marketplace admin, the account
+ * the contracts are published under. Use after requireAuth.
+ */
+function requireAdmin(req, res, next) {
+  if (!isSameAptosAddress(req.user.address, aptosService.contractAddress)) {
+    return res.status(403).json({
+      success: false,
+      error: "Access denied",
+      message: "Only the marketplace admin can use this endpoint",
+    });
+  }
+
+  next();
+}
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+};
@@ -1,12 +1,135 @@
 const Joi = require("joi");
 
+const {
+  FORMATS,
+  getAllowedMimeTypes,
+  resolveDeclaredFormat,
+  isAllowedFormat,
+  inspectUpload,
+} = require("../utils/fileFormats");
+const { TERMS_TEMPLATES } = require("../utils/licenseTerms");
+const { PROVIDER_NAMES } = require("../services/storage");
+
+const previewPolicy = Joi.object({
+  rows: Joi.number().integer().min(0).max(100),
+  sampling: Joi.string().valid("head", "random"),
+  maskedColumns: Joi.array().items(Joi.string().allow("")).max(1000).unique(),
+  values: Joi.string().valid("original", "perturbed", "synthetic"),
+  noise: Joi.number().min(0).max(1),
+});
+
+// What to do with columns flagged as personal data by the upload scan
+const piiAction = Joi.string()
+  .valid("report", "block", "redact", "hash")
+  .default("report");
+
+/**
+ * Accept a value either as is or, from multipart forms, as JSON text
+ * @param {Object} schema - Joi schema of the value
+ * @param {string} label - Name used in error messages
+ * @returns {Object} - Joi schema
+ */
+function jsonField(schema, label) {
+  return Joi.alternatives().try(
+    schema,
+    Joi.string().custom((text) => {
+      const { error, value } = schema.validate(JSON.parse(text));
+      if (error) throw error;
+      return value;
+    }, `${label} JSON`)
+  );
+}
+
+const previewPolicyField = jsonField(previewPolicy, "preview policy");
+
+// A licence tier: a template, an SPDX identifier or custom text, with
+// optional overrides of what the buyer may do
+const licenseTier = Joi.object({
+  name: Joi.string().trim().min(2).max(50).required(),
+  price: Joi.number().positive().required(),
+  template: Joi.string().valid(...Object.keys(TERMS_TEMPLATES)),
+  license: Joi.string()
+    .pattern(/^[A-Za-z0-9][A-Za-z0-9.+-]*$/)
+    .max(100),
+  permissions: Joi.object({
+    research: Joi.boolean(),
+    commercialUse: Joi.boolean(),
+    derivatives: Joi.boolean(),
+    redistribution: Joi.boolean(),
+  }),
+  attribution: Joi.boolean(),
+  text: Joi.string().trim().max(20000),
+}).or("template", "license", "text");
+
+const licenseTiersField = jsonField(
+  Joi.array()
+    .items(licenseTier)
+    .min(1)
+    .max(10)
+    .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase()),
+  "licence tiers"
+);
+
+const uploadDataset = Joi.object({
+  title: Joi.string().min(3).max(100).required(),
+  description: Joi.string().min(10).max(1000).required(),
+  category: Joi.string().min(2).max(50).required(),
+  price: Joi.number().min(0).required(),
+  previewPolicy: previewPolicyField,
+  licenseTiers: licenseTiersField,
+  storageProvider: Joi.string().valid(...PROVIDER_NAMES),
+});
+
+// A new version of an existing dataset
+const datasetVersion = Joi.object({
+  changelog: Joi.string().trim().min(3).max(1000).required(),
+  previewPolicy: previewPolicyField,
+});
+
 // Validation schemas
 const schemas = {
-  uploadDataset: Joi.object({
-    title: Joi.string().min(3).max(100).required(),
-    description: Joi.string().min(10).max(1000).required(),
-    category: Joi.string().min(2).max(50).required(),
-    price: Joi.number().min(0).required(),
+  uploadDataset: uploadDataset.keys({ piiAction }),
+  uploadFile: Joi.object({ piiAction }),
+  uploadVersion: datasetVersion.keys({ piiAction }),
+  previewPolicy,
+
+  uploadSession: Joi.object({
+    fileName: Joi.string().min(1).max(255).required(),
+    mimeType: Joi.string().max(100).required(),
+    totalSize: Joi.number().integer().min(1).required(),
+    chunkSize: Joi.number().integer().min(1),
+    piiAction,
+    // Present when the upload should be listed as a dataset on completion
+    dataset: uploadDataset,
+    // Present when the upload is a new version of an existing dataset
+    version: datasetVersion.keys({
+      datasetId: Joi.number().integer().min(1).required(),
+    }),
+  }).oxor("dataset", "version"),
+
+  uploadChunk: Joi.object({
+    sessionId: Joi.string().hex().length(32).required(),
+    index: Joi.number().integer().min(0).required(),
+  }),
+
+  uploadSessionId: Joi.object({
+    sessionId: Joi.string().hex().length(32).required(),
+  }),
+
+  pendingUploadsQuery: Joi.object({
+    status: Joi.string().valid("pending", "confirmed", "expired"),
+  }),
+
+  pendingUploadParams: Joi.object({
+    ipfsHash: Joi.string().alphanum().max(128).required(),
+  }),
+
+  pinReportQuery: Joi.object({
+    health: Joi.string().valid("healthy", "degraded"),
+  }),
+
+  pinReportParams: Joi.object({
+    datasetId: Joi.number().integer().min(1).required(),
   }),
 
   purchaseDataset: Joi.object({
@@ -14,6 +137,29 @@ const schemas = {
     buyerAddress: Joi.string()
       .pattern(/^0x[a-fA-F0-9]{64}$/)
       .required(),
+    // Required for datasets sold in licence tiers
+    tierId: Joi.number().integer().min(1),
+  }),
+
+  licenseTier,
+
+  licenseTierParams: Joi.object({
+    id: Joi.number().integer().min(1).required(),
+    tierId: Joi.number().integer().min(1).required(),
+  }),
+
+  licenseTierTransactionParams: Joi.object({
+    id: Joi.number().integer().min(1).required(),
+    transactionHash: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .required(),
+  }),
+
+  licenseReceipt: Joi.object({
+    receipt: Joi.object().required(),
+    signature: Joi.string().base64().required(),
+    algorithm: Joi.string().valid("ed25519").required(),
+    publicKey: Joi.string(),
   }),
 
   accountAddress: Joi.object({
@@ -25,6 +171,155 @@ const schemas = {
   datasetId: Joi.object({
     id: Joi.number().integer().min(1).required(),
   }),
+
+  datasetVersionParams: Joi.object({
+    id: Joi.number().integer().min(1).required(),
+    version: Joi.number().integer().min(1).required(),
+  }),
+
+  versionDiffQuery: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1).required(),
+  }),
+
+  versionPolicy: Joi.object({
+    upgradesIncluded: Joi.boolean().required(),
+  }),
+
+  renewLicense: Joi.object({
+    buyerAddress: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .required(),
+  }),
+
+  // Listing edits (owner only); fields left out keep their current value
+  datasetDetails: Joi.object({
+    title: uploadDataset.extract("title").optional(),
+    description: uploadDataset.extract("description").optional(),
+    category: uploadDataset.extract("category").optional(),
+  }).min(1),
+
+  datasetPrice: Joi.object({
+    price: Joi.number().positive().required(),
+  }),
+
+  // Licence period in seconds; 0 sells the dataset perpetually
+  licenseTerms: Joi.object({
+    period: Joi.number()
+      .integer()
+      .min(0)
+      .max(10 * 365 * 24 * 60 * 60)
+      .required(),
+  }),
+
+  licensesQuery: Joi.object({
+    status: Joi.string().valid("active", "expired"),
+  }),
+
+  // A transaction signed by its sender, as BCS bytes in hex
+  relaySponsor: Joi.object({
+    transaction: Joi.string()
+      .pattern(/^(0x)?[0-9a-fA-F]+$/)
+      .max(2 * 64 * 1024 + 2)
+      .required(),
+  }),
+
+  relayTransaction: Joi.object({
+    transaction: Joi.string()
+      .pattern(/^(0x)?[0-9a-fA-F]+$/)
+      .max(2 * 64 * 1024 + 2)
+      .required(),
+    senderAuthenticator: Joi.string()
+      .pattern(/^(0x)?[0-9a-fA-F]+$/)
+      .max(16 * 1024)
+      .required(),
+  }),
+
+  relayJobParams: Joi.object({
+    jobId: Joi.string().hex().length(32).required(),
+  }),
+
+  addMilestone: Joi.object({
+    name: Joi.string().trim().min(2).max(64).required(),
+    description: Joi.string().trim().max(256).allow("").default(""),
+    requirement: Joi.number().integer().min(1).required(),
+    reward: Joi.number().positive().required(),
+  }),
+
+  milestoneParams: Joi.object({
+    milestoneId: Joi.number().integer().min(1).required(),
+  }),
+
+  replenishPool: Joi.object({
+    amount: Joi.number().positive().required(),
+  }),
+
+  bonusReward: Joi.object({
+    recipient: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .required(),
+    amount: Joi.number().positive().required(),
+    reason: Joi.string().trim().min(3).max(200).required(),
+  }),
+
+  auditQuery: Joi.object({
+    action: Joi.string().max(100),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+  }),
+
+  purchasersQuery: Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    format: Joi.string().valid("json", "csv").default("json"),
+  }),
+
+  contentQuery: Joi.object({
+    format: Joi.string().valid("csv", "json", "ndjson", "parquet"),
+  }),
+
+  datasetQuery: Joi.object({
+    query: Joi.string().trim().max(4000).required(),
+    limit: Joi.number().integer().min(1).max(1000).default(100),
+    cursor: Joi.string().max(200),
+  }),
+
+  searchQuery: Joi.object({
+    q: Joi.string().max(200).allow(""),
+    category: Joi.string().max(500),
+    priceBucket: Joi.string().max(200),
+    minPrice: Joi.number().min(0),
+    maxPrice: Joi.number().min(0),
+    sort: Joi.string().valid(
+      "relevance",
+      "newest",
+      "price_asc",
+      "price_desc",
+      "popular"
+    ),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(200),
+  }),
+
+  authChallenge: Joi.object({
+    address: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .required(),
+  }),
+
+  authVerify: Joi.object({
+    address: Joi.string()
+      .pattern(/^0x[a-fA-F0-9]{64}$/)
+      .required(),
+    publicKey: Joi.string()
+      .pattern(/^(0x)?[a-fA-F0-9]{64}$/)
+      .required(),
+    signature: Joi.string()
+      .pattern(/^(0x)?[a-fA-F0-9]{128}$/)
+      .required(),
+    nonce: Joi.string().hex().length(32).required(),
+    fullMessage: Joi.string().max(2000),
+  }),
 };
 
 /**
@@ -71,16 +366,17 @@ function validateFileUpload(req, res, next) {
   }
 
   const file = req.file;
-  const allowedTypes = (
-    process.env.ALLOWED_FILE_TYPES || "text/csv,application/json,text/plain"
-  ).split(",");
   const maxSize = parseInt(process.env.MAX_FILE_SIZE) || 10485760; // 10MB default
 
   // Check file type
-  if (!allowedTypes.includes(file.mimetype)) {
+  const format = resolveDeclaredFormat({
+    mimeType: file.mimetype,
+    fileName: file.originalname,
+  });
+  if (!isAllowedFormat(format)) {
     return res.status(400).json({
       error: "Invalid file type",
-      message: `Allowed file types: ${allowedTypes.join(", ")}`,
+      message: `Allowed file types: ${getAllowedMimeTypes().join(", ")}`,
       received: file.mimetype,
     });
   }
@@ -160,67 +456,55 @@ function validateDatasetId(req, res, next) {
 }
 
 /**
- * CSV file content validation
+ * File content validation. Detects the real format from the file's magic
+ * bytes and, for tabular formats, validates the rows and profiles the
+ * columns. Streams the uploaded file from disk so large files are never held
+ * in memory.
  */
-function validateCSVContent(req, res, next) {
-  if (!req.file || req.file.mimetype !== "text/csv") {
-    return next(); // Skip validation if not a CSV file
+async function validateFileContent(req, res, next) {
+  if (!req.file) {
+    return next();
   }
 
   try {
-    const content = req.file.buffer.toString("utf8");
-    const lines = content.split("\n").filter((line) => line.trim());
+    const { format, result } = await inspectUpload(
+      { path: req.file.path },
+      { mimeType: req.file.mimetype, fileName: req.file.originalname }
+    );
 
-    if (lines.length < 2) {
+    if (!format || !isAllowedFormat(format)) {
       return res.status(400).json({
-        error: "Invalid CSV file",
-        message: "CSV file must contain at least a header row and one data row",
+        error: "Unsupported file format",
+        message: "File content does not match a supported format",
+        received: req.file.mimetype,
       });
     }
 
-    // Check for basic CSV structure (comma-separated values)
-    const headerColumns = lines[0].split(",").length;
-    if (headerColumns < 2) {
-      return res.status(400).json({
-        error: "Invalid CSV format",
-        message: "CSV file must contain at least 2 columns",
-      });
-    }
+    req.file.format = format;
+    req.file.mimetype = FORMATS[format].mimeType;
 
-    // Validate that all rows have the same number of columns
-    const invalidRows = [];
-    for (let i = 1; i < Math.min(lines.length, 11); i++) {
-      // Check first 10 data rows
-      const columns = lines[i].split(",").length;
-      if (columns !== headerColumns) {
-        invalidRows.push(i + 1);
-      }
-    }
-
-    if (invalidRows.length > 0) {
+    if (result && !result.valid) {
       return res.status(400).json({
-        error: "Invalid CSV structure",
-        message: `Inconsistent number of columns in rows: ${invalidRows.join(
-          ", "
-        )}`,
+        error: result.error,
+        message: result.message,
+        errors: result.errors,
+        errorCount: result.errorCount,
       });
     }
 
-    // Store CSV metadata for later use
-    req.csvMetadata = {
-      totalRows: lines.length,
-      totalColumns: headerColumns,
-      headers: lines[0].split(",").map((h) => h.trim()),
-      sampleData: lines
-        .slice(1, 6)
-        .map((line) => line.split(",").map((cell) => cell.trim())),
-    };
+    // Store tabular metadata, column profile and personal data report for
+    // later use
+    if (result) {
+      req.tabularData = result.metadata;
+      req.dataProfile = result.profile;
+      req.piiReport = result.pii;
+    }
 
     next();
   } catch (error) {
     return res.status(400).json({
-      error: "CSV parsing error",
-      message: "Failed to parse CSV file content",
+      error: "File parsing error",
+      message: "Failed to parse file content",
       details: error.message,
     });
   }
@@ -231,6 +515,6 @@ module.exports = {
   validateFileUpload,
   validateAptosAddress,
   validateDatasetId,
-  validateCSVContent,
+  validateFileContent,
   schemas,
 };
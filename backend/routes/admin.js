@@ -0,0 +1,262 @@
+const express = require("express");
+const router = express.Router();
+
+const aptosService = require("../services/aptosService");
+const rewardService = require("../services/rewardService");
+const auditService = require("../services/auditService");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+
+// Every admin route needs a session of the marketplace admin
+router.use(requireAuth, requireAdmin);
+
+/**
+ * GET /api/admin/config
+ * Get the platform fee configuration and the reward pool state
+ */
+router.get("/config", async (req, res) => {
+  try {
+    console.log("🛡️ Fetching marketplace configuration");
+
+    const [platformFee, rewardPool] = await Promise.all([
+      aptosService.getPlatformFee(),
+      rewardService.getPool(),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        contractAddress: aptosService.contractAddress,
+        platformFee,
+        rewardPool,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch marketplace configuration:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch marketplace configuration",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/admin/milestones
+ * Build the transaction that adds an upload milestone
+ */
+router.post("/milestones", validate(schemas.addMilestone), async (req, res) => {
+  try {
+    const { name, description, requirement, reward } = req.body;
+    console.log(`🛡️ Adding milestone ${name}`);
+
+    const rewardInOctas = aptosService.convertAPTToOctas(reward);
+    const transactionResult = await aptosService.addMilestone(
+      req.user.address,
+      { name, description, requirement, reward: rewardInOctas }
+    );
+    const entry = auditService.record(req, "add_milestone", {
+      name,
+      description,
+      requirement,
+      reward,
+      rewardInOctas,
+    });
+
+    res.json({
+      success: true,
+      message: transactionResult.message,
+      data: {
+        transaction: transactionResult.transaction,
+        auditId: entry.id,
+        ...entry.details,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to build milestone transaction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to add milestone",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/milestones/:milestoneId
+ * Build the transaction that retires a milestone. Users who achieved it
+ * keep the reward.
+ */
+router.delete(
+  "/milestones/:milestoneId",
+  validate(schemas.milestoneParams, "params"),
+  async (req, res) => {
+    try {
+      const { milestoneId } = req.params;
+      console.log(`🛡️ Retiring milestone ${milestoneId}`);
+
+      const milestones = await rewardService.listMilestones();
+      const milestone = milestones.find(
+        (candidate) => candidate.milestoneId === milestoneId
+      );
+      if (!milestone) {
+        return res.status(404).json({
+          success: false,
+          error: "Milestone not found",
+          message: `There is no active milestone ${milestoneId}`,
+        });
+      }
+
+      const transactionResult = await aptosService.deactivateMilestone(
+        req.user.address,
+        milestoneId
+      );
+      const entry = auditService.record(req, "deactivate_milestone", {
+        milestoneId,
+        name: milestone.name,
+      });
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          auditId: entry.id,
+          ...entry.details,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build milestone deactivation:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to retire milestone",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/pool/replenish
+ * Build the transaction that adds funds to the reward pool
+ */
+router.post(
+  "/pool/replenish",
+  validate(schemas.replenishPool),
+  async (req, res) => {
+    try {
+      const { amount } = req.body;
+      console.log(`🛡️ Replenishing reward pool with ${amount} APT`);
+
+      const amountInOctas = aptosService.convertAPTToOctas(amount);
+      const transactionResult = await aptosService.replenishRewardPool(
+        req.user.address,
+        amountInOctas
+      );
+      const entry = auditService.record(req, "replenish_pool", {
+        amount,
+        amountInOctas,
+      });
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          auditId: entry.id,
+          ...entry.details,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build replenishment transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to replenish reward pool",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/bonus
+ * Build the transaction that pays a bonus reward out of the reward pool
+ */
+router.post("/bonus", validate(schemas.bonusReward), async (req, res) => {
+  try {
+    const { recipient, amount, reason } = req.body;
+    console.log(`🛡️ Paying bonus of ${amount} APT to ${recipient}`);
+
+    const amountInOctas = aptosService.convertAPTToOctas(amount);
+    const pool = await rewardService.getPool();
+    if (BigInt(pool.balance) < BigInt(amountInOctas)) {
+      return res.status(409).json({
+        success: false,
+        error: "Insufficient reward pool",
+        message: `The reward pool holds ${pool.balanceInAPT} APT`,
+      });
+    }
+
+    const transactionResult = await aptosService.payBonusReward(
+      req.user.address,
+      recipient,
+      amountInOctas,
+      reason
+    );
+    const entry = auditService.record(req, "pay_bonus_reward", {
+      recipient,
+      amount,
+      amountInOctas,
+      reason,
+    });
+
+    res.json({
+      success: true,
+      message: transactionResult.message,
+      data: {
+        transaction: transactionResult.transaction,
+        auditId: entry.id,
+        ...entry.details,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to build bonus reward transaction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to pay bonus reward",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/admin/audit
+ * Get the admin actions the server prepared transactions for, newest first
+ */
+router.get("/audit", validate(schemas.auditQuery, "query"), (req, res) => {
+  try {
+    const { action, page, limit } = req.query;
+    const entries = auditService.list(action);
+
+    const start = (page - 1) * limit;
+    res.json({
+      success: true,
+      pagination: {
+        page,
+        limit,
+        total: entries.length,
+        totalPages: Math.ceil(entries.length / limit),
+      },
+      data: entries.slice(start, start + limit),
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch audit trail:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch audit trail",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
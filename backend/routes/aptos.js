@@ -2,7 +2,15 @@ const express = require("express");
 const router = express.Router();
 
 const aptosService = require("../services/aptosService");
-const { validateAptosAddress } = require("../middleware/validation");
+const indexerService = require("../services/indexerService");
+const licenseService = require("../services/licenseService");
+const receiptService = require("../services/receiptService");
+const { formatTimestamp } = require("../utils/helpers");
+const {
+  validateAptosAddress,
+  validate,
+  schemas,
+} = require("../middleware/validation");
 
 /**
  * GET /api/aptos/account/:address
@@ -52,7 +60,7 @@ router.get("/stats/:address", validateAptosAddress, async (req, res) => {
     const address = req.params.address;
     console.log(`📊 Fetching user stats for: ${address}`);
 
-    const userStats = await aptosService.getUserStats(address);
+    const userStats = await indexerService.getUserStats(address);
 
     if (!userStats) {
       return res.json({
@@ -102,7 +110,7 @@ router.get("/purchases/:address", validateAptosAddress, async (req, res) => {
     const address = req.params.address;
     console.log(`🛒 Fetching purchases for: ${address}`);
 
-    const purchases = await aptosService.getPurchasesByBuyer(address);
+    const purchases = await indexerService.getPurchasesByBuyer(address);
 
     // Enhance purchases with additional computed fields
     const enhancedPurchases = purchases.map((purchase) => ({
@@ -129,6 +137,97 @@ router.get("/purchases/:address", validateAptosAddress, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/aptos/licenses/receipt-key
+ * Get the public key licence receipts are signed with
+ */
+router.get("/licenses/receipt-key", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      algorithm: "ed25519",
+      publicKey: receiptService.publicKey,
+    },
+  });
+});
+
+/**
+ * POST /api/aptos/licenses/verify-receipt
+ * Check that a licence receipt was signed by this marketplace and has not
+ * been altered
+ */
+router.post(
+  "/licenses/verify-receipt",
+  validate(schemas.licenseReceipt),
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: {
+          valid: receiptService.verify(req.body),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to verify licence receipt:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to verify licence receipt",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/aptos/licenses/:address?status=active|expired
+ * Get the licences held by an address, one per purchase. Perpetual
+ * purchases have no expiry.
+ */
+router.get(
+  "/licenses/:address",
+  validateAptosAddress,
+  validate(schemas.licensesQuery, "query"),
+  async (req, res) => {
+    try {
+      const address = req.params.address;
+      const { status } = req.query;
+      console.log(`📜 Fetching licences for: ${address}`);
+
+      const licenses = await licenseService.listLicenses(address);
+      const count = (wanted) =>
+        licenses.filter((license) => license.status === wanted).length;
+
+      const data = licenses
+        .filter((license) => !status || license.status === status)
+        .map((license) => ({
+          ...license,
+          priceInAPT: aptosService.formatAPTAmount(license.price),
+          purchasedAtFormatted: formatTimestamp(license.purchasedAt),
+          expiresAtFormatted:
+            license.expiresAt === null
+              ? null
+              : formatTimestamp(license.expiresAt),
+        }));
+
+      res.json({
+        success: true,
+        buyer: address,
+        count: data.length,
+        active: count("active"),
+        expired: count("expired"),
+        data,
+      });
+    } catch (error) {
+      console.error("❌ Failed to fetch licences:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch licences",
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/aptos/platform-stats
  * Get overall platform statistics
@@ -137,7 +236,7 @@ router.get("/platform-stats", async (req, res) => {
   try {
     console.log("📊 Fetching platform statistics");
 
-    const stats = await aptosService.getPlatformStats();
+    const stats = await indexerService.getPlatformStats();
 
     res.json({
       success: true,
@@ -159,6 +258,17 @@ router.get("/platform-stats", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/aptos/indexer-status
+ * Get the state of the local event indexer
+ */
+router.get("/indexer-status", (req, res) => {
+  res.json({
+    success: true,
+    data: indexerService.getStatus(),
+  });
+});
+
 /**
  * POST /api/aptos/transaction/simulate
  * Simulate a transaction to estimate gas costs
@@ -311,6 +421,9 @@ router.get(
         address,
         parsedDatasetId
       );
+      const license = hasPurchased
+        ? await licenseService.getLicense(address, parsedDatasetId)
+        : null;
 
       res.json({
         success: true,
@@ -318,6 +431,8 @@ router.get(
           buyer: address,
           datasetId: parsedDatasetId,
           hasPurchased,
+          licenseStatus: license ? license.status : null,
+          expiresAt: license ? license.expiresAt : null,
         },
       });
     } catch (error) {
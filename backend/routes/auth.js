@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+
+const authService = require("../services/authService");
+const { requireAuth } = require("../middleware/auth");
+const { validate, schemas } = require("../middleware/validation");
+
+/**
+ * POST /api/auth/challenge
+ * Issue a nonce for the wallet to sign
+ */
+router.post("/challenge", validate(schemas.authChallenge), (req, res) => {
+  try {
+    const { address } = req.body;
+    console.log(`🔐 Issuing login challenge for: ${address}`);
+
+    const challenge = authService.createChallenge(address);
+
+    res.json({
+      success: true,
+      data: challenge,
+    });
+  } catch (error) {
+    if (error.code === "CHALLENGE_LIMIT") {
+      return res.status(429).json({
+        success: false,
+        error: "Too many login attempts",
+        message: error.message,
+      });
+    }
+
+    console.error("❌ Failed to issue challenge:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to issue challenge",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify
+ * Verify a signed challenge and issue a session token
+ */
+router.post("/verify", validate(schemas.authVerify), async (req, res) => {
+  try {
+    console.log(`🔐 Verifying login signature for: ${req.body.address}`);
+
+    const session = await authService.verifyChallenge(req.body);
+
+    res.json({
+      success: true,
+      message: "Signature verified",
+      data: session,
+    });
+  } catch (error) {
+    console.warn("⚠️ Login verification failed:", error.message);
+    res.status(401).json({
+      success: false,
+      error: "Signature verification failed",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/auth/session
+ * Return the address bound to the current session token
+ */
+router.get("/session", requireAuth, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user,
+  });
+});
+
+module.exports = router;
@@ -1,8 +1,29 @@
 const express = require("express");
+const { Readable } = require("stream");
 const router = express.Router();
 
 const aptosService = require("../services/aptosService");
 const ipfsService = require("../services/ipfsService");
+const indexerService = require("../services/indexerService");
+const metadataService = require("../services/metadataService");
+const contentService = require("../services/contentService");
+const queryService = require("../services/queryService");
+const previewService = require("../services/previewService");
+const versionService = require("../services/versionService");
+const licenseService = require("../services/licenseService");
+const tierService = require("../services/tierService");
+const receiptService = require("../services/receiptService");
+const searchService = require("../services/searchService");
+const { requireAuth } = require("../middleware/auth");
+const { FORMATS, getFormatByMimeType } = require("../utils/fileFormats");
+const { OUTPUT_FORMATS, convertTable } = require("../utils/formatConverter");
+const { findUnknownColumns } = require("../utils/previewSampler");
+const {
+  isSameAptosAddress,
+  formatTimestamp,
+  formatDigestHeader,
+  toCSV,
+} = require("../utils/helpers");
 const {
   validateAptosAddress,
   validateDatasetId,
@@ -18,7 +39,7 @@ router.get("/", async (req, res) => {
   try {
     console.log("📋 Fetching all active datasets");
 
-    const datasets = await aptosService.getActiveDatasets();
+    const datasets = await indexerService.getActiveDatasets();
 
     // Enhance datasets with additional computed fields
     const enhancedDatasets = datasets.map((dataset) => ({
@@ -27,7 +48,7 @@ router.get("/", async (req, res) => {
       createdAtFormatted: new Date(
         parseInt(dataset.created_at) * 1000
       ).toISOString(),
-      ipfsUrl: `https://ipfs.io/ipfs/${dataset.ipfs_hash}`,
+      ipfsUrl: ipfsService.getUrl(dataset.ipfs_hash),
     }));
 
     res.json({
@@ -45,6 +66,71 @@ router.get("/", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/datasets/search
+ * Full-text search over active datasets with facets and cursor pagination.
+ * Registered before /:id so that "search" is not parsed as a dataset ID.
+ */
+router.get(
+  "/search",
+  validate(schemas.searchQuery, "query"),
+  async (req, res) => {
+    try {
+      const {
+        q,
+        category,
+        priceBucket,
+        minPrice,
+        maxPrice,
+        sort,
+        limit,
+        cursor,
+      } = req.query;
+
+      console.log("🔍 Searching datasets:", req.query);
+
+      const result = await searchService.search({
+        q,
+        categories: category ? category.split(",") : [],
+        priceBuckets: priceBucket ? priceBucket.split(",") : [],
+        minPrice,
+        maxPrice,
+        sort,
+        limit,
+        cursor,
+      });
+
+      // Enhance datasets with additional computed fields
+      const enhancedDatasets = result.results.map((dataset) => ({
+        ...dataset,
+        priceInAPT: aptosService.formatAPTAmount(dataset.price),
+        createdAtFormatted: new Date(
+          parseInt(dataset.created_at) * 1000
+        ).toISOString(),
+        ipfsUrl: ipfsService.getUrl(dataset.ipfs_hash),
+      }));
+
+      res.json({
+        success: true,
+        query: req.query,
+        total: result.total,
+        count: enhancedDatasets.length,
+        sort: result.sort,
+        nextCursor: result.nextCursor,
+        facets: result.facets,
+        data: enhancedDatasets,
+      });
+    } catch (error) {
+      console.error("❌ Failed to search datasets:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to search datasets",
+        message: error.message,
+      });
+    }
+  }
+);
+
 /**
  * GET /api/datasets/:id
  * Get a specific dataset by ID
@@ -54,7 +140,7 @@ router.get("/:id", validateDatasetId, async (req, res) => {
     const datasetId = req.datasetId;
     console.log(`📋 Fetching dataset ${datasetId}`);
 
-    const dataset = await aptosService.getDatasetById(datasetId);
+    const dataset = await indexerService.getDatasetById(datasetId);
 
     if (!dataset) {
       return res.status(404).json({
@@ -71,9 +157,22 @@ router.get("/:id", validateDatasetId, async (req, res) => {
       createdAtFormatted: new Date(
         parseInt(dataset.created_at) * 1000
       ).toISOString(),
-      ipfsUrl: `https://ipfs.io/ipfs/${dataset.ipfs_hash}`,
+      ipfsUrl: ipfsService.getUrl(dataset.ipfs_hash),
     };
 
+    // Column profile recorded in the dataset's IPFS metadata document
+    const resolution = await metadataService.resolveMetadata(dataset);
+    enhancedDataset.profile =
+      resolution.status === "valid" && resolution.document.profile
+        ? resolution.document.profile
+        : null;
+    enhancedDataset.metadataStatus = resolution.status;
+
+    // Seconds a purchase stays valid; 0 means perpetual access
+    enhancedDataset.licensePeriod = await indexerService.getLicensePeriod(
+      datasetId
+    );
+
     res.json({
       success: true,
       data: enhancedDataset,
@@ -97,7 +196,7 @@ router.get("/owner/:address", validateAptosAddress, async (req, res) => {
     const ownerAddress = req.params.address;
     console.log(`📋 Fetching datasets for owner: ${ownerAddress}`);
 
-    const datasets = await aptosService.getDatasetsByOwner(ownerAddress);
+    const datasets = await indexerService.getDatasetsByOwner(ownerAddress);
 
     // Enhance datasets with additional computed fields
     const enhancedDatasets = datasets.map((dataset) => ({
@@ -106,7 +205,7 @@ router.get("/owner/:address", validateAptosAddress, async (req, res) => {
       createdAtFormatted: new Date(
         parseInt(dataset.created_at) * 1000
       ).toISOString(),
-      ipfsUrl: `https://ipfs.io/ipfs/${dataset.ipfs_hash}`,
+      ipfsUrl: ipfsService.getUrl(dataset.ipfs_hash),
     }));
 
     res.json({
@@ -127,7 +226,7 @@ router.get("/owner/:address", validateAptosAddress, async (req, res) => {
 
 /**
  * GET /api/datasets/:id/metadata
- * Get dataset metadata from IPFS
+ * Get dataset metadata, extended with the metadata document stored on IPFS
  */
 router.get("/:id/metadata", validateDatasetId, async (req, res) => {
   try {
@@ -135,7 +234,7 @@ router.get("/:id/metadata", validateDatasetId, async (req, res) => {
     console.log(`📋 Fetching metadata for dataset ${datasetId}`);
 
     // First get the dataset to obtain the IPFS hash
-    const dataset = await aptosService.getDatasetById(datasetId);
+    const dataset = await indexerService.getDatasetById(datasetId);
 
     if (!dataset) {
       return res.status(404).json({
@@ -144,33 +243,38 @@ router.get("/:id/metadata", validateDatasetId, async (req, res) => {
       });
     }
 
-    // Try to fetch metadata from IPFS if available
-    let ipfsMetadata = null;
-    try {
-      // Assuming the metadata hash might be stored or can be derived
-      // For now, we'll return the on-chain metadata
-      ipfsMetadata = {
-        ipfsHash: dataset.ipfs_hash,
-        title: dataset.title,
-        description: dataset.description,
-        category: dataset.category,
-        owner: dataset.owner,
-        created_at: dataset.created_at,
-        ipfsUrl: `https://ipfs.io/ipfs/${dataset.ipfs_hash}`,
-      };
-    } catch (ipfsError) {
-      console.warn("⚠️ Could not fetch IPFS metadata:", ipfsError.message);
+    const resolution = await metadataService.resolveMetadata(dataset);
+    if (resolution.status !== "valid") {
+      console.warn(
+        `⚠️ Extended metadata for dataset ${datasetId} is ${resolution.status}:`,
+        resolution.errors.join("; ")
+      );
     }
 
     res.json({
       success: true,
       datasetId,
-      metadata: ipfsMetadata || {
+      metadata: {
         ipfsHash: dataset.ipfs_hash,
         title: dataset.title,
         description: dataset.description,
         category: dataset.category,
-        message: "Extended metadata not available",
+        owner: dataset.owner,
+        created_at: dataset.created_at,
+        ipfsUrl: ipfsService.getUrl(dataset.ipfs_hash),
+        metadataHash: resolution.metadataHash,
+        metadataUrl: resolution.metadataHash
+          ? ipfsService.getUrl(resolution.metadataHash)
+          : null,
+      },
+      // Only documents that passed validation are returned as extended metadata
+      extendedMetadata:
+        resolution.status === "valid" ? resolution.document : null,
+      metadataStatus: {
+        status: resolution.status,
+        errors: resolution.errors,
+        resolvedAt: resolution.resolvedAt,
+        cached: resolution.cached,
       },
     });
   } catch (error) {
@@ -184,16 +288,16 @@ router.get("/:id/metadata", validateDatasetId, async (req, res) => {
 });
 
 /**
- * GET /api/datasets/:id/content
- * Get dataset content from IPFS
+ * GET /api/datasets/:id/preview
+ * Get the free preview of a tabular dataset, built under the seller's
+ * preview policy
  */
-router.get("/:id/content", validateDatasetId, async (req, res) => {
+router.get("/:id/preview", validateDatasetId, async (req, res) => {
   try {
     const datasetId = req.datasetId;
-    console.log(`📥 Fetching content for dataset ${datasetId}`);
+    console.log(`👀 Fetching preview for dataset ${datasetId}`);
 
-    // First get the dataset to obtain the IPFS hash
-    const dataset = await aptosService.getDatasetById(datasetId);
+    const dataset = await indexerService.getDatasetById(datasetId);
 
     if (!dataset) {
       return res.status(404).json({
@@ -202,63 +306,335 @@ router.get("/:id/content", validateDatasetId, async (req, res) => {
       });
     }
 
-    // Check if user has purchased this dataset (optional check)
-    const buyerAddress = req.query.buyer;
-    if (buyerAddress) {
-      const hasPurchased = await aptosService.hasUserPurchasedDataset(
-        buyerAddress,
-        datasetId
-      );
-      if (!hasPurchased) {
+    const preview = await previewService.getPreview(dataset);
+    if (!preview) {
+      return res.status(400).json({
+        success: false,
+        error: "Preview not available",
+        message:
+          "Previews are only available for tabular datasets; synthetic previews also need a column profile",
+      });
+    }
+
+    res.json({
+      success: true,
+      datasetId,
+      data: preview,
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch dataset preview:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch dataset preview",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/datasets/:id/preview-policy
+ * Replace the preview policy of a dataset (owner only)
+ */
+router.put(
+  "/:id/preview-policy",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.previewPolicy),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      console.log(`👀 Updating preview policy for dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
         return res.status(403).json({
           success: false,
           error: "Access denied",
-          message: "You must purchase this dataset to access its content",
+          message: "Only the dataset owner can change its preview policy",
+        });
+      }
+
+      const upload = metadataService.getUpload(dataset.ipfs_hash) || {};
+      const unknown = findUnknownColumns(req.body, upload.headers || []);
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid preview policy",
+          message: `Masked columns not found in the dataset: ${unknown.join(
+            ", "
+          )}`,
         });
       }
+
+      const policy = previewService.setPolicy(dataset.ipfs_hash, req.body);
+
+      res.json({
+        success: true,
+        datasetId,
+        data: policy,
+      });
+    } catch (error) {
+      console.error("❌ Failed to update preview policy:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update preview policy",
+        message: error.message,
+      });
     }
+  }
+);
+
+/**
+ * Pick the format to send dataset content in: ?format= when given, otherwise
+ * the best match for the Accept header, preferring the stored format
+ * @param {Object} req - Express request
+ * @param {string|null} sourceFormat - Format detected on upload
+ * @returns {string|null|undefined} - Format key, sourceFormat to send the
+ *   file as stored, or undefined when nothing acceptable is available
+ */
+function chooseContentFormat(req, sourceFormat) {
+  if (req.query.format) return req.query.format;
+
+  const sourceType = FORMATS[sourceFormat]
+    ? FORMATS[sourceFormat].mimeType
+    : "application/octet-stream";
+  const types = [
+    sourceType,
+    ...OUTPUT_FORMATS.filter((key) => key !== sourceFormat).map(
+      (key) => FORMATS[key].mimeType
+    ),
+  ];
+
+  const accepted = req.accepts(types);
+  if (!accepted) return undefined;
+  return accepted === sourceType ? sourceFormat : getFormatByMimeType(accepted);
+}
+
+/**
+ * Content-Disposition header naming the download after the dataset title
+ * @param {Object} dataset - Dataset
+ * @param {string} extension - File extension
+ * @returns {string} - Header value
+ */
+function contentDisposition(dataset, extension) {
+  return `attachment; filename="${dataset.title.replace(
+    /[^a-zA-Z0-9]/g,
+    "_"
+  )}.${extension}"`;
+}
 
-    // Fetch file content from IPFS
-    const fileBuffer = await ipfsService.getFile(dataset.ipfs_hash);
-
-    // Set appropriate headers
-    res.set({
-      "Content-Type": "application/octet-stream",
-      "Content-Disposition": `attachment; filename="${dataset.title.replace(
-        /[^a-zA-Z0-9]/g,
-        "_"
-      )}.csv"`,
-      "Content-Length": fileBuffer.length,
+/**
+ * Send a 403 for a user who may not read a dataset. Buyers whose licence
+ * has expired are told to renew it.
+ * @param {Object} res - Express response
+ * @param {Object} dataset - Dataset
+ * @param {string} address - Authenticated address
+ * @param {string} message - Message for users without a licence
+ * @returns {Promise<void>}
+ */
+async function sendAccessDenied(res, dataset, address, message) {
+  const expired = await licenseService.findExpiredLicense(dataset, address);
+  if (expired) {
+    return res.status(403).json({
+      success: false,
+      error: "Licence expired",
+      message: `Your licence for this dataset expired on ${formatTimestamp(
+        expired.expiresAt
+      )}; renew it to regain access`,
+      expiresAt: expired.expiresAt,
     });
+  }
 
-    res.send(fileBuffer);
-  } catch (error) {
-    console.error("❌ Failed to fetch dataset content:", error);
+  res.status(403).json({
+    success: false,
+    error: "Access denied",
+    message,
+  });
+}
+
+/**
+ * Stream dataset content to the response, reporting failures as JSON while
+ * nothing has been sent yet and cutting the response short otherwise
+ * @param {Object} res - Express response
+ * @param {Readable} content - Content stream
+ * @param {Function} [done] - Called once streaming has finished or failed
+ */
+function sendContentStream(res, content, done = () => {}) {
+  let settled = false;
+  const settle = (streamError) => {
+    if (settled) return;
+    settled = true;
+    done();
+    if (!streamError) return;
+
+    console.error("❌ Failed to stream dataset content:", streamError);
+    // pipe() leaves the response open so a JSON error can still be sent
+    if (res.headersSent) {
+      res.destroy(streamError);
+      return;
+    }
+
+    ["Content-Disposition", "Content-Length", "ETag", "Digest"].forEach(
+      (header) => res.removeHeader(header)
+    );
     res.status(500).json({
       success: false,
       error: "Failed to fetch dataset content",
-      message: error.message,
+      message: streamError.message,
+    });
+  };
+
+  content.on("error", settle);
+  res.on("finish", () => settle());
+  res.on("close", () => {
+    // The client went away before the end
+    if (!settled) {
+      content.destroy();
+      settle();
+    }
+  });
+  content.pipe(res);
+}
+
+/**
+ * Refuse content that failed its CID, digest or decryption check. It is
+ * checked in full before anything is sent, so the whole response is a 502.
+ * @param {Object} res - Express response
+ * @param {Error} error - CONTENT_MISMATCH error
+ */
+function sendIntegrityFailure(res, error) {
+  res.removeHeader("ETag");
+  res.status(502).json({
+    success: false,
+    error: "Content integrity check failed",
+    message: error.message,
+  });
+}
+
+/**
+ * Convert a tabular dataset while streaming it to the response. Values are
+ * typed with the column profile from the dataset's metadata document.
+ * @param {Object} res - Express response
+ * @param {Object} dataset - Dataset
+ * @param {string} format - Output format
+ * @returns {Promise<void>}
+ */
+async function sendConvertedContent(res, dataset, format) {
+  const table = await contentService.openTable(dataset);
+  console.log(
+    `🔄 Converting dataset ${dataset.id} from ${table.format} to ${format}`
+  );
+
+  res.set({
+    "Content-Type": FORMATS[format].mimeType,
+    "Content-Disposition": contentDisposition(
+      dataset,
+      FORMATS[format].extension
+    ),
+  });
+  sendContentStream(
+    res,
+    Readable.from(convertTable(table.reader, format, table)),
+    () => table.close()
+  );
+}
+
+/**
+ * Send one version of a dataset's content in the format chosen by the
+ * request, converting tabular datasets when needed
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} resolved - { version, dataset } from versionService.resolveAccess
+ * @returns {Promise<void>}
+ */
+async function sendDatasetContent(req, res, { version, dataset }) {
+  const sourceFormat = contentService.getFormat(dataset);
+  res.set("X-Dataset-Version", String(version));
+
+  res.vary("Accept");
+  const format = chooseContentFormat(req, sourceFormat);
+  if (format === undefined) {
+    return res.status(406).json({
+      success: false,
+      error: "Not acceptable",
+      message: `Available formats: ${[
+        ...new Set([sourceFormat, ...OUTPUT_FORMATS]),
+      ]
+        .filter((key) => FORMATS[key])
+        .map((key) => FORMATS[key].mimeType)
+        .join(", ")}`,
     });
   }
-});
+
+  if (
+    format !== sourceFormat &&
+    (!FORMATS[sourceFormat] || !FORMATS[sourceFormat].tabular)
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: "Conversion not supported",
+      message: "Only tabular datasets can be converted",
+    });
+  }
+
+  // The CID names the stored file exactly; a conversion of it is only
+  // equivalent, so it gets a weak validator
+  res.set(
+    "ETag",
+    format === sourceFormat
+      ? `"${dataset.ipfs_hash}"`
+      : `W/"${dataset.ipfs_hash}.${format}"`
+  );
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  if (format !== sourceFormat) {
+    return sendConvertedContent(res, dataset, format);
+  }
+
+  const { mimeType, extension } = FORMATS[sourceFormat] || {
+    mimeType: "application/octet-stream",
+    extension: "bin",
+  };
+
+  // Nothing is sent until the whole file has been retrieved and decrypted
+  const content = await contentService.openStream(dataset);
+
+  // Set appropriate headers
+  res.set({
+    "Content-Type": mimeType,
+    "Content-Disposition": contentDisposition(dataset, extension),
+    "Content-Length": content.size,
+  });
+  const digest = contentService.getDigest(dataset);
+  if (digest) {
+    res.set("Digest", formatDigestHeader(digest));
+  }
+
+  sendContentStream(res, content.stream);
+}
 
 /**
- * POST /api/datasets/:id/purchase
- * Build a purchase transaction for a dataset
+ * GET /api/datasets/:id/content
+ * Get dataset content from IPFS (owner or verified buyer only), optionally
+ * converted to another format with ?format= or the Accept header. Buyers
+ * get the newest version included by the seller's version policy, for as
+ * long as their licence has not expired.
  */
-router.post(
-  "/:id/purchase",
+router.get(
+  "/:id/content",
+  requireAuth,
   validateDatasetId,
-  validate(schemas.purchaseDataset),
+  validate(schemas.contentQuery, "query"),
   async (req, res) => {
     try {
       const datasetId = req.datasetId;
-      const { buyerAddress } = req.body;
+      console.log(`📥 Fetching content for dataset ${datasetId}`);
 
-      console.log(`🛒 Building purchase transaction for dataset ${datasetId}`);
+      // First get the dataset to obtain the IPFS hash
+      const dataset = await indexerService.getDatasetById(datasetId);
 
-      // Check if dataset exists
-      const dataset = await aptosService.getDatasetById(datasetId);
       if (!dataset) {
         return res.status(404).json({
           success: false,
@@ -266,53 +642,118 @@ router.post(
         });
       }
 
-      // Check if dataset is active
-      if (!dataset.is_active) {
-        return res.status(400).json({
+      // Only the owner or a verified buyer may download the content
+      const resolved = await versionService.resolveAccess(
+        dataset,
+        req.user.address
+      );
+      if (!resolved) {
+        return sendAccessDenied(
+          res,
+          dataset,
+          req.user.address,
+          "You must purchase this dataset to access its content"
+        );
+      }
+
+      await sendDatasetContent(req, res, resolved);
+    } catch (error) {
+      if (error.code === "CONTENT_MISMATCH") {
+        return sendIntegrityFailure(res, error);
+      }
+
+      console.error("❌ Failed to fetch dataset content:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch dataset content",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/datasets/:id/query
+ * Run a restricted SQL query against a tabular dataset (owner or verified
+ * buyer only), with cursor pagination over the result
+ */
+router.post(
+  "/:id/query",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.datasetQuery),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { query, limit, cursor } = req.body;
+      console.log(`🔎 Querying dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+
+      if (!dataset) {
+        return res.status(404).json({
           success: false,
-          error: "Dataset is not available for purchase",
+          error: "Dataset not found",
         });
       }
 
-      // Check if user has already purchased this dataset
-      const alreadyPurchased = await aptosService.hasUserPurchasedDataset(
-        buyerAddress,
-        datasetId
+      const resolved = await versionService.resolveAccess(
+        dataset,
+        req.user.address
       );
-      if (alreadyPurchased) {
+      if (!resolved) {
+        return sendAccessDenied(
+          res,
+          dataset,
+          req.user.address,
+          "You must purchase this dataset to query its content"
+        );
+      }
+
+      const result = await queryService.runQuery(resolved.dataset, query, {
+        address: req.user.address,
+        limit,
+        cursor,
+      });
+
+      if (!result.valid) {
         return res.status(400).json({
           success: false,
-          error: "Dataset already purchased",
-          message: "You have already purchased this dataset",
+          error: result.error,
+          message: result.message,
         });
       }
 
-      // Build purchase transaction
-      const transactionResult = await aptosService.purchaseDataset(
-        buyerAddress,
-        datasetId
-      );
-
       res.json({
         success: true,
-        message: "Purchase transaction built successfully",
-        data: {
-          transaction: transactionResult.transaction,
-          dataset: {
-            id: dataset.id,
-            title: dataset.title,
-            price: dataset.price,
-            priceInAPT: aptosService.formatAPTAmount(dataset.price),
-            owner: dataset.owner,
-          },
-          buyer: buyerAddress,
-        },
+        datasetId,
+        version: resolved.version,
+        columns: result.columns,
+        count: result.rows.length,
+        nextCursor: result.nextCursor,
+        data: result.rows,
       });
     } catch (error) {
-      console.error("❌ Failed to build purchase transaction:", error);
+      const failure = {
+        QUERY_BUSY: [429, "Too many queries"],
+        QUERY_INVALID: [400, "Invalid query"],
+        QUERY_TIMEOUT: [408, "Query timed out"],
+        QUERY_MEMORY_LIMIT: [422, "Query too large"],
+        CONTENT_MISMATCH: [502, "Content integrity check failed"],
+      }[error.code];
+
+      if (failure) {
+        return res.status(failure[0]).json({
+          success: false,
+          error: failure[1],
+          message: error.message,
+        });
+      }
+
+      console.error("❌ Failed to query dataset:", error);
       res.status(500).json({
         success: false,
-        error: "Failed to build purchase transaction",
+        error: "Failed to query dataset",
         message: error.message,
       });
     }
@@ -320,129 +761,1098 @@ router.post(
 );
 
 /**
- * GET /api/datasets/:id/purchasers
- * Get list of users who purchased a specific dataset (owner only)
+ * Load a dataset for the version routes, or send a 404
+ * @param {Object} res - Express response
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object|null>} - Dataset, or null when a response was sent
+ */
+async function getVersionedDataset(res, datasetId) {
+  const dataset = await indexerService.getDatasetById(datasetId);
+  if (!dataset) {
+    res.status(404).json({
+      success: false,
+      error: "Dataset not found",
+    });
+    return null;
+  }
+  return dataset;
+}
+
+/**
+ * Send a 404 for a version the dataset does not have
+ * @param {Object} res - Express response
+ * @param {number} datasetId - Dataset ID
  */
-router.get("/:id/purchasers", validateDatasetId, async (req, res) => {
+function sendVersionNotFound(res, datasetId) {
+  res.status(404).json({
+    success: false,
+    error: "Version not found",
+    message: `Dataset ${datasetId} has no such version`,
+  });
+}
+
+/**
+ * GET /api/datasets/:id/versions
+ * Get the release history of a dataset, with the row count and schema of
+ * every version and its changes from the version before
+ */
+router.get("/:id/versions", validateDatasetId, async (req, res) => {
   try {
     const datasetId = req.datasetId;
-    const ownerAddress = req.query.owner;
+    console.log(`🗂️ Fetching versions of dataset ${datasetId}`);
 
-    console.log(`📊 Fetching purchasers for dataset ${datasetId}`);
+    const dataset = await getVersionedDataset(res, datasetId);
+    if (!dataset) return;
 
-    // Verify ownership if owner address is provided
-    if (ownerAddress) {
-      const dataset = await aptosService.getDatasetById(datasetId);
-      if (!dataset || dataset.owner !== ownerAddress) {
-        return res.status(403).json({
-          success: false,
-          error: "Access denied",
-          message: "Only the dataset owner can view purchaser information",
-        });
-      }
-    }
+    const versions = await versionService.listVersions(dataset);
+    const upgradesIncluded = await aptosService.getVersionPolicy(datasetId);
 
-    // Note: This would require additional functionality in the smart contract
-    // For now, return a placeholder response
     res.json({
       success: true,
       datasetId,
-      message:
-        "Purchaser information requires additional smart contract functionality",
-      data: [], // Placeholder
+      upgradesIncluded,
+      count: versions.length,
+      data: versions.map((version) => ({
+        ...version,
+        publishedAtFormatted: formatTimestamp(version.publishedAt),
+      })),
     });
   } catch (error) {
-    console.error("❌ Failed to fetch purchasers:", error);
+    console.error("❌ Failed to fetch dataset versions:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch purchasers",
+      error: "Failed to fetch dataset versions",
       message: error.message,
     });
   }
 });
 
 /**
- * GET /api/datasets/search
- * Search datasets by category, title, or description
+ * GET /api/datasets/:id/versions/diff?from=&to=
+ * Compare the row count and schema of two versions of a dataset
  */
-router.get("/search", async (req, res) => {
-  try {
-    const { category, title, description, minPrice, maxPrice } = req.query;
-
-    console.log("🔍 Searching datasets with filters:", {
-      category,
-      title,
-      description,
-      minPrice,
-      maxPrice,
-    });
-
-    // Get all active datasets
-    const allDatasets = await aptosService.getActiveDatasets();
+router.get(
+  "/:id/versions/diff",
+  validateDatasetId,
+  validate(schemas.versionDiffQuery, "query"),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { from, to } = req.query;
 
-    // Apply filters
-    let filteredDatasets = allDatasets;
+      const dataset = await getVersionedDataset(res, datasetId);
+      if (!dataset) return;
 
-    if (category) {
-      filteredDatasets = filteredDatasets.filter((dataset) =>
-        dataset.category.toLowerCase().includes(category.toLowerCase())
-      );
-    }
+      const diff = await versionService.compare(dataset, from, to);
+      if (!diff) return sendVersionNotFound(res, datasetId);
 
-    if (title) {
-      filteredDatasets = filteredDatasets.filter((dataset) =>
-        dataset.title.toLowerCase().includes(title.toLowerCase())
-      );
+      res.json({
+        success: true,
+        datasetId,
+        data: diff,
+      });
+    } catch (error) {
+      console.error("❌ Failed to compare dataset versions:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to compare dataset versions",
+        message: error.message,
+      });
     }
+  }
+);
 
-    if (description) {
-      filteredDatasets = filteredDatasets.filter((dataset) =>
-        dataset.description.toLowerCase().includes(description.toLowerCase())
-      );
-    }
+/**
+ * GET /api/datasets/:id/versions/:version
+ * Get one version of a dataset with its changes from the version before
+ */
+router.get(
+  "/:id/versions/:version",
+  validate(schemas.datasetVersionParams, "params"),
+  async (req, res) => {
+    try {
+      const { id: datasetId, version: number } = req.params;
 
-    if (minPrice) {
-      const minPriceOctas = aptosService.convertAPTToOctas(
-        parseFloat(minPrice)
-      );
-      filteredDatasets = filteredDatasets.filter(
-        (dataset) => parseInt(dataset.price) >= parseInt(minPriceOctas)
-      );
-    }
+      const dataset = await getVersionedDataset(res, datasetId);
+      if (!dataset) return;
 
-    if (maxPrice) {
-      const maxPriceOctas = aptosService.convertAPTToOctas(
-        parseFloat(maxPrice)
-      );
-      filteredDatasets = filteredDatasets.filter(
-        (dataset) => parseInt(dataset.price) <= parseInt(maxPriceOctas)
-      );
-    }
+      const version = await versionService.getVersion(dataset, number);
+      if (!version) return sendVersionNotFound(res, datasetId);
 
-    // Enhance datasets with additional computed fields
-    const enhancedDatasets = filteredDatasets.map((dataset) => ({
-      ...dataset,
-      priceInAPT: aptosService.formatAPTAmount(dataset.price),
-      createdAtFormatted: new Date(
-        parseInt(dataset.created_at) * 1000
-      ).toISOString(),
-      ipfsUrl: `https://ipfs.io/ipfs/${dataset.ipfs_hash}`,
-    }));
+      res.json({
+        success: true,
+        datasetId,
+        data: {
+          ...version,
+          publishedAtFormatted: formatTimestamp(version.publishedAt),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to fetch dataset version:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch dataset version",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/datasets/:id/versions/:version/content
+ * Get the content of one version of a dataset (owner, or a buyer whose
+ * purchase includes that version), with the same format options as
+ * /:id/content
+ */
+router.get(
+  "/:id/versions/:version/content",
+  requireAuth,
+  validate(schemas.datasetVersionParams, "params"),
+  validate(schemas.contentQuery, "query"),
+  async (req, res) => {
+    try {
+      const { id: datasetId, version: number } = req.params;
+      console.log(`📥 Fetching version ${number} of dataset ${datasetId}`);
+
+      const dataset = await getVersionedDataset(res, datasetId);
+      if (!dataset) return;
+
+      const resolved = await versionService.resolveAccess(
+        dataset,
+        req.user.address,
+        number
+      );
+      if (resolved && resolved.version !== number) {
+        return sendVersionNotFound(res, datasetId);
+      }
+      if (!resolved) {
+        return sendAccessDenied(
+          res,
+          dataset,
+          req.user.address,
+          "Your purchase does not include this version of the dataset"
+        );
+      }
+
+      await sendDatasetContent(req, res, resolved);
+    } catch (error) {
+      if (error.code === "CONTENT_MISMATCH") {
+        return sendIntegrityFailure(res, error);
+      }
+
+      console.error("❌ Failed to fetch dataset version content:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch dataset content",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/datasets/:id/version-policy
+ * Build the transaction that sets whether buyers may download versions
+ * published after their purchase (owner only)
+ */
+router.put(
+  "/:id/version-policy",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.versionPolicy),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { upgradesIncluded } = req.body;
+      console.log(`🗂️ Updating version policy for dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "Only the dataset owner can change its version policy",
+        });
+      }
+
+      const transactionResult = await aptosService.setVersionPolicy(
+        req.user.address,
+        datasetId,
+        upgradesIncluded
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          upgradesIncluded,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build version policy transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update version policy",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/datasets/:id/purchase
+ * Build a purchase transaction for a dataset
+ */
+router.post(
+  "/:id/purchase",
+  validateDatasetId,
+  validate(schemas.purchaseDataset),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { buyerAddress, tierId } = req.body;
+
+      console.log(`🛒 Building purchase transaction for dataset ${datasetId}`);
+
+      // Check if dataset exists
+      const dataset = await aptosService.getDatasetById(datasetId);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: "Dataset not found",
+        });
+      }
+
+      // Check if dataset is active
+      if (!dataset.is_active) {
+        return res.status(400).json({
+          success: false,
+          error: "Dataset is not available for purchase",
+        });
+      }
+
+      // Datasets sold in tiers must be bought under one of them
+      const tiers = await tierService.listTiers(datasetId);
+      const tier = tierId
+        ? tiers.find((entry) => entry.tierId === tierId)
+        : null;
+      if (tierId && !tier) {
+        return res.status(400).json({
+          success: false,
+          error: "Licence tier not found",
+          message: `Dataset ${datasetId} has no active tier ${tierId}`,
+        });
+      }
+      if (!tierId && tiers.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Licence tier required",
+          message: "Choose one of the dataset's licence tiers with tierId",
+          tiers,
+        });
+      }
+
+      // Check if user has already purchased this dataset
+      const alreadyPurchased = await aptosService.hasUserPurchasedDataset(
+        buyerAddress,
+        datasetId
+      );
+      if (alreadyPurchased) {
+        const license = await licenseService.getLicense(
+          buyerAddress,
+          datasetId
+        );
+        return res.status(400).json({
+          success: false,
+          error: "Dataset already purchased",
+          message:
+            license && license.status === "expired"
+              ? `Your licence expired on ${formatTimestamp(
+                  license.expiresAt
+                )}; renew it with POST /api/datasets/${datasetId}/renew`
+              : "You have already purchased this dataset",
+        });
+      }
+
+      // Build purchase transaction
+      const transactionResult = await aptosService.purchaseDataset(
+        buyerAddress,
+        datasetId,
+        tierId
+      );
+
+      res.json({
+        success: true,
+        message: "Purchase transaction built successfully",
+        data: {
+          transaction: transactionResult.transaction,
+          dataset: {
+            id: dataset.id,
+            title: dataset.title,
+            price: tier ? tier.price : dataset.price,
+            priceInAPT: aptosService.formatAPTAmount(
+              tier ? tier.price : dataset.price
+            ),
+            owner: dataset.owner,
+          },
+          tier,
+          buyer: buyerAddress,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build purchase transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to build purchase transaction",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/datasets/:id/tiers
+ * Get the licence tiers of a dataset with the machine-readable part of their
+ * terms, including retired tiers
+ */
+router.get("/:id/tiers", validateDatasetId, async (req, res) => {
+  try {
+    const datasetId = req.datasetId;
+    console.log(`📜 Fetching licence tiers of dataset ${datasetId}`);
+
+    const dataset = await indexerService.getDatasetById(datasetId);
+    if (!dataset) {
+      return res.status(404).json({
+        success: false,
+        error: "Dataset not found",
+      });
+    }
+
+    const tiers = await tierService.listTiers(datasetId, true);
 
     res.json({
       success: true,
-      filters: { category, title, description, minPrice, maxPrice },
-      count: enhancedDatasets.length,
-      data: enhancedDatasets,
+      datasetId,
+      count: tiers.length,
+      data: tiers,
     });
   } catch (error) {
-    console.error("❌ Failed to search datasets:", error);
+    console.error("❌ Failed to fetch licence tiers:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to search datasets",
+      error: "Failed to fetch licence tiers",
       message: error.message,
     });
   }
 });
 
+/**
+ * POST /api/datasets/:id/tiers
+ * Pin the terms document of a new licence tier and build the transaction
+ * that adds it to the dataset (owner only)
+ */
+router.post(
+  "/:id/tiers",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.licenseTier),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      console.log(`📜 Adding licence tier to dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "Only the dataset owner can add licence tiers",
+        });
+      }
+
+      const existing = await tierService.listTiers(datasetId, true);
+      if (
+        existing.some(
+          (tier) =>
+            tier.isActive &&
+            tier.name.toLowerCase() === req.body.name.toLowerCase()
+        )
+      ) {
+        return res.status(409).json({
+          success: false,
+          error: "Licence tier exists",
+          message: `Dataset ${datasetId} already has a tier named ${req.body.name}`,
+        });
+      }
+
+      const tier = await tierService.publishTerms(
+        req.body,
+        { title: dataset.title, ipfsHash: dataset.ipfs_hash },
+        req.user.address
+      );
+      const transactionResult = await aptosService.addLicenseTier(
+        req.user.address,
+        datasetId,
+        { name: tier.name, price: tier.priceInOctas, termsHash: tier.termsHash }
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        // The contract numbers the tier when the transaction runs; see
+        // GET /:id/tiers/added/:transactionHash
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          ...tier,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build licence tier transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to add licence tier",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/datasets/:id/tiers/added/:transactionHash
+ * Get the licence tier a committed POST /:id/tiers transaction added
+ */
+router.get(
+  "/:id/tiers/added/:transactionHash",
+  validate(schemas.licenseTierTransactionParams, "params"),
+  async (req, res) => {
+    try {
+      const { id: datasetId, transactionHash } = req.params;
+      console.log(`📜 Looking up tier added by ${transactionHash}`);
+
+      const added = await aptosService.getAddedLicenseTier(transactionHash);
+      if (!added) {
+        return res.status(404).json({
+          success: false,
+          error: "Transaction not found",
+          message: `Transaction ${transactionHash} is unknown or not committed yet`,
+        });
+      }
+      if (added.datasetId !== datasetId) {
+        return res.status(400).json({
+          success: false,
+          error: "Licence tier not added",
+          message: `Transaction ${transactionHash} added a tier to dataset ${added.datasetId}`,
+        });
+      }
+
+      const tier = await tierService.getTier(datasetId, added.tierId);
+      res.json({
+        success: true,
+        data: { datasetId, transactionHash, ...tier },
+      });
+    } catch (error) {
+      if (error.code === "TIER_NOT_ADDED") {
+        return res.status(400).json({
+          success: false,
+          error: "Licence tier not added",
+          message: error.message,
+        });
+      }
+      console.error("❌ Failed to look up added licence tier:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch licence tier",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/datasets/:id/tiers/:tierId
+ * Build the transaction that stops selling a licence tier (owner only).
+ * Buyers keep the rights of the tier they bought.
+ */
+router.delete(
+  "/:id/tiers/:tierId",
+  requireAuth,
+  validate(schemas.licenseTierParams, "params"),
+  async (req, res) => {
+    try {
+      const { id: datasetId, tierId } = req.params;
+      console.log(`📜 Retiring tier ${tierId} of dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "Only the dataset owner can retire licence tiers",
+        });
+      }
+
+      const tier = await tierService.getTier(datasetId, tierId);
+      if (!tier || !tier.isActive) {
+        return res.status(404).json({
+          success: false,
+          error: "Licence tier not found",
+          message: `Dataset ${datasetId} has no active tier ${tierId}`,
+        });
+      }
+
+      const transactionResult = await aptosService.deactivateLicenseTier(
+        req.user.address,
+        datasetId,
+        tierId
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          tierId,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build tier deactivation transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to retire licence tier",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/datasets/:id/license-receipt
+ * Get a signed receipt of the authenticated buyer's licence, naming the
+ * tier and terms document it was bought under
+ */
+router.get(
+  "/:id/license-receipt",
+  requireAuth,
+  validateDatasetId,
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const buyer = req.user.address;
+      console.log(`🧾 Issuing licence receipt for dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: "Dataset not found",
+        });
+      }
+
+      const license = await licenseService.getLicense(buyer, datasetId);
+      if (!license) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "You must purchase this dataset to get a licence receipt",
+        });
+      }
+
+      const purchaseTier = await aptosService.getPurchaseTier(buyer, datasetId);
+      const tier = purchaseTier
+        ? await tierService.describe(purchaseTier)
+        : null;
+
+      const signed = receiptService.issue({
+        network: process.env.APTOS_NETWORK || "testnet",
+        contract: aptosService.contractAddress,
+        datasetId,
+        datasetTitle: dataset.title,
+        buyer,
+        seller: dataset.owner,
+        tier: tier
+          ? {
+              tierId: tier.tierId,
+              name: tier.name,
+              termsHash: tier.termsHash,
+              license: tier.license,
+              permissions: tier.permissions,
+              attribution: tier.attribution,
+            }
+          : null,
+        price: license.price,
+        purchasedAt: license.purchasedAt,
+        expiresAt: license.expiresAt,
+      });
+
+      res.json({
+        success: true,
+        data: signed,
+      });
+    } catch (error) {
+      console.error("❌ Failed to issue licence receipt:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to issue licence receipt",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/datasets/:id/renew
+ * Build the transaction that renews a time-limited licence for one more
+ * period at the dataset's current price
+ */
+router.post(
+  "/:id/renew",
+  validateDatasetId,
+  validate(schemas.renewLicense),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { buyerAddress } = req.body;
+
+      console.log(`🔁 Building licence renewal for dataset ${datasetId}`);
+
+      const dataset = await aptosService.getDatasetById(datasetId);
+      if (!dataset) {
+        return res.status(404).json({
+          success: false,
+          error: "Dataset not found",
+        });
+      }
+
+      if (!dataset.is_active) {
+        return res.status(400).json({
+          success: false,
+          error: "Dataset is not available for renewal",
+        });
+      }
+
+      const license = await licenseService.getLicense(buyerAddress, datasetId);
+      if (!license) {
+        return res.status(400).json({
+          success: false,
+          error: "Licence not found",
+          message: "You must purchase this dataset before renewing it",
+        });
+      }
+
+      const period = await aptosService.getLicensePeriod(datasetId);
+      if (license.expiresAt === null || period === 0) {
+        return res.status(400).json({
+          success: false,
+          error: "Licence not renewable",
+          message: "This dataset is sold with perpetual access",
+        });
+      }
+
+      const transactionResult = await aptosService.renewLicense(
+        buyerAddress,
+        datasetId
+      );
+
+      // Renewals extend a running licence and restart an expired one
+      const now = Math.floor(Date.now() / 1000);
+      const expiresAt = Math.max(now, license.expiresAt) + period;
+
+      // Tiered purchases renew at the current price of their tier
+      const tier = await aptosService.getPurchaseTier(buyerAddress, datasetId);
+      const price = tier ? tier.price : dataset.price;
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          dataset: {
+            id: dataset.id,
+            title: dataset.title,
+            price,
+            priceInAPT: aptosService.formatAPTAmount(price),
+            owner: dataset.owner,
+          },
+          buyer: buyerAddress,
+          licensePeriod: period,
+          expiresAt,
+          expiresAtFormatted: formatTimestamp(expiresAt),
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build licence renewal transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to build licence renewal transaction",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/datasets/:id/license-terms
+ * Build the transaction that sets how long licences of a dataset last
+ * (owner only). Applies to purchases made afterwards.
+ */
+router.put(
+  "/:id/license-terms",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.licenseTerms),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { period } = req.body;
+      console.log(`📋 Updating licence terms for dataset ${datasetId}`);
+
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "Only the dataset owner can change its licence terms",
+        });
+      }
+
+      const transactionResult = await aptosService.setLicensePeriod(
+        req.user.address,
+        datasetId,
+        period
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          period,
+          perpetual: period === 0,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build licence terms transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update licence terms",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Load a dataset for the listing management routes, or send a 403 unless
+ * the authenticated user owns it. Reads the chain rather than the index so
+ * that an action submitted moments ago is already reflected.
+ * @param {Object} req - Express request (authenticated, with datasetId)
+ * @param {Object} res - Express response
+ * @param {string} action - What the owner is doing, for the error message
+ * @returns {Promise<Object|null>} - Dataset, or null when a response was sent
+ */
+async function getOwnedDataset(req, res, action) {
+  const dataset = await aptosService.getDatasetById(req.datasetId);
+  if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+    res.status(403).json({
+      success: false,
+      error: "Access denied",
+      message: `Only the dataset owner can ${action}`,
+    });
+    return null;
+  }
+  return dataset;
+}
+
+/**
+ * POST /api/datasets/:id/deactivate
+ * Build the transaction that takes a dataset off the market (owner only).
+ * Buyers keep their access.
+ */
+router.post(
+  "/:id/deactivate",
+  requireAuth,
+  validateDatasetId,
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      console.log(`🏷️ Deactivating dataset ${datasetId}`);
+
+      const dataset = await getOwnedDataset(req, res, "deactivate it");
+      if (!dataset) return;
+
+      if (!dataset.is_active) {
+        return res.status(409).json({
+          success: false,
+          error: "Dataset not active",
+          message: `Dataset ${datasetId} is already deactivated`,
+        });
+      }
+
+      const transactionResult = await aptosService.deactivateDataset(
+        req.user.address,
+        datasetId
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          isActive: false,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build deactivation transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to deactivate dataset",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/datasets/:id/reactivate
+ * Build the transaction that relists a deactivated dataset (owner only)
+ */
+router.post(
+  "/:id/reactivate",
+  requireAuth,
+  validateDatasetId,
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      console.log(`🏷️ Reactivating dataset ${datasetId}`);
+
+      const dataset = await getOwnedDataset(req, res, "reactivate it");
+      if (!dataset) return;
+
+      if (dataset.is_active) {
+        return res.status(409).json({
+          success: false,
+          error: "Dataset already active",
+          message: `Dataset ${datasetId} is already listed`,
+        });
+      }
+
+      const transactionResult = await aptosService.reactivateDataset(
+        req.user.address,
+        datasetId
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          isActive: true,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build reactivation transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to reactivate dataset",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/datasets/:id/price
+ * Build the transaction that changes the price of a dataset (owner only).
+ * Applies to later purchases and renewals; tiered datasets are charged the
+ * tier price instead.
+ */
+router.put(
+  "/:id/price",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.datasetPrice),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { price } = req.body;
+      console.log(`🏷️ Repricing dataset ${datasetId} to ${price} APT`);
+
+      const dataset = await getOwnedDataset(req, res, "change its price");
+      if (!dataset) return;
+
+      const priceInOctas = aptosService.convertAPTToOctas(price);
+      const transactionResult = await aptosService.updateDatasetPrice(
+        req.user.address,
+        datasetId,
+        priceInOctas
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          previousPrice: aptosService.formatAPTAmount(dataset.price),
+          price,
+          priceInOctas,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build price update transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update dataset price",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/datasets/:id
+ * Build the transaction that edits the title, description and category of
+ * a dataset (owner only). Fields left out keep their current value.
+ */
+router.patch(
+  "/:id",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.datasetDetails),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      console.log(`🏷️ Editing listing of dataset ${datasetId}`);
+
+      const dataset = await getOwnedDataset(req, res, "edit its listing");
+      if (!dataset) return;
+
+      // The contract replaces all three fields at once
+      const details = {
+        title: dataset.title,
+        description: dataset.description,
+        category: dataset.category,
+        ...req.body,
+      };
+
+      const transactionResult = await aptosService.updateDatasetDetails(
+        req.user.address,
+        datasetId,
+        details
+      );
+
+      res.json({
+        success: true,
+        message: transactionResult.message,
+        data: {
+          transaction: transactionResult.transaction,
+          datasetId,
+          ...details,
+        },
+      });
+    } catch (error) {
+      console.error("❌ Failed to build listing update transaction:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to update dataset",
+        message: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/datasets/:id/purchasers
+ * Get list of users who purchased a specific dataset (owner only)
+ */
+router.get(
+  "/:id/purchasers",
+  requireAuth,
+  validateDatasetId,
+  validate(schemas.purchasersQuery, "query"),
+  async (req, res) => {
+    try {
+      const datasetId = req.datasetId;
+      const { page, limit, format } = req.query;
+
+      console.log(`📊 Fetching purchasers for dataset ${datasetId}`);
+
+      // Only the verified owner may see who bought the dataset
+      const dataset = await indexerService.getDatasetById(datasetId);
+      if (!dataset || !isSameAptosAddress(dataset.owner, req.user.address)) {
+        return res.status(403).json({
+          success: false,
+          error: "Access denied",
+          message: "Only the dataset owner can view purchaser information",
+        });
+      }
+
+      // Purchases per dataset are only available from the event index
+      if (!indexerService.isReady()) {
+        return res.status(503).json({
+          success: false,
+          error: "Purchase history unavailable",
+          message: "The event indexer has not finished its first sync",
+        });
+      }
+
+      const purchasers = indexerService
+        .getPurchasesByDataset(datasetId)
+        .map((purchase) => ({
+          buyer: purchase.buyer,
+          price: purchase.price,
+          priceInAPT: aptosService.formatAPTAmount(purchase.price),
+          purchasedAt: purchase.purchased_at,
+          purchasedAtFormatted: formatTimestamp(purchase.purchased_at),
+          tierId: purchase.tier_id,
+          transactionVersion: purchase.version,
+        }));
+
+      if (format === "csv") {
+        res.set({
+          "Content-Type": "text/csv",
+          "Content-Disposition": `attachment; filename="dataset-${datasetId}-purchasers.csv"`,
+        });
+        return res.send(
+          toCSV(purchasers, [
+            "buyer",
+            "price",
+            "priceInAPT",
+            "purchasedAtFormatted",
+            "tierId",
+            "transactionVersion",
+          ])
+        );
+      }
+
+      const start = (page - 1) * limit;
+      res.json({
+        success: true,
+        datasetId,
+        pagination: {
+          page,
+          limit,
+          total: purchasers.length,
+          totalPages: Math.ceil(purchasers.length / limit),
+        },
+        data: purchasers.slice(start, start + limit),
+      });
+    } catch (error) {
+      console.error("❌ Failed to fetch purchasers:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch purchasers",
+        message: error.message,
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,185 @@
+const express = require("express");
+const router = express.Router();
+
+const relayService = require("../services/relayService");
+const { validate, schemas } = require("../middleware/validation");
+const { requireAuth } = require("../middleware/auth");
+
+/**
+ * Load a relay job, or send a 404
+ * @param {Object} res - Express response
+ * @param {string} jobId - Job ID
+ * @returns {Object|null} - Job, or null when a response was sent
+ */
+function getJobOr404(res, jobId) {
+  const job = relayService.getJob(jobId);
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      error: "Job not found",
+      message: `There is no relay job ${jobId}`,
+    });
+    return null;
+  }
+  return job;
+}
+
+/**
+ * Answer a transaction the relay refused, or a failure of the relay itself
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the relay service
+ * @param {string} action - What failed, e.g. "relay transaction"
+ */
+function sendRelayError(res, error, action) {
+  const failure = {
+    RELAY_INVALID: [400, "Invalid transaction"],
+    RELAY_EXPIRED: [400, "Transaction expired"],
+    RELAY_FORBIDDEN: [403, "Access denied"],
+    RELAY_NOT_SPONSORED: [403, "Transaction not sponsored"],
+    RELAY_BUDGET_EXCEEDED: [429, "Sponsorship limit reached"],
+  }[error.code];
+
+  if (failure) {
+    return res.status(failure[0]).json({
+      success: false,
+      error: failure[1],
+      message: error.message,
+    });
+  }
+
+  console.error(`❌ Failed to ${action}:`, error);
+  res.status(500).json({
+    success: false,
+    error: `Failed to ${action}`,
+    message: error.message,
+  });
+}
+
+/**
+ * GET /api/relay/config
+ * Get whether the relay sponsors gas and up to what fee
+ */
+router.get("/config", (req, res) => {
+  res.json({
+    success: true,
+    data: relayService.getConfig(),
+  });
+});
+
+/**
+ * POST /api/relay/sponsor
+ * Turn a transaction built for the signed-in account into a fee payer
+ * transaction the sponsor pays gas for, to sign and relay
+ */
+router.post(
+  "/sponsor",
+  requireAuth,
+  validate(schemas.relaySponsor),
+  (req, res) => {
+    try {
+      console.log(`📮 Preparing sponsored transaction for ${req.user.address}`);
+
+      const transaction = relayService.prepareSponsored(
+        req.body.transaction,
+        req.user.address
+      );
+
+      res.json({
+        success: true,
+        data: { transaction },
+      });
+    } catch (error) {
+      sendRelayError(res, error, "prepare sponsored transaction");
+    }
+  }
+);
+
+/**
+ * POST /api/relay/transactions
+ * Accept a signed transaction from the signed-in account, sponsor its gas
+ * when it names a fee payer, and submit it in the background. Answers with
+ * a job to poll or subscribe to.
+ */
+router.post(
+  "/transactions",
+  requireAuth,
+  validate(schemas.relayTransaction),
+  (req, res) => {
+    try {
+      const { transaction, senderAuthenticator } = req.body;
+      console.log(`📮 Relaying signed transaction from ${req.user.address}`);
+
+      const job = relayService.submit(
+        transaction,
+        senderAuthenticator,
+        req.user.address
+      );
+
+      res.status(202).json({
+        success: true,
+        message: "Transaction accepted for submission",
+        data: job,
+      });
+    } catch (error) {
+      sendRelayError(res, error, "relay transaction");
+    }
+  }
+);
+
+/**
+ * GET /api/relay/jobs/:jobId
+ * Get the status of a relay job
+ */
+router.get(
+  "/jobs/:jobId",
+  validate(schemas.relayJobParams, "params"),
+  (req, res) => {
+    const job = getJobOr404(res, req.params.jobId);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  }
+);
+
+/**
+ * GET /api/relay/jobs/:jobId/events
+ * Stream the status of a relay job as server-sent events until it is
+ * committed or fails
+ */
+router.get(
+  "/jobs/:jobId/events",
+  validate(schemas.relayJobParams, "params"),
+  (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobOr404(res, jobId);
+    if (!job) return;
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const send = (update) => {
+      res.write(`event: status\ndata: ${JSON.stringify(update)}\n\n`);
+      if (relayService.isFinal(update)) res.end();
+    };
+
+    // Comment lines keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+    const stop = () => {
+      clearInterval(heartbeat);
+      relayService.off(jobId, send);
+    };
+    res.on("close", stop);
+
+    relayService.on(jobId, send);
+    send(job);
+  }
+);
+
+module.exports = router;
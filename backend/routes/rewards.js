@@ -0,0 +1,169 @@
+const express = require("express");
+const router = express.Router();
+
+const aptosService = require("../services/aptosService");
+const rewardService = require("../services/rewardService");
+const { requireAuth } = require("../middleware/auth");
+const { validateAptosAddress } = require("../middleware/validation");
+
+/**
+ * GET /api/rewards/milestones
+ * Get the active upload milestones and their rewards
+ */
+router.get("/milestones", async (req, res) => {
+  try {
+    console.log("🏆 Fetching reward milestones");
+
+    const milestones = await rewardService.listMilestones();
+
+    res.json({
+      success: true,
+      data: milestones,
+      count: milestones.length,
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch milestones:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch milestones",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/rewards/pool
+ * Get the reward pool balance and the total paid out of it
+ */
+router.get("/pool", async (req, res) => {
+  try {
+    console.log("🏆 Fetching reward pool");
+
+    res.json({
+      success: true,
+      data: await rewardService.getPool(),
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch reward pool:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch reward pool",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/rewards/achievements/:address
+ * Get the milestones and bonus rewards of a user and their progress toward
+ * the next milestone
+ */
+router.get("/achievements/:address", validateAptosAddress, async (req, res) => {
+  try {
+    const address = req.params.address;
+    console.log(`🏆 Fetching achievements for: ${address}`);
+
+    res.json({
+      success: true,
+      data: await rewardService.getAchievements(address),
+    });
+  } catch (error) {
+    console.error("❌ Failed to fetch achievements:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch achievements",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/rewards/achievements/initialize
+ * Build the transaction that creates the authenticated user's achievement
+ * record
+ */
+router.post("/achievements/initialize", requireAuth, async (req, res) => {
+  try {
+    const address = req.user.address;
+    console.log(`🏆 Initializing achievements for: ${address}`);
+
+    const achievements = await aptosService.getUserAchievements(address);
+    if (achievements) {
+      return res.status(409).json({
+        success: false,
+        error: "Achievements already initialized",
+        message: `${address} already has an achievement record`,
+      });
+    }
+
+    const transactionResult = await aptosService.initializeUserAchievements(
+      address
+    );
+
+    res.json({
+      success: true,
+      message: transactionResult.message,
+      data: {
+        transaction: transactionResult.transaction,
+        address,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to build achievements setup transaction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to initialize achievements",
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/rewards/check-milestones
+ * Build the transaction that records and pays the milestones the
+ * authenticated user has reached. The upload count comes from the
+ * marketplace rather than the client.
+ */
+router.post("/check-milestones", requireAuth, async (req, res) => {
+  try {
+    const address = req.user.address;
+    console.log(`🏆 Checking milestones for: ${address}`);
+
+    const achievements = await rewardService.getAchievements(address);
+    if (achievements.claimable.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "No milestones to claim",
+        message: achievements.nextMilestone
+          ? `Upload ${achievements.nextMilestone.remaining} more dataset(s) to reach ${achievements.nextMilestone.name}`
+          : "Every active milestone has been achieved",
+        data: { nextMilestone: achievements.nextMilestone },
+      });
+    }
+
+    const transactionResult = await aptosService.checkMilestones(
+      address,
+      achievements.datasetsUploaded
+    );
+
+    res.json({
+      success: true,
+      message: transactionResult.message,
+      data: {
+        transaction: transactionResult.transaction,
+        address,
+        datasetsUploaded: achievements.datasetsUploaded,
+        claimable: achievements.claimable,
+      },
+    });
+  } catch (error) {
+    console.error("❌ Failed to build milestone check transaction:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check milestones",
+      message: error.message,
+    });
+  }
+});
+
+module.exports = router;
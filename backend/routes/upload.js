@@ -1,66 +1,756 @@
+const crypto = require("crypto");
 const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const { pipeline } = require("stream/promises");
 const router = express.Router();
 
 const ipfsService = require("../services/ipfsService");
 const aptosService = require("../services/aptosService");
-const { upload, handleMulterError } = require("../config/multer");
+const encryptionService = require("../services/encryptionService");
+const metadataService = require("../services/metadataService");
+const indexerService = require("../services/indexerService");
+const pendingUploadService = require("../services/pendingUploadService");
+const pinningService = require("../services/pinningService");
+const previewService = require("../services/previewService");
+const tierService = require("../services/tierService");
+const uploadSessionService = require("../services/uploadSessionService");
+const {
+  upload,
+  uploadTempDir,
+  cleanupUploadedFile,
+  handleMulterError,
+} = require("../config/multer");
+const { requireAuth } = require("../middleware/auth");
+const {
+  isSameAptosAddress,
+  generateContentDigest,
+  formatDigestHeader,
+} = require("../utils/helpers");
+const { findUnknownColumns } = require("../utils/previewSampler");
+const { redactReader } = require("../utils/piiScanner");
+const { convertTable } = require("../utils/formatConverter");
+const { withholdColumnStatistics } = require("../utils/columnProfiler");
+const {
+  FORMATS,
+  getAllowedMimeTypes,
+  resolveDeclaredFormat,
+  isAllowedFormat,
+  openTableReader,
+  inspectUpload,
+} = require("../utils/fileFormats");
 const {
   validateFileUpload,
-  validateCSVContent,
+  validateFileContent,
+  validateDatasetId,
   validate,
   schemas,
 } = require("../middleware/validation");
 
+/**
+ * Encrypt a file with a fresh data key while streaming it to a temporary
+ * file, push only the ciphertext to IPFS and keep the wrapped key in the
+ * local key store
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object} metadata - Metadata document for the upload
+ * @param {Readable} source - Stream of the plaintext file content
+ * @param {string} [provider] - Storage provider; the default provider if
+ *   omitted
+ * @returns {Promise<Object>} - IPFS upload result
+ */
+async function uploadEncryptedFile(file, metadata, source, provider) {
+  await fs.promises.mkdir(uploadTempDir, { recursive: true });
+  const encryptedPath = path.join(
+    uploadTempDir,
+    `${crypto.randomBytes(16).toString("hex")}.enc`
+  );
+
+  try {
+    const { dataKey, algorithm, encryptedSize, sha256 } =
+      await encryptionService.encryptToFile(source, encryptedPath);
+
+    const ipfsResult = await ipfsService.uploadFile(
+      fs.createReadStream(encryptedPath),
+      file.originalname,
+      {
+        ...metadata,
+        encryption: {
+          algorithm,
+          encryptedSize,
+        },
+      },
+      { provider }
+    );
+
+    encryptionService.storeDataKey(ipfsResult.ipfsHash, dataKey, {
+      fileSize: file.size,
+      mimeType: file.mimetype,
+      sha256,
+    });
+
+    metadataService.recordUpload(ipfsResult.ipfsHash, {
+      metadataHash: ipfsResult.metadataHash,
+      metadataSha256: ipfsResult.metadataSha256,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      format: file.format,
+      headers: metadata.tabularData ? metadata.tabularData.headers : [],
+    });
+
+    // Size and digest of the file as uploaded, which buyers download
+    return {
+      ...ipfsResult,
+      fileSize: file.size,
+      sha256,
+    };
+  } finally {
+    await fs.promises.rm(encryptedPath, { force: true });
+  }
+}
+
+/**
+ * Encrypt and publish a plain file upload
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile }),
+ *   if any
+ * @param {string} uploaderAddress - Authenticated uploader
+ * @param {Readable} source - Stream of the plaintext file content
+ * @returns {Promise<Object>} - Response data
+ */
+async function publishFile(file, tabular, uploaderAddress, source) {
+  const { originalname, mimetype, size, format } = file;
+
+  console.log(`📤 Processing file upload: ${originalname}`);
+
+  // Prepare metadata
+  const metadata = {
+    originalName: originalname,
+    mimeType: mimetype,
+    format,
+    fileSize: size,
+    uploadedBy: uploaderAddress,
+    uploadTimestamp: new Date().toISOString(),
+  };
+
+  // Add tabular metadata if available
+  if (tabular) {
+    metadata.tabularData = withoutSampleRows(tabular.metadata);
+    metadata.profile = publicProfile(tabular);
+    metadata.pii = tabular.pii;
+  }
+
+  // Encrypt and upload to IPFS
+  const ipfsResult = await uploadEncryptedFile(file, metadata, source);
+
+  return {
+    ipfsHash: ipfsResult.ipfsHash,
+    metadataHash: ipfsResult.metadataHash,
+    fileName: ipfsResult.fileName,
+    fileSize: ipfsResult.fileSize,
+    sha256: ipfsResult.sha256,
+    storageProvider: ipfsResult.storageProvider,
+    ipfsUrl: ipfsResult.ipfsUrl,
+    metadataUrl: ipfsResult.metadataUrl,
+    pii: tabular ? tabular.pii : null,
+    metadata: ipfsResult.metadata,
+  };
+}
+
+/**
+ * Encrypt and publish a dataset and build its Aptos listing transaction
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object} fields - Validated dataset fields
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile }),
+ *   if any
+ * @param {string} uploaderAddress - Authenticated uploader
+ * @param {Readable} source - Stream of the plaintext file content
+ * @returns {Promise<Object>} - Response data
+ */
+async function publishDataset(file, fields, tabular, uploaderAddress, source) {
+  const { title, description, category, price } = fields;
+
+  console.log(`📤 Processing dataset upload: ${title}`);
+
+  // Prepare comprehensive metadata
+  const metadata = {
+    title,
+    description,
+    category,
+    price: parseFloat(price),
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    format: file.format,
+    fileSize: file.size,
+    uploaderAddress,
+    uploadTimestamp: new Date().toISOString(),
+  };
+
+  addDatasetTabularMetadata(metadata, tabular);
+
+  // Encrypt and upload file to the storage provider chosen for the dataset
+  const ipfsResult = await uploadEncryptedFile(
+    file,
+    metadata,
+    source,
+    fields.storageProvider
+  );
+
+  const previewPolicy = tabular
+    ? previewService.setPolicy(ipfsResult.ipfsHash, fields.previewPolicy || {})
+    : null;
+
+  // Pin the terms document of every licence tier
+  const licenseTiers = [];
+  for (const tier of fields.licenseTiers || []) {
+    licenseTiers.push(
+      await tierService.publishTerms(
+        tier,
+        { title, ipfsHash: ipfsResult.ipfsHash },
+        uploaderAddress
+      )
+    );
+  }
+
+  // Prepare data for Aptos transaction
+  const datasetData = {
+    ipfsHash: ipfsResult.ipfsHash,
+    title,
+    description,
+    category,
+    price: aptosService.convertAPTToOctas(parseFloat(price)), // Convert APT to octas
+    tiers: licenseTiers.map((tier) => ({
+      name: tier.name,
+      price: tier.priceInOctas,
+      termsHash: tier.termsHash,
+    })),
+  };
+
+  // Build Aptos transaction for the verified uploader
+  let aptosTransaction = null;
+  try {
+    const transactionResult = await aptosService.uploadDataset(
+      uploaderAddress,
+      datasetData
+    );
+    aptosTransaction = transactionResult.transaction;
+  } catch (aptosError) {
+    console.warn("⚠️ Failed to build Aptos transaction:", aptosError.message);
+    // Continue without Aptos transaction - frontend can handle this
+  }
+
+  // Unpinned again unless the listing is seen on chain in time
+  const pendingUpload = pendingUploadService.track({
+    kind: "dataset",
+    ipfsHash: ipfsResult.ipfsHash,
+    owner: uploaderAddress,
+    title,
+    pins: [
+      ipfsResult.metadataHash,
+      ...licenseTiers.map((tier) => tier.termsHash),
+    ],
+  });
+
+  return {
+    // IPFS data
+    ipfsHash: ipfsResult.ipfsHash,
+    metadataHash: ipfsResult.metadataHash,
+    storageProvider: ipfsResult.storageProvider,
+    ipfsUrl: ipfsResult.ipfsUrl,
+    metadataUrl: ipfsResult.metadataUrl,
+
+    // Dataset metadata
+    title,
+    description,
+    category,
+    price: parseFloat(price),
+    fileName: ipfsResult.fileName,
+    fileSize: ipfsResult.fileSize,
+    sha256: ipfsResult.sha256,
+    previewPolicy,
+    pii: tabular ? tabular.pii : null,
+    // Tiers are numbered in order once the listing transaction is committed
+    licenseTiers: licenseTiers.map((tier, index) => ({
+      tierId: index + 1,
+      ...tier,
+    })),
+
+    // Aptos transaction data
+    aptosTransaction,
+    contractData: datasetData,
+    confirmBy: pendingUpload.expiresAt,
+
+    // Additional metadata
+    metadata: ipfsResult.metadata,
+  };
+}
+
+/**
+ * Publish a new version of an existing dataset and build the transaction
+ * that adds it to the dataset's release history
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object} fields - Validated version fields (changelog,
+ *   previewPolicy)
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile }),
+ *   if any
+ * @param {Object} dataset - Dataset being versioned
+ * @param {string} uploaderAddress - Authenticated uploader (the owner)
+ * @param {Readable} source - Stream of the plaintext file content
+ * @returns {Promise<Object>} - Response data
+ */
+async function publishVersion(
+  file,
+  fields,
+  tabular,
+  dataset,
+  uploaderAddress,
+  source
+) {
+  const { changelog } = fields;
+
+  console.log(`📤 Processing new version of dataset ${dataset.id}`);
+
+  // The metadata document describes the dataset as listed on chain
+  const metadata = {
+    title: dataset.title,
+    description: dataset.description,
+    category: dataset.category,
+    datasetId: Number(dataset.id),
+    changelog,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    format: file.format,
+    fileSize: file.size,
+    uploaderAddress,
+    uploadTimestamp: new Date().toISOString(),
+  };
+  addDatasetTabularMetadata(metadata, tabular);
+
+  // Versions are stored with the provider holding the dataset
+  const ipfsResult = await uploadEncryptedFile(
+    file,
+    metadata,
+    source,
+    ipfsService.getLocation(dataset.ipfs_hash) || undefined
+  );
+
+  // Keep the current preview policy unless a new one was given, dropping
+  // masked columns the new file no longer has
+  let previewPolicy = null;
+  if (tabular) {
+    const policy =
+      fields.previewPolicy || previewService.getPolicy(dataset.ipfs_hash);
+    const unknown = findUnknownColumns(policy, tabular.metadata.headers);
+    previewPolicy = previewService.setPolicy(ipfsResult.ipfsHash, {
+      ...policy,
+      maskedColumns: (policy.maskedColumns || []).filter(
+        (name) => !unknown.includes(name)
+      ),
+    });
+  }
+
+  const versionData = {
+    datasetId: Number(dataset.id),
+    ipfsHash: ipfsResult.ipfsHash,
+    changelog,
+  };
+
+  let aptosTransaction = null;
+  try {
+    const transactionResult = await aptosService.publishDatasetVersion(
+      uploaderAddress,
+      versionData
+    );
+    aptosTransaction = transactionResult.transaction;
+  } catch (aptosError) {
+    console.warn("⚠️ Failed to build Aptos transaction:", aptosError.message);
+  }
+
+  const pendingUpload = pendingUploadService.track({
+    kind: "version",
+    ipfsHash: ipfsResult.ipfsHash,
+    owner: uploaderAddress,
+    title: dataset.title,
+    datasetId: versionData.datasetId,
+    pins: [ipfsResult.metadataHash],
+  });
+
+  return {
+    ipfsHash: ipfsResult.ipfsHash,
+    metadataHash: ipfsResult.metadataHash,
+    storageProvider: ipfsResult.storageProvider,
+    ipfsUrl: ipfsResult.ipfsUrl,
+    metadataUrl: ipfsResult.metadataUrl,
+
+    datasetId: versionData.datasetId,
+    changelog,
+    fileName: ipfsResult.fileName,
+    fileSize: ipfsResult.fileSize,
+    sha256: ipfsResult.sha256,
+    previewPolicy,
+    pii: tabular ? tabular.pii : null,
+
+    aptosTransaction,
+    contractData: versionData,
+    confirmBy: pendingUpload.expiresAt,
+
+    metadata: ipfsResult.metadata,
+  };
+}
+
+// Format written when flagged columns are rewritten; other formats are
+// rewritten as CSV
+const REWRITE_FORMATS = { ndjson: "ndjson", parquet: "parquet" };
+
+/**
+ * Rewrite the flagged columns of a tabular file and inspect the result
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object} tabular - Tabular inspection ({ metadata, profile, pii })
+ * @param {string} action - redact or hash
+ * @param {string} sourcePath - Path of the uploaded file
+ * @param {string} destPath - Path to write the rewritten file to
+ * @returns {Promise<Object>} - { file, tabular } describing the new file
+ */
+async function rewriteFlaggedColumns(
+  file,
+  tabular,
+  action,
+  sourcePath,
+  destPath
+) {
+  const format = REWRITE_FORMATS[file.format] || "csv";
+  const indexes = tabular.pii.columns.map((column) => column.index);
+
+  // Rewritten values are plain text whatever the column held before
+  const profile = {
+    ...tabular.profile,
+    columns: tabular.profile.columns.map((column, index) =>
+      indexes.includes(index) ? { ...column, type: "text" } : column
+    ),
+  };
+
+  const reader = redactReader(
+    await openTableReader({ path: sourcePath }, file.format),
+    indexes,
+    action
+  );
+  await pipeline(
+    Readable.from(
+      convertTable(reader, format, {
+        headers: tabular.metadata.headers,
+        profile,
+      })
+    ),
+    fs.createWriteStream(destPath)
+  );
+
+  const fileName = `${file.originalname.replace(/\.(csv\.gz|[^.]+)$/i, "")}.${
+    FORMATS[format].extension
+  }`;
+  const { result } = await inspectUpload(
+    { path: destPath },
+    { mimeType: FORMATS[format].mimeType, fileName }
+  );
+  if (!result || !result.valid) {
+    throw new Error("Rewritten file failed validation");
+  }
+
+  return {
+    file: {
+      originalname: fileName,
+      mimetype: FORMATS[format].mimeType,
+      size: (await fs.promises.stat(destPath)).size,
+      format,
+    },
+    tabular: { metadata: result.metadata, profile: result.profile },
+  };
+}
+
+/**
+ * Apply the uploader's choice for columns flagged as personal data: report
+ * them, reject the upload, or redact or hash them before publishing
+ * @param {Object} res - Express response
+ * @param {Object} file - File details (originalname, mimetype, size, format)
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile,
+ *   pii }), if any
+ * @param {string} action - report, block, redact or hash
+ * @param {string} filePath - Path of the uploaded file
+ * @returns {Promise<Object|null>} - { file, tabular, path } to publish, or
+ *   null when a response was sent. path differs from filePath when the file
+ *   was rewritten, and the caller must remove it.
+ */
+async function applyPIIAction(res, file, tabular, action, filePath) {
+  if (!tabular || !tabular.pii) {
+    return { file, tabular, path: filePath };
+  }
+
+  const { scannedRows, flagged, columns } = tabular.pii;
+  const pii = {
+    action,
+    scannedRows,
+    columns: columns.map(({ name, type, matches, matchRate }) => ({
+      name,
+      type,
+      matches,
+      matchRate,
+    })),
+    rewritten: false,
+  };
+
+  if (!flagged || action === "report") {
+    return { file, tabular: { ...tabular, pii }, path: filePath };
+  }
+
+  if (action === "block") {
+    res.status(422).json({
+      success: false,
+      error: "Personal data detected",
+      message: `Columns that look like personal data: ${pii.columns
+        .map(({ name, type }) => `${name} (${type})`)
+        .join(", ")}`,
+      pii,
+    });
+    return null;
+  }
+
+  console.log(`🛡️ Applying ${action} to ${columns.length} flagged columns`);
+  const rewrittenPath = path.join(
+    uploadTempDir,
+    `${crypto.randomBytes(16).toString("hex")}.rewritten`
+  );
+  try {
+    const rewritten = await rewriteFlaggedColumns(
+      file,
+      tabular,
+      action,
+      filePath,
+      rewrittenPath
+    );
+    return {
+      file: rewritten.file,
+      tabular: { ...rewritten.tabular, pii: { ...pii, rewritten: true } },
+      path: rewrittenPath,
+    };
+  } catch (error) {
+    await fs.promises.rm(rewrittenPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Tabular inspection metadata without the sample rows, which must not be
+ * published in the public metadata document
+ * @param {Object} metadata - Tabular inspection metadata
+ * @returns {Object} - Metadata without sampleData
+ */
+function withoutSampleRows(metadata) {
+  const { sampleData, ...rest } = metadata;
+  return rest;
+}
+
+/**
+ * Column profile for the public metadata document, without the value
+ * statistics of columns flagged as personal data
+ * @param {Object} tabular - Tabular inspection ({ metadata, profile, pii })
+ * @returns {Object} - Profile to publish
+ */
+function publicProfile(tabular) {
+  const flagged = tabular.pii
+    ? tabular.pii.columns.map((column) => column.name)
+    : [];
+  return withholdColumnStatistics(tabular.profile, flagged);
+}
+
+/**
+ * Add the tabular inspection of a dataset file to its metadata document.
+ * Rows are only shown through the preview endpoint, under the seller's
+ * preview policy.
+ * @param {Object} metadata - Metadata document (mutated)
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile,
+ *   pii }), if any
+ */
+function addDatasetTabularMetadata(metadata, tabular) {
+  if (!tabular) return;
+
+  metadata.tabularData = withoutSampleRows(tabular.metadata);
+  metadata.dataPreview = {
+    headers: tabular.metadata.headers,
+    totalRows: tabular.metadata.totalRows,
+    totalColumns: tabular.metadata.totalColumns,
+  };
+  // Column types and statistics so buyers know what they are paying for
+  metadata.profile = publicProfile(tabular);
+  metadata.pii = tabular.pii;
+}
+
+/**
+ * Check a dataset's preview policy against the uploaded file, or send an
+ * error
+ * @param {Object} res - Express response
+ * @param {Object} fields - Validated dataset fields
+ * @param {Object|null} tabular - Tabular inspection ({ metadata, profile }),
+ *   if any
+ * @returns {boolean} - True when the policy can be applied
+ */
+function checkPreviewPolicy(res, fields, tabular) {
+  if (!fields.previewPolicy) return true;
+
+  let message = null;
+  if (!tabular) {
+    message = "Preview policies only apply to tabular datasets";
+  } else {
+    const unknown = findUnknownColumns(
+      fields.previewPolicy,
+      tabular.metadata.headers
+    );
+    if (unknown.length > 0) {
+      message = `Masked columns not found in the file: ${unknown.join(", ")}`;
+    }
+  }
+
+  if (message) {
+    res.status(400).json({
+      success: false,
+      error: "Invalid preview policy",
+      message,
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check that a requested storage provider is enabled, or send an error
+ * @param {Object} res - Express response
+ * @param {string} [provider] - Requested storage provider
+ * @returns {boolean} - False when a response was sent
+ */
+function checkStorageProvider(res, provider) {
+  if (!provider || ipfsService.getProviderNames().includes(provider)) {
+    return true;
+  }
+
+  res.status(400).json({
+    success: false,
+    error: "Storage provider not enabled",
+    message: `Enabled storage providers: ${ipfsService
+      .getProviderNames()
+      .join(", ")}`,
+  });
+  return false;
+}
+
+/**
+ * Load an upload session owned by the authenticated user, or send an error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} - Session record, or null when a response was sent
+ */
+function getOwnedSession(req, res) {
+  const session = uploadSessionService.getSession(req.params.sessionId);
+
+  if (!session) {
+    res.status(404).json({
+      success: false,
+      error: "Upload session not found",
+      message: "The session does not exist or has expired",
+    });
+    return null;
+  }
+
+  if (!isSameAptosAddress(session.owner, req.user.address)) {
+    res.status(403).json({
+      success: false,
+      error: "Access denied",
+      message: "Only the uploader can use this upload session",
+    });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Load an active dataset owned by the authenticated user, or send an error
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} datasetId - Dataset ID
+ * @returns {Promise<Object|null>} - Dataset, or null when a response was sent
+ */
+async function getOwnedDataset(req, res, datasetId) {
+  const dataset = await indexerService.getDatasetById(datasetId);
+
+  if (!dataset) {
+    res.status(404).json({
+      success: false,
+      error: "Dataset not found",
+    });
+    return null;
+  }
+
+  if (!isSameAptosAddress(dataset.owner, req.user.address)) {
+    res.status(403).json({
+      success: false,
+      error: "Access denied",
+      message: "Only the dataset owner can publish new versions",
+    });
+    return null;
+  }
+
+  if (!dataset.is_active) {
+    res.status(400).json({
+      success: false,
+      error: "Dataset is not active",
+      message: "Deactivated datasets cannot get new versions",
+    });
+    return null;
+  }
+
+  return dataset;
+}
+
 /**
  * POST /api/upload/file
  * Upload a file to IPFS and return the hash
  */
 router.post(
   "/file",
+  requireAuth,
+  cleanupUploadedFile,
   upload.single("dataFile"),
   handleMulterError,
   validateFileUpload,
-  validateCSVContent,
+  validateFileContent,
+  validate(schemas.uploadFile),
   async (req, res) => {
+    let prepared = null;
     try {
-      const file = req.file;
-      const { originalname, buffer, mimetype, size } = file;
-
-      console.log(`📤 Processing file upload: ${originalname}`);
-
-      // Prepare metadata
-      const metadata = {
-        originalName: originalname,
-        mimeType: mimetype,
-        fileSize: size,
-        uploadedBy: req.body.uploaderAddress || "unknown",
-        uploadTimestamp: new Date().toISOString(),
-      };
-
-      // Add CSV-specific metadata if available
-      if (req.csvMetadata) {
-        metadata.csvData = req.csvMetadata;
-      }
+      prepared = await applyPIIAction(
+        res,
+        req.file,
+        req.tabularData
+          ? {
+              metadata: req.tabularData,
+              profile: req.dataProfile,
+              pii: req.piiReport,
+            }
+          : null,
+        req.body.piiAction,
+        req.file.path
+      );
+      if (!prepared) return;
 
-      // Upload to IPFS
-      const ipfsResult = await ipfsService.uploadFile(
-        buffer,
-        originalname,
-        metadata
+      const data = await publishFile(
+        prepared.file,
+        prepared.tabular,
+        req.user.address,
+        fs.createReadStream(prepared.path)
       );
 
       res.json({
         success: true,
         message: "File uploaded to IPFS successfully",
-        data: {
-          ipfsHash: ipfsResult.ipfsHash,
-          metadataHash: ipfsResult.metadataHash,
-          fileName: ipfsResult.fileName,
-          fileSize: ipfsResult.fileSize,
-          ipfsUrl: ipfsResult.ipfsUrl,
-          metadataUrl: ipfsResult.metadataUrl,
-          metadata: ipfsResult.metadata,
-        },
+        data,
       });
     } catch (error) {
       console.error("❌ File upload error:", error);
@@ -69,6 +759,10 @@ router.post(
         error: "File upload failed",
         message: error.message,
       });
+    } finally {
+      if (prepared && prepared.path !== req.file.path) {
+        await fs.promises.rm(prepared.path, { force: true });
+      }
     }
   }
 );
@@ -79,125 +773,573 @@ router.post(
  */
 router.post(
   "/dataset",
+  requireAuth,
+  cleanupUploadedFile,
   upload.single("dataFile"),
   handleMulterError,
   validateFileUpload,
-  validateCSVContent,
+  validateFileContent,
   validate(schemas.uploadDataset),
   async (req, res) => {
+    let prepared = null;
     try {
-      const file = req.file;
-      const { title, description, category, price } = req.body;
-      const uploaderAddress = req.body.uploaderAddress;
+      const tabular = req.tabularData
+        ? {
+            metadata: req.tabularData,
+            profile: req.dataProfile,
+            pii: req.piiReport,
+          }
+        : null;
+      if (!checkPreviewPolicy(res, req.body, tabular)) return;
+      if (!checkStorageProvider(res, req.body.storageProvider)) return;
 
-      console.log(`📤 Processing dataset upload: ${title}`);
+      prepared = await applyPIIAction(
+        res,
+        req.file,
+        tabular,
+        req.body.piiAction,
+        req.file.path
+      );
+      if (!prepared) return;
 
-      // Validate uploader address if provided
-      if (uploaderAddress && !/^0x[a-fA-F0-9]{64}$/.test(uploaderAddress)) {
+      const data = await publishDataset(
+        prepared.file,
+        req.body,
+        prepared.tabular,
+        req.user.address,
+        fs.createReadStream(prepared.path)
+      );
+
+      res.json({
+        success: true,
+        message: "Dataset uploaded successfully",
+        data,
+      });
+    } catch (error) {
+      console.error("❌ Dataset upload error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Dataset upload failed",
+        message: error.message,
+      });
+    } finally {
+      if (prepared && prepared.path !== req.file.path) {
+        await fs.promises.rm(prepared.path, { force: true });
+      }
+    }
+  }
+);
+
+/**
+ * POST /api/upload/dataset/:id/versions
+ * Publish a new file as the next version of an existing dataset (owner only)
+ */
+router.post(
+  "/dataset/:id/versions",
+  requireAuth,
+  validateDatasetId,
+  cleanupUploadedFile,
+  upload.single("dataFile"),
+  handleMulterError,
+  validateFileUpload,
+  validateFileContent,
+  validate(schemas.uploadVersion),
+  async (req, res) => {
+    let prepared = null;
+    try {
+      const dataset = await getOwnedDataset(req, res, req.datasetId);
+      if (!dataset) return;
+
+      const tabular = req.tabularData
+        ? {
+            metadata: req.tabularData,
+            profile: req.dataProfile,
+            pii: req.piiReport,
+          }
+        : null;
+      if (!checkPreviewPolicy(res, req.body, tabular)) return;
+
+      prepared = await applyPIIAction(
+        res,
+        req.file,
+        tabular,
+        req.body.piiAction,
+        req.file.path
+      );
+      if (!prepared) return;
+
+      const data = await publishVersion(
+        prepared.file,
+        req.body,
+        prepared.tabular,
+        dataset,
+        req.user.address,
+        fs.createReadStream(prepared.path)
+      );
+
+      res.json({
+        success: true,
+        message: "Dataset version uploaded successfully",
+        data,
+      });
+    } catch (error) {
+      console.error("❌ Dataset version upload error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Dataset version upload failed",
+        message: error.message,
+      });
+    } finally {
+      if (prepared && prepared.path !== req.file.path) {
+        await fs.promises.rm(prepared.path, { force: true });
+      }
+    }
+  }
+);
+
+/**
+ * POST /api/upload/sessions
+ * Start a resumable, chunked upload for files too large for a single request
+ */
+router.post(
+  "/sessions",
+  requireAuth,
+  validate(schemas.uploadSession),
+  async (req, res) => {
+    try {
+      const { fileName, mimeType, totalSize } = req.body;
+
+      if (!isAllowedFormat(resolveDeclaredFormat({ mimeType, fileName }))) {
         return res.status(400).json({
-          success: false,
-          error: "Invalid uploader address format",
+          error: "Invalid file type",
+          message: `Allowed file types: ${getAllowedMimeTypes().join(", ")}`,
+          received: mimeType,
         });
       }
 
-      // Prepare comprehensive metadata
-      const metadata = {
-        title,
-        description,
-        category,
-        price: parseFloat(price),
-        originalName: file.originalname,
-        mimeType: file.mimetype,
-        fileSize: file.size,
-        uploaderAddress,
-        uploadTimestamp: new Date().toISOString(),
-      };
+      if (totalSize > uploadSessionService.maxUploadSize) {
+        return res.status(400).json({
+          error: "File too large",
+          message: `Maximum upload size: ${Math.round(
+            uploadSessionService.maxUploadSize / 1024 / 1024
+          )}MB`,
+        });
+      }
 
-      // Add CSV-specific metadata if available
-      if (req.csvMetadata) {
-        metadata.csvData = req.csvMetadata;
-        metadata.dataPreview = {
-          headers: req.csvMetadata.headers,
-          sampleRows: req.csvMetadata.sampleData,
-          totalRows: req.csvMetadata.totalRows,
-          totalColumns: req.csvMetadata.totalColumns,
-        };
+      if (
+        req.body.dataset &&
+        !checkStorageProvider(res, req.body.dataset.storageProvider)
+      ) {
+        return;
       }
 
-      // Upload file to IPFS
-      const ipfsResult = await ipfsService.uploadFile(
-        file.buffer,
-        file.originalname,
-        metadata
+      const session = uploadSessionService.createSession(
+        req.user.address,
+        req.body
       );
 
-      // Prepare data for Aptos transaction
-      const datasetData = {
-        ipfsHash: ipfsResult.ipfsHash,
-        title,
-        description,
-        category,
-        price: aptosService.convertAPTToOctas(parseFloat(price)), // Convert APT to octas
-      };
+      res.status(201).json({
+        success: true,
+        data: uploadSessionService.getStatus(session),
+      });
+    } catch (error) {
+      console.error("❌ Upload session creation error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to create upload session",
+        message: error.message,
+      });
+    }
+  }
+);
 
-      // Build Aptos transaction (if uploader address is provided)
-      let aptosTransaction = null;
-      if (uploaderAddress) {
-        try {
-          const transactionResult = await aptosService.uploadDataset(
-            uploaderAddress,
-            datasetData
-          );
-          aptosTransaction = transactionResult.transaction;
-        } catch (aptosError) {
-          console.warn(
-            "⚠️ Failed to build Aptos transaction:",
-            aptosError.message
-          );
-          // Continue without Aptos transaction - frontend can handle this
-        }
+/**
+ * GET /api/upload/sessions/:sessionId
+ * Get the progress of an upload session, including chunks still missing
+ */
+router.get(
+  "/sessions/:sessionId",
+  requireAuth,
+  validate(schemas.uploadSessionId, "params"),
+  (req, res) => {
+    const session = getOwnedSession(req, res);
+    if (!session) return;
+
+    res.json({
+      success: true,
+      data: uploadSessionService.getStatus(session),
+    });
+  }
+);
+
+/**
+ * PUT /api/upload/sessions/:sessionId/chunks/:index
+ * Upload one chunk as a raw request body (application/octet-stream).
+ * An optional X-Chunk-SHA256 header is checked against the received bytes.
+ */
+router.put(
+  "/sessions/:sessionId/chunks/:index",
+  requireAuth,
+  validate(schemas.uploadChunk, "params"),
+  async (req, res) => {
+    try {
+      const session = getOwnedSession(req, res);
+      if (!session) return;
+
+      const { index } = req.params;
+      if (index >= session.totalChunks) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid chunk index",
+          message: `Chunk index must be below ${session.totalChunks}`,
+        });
+      }
+
+      if (uploadSessionService.completing.has(session.id)) {
+        return res.status(409).json({
+          success: false,
+          error: "Upload session is being completed",
+        });
       }
 
+      const expectedSize = uploadSessionService.expectedChunkSize(
+        session,
+        index
+      );
+      const contentLength = req.get("Content-Length");
+      if (
+        contentLength !== undefined &&
+        Number(contentLength) !== expectedSize
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Invalid chunk size",
+          message: `Chunk ${index} must be ${expectedSize} bytes`,
+        });
+      }
+
+      const result = await uploadSessionService.writeChunk(
+        session,
+        index,
+        req,
+        req.get("X-Chunk-SHA256")
+      );
+
+      if (!result.accepted) {
+        return res.status(400).json({
+          success: false,
+          error: "Chunk rejected",
+          message: result.message,
+        });
+      }
+
+      const status = uploadSessionService.getStatus(session);
       res.json({
         success: true,
-        message: "Dataset uploaded successfully",
         data: {
-          // IPFS data
-          ipfsHash: ipfsResult.ipfsHash,
-          metadataHash: ipfsResult.metadataHash,
-          ipfsUrl: ipfsResult.ipfsUrl,
-          metadataUrl: ipfsResult.metadataUrl,
-
-          // Dataset metadata
-          title,
-          description,
-          category,
-          price: parseFloat(price),
-          fileName: ipfsResult.fileName,
-          fileSize: ipfsResult.fileSize,
-
-          // Aptos transaction data
-          aptosTransaction,
-          contractData: datasetData,
-
-          // Additional metadata
-          metadata: ipfsResult.metadata,
+          index,
+          sha256: result.sha256,
+          bytesReceived: status.bytesReceived,
+          missingChunks: status.missingChunks.length,
         },
       });
     } catch (error) {
-      console.error("❌ Dataset upload error:", error);
+      console.error("❌ Chunk upload error:", error);
+      if (!res.headersSent) {
+        res.status(500).json({
+          success: false,
+          error: "Chunk upload failed",
+          message: error.message,
+        });
+      }
+    }
+  }
+);
+
+/**
+ * POST /api/upload/sessions/:sessionId/complete
+ * Validate the assembled file, then encrypt and publish it like /file,
+ * /dataset or /dataset/:id/versions depending on whether dataset or version
+ * fields were given
+ */
+router.post(
+  "/sessions/:sessionId/complete",
+  requireAuth,
+  validate(schemas.uploadSessionId, "params"),
+  async (req, res) => {
+    const session = getOwnedSession(req, res);
+    if (!session) return;
+
+    const missingChunks = uploadSessionService.getMissingChunks(session);
+    if (missingChunks.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Upload incomplete",
+        message: `${missingChunks.length} chunks have not been uploaded`,
+        missingChunks,
+      });
+    }
+
+    if (!uploadSessionService.beginCompletion(session.id)) {
+      return res.status(409).json({
+        success: false,
+        error: "Upload session is being completed",
+      });
+    }
+
+    // Formats such as Parquet and ZIP need random access, so the chunks are
+    // joined into one file before inspection
+    const assembledPath = path.join(
+      uploadTempDir,
+      `${crypto.randomBytes(16).toString("hex")}.upload`
+    );
+    let prepared = null;
+
+    try {
+      const dataset = session.version
+        ? await getOwnedDataset(req, res, session.version.datasetId)
+        : null;
+      if (session.version && !dataset) return;
+
+      await fs.promises.mkdir(uploadTempDir, { recursive: true });
+      await uploadSessionService.assemble(session, assembledPath);
+
+      const { format, result } = await inspectUpload(
+        { path: assembledPath },
+        { mimeType: session.mimeType, fileName: session.fileName }
+      );
+
+      if (!format || !isAllowedFormat(format)) {
+        return res.status(400).json({
+          success: false,
+          error: "Unsupported file format",
+          message: "File content does not match a supported format",
+          received: session.mimeType,
+        });
+      }
+
+      if (result && !result.valid) {
+        return res.status(400).json({
+          success: false,
+          error: result.error,
+          message: result.message,
+          errors: result.errors,
+          errorCount: result.errorCount,
+        });
+      }
+
+      const file = {
+        originalname: session.fileName,
+        mimetype: FORMATS[format].mimeType,
+        size: session.totalSize,
+        format,
+      };
+      const tabular = result
+        ? {
+            metadata: result.metadata,
+            profile: result.profile,
+            pii: result.pii,
+          }
+        : null;
+      const fields = session.dataset || session.version;
+      if (fields && !checkPreviewPolicy(res, fields, tabular)) {
+        return;
+      }
+
+      prepared = await applyPIIAction(
+        res,
+        file,
+        tabular,
+        session.piiAction || "report",
+        assembledPath
+      );
+      if (!prepared) return;
+
+      const source = fs.createReadStream(prepared.path);
+      let data;
+      let message;
+      if (session.dataset) {
+        data = await publishDataset(
+          prepared.file,
+          session.dataset,
+          prepared.tabular,
+          req.user.address,
+          source
+        );
+        message = "Dataset uploaded successfully";
+      } else if (session.version) {
+        data = await publishVersion(
+          prepared.file,
+          session.version,
+          prepared.tabular,
+          dataset,
+          req.user.address,
+          source
+        );
+        message = "Dataset version uploaded successfully";
+      } else {
+        data = await publishFile(
+          prepared.file,
+          prepared.tabular,
+          req.user.address,
+          source
+        );
+        message = "File uploaded to IPFS successfully";
+      }
+
+      uploadSessionService.removeSession(session.id);
+
+      res.json({
+        success: true,
+        message,
+        data,
+      });
+    } catch (error) {
+      console.error("❌ Upload session completion error:", error);
       res.status(500).json({
         success: false,
-        error: "Dataset upload failed",
+        error: "Upload completion failed",
         message: error.message,
       });
+    } finally {
+      await fs.promises.rm(assembledPath, { force: true });
+      if (prepared && prepared.path !== assembledPath) {
+        await fs.promises.rm(prepared.path, { force: true });
+      }
+      uploadSessionService.endCompletion(session.id);
+    }
+  }
+);
+
+/**
+ * DELETE /api/upload/sessions/:sessionId
+ * Abort an upload session and delete its chunks
+ */
+router.delete(
+  "/sessions/:sessionId",
+  requireAuth,
+  validate(schemas.uploadSessionId, "params"),
+  (req, res) => {
+    const session = getOwnedSession(req, res);
+    if (!session) return;
+
+    if (uploadSessionService.completing.has(session.id)) {
+      return res.status(409).json({
+        success: false,
+        error: "Upload session is being completed",
+      });
+    }
+
+    uploadSessionService.removeSession(session.id);
+    res.json({
+      success: true,
+      message: "Upload session aborted",
+    });
+  }
+);
+
+/**
+ * GET /api/upload/pending
+ * List your uploads and whether their listing transactions were seen on
+ * chain
+ */
+router.get(
+  "/pending",
+  requireAuth,
+  validate(schemas.pendingUploadsQuery, "query"),
+  (req, res) => {
+    const uploads = pendingUploadService.listByOwner(
+      req.user.address,
+      req.query.status
+    );
+
+    res.json({
+      success: true,
+      data: uploads,
+      count: uploads.length,
+    });
+  }
+);
+
+/**
+ * GET /api/upload/pending/:ipfsHash
+ * Get the ledger entry of one of your uploads
+ */
+router.get(
+  "/pending/:ipfsHash",
+  requireAuth,
+  validate(schemas.pendingUploadParams, "params"),
+  (req, res) => {
+    const entry = pendingUploadService.getEntry(req.params.ipfsHash);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+        message: "No pending upload is recorded for this hash",
+      });
+    }
+
+    if (!isSameAptosAddress(entry.owner, req.user.address)) {
+      return res.status(403).json({
+        success: false,
+        error: "Access denied",
+        message: "Only the uploader can view this upload",
+      });
     }
+
+    res.json({
+      success: true,
+      data: entry,
+    });
+  }
+);
+
+/**
+ * GET /api/upload/pins
+ * Replication report of every dataset's files across the pinning targets
+ */
+router.get("/pins", validate(schemas.pinReportQuery, "query"), (req, res) => {
+  const report = pinningService.getReport(req.query);
+
+  res.json({
+    success: true,
+    data: report,
+    count: report.datasets.length,
+  });
+});
+
+/**
+ * GET /api/upload/pins/:datasetId
+ * Replication report of one dataset
+ */
+router.get(
+  "/pins/:datasetId",
+  validate(schemas.pinReportParams, "params"),
+  (req, res) => {
+    const report = pinningService.getDatasetReport(req.params.datasetId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: "Dataset not found",
+        message: "The dataset has not been checked by the pinning manager",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report,
+    });
   }
 );
 
 /**
  * GET /api/upload/file/:hash
- * Retrieve a file from IPFS
+ * Retrieve a file from IPFS, checked against its CID and recorded digest.
+ * These are the stored bytes, so for encrypted uploads the ETag and Digest
+ * describe the ciphertext. GET /api/datasets/:id/content serves the
+ * decrypted file and advertises the digest returned as sha256 on upload.
  */
 router.get("/file/:hash", async (req, res) => {
   try {
@@ -214,15 +1356,26 @@ router.get("/file/:hash", async (req, res) => {
 
     const fileBuffer = await ipfsService.getFile(hash);
 
-    // Set appropriate headers
+    // Set appropriate headers. The CID names these exact bytes, so it is
+    // a strong validator and res.send answers matching requests with 304.
     res.set({
       "Content-Type": "application/octet-stream",
       "Content-Disposition": `attachment; filename="ipfs-${hash}"`,
       "Content-Length": fileBuffer.length,
+      ETag: `"${hash}"`,
+      Digest: formatDigestHeader(generateContentDigest(fileBuffer)),
     });
 
     res.send(fileBuffer);
   } catch (error) {
+    if (error.code === "CONTENT_MISMATCH") {
+      return res.status(502).json({
+        success: false,
+        error: "Content integrity check failed",
+        message: error.message,
+      });
+    }
+
     console.error("❌ File retrieval error:", error);
     res.status(500).json({
       success: false,
@@ -15,6 +15,9 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
   message: "Too many requests from this IP, please try again later.",
+  // Chunked uploads send one authenticated request per chunk
+  skip: (req) =>
+    req.method === "PUT" && req.path.startsWith("/api/upload/sessions/"),
 });
 app.use(limiter);
 
@@ -47,9 +50,13 @@ app.get("/api", (req, res) => {
     description: "Backend API for DataDex - A decentralized data marketplace",
     endpoints: {
       health: "GET /health",
+      auth: "POST /api/auth/*",
       upload: "POST /api/upload/*",
       datasets: "GET /api/datasets/*",
       aptos: "GET /api/aptos/*",
+      rewards: "GET /api/rewards/*",
+      admin: "GET /api/admin/*",
+      relay: "POST /api/relay/*",
     },
     status: "running",
   });
@@ -57,13 +64,21 @@ app.get("/api", (req, res) => {
 
 // Import and use routes
 try {
+  const authRoutes = require("./routes/auth");
   const uploadRoutes = require("./routes/upload");
   const datasetRoutes = require("./routes/datasets");
   const aptosRoutes = require("./routes/aptos");
+  const rewardRoutes = require("./routes/rewards");
+  const adminRoutes = require("./routes/admin");
+  const relayRoutes = require("./routes/relay");
 
+  app.use("/api/auth", authRoutes);
   app.use("/api/upload", uploadRoutes);
   app.use("/api/datasets", datasetRoutes);
   app.use("/api/aptos", aptosRoutes);
+  app.use("/api/rewards", rewardRoutes);
+  app.use("/api/admin", adminRoutes);
+  app.use("/api/relay", relayRoutes);
 
   console.log("✅ All routes loaded successfully");
 } catch (error) {
@@ -89,6 +104,18 @@ app.use("*", (req, res) => {
 });
 
 app.listen(PORT, () => {
+  // Follow marketplace events into the local index once a contract is configured
+  if (
+    process.env.MARKETPLACE_CONTRACT_ADDRESS &&
+    process.env.INDEXER_ENABLED !== "false"
+  ) {
+    require("./services/indexerService").start();
+    // Uploads are matched to listings through the index
+    require("./services/pendingUploadService").start();
+    // Dataset files are replicated to the pinning targets once indexed
+    require("./services/pinningService").start();
+  }
+
   console.log(`🚀 DataDex Backend server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
   console.log(
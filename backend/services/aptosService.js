@@ -4,8 +4,11 @@ const {
   Network,
   Account,
   Ed25519PrivateKey,
+  getAptosFullNode,
 } = require("@aptos-labs/ts-sdk");
 
+const { encodeMoveBytes, isSameAptosAddress } = require("../utils/helpers");
+
 class AptosService {
   constructor() {
     // Initialize Aptos client
@@ -18,96 +21,679 @@ class AptosService {
 
     this.contractAddress = process.env.MARKETPLACE_CONTRACT_ADDRESS || "0x1";
     this.moduleAddress = `${this.contractAddress}::Marketplace`;
+    this.rewardModuleAddress = `${this.contractAddress}::RewardSystem`;
 
     console.log(`🔗 Aptos client initialized for ${network}`);
     console.log(`📋 Contract address: ${this.contractAddress}`);
   }
 
+  /**
+   * Build a transaction for the sender to sign
+   * @param {Object} args - { sender, data } as taken by build.simple
+   * @returns {Promise<SimpleTransaction>} - Transaction that serializes to
+   *   JSON as described by serializeTransaction
+   */
+  async buildTransaction(args) {
+    const transaction = await this.aptos.transaction.build.simple(args);
+    // The SDK object holds BigInts, which JSON cannot represent
+    transaction.toJSON = () => this.serializeTransaction(transaction);
+    return transaction;
+  }
+
+  /**
+   * Describe a transaction for API responses. Clients sign the transaction
+   * decoded from `bcs` and submit it with their authenticator.
+   * @param {SimpleTransaction} transaction - Built transaction
+   * @returns {Object} - { bcs, sender, sequenceNumber, function,
+   *   maxGasAmount, gasUnitPrice, expiresAt, feePayer }
+   */
+  serializeTransaction(transaction) {
+    const raw = transaction.rawTransaction;
+    const entryFunction = raw.payload.entryFunction;
+    return {
+      bcs: transaction.bcsToHex().toString(),
+      sender: raw.sender.toString(),
+      sequenceNumber: raw.sequence_number.toString(),
+      function: entryFunction
+        ? `${entryFunction.module_name.address}::${entryFunction.module_name.name.identifier}::${entryFunction.function_name.identifier}`
+        : null,
+      maxGasAmount: raw.max_gas_amount.toString(),
+      gasUnitPrice: raw.gas_unit_price.toString(),
+      expiresAt: Number(raw.expiration_timestamp_secs),
+      feePayer: Boolean(transaction.feePayerAddress),
+    };
+  }
+
   /**
    * Get account information
    * @param {string} accountAddress - The account address
    * @returns {Promise<Object>} - Account information
    */
-  async getAccountInfo(accountAddress) {
+  async getAccountInfo(accountAddress) {
+    try {
+      const account = await this.aptos.getAccountInfo({ accountAddress });
+      const balance = await this.aptos.getAccountAPTAmount({ accountAddress });
+
+      return {
+        address: account.address,
+        sequenceNumber: account.sequence_number,
+        authenticationKey: account.authentication_key,
+        balance: balance,
+      };
+    } catch (error) {
+      console.error("❌ Failed to get account info:", error);
+      throw new Error(`Failed to get account information: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the current authentication key of an account, which changes when
+   * the account rotates its key
+   * @param {string} accountAddress - The account address
+   * @returns {Promise<string|null>} - Hex authentication key, or null when
+   *   the account does not exist on chain yet
+   */
+  async getAuthenticationKey(accountAddress) {
+    try {
+      const account = await this.aptos.getAccountInfo({ accountAddress });
+      return account.authentication_key;
+    } catch (error) {
+      if (error.status === 404) return null;
+      console.error("❌ Failed to get authentication key:", error);
+      throw new Error(`Failed to get authentication key: ${error.message}`);
+    }
+  }
+
+  /**
+   * Upload dataset metadata to the marketplace contract
+   * @param {string} senderAddress - The sender's address
+   * @param {Object} datasetData - Dataset information
+   * @param {Array} [datasetData.tiers] - Licence tiers ({ name, price,
+   *   termsHash }) listed in the same transaction
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async uploadDataset(senderAddress, datasetData) {
+    try {
+      const {
+        ipfsHash,
+        title,
+        description,
+        category,
+        price,
+        tiers = [],
+      } = datasetData;
+
+      console.log(`📤 Uploading dataset to Aptos marketplace: ${title}`);
+
+      const functionArguments = [
+        ipfsHash,
+        title,
+        description,
+        category,
+        price.toString(),
+      ];
+      if (tiers.length > 0) {
+        functionArguments.push(
+          tiers.map((tier) => tier.name),
+          tiers.map((tier) => tier.price.toString()),
+          tiers.map((tier) => tier.termsHash)
+        );
+      }
+
+      const transaction = await this.buildTransaction({
+        sender: senderAddress,
+        data: {
+          function: `${this.moduleAddress}::${
+            tiers.length > 0 ? "upload_dataset_with_tiers" : "upload_dataset"
+          }`,
+          functionArguments,
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Dataset upload transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to upload dataset to Aptos:", error);
+      throw new Error(`Failed to upload dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Purchase a dataset from the marketplace
+   * @param {string} buyerAddress - The buyer's address
+   * @param {number} datasetId - The dataset ID to purchase
+   * @param {number} [tierId] - Licence tier to purchase under
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async purchaseDataset(buyerAddress, datasetId, tierId) {
+    try {
+      console.log(`🛒 Building purchase transaction for dataset ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: buyerAddress,
+        data: tierId
+          ? {
+              function: `${this.moduleAddress}::purchase_dataset_tier`,
+              functionArguments: [datasetId.toString(), tierId.toString()],
+            }
+          : {
+              function: `${this.moduleAddress}::purchase_dataset`,
+              functionArguments: [datasetId.toString()],
+            },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Purchase transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build purchase transaction:", error);
+      throw new Error(`Failed to purchase dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a new version of an existing dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {Object} versionData - Version information
+   * @param {number} versionData.datasetId - The dataset ID
+   * @param {string} versionData.ipfsHash - IPFS hash of the new file
+   * @param {string} versionData.changelog - What changed in this version
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async publishDatasetVersion(ownerAddress, versionData) {
+    try {
+      const { datasetId, ipfsHash, changelog } = versionData;
+
+      console.log(`📤 Building version transaction for dataset ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::publish_dataset_version`,
+          functionArguments: [datasetId.toString(), ipfsHash, changelog],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Dataset version transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build dataset version transaction:", error);
+      throw new Error(`Failed to publish dataset version: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set whether buyers of a dataset may download versions published after
+   * their purchase
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {boolean} upgradesIncluded - Whether later versions are included
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async setVersionPolicy(ownerAddress, datasetId, upgradesIncluded) {
+    try {
+      console.log(`📋 Building version policy transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::set_version_policy`,
+          functionArguments: [datasetId.toString(), upgradesIncluded],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Version policy transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build version policy transaction:", error);
+      throw new Error(`Failed to set version policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add a licence tier to a dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {Object} tier - { name, price (octas), termsHash }
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async addLicenseTier(ownerAddress, datasetId, tier) {
+    try {
+      console.log(`📋 Building licence tier transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::add_license_tier`,
+          functionArguments: [
+            datasetId.toString(),
+            tier.name,
+            tier.price.toString(),
+            tier.termsHash,
+          ],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Licence tier transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build licence tier transaction:", error);
+      throw new Error(`Failed to add licence tier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop selling a licence tier of a dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {number} tierId - The tier ID
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async deactivateLicenseTier(ownerAddress, datasetId, tierId) {
+    try {
+      console.log(`📋 Building tier deactivation for ${datasetId}/${tierId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::deactivate_license_tier`,
+          functionArguments: [datasetId.toString(), tierId.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Tier deactivation transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build tier deactivation transaction:", error);
+      throw new Error(`Failed to deactivate licence tier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Renew a time-limited licence for one more period
+   * @param {string} buyerAddress - The buyer's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async renewLicense(buyerAddress, datasetId) {
+    try {
+      console.log(`🔁 Building licence renewal for dataset ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: buyerAddress,
+        data: {
+          function: `${this.moduleAddress}::renew_license`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Licence renewal transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build licence renewal transaction:", error);
+      throw new Error(`Failed to renew licence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Set how long licences of a dataset last
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {number} period - Licence period in seconds, 0 for perpetual
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async setLicensePeriod(ownerAddress, datasetId, period) {
+    try {
+      console.log(`📋 Building licence terms transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::set_license_period`,
+          functionArguments: [datasetId.toString(), period.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Licence terms transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build licence terms transaction:", error);
+      throw new Error(`Failed to set licence period: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take a dataset off the market. Buyers keep their access.
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async deactivateDataset(ownerAddress, datasetId) {
+    try {
+      console.log(`🏷️ Building deactivation transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::deactivate_dataset`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Dataset deactivation transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build deactivation transaction:", error);
+      throw new Error(`Failed to deactivate dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Relist a deactivated dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async reactivateDataset(ownerAddress, datasetId) {
+    try {
+      console.log(`🏷️ Building reactivation transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::reactivate_dataset`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Dataset reactivation transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build reactivation transaction:", error);
+      throw new Error(`Failed to reactivate dataset: ${error.message}`);
+    }
+  }
+
+  /**
+   * Change the price of a dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {number} price - New price in octas
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async updateDatasetPrice(ownerAddress, datasetId, price) {
+    try {
+      console.log(`🏷️ Building price update transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::update_dataset_price`,
+          functionArguments: [datasetId.toString(), price.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Price update transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build price update transaction:", error);
+      throw new Error(`Failed to update dataset price: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the title, description and category of a dataset
+   * @param {string} ownerAddress - The dataset owner's address
+   * @param {number} datasetId - The dataset ID
+   * @param {Object} details - { title, description, category }
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async updateDatasetDetails(ownerAddress, datasetId, details) {
+    try {
+      console.log(`🏷️ Building listing update transaction for ${datasetId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: ownerAddress,
+        data: {
+          function: `${this.moduleAddress}::update_dataset_details`,
+          functionArguments: [
+            datasetId.toString(),
+            details.title,
+            details.description,
+            details.category,
+          ],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Listing update transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build listing update transaction:", error);
+      throw new Error(`Failed to update dataset details: ${error.message}`);
+    }
+  }
+
+  /**
+   * Claim the milestone rewards a user has reached
+   * @param {string} userAddress - The user's address
+   * @param {number} datasetsUploaded - Datasets the user has uploaded, as
+   *   recorded by the marketplace
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async checkMilestones(userAddress, datasetsUploaded) {
+    try {
+      console.log(`🏆 Building milestone check for: ${userAddress}`);
+
+      const transaction = await this.buildTransaction({
+        sender: userAddress,
+        data: {
+          function: `${this.rewardModuleAddress}::check_milestones`,
+          functionArguments: [datasetsUploaded.toString()],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Milestone check transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build milestone check transaction:", error);
+      throw new Error(`Failed to check milestones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create the achievement record of a user
+   * @param {string} userAddress - The user's address
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async initializeUserAchievements(userAddress) {
+    try {
+      console.log(`🏆 Building achievements setup for: ${userAddress}`);
+
+      const transaction = await this.buildTransaction({
+        sender: userAddress,
+        data: {
+          function: `${this.rewardModuleAddress}::initialize_user_achievements`,
+          functionArguments: [],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Achievements setup transaction built successfully",
+      };
+    } catch (error) {
+      console.error(
+        "❌ Failed to build achievements setup transaction:",
+        error
+      );
+      throw new Error(`Failed to initialize achievements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add an upload milestone to the reward system (admin only)
+   * @param {string} adminAddress - The marketplace admin's address
+   * @param {Object} milestone - { name, description, requirement, reward
+   *   (octas) }
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async addMilestone(adminAddress, milestone) {
+    try {
+      console.log(`🛡️ Building milestone transaction: ${milestone.name}`);
+
+      const transaction = await this.buildTransaction({
+        sender: adminAddress,
+        data: {
+          function: `${this.rewardModuleAddress}::add_milestone`,
+          functionArguments: [
+            encodeMoveBytes(milestone.name),
+            encodeMoveBytes(milestone.description),
+            milestone.requirement.toString(),
+            milestone.reward.toString(),
+          ],
+        },
+      });
+
+      return {
+        success: true,
+        transaction,
+        message: "Milestone transaction built successfully",
+      };
+    } catch (error) {
+      console.error("❌ Failed to build milestone transaction:", error);
+      throw new Error(`Failed to add milestone: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retire an upload milestone (admin only)
+   * @param {string} adminAddress - The marketplace admin's address
+   * @param {number} milestoneId - The milestone ID
+   * @returns {Promise<Object>} - Transaction result
+   */
+  async deactivateMilestone(adminAddress, milestoneId) {
     try {
-      const account = await this.aptos.getAccountInfo({ accountAddress });
-      const balance = await this.aptos.getAccountAPTAmount({ accountAddress });
+      console.log(`🛡️ Building milestone deactivation for ${milestoneId}`);
+
+      const transaction = await this.buildTransaction({
+        sender: adminAddress,
+        data: {
+          function: `${this.rewardModuleAddress}::deactivate_milestone`,
+          functionArguments: [milestoneId.toString()],
+        },
+      });
 
       return {
-        address: account.address,
-        sequenceNumber: account.sequence_number,
-        authenticationKey: account.authentication_key,
-        balance: balance,
+        success: true,
+        transaction,
+        message: "Milestone deactivation transaction built successfully",
       };
     } catch (error) {
-      console.error("❌ Failed to get account info:", error);
-      throw new Error(`Failed to get account information: ${error.message}`);
+      console.error("❌ Failed to build milestone deactivation:", error);
+      throw new Error(`Failed to deactivate milestone: ${error.message}`);
     }
   }
 
   /**
-   * Upload dataset metadata to the marketplace contract
-   * @param {string} senderAddress - The sender's address
-   * @param {Object} datasetData - Dataset information
+   * Add funds to the reward pool (admin only)
+   * @param {string} adminAddress - The marketplace admin's address
+   * @param {string} amount - Amount in octas
    * @returns {Promise<Object>} - Transaction result
    */
-  async uploadDataset(senderAddress, datasetData) {
+  async replenishRewardPool(adminAddress, amount) {
     try {
-      const { ipfsHash, title, description, category, price } = datasetData;
-
-      console.log(`📤 Uploading dataset to Aptos marketplace: ${title}`);
+      console.log(`🛡️ Building reward pool replenishment of ${amount} octas`);
 
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: senderAddress,
+      const transaction = await this.buildTransaction({
+        sender: adminAddress,
         data: {
-          function: `${this.moduleAddress}::upload_dataset`,
-          functionArguments: [
-            ipfsHash,
-            title,
-            description,
-            category,
-            price.toString(),
-          ],
+          function: `${this.rewardModuleAddress}::replenish_pool`,
+          functionArguments: [amount.toString()],
         },
       });
 
       return {
         success: true,
         transaction,
-        message: "Dataset upload transaction built successfully",
+        message: "Reward pool replenishment transaction built successfully",
       };
     } catch (error) {
-      console.error("❌ Failed to upload dataset to Aptos:", error);
-      throw new Error(`Failed to upload dataset: ${error.message}`);
+      console.error("❌ Failed to build replenishment transaction:", error);
+      throw new Error(`Failed to replenish reward pool: ${error.message}`);
     }
   }
 
   /**
-   * Purchase a dataset from the marketplace
-   * @param {string} buyerAddress - The buyer's address
-   * @param {number} datasetId - The dataset ID to purchase
+   * Pay a bonus reward out of the reward pool (admin only)
+   * @param {string} adminAddress - The marketplace admin's address
+   * @param {string} recipientAddress - Who receives the bonus
+   * @param {string} amount - Amount in octas
+   * @param {string} reason - Why the bonus is paid
    * @returns {Promise<Object>} - Transaction result
    */
-  async purchaseDataset(buyerAddress, datasetId) {
+  async payBonusReward(adminAddress, recipientAddress, amount, reason) {
     try {
-      console.log(`🛒 Building purchase transaction for dataset ${datasetId}`);
+      console.log(`🛡️ Building bonus reward for: ${recipientAddress}`);
 
-      const transaction = await this.aptos.transaction.build.simple({
-        sender: buyerAddress,
+      const transaction = await this.buildTransaction({
+        sender: adminAddress,
         data: {
-          function: `${this.moduleAddress}::purchase_dataset`,
-          functionArguments: [datasetId.toString()],
+          function: `${this.rewardModuleAddress}::pay_bonus_reward`,
+          functionArguments: [
+            recipientAddress,
+            amount.toString(),
+            encodeMoveBytes(reason),
+          ],
         },
       });
 
       return {
         success: true,
         transaction,
-        message: "Purchase transaction built successfully",
+        message: "Bonus reward transaction built successfully",
       };
     } catch (error) {
-      console.error("❌ Failed to build purchase transaction:", error);
-      throw new Error(`Failed to purchase dataset: ${error.message}`);
+      console.error("❌ Failed to build bonus reward transaction:", error);
+      throw new Error(`Failed to pay bonus reward: ${error.message}`);
     }
   }
 
@@ -172,7 +758,7 @@ class AptosService {
         },
       });
 
-      return result[0] || null;
+      return this.unwrapOption(result[0]);
     } catch (error) {
       console.error("❌ Failed to get dataset by ID:", error);
       throw new Error(`Failed to get dataset: ${error.message}`);
@@ -195,7 +781,7 @@ class AptosService {
         },
       });
 
-      return result[0] || null;
+      return this.unwrapOption(result[0]);
     } catch (error) {
       console.error("❌ Failed to get user stats:", error);
       throw new Error(`Failed to get user stats: ${error.message}`);
@@ -247,6 +833,338 @@ class AptosService {
     }
   }
 
+  /**
+   * Get the release history of a dataset
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Array>} - Versions, oldest first
+   */
+  async getDatasetVersions(datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_dataset_versions`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return result[0] || [];
+    } catch (error) {
+      console.error("❌ Failed to get dataset versions:", error);
+      throw new Error(`Failed to get dataset versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Check whether buyers of a dataset may download later versions
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<boolean>} - Whether upgrades are included
+   */
+  async getVersionPolicy(datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_version_policy`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return result[0] !== false;
+    } catch (error) {
+      console.error("❌ Failed to get version policy:", error);
+      throw new Error(`Failed to get version policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the newest version of a dataset a user may download. Every earlier
+   * version may be downloaded too.
+   * @param {string} userAddress - The user's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<number>} - Version number, or 0 without access
+   */
+  async getAccessibleVersion(userAddress, datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_accessible_version`,
+          functionArguments: [userAddress, datasetId.toString()],
+        },
+      });
+
+      return parseInt(result[0]) || 0;
+    } catch (error) {
+      console.error("❌ Failed to check version access:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Get the licence period of a dataset
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<number>} - Period in seconds, 0 when perpetual
+   */
+  async getLicensePeriod(datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_license_period`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return parseInt(result[0]) || 0;
+    } catch (error) {
+      console.error("❌ Failed to get licence period:", error);
+      throw new Error(`Failed to get licence period: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a buyer's licence for a dataset
+   * @param {string} buyerAddress - The buyer's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Object|null>} - Licence, or null for perpetual
+   *   purchases and users without one
+   */
+  async getLicense(buyerAddress, datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_license`,
+          functionArguments: [buyerAddress, datasetId.toString()],
+        },
+      });
+
+      return this.unwrapOption(result[0]);
+    } catch (error) {
+      console.error("❌ Failed to get licence:", error);
+      throw new Error(`Failed to get licence: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get all time-limited licences of a buyer
+   * @param {string} buyerAddress - The buyer's address
+   * @returns {Promise<Array>} - Licences
+   */
+  async getLicensesByBuyer(buyerAddress) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_licenses_by_buyer`,
+          functionArguments: [buyerAddress],
+        },
+      });
+
+      return result[0] || [];
+    } catch (error) {
+      console.error("❌ Failed to get licences:", error);
+      throw new Error(`Failed to get licences: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the licence tiers of a dataset, including retired ones
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Array>} - Tiers
+   */
+  async getLicenseTiers(datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_license_tiers`,
+          functionArguments: [datasetId.toString()],
+        },
+      });
+
+      return result[0] || [];
+    } catch (error) {
+      console.error("❌ Failed to get licence tiers:", error);
+      throw new Error(`Failed to get licence tiers: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the tier an add_license_tier transaction created. Tier ids are
+   * assigned by the contract when the transaction runs, so they are only
+   * known from its LicenseTierAddedEvent.
+   * @param {string} transactionHash - The transaction hash
+   * @returns {Promise<Object|null>} - { datasetId, tierId }, or null while
+   *   the transaction is unknown or pending. Transactions that failed or
+   *   added no tier throw with code TIER_NOT_ADDED.
+   */
+  async getAddedLicenseTier(transactionHash) {
+    let transaction;
+    try {
+      transaction = await this.aptos.getTransactionByHash({ transactionHash });
+    } catch (error) {
+      if (error.status === 404) return null;
+      console.error("❌ Failed to get transaction:", error);
+      throw new Error(`Failed to get transaction: ${error.message}`);
+    }
+    if (transaction.type === "pending_transaction") return null;
+
+    const event = transaction.success
+      ? (transaction.events || []).find((entry) => {
+          const [address, module, name] = entry.type.split("::");
+          return (
+            isSameAptosAddress(address, this.contractAddress) &&
+            module === "Marketplace" &&
+            name === "LicenseTierAddedEvent"
+          );
+        })
+      : null;
+    if (!event) {
+      const error = new Error(
+        transaction.success
+          ? "Transaction did not add a licence tier"
+          : `Transaction failed: ${transaction.vm_status}`
+      );
+      error.code = "TIER_NOT_ADDED";
+      throw error;
+    }
+
+    return {
+      datasetId: parseInt(event.data.dataset_id),
+      tierId: parseInt(event.data.tier_id),
+    };
+  }
+
+  /**
+   * Get the licence tier a buyer purchased a dataset under
+   * @param {string} buyerAddress - The buyer's address
+   * @param {number} datasetId - The dataset ID
+   * @returns {Promise<Object|null>} - Tier, or null for purchases made
+   *   without one
+   */
+  async getPurchaseTier(buyerAddress, datasetId) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_purchase_tier`,
+          functionArguments: [buyerAddress, datasetId.toString()],
+        },
+      });
+
+      return this.unwrapOption(result[0]);
+    } catch (error) {
+      console.error("❌ Failed to get purchase tier:", error);
+      throw new Error(`Failed to get purchase tier: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the active reward milestones
+   * @returns {Promise<Array>} - Milestones; name and description are hex
+   *   encoded bytes
+   */
+  async getActiveMilestones() {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.rewardModuleAddress}::get_active_milestones`,
+          functionArguments: [],
+        },
+      });
+
+      return result[0] || [];
+    } catch (error) {
+      console.error("❌ Failed to get milestones:", error);
+      throw new Error(`Failed to get milestones: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the milestones a user has achieved
+   * @param {string} userAddress - The user's address
+   * @returns {Promise<Object|null>} - Achievements, or null when the user
+   *   has no achievement record yet
+   */
+  async getUserAchievements(userAddress) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.rewardModuleAddress}::get_user_achievements`,
+          functionArguments: [userAddress],
+        },
+      });
+
+      return this.unwrapOption(result[0]);
+    } catch (error) {
+      console.error("❌ Failed to get user achievements:", error);
+      throw new Error(`Failed to get user achievements: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the bonus rewards paid to a user
+   * @param {string} userAddress - The user's address
+   * @returns {Promise<Array>} - Bonus rewards; reason is hex encoded bytes
+   */
+  async getBonusRewardsForUser(userAddress) {
+    try {
+      const result = await this.aptos.view({
+        payload: {
+          function: `${this.rewardModuleAddress}::get_bonus_rewards_for_user`,
+          functionArguments: [userAddress],
+        },
+      });
+
+      return result[0] || [];
+    } catch (error) {
+      console.error("❌ Failed to get bonus rewards:", error);
+      throw new Error(`Failed to get bonus rewards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the reward pool balance and the total paid out of it
+   * @returns {Promise<Object>} - { balance, totalPaid } in octas
+   */
+  async getRewardPoolStats() {
+    try {
+      const [[balance], [totalPaid]] = await Promise.all([
+        this.aptos.view({
+          payload: {
+            function: `${this.rewardModuleAddress}::get_reward_pool_balance`,
+            functionArguments: [],
+          },
+        }),
+        this.aptos.view({
+          payload: {
+            function: `${this.rewardModuleAddress}::get_total_rewards_paid`,
+            functionArguments: [],
+          },
+        }),
+      ]);
+
+      return { balance, totalPaid };
+    } catch (error) {
+      console.error("❌ Failed to get reward pool:", error);
+      throw new Error(`Failed to get reward pool: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the platform fee configuration of the marketplace
+   * @returns {Promise<Object>} - { feePercentage, feeRecipient }
+   */
+  async getPlatformFee() {
+    try {
+      const [feePercentage, feeRecipient] = await this.aptos.view({
+        payload: {
+          function: `${this.moduleAddress}::get_platform_fee`,
+          functionArguments: [],
+        },
+      });
+
+      return { feePercentage: parseInt(feePercentage), feeRecipient };
+    } catch (error) {
+      console.error("❌ Failed to get platform fee:", error);
+      throw new Error(`Failed to get platform fee: ${error.message}`);
+    }
+  }
+
   /**
    * Get platform statistics
    * @returns {Promise<Object>} - Platform statistics
@@ -340,6 +1258,65 @@ class AptosService {
     }
   }
 
+  /**
+   * Get ledger information from the connected node
+   * @returns {Promise<Object>} - Chain ID, ledger version and timestamp
+   */
+  async getLedgerInfo() {
+    try {
+      return await this.aptos.getLedgerInfo();
+    } catch (error) {
+      console.error("❌ Failed to get ledger info:", error);
+      throw new Error(`Failed to get ledger info: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get events from one of the marketplace event handles
+   * @param {string} fieldName - Event handle field on the resource
+   *   (e.g. "dataset_uploaded_events")
+   * @param {number} start - Sequence number of the first event
+   * @param {number} limit - Maximum number of events to return
+   * @param {string} [resourceName] - Resource holding the event handle,
+   *   DataMarketplace by default
+   * @returns {Promise<Array>} - Events ordered by sequence number
+   */
+  async getMarketplaceEvents(
+    fieldName,
+    start = 0,
+    limit = 100,
+    resourceName = "DataMarketplace"
+  ) {
+    try {
+      const { data } = await getAptosFullNode({
+        aptosConfig: this.aptos.config,
+        originMethod: "getMarketplaceEvents",
+        path: `accounts/${this.contractAddress}/events/${this.moduleAddress}::${resourceName}/${fieldName}`,
+        params: { start, limit },
+      });
+
+      return data;
+    } catch (error) {
+      // Resources added by a contract upgrade do not exist until initialized
+      if (error.status === 404) return [];
+
+      console.error(`❌ Failed to get ${fieldName}:`, error);
+      throw new Error(`Failed to get marketplace events: ${error.message}`);
+    }
+  }
+
+  /**
+   * Unwrap a Move Option returned by a view function
+   * @param {Object} option - Option value ({ vec: [] } or { vec: [value] })
+   * @returns {Object|null} - The contained value or null
+   */
+  unwrapOption(option) {
+    if (option && Array.isArray(option.vec)) {
+      return option.vec[0] || null;
+    }
+    return option || null;
+  }
+
   /**
    * Format APT amount from octas
    * @param {string|number} octas - Amount in octas
@@ -0,0 +1,50 @@
+const crypto = require("crypto");
+
+const { JsonStore } = require("../utils/jsonStore");
+
+class AuditService {
+  constructor() {
+    // Every admin transaction the server built, oldest first. Entries are
+    // never rewritten or removed.
+    this.store = new JsonStore("admin-audit.json", { entries: [] });
+  }
+
+  /**
+   * Record an admin action the server prepared a transaction for
+   * @param {Object} req - Express request of the admin (authenticated)
+   * @param {string} action - Entry function the transaction calls
+   * @param {Object} details - Validated arguments of the action
+   * @returns {Object} - The audit entry
+   */
+  record(req, action, details) {
+    const entry = {
+      id: crypto.randomBytes(8).toString("hex"),
+      action,
+      admin: req.user.address,
+      details,
+      ip: req.ip,
+      userAgent: req.get("User-Agent") || null,
+      preparedAt: new Date().toISOString(),
+    };
+
+    this.store.update((data) => {
+      data.entries.push(entry);
+    });
+    console.log(`🛡️ Admin ${entry.admin} prepared ${action} (${entry.id})`);
+    return entry;
+  }
+
+  /**
+   * Audit entries, newest first
+   * @param {string} [action] - Only entries of this action
+   * @returns {Array} - Matching entries
+   */
+  list(action) {
+    return this.store
+      .read()
+      .entries.filter((entry) => !action || entry.action === action)
+      .reverse();
+  }
+}
+
+module.exports = new AuditService();
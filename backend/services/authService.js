@@ -0,0 +1,243 @@
+const crypto = require("crypto");
+const { Ed25519PublicKey, Ed25519Signature } = require("@aptos-labs/ts-sdk");
+
+const aptosService = require("./aptosService");
+const { normalizeAptosAddress } = require("../utils/helpers");
+
+// Outstanding challenges kept per address; older ones are dropped
+const MAX_CHALLENGES_PER_ADDRESS = 5;
+
+class AuthService {
+  constructor() {
+    // Secret used to sign session tokens. Without a configured secret a random
+    // one is generated, which invalidates all sessions on restart.
+    this.tokenSecret =
+      process.env.AUTH_TOKEN_SECRET || crypto.randomBytes(32).toString("hex");
+    this.challengeTTL =
+      parseInt(process.env.AUTH_CHALLENGE_TTL) || 5 * 60 * 1000; // 5 minutes
+    this.tokenTTL = parseInt(process.env.AUTH_TOKEN_TTL) || 15 * 60 * 1000; // 15 minutes
+    this.maxChallenges = parseInt(process.env.AUTH_MAX_CHALLENGES) || 10000;
+
+    // Outstanding challenges keyed by nonce
+    this.challenges = new Map();
+
+    if (!process.env.AUTH_TOKEN_SECRET) {
+      console.warn(
+        "⚠️ AUTH_TOKEN_SECRET not set, sessions will not survive a restart"
+      );
+    }
+    console.log("🔐 Auth service initialized");
+  }
+
+  /**
+   * Issue a login challenge for an address. Challenges are requested
+   * without authentication, so each address keeps only its newest few and
+   * the total is capped.
+   * @param {string} address - The Aptos address requesting a session
+   * @returns {Object} - Nonce, message to sign and expiry
+   * @throws {Error} - With code CHALLENGE_LIMIT when too many challenges are
+   *   outstanding
+   */
+  createChallenge(address) {
+    this.pruneChallenges();
+
+    const normalizedAddress = normalizeAptosAddress(address);
+    const outstanding = [...this.challenges].filter(
+      ([, challenge]) => challenge.address === normalizedAddress
+    );
+    // Map order is issue order, so the oldest come first
+    outstanding
+      .slice(0, 1 - MAX_CHALLENGES_PER_ADDRESS)
+      .forEach(([nonce]) => this.challenges.delete(nonce));
+
+    if (this.challenges.size >= this.maxChallenges) {
+      const error = new Error(
+        "Too many login challenges are outstanding, try again later"
+      );
+      error.code = "CHALLENGE_LIMIT";
+      throw error;
+    }
+
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + this.challengeTTL;
+    const message = [
+      "DataDex wants you to sign in with your Aptos account:",
+      normalizedAddress,
+      "",
+      `Nonce: ${nonce}`,
+      `Issued At: ${new Date(issuedAt).toISOString()}`,
+    ].join("\n");
+
+    this.challenges.set(nonce, {
+      address: normalizedAddress,
+      message,
+      expiresAt,
+    });
+
+    return {
+      nonce,
+      message,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Verify a signed challenge and issue a session token
+   * @param {Object} params - Verification parameters
+   * @param {string} params.address - The Aptos address that signed
+   * @param {string} params.publicKey - Ed25519 public key (hex)
+   * @param {string} params.signature - Ed25519 signature (hex)
+   * @param {string} params.nonce - The nonce returned by createChallenge
+   * @param {string} [params.fullMessage] - Exact bytes signed by the wallet,
+   *   when the wallet wraps the message (e.g. "APTOS\nmessage: ...")
+   * @returns {Promise<Object>} - Session token and expiry
+   */
+  async verifyChallenge({ address, publicKey, signature, nonce, fullMessage }) {
+    const challenge = this.challenges.get(nonce);
+    // A challenge can only be used once
+    this.challenges.delete(nonce);
+
+    if (!challenge || challenge.expiresAt < Date.now()) {
+      throw new Error("Challenge not found or expired");
+    }
+
+    const normalizedAddress = normalizeAptosAddress(address);
+    if (challenge.address !== normalizedAddress) {
+      throw new Error("Challenge was issued for a different address");
+    }
+
+    const signedMessage = fullMessage || challenge.message;
+    if (
+      !signedMessage.includes(challenge.message) ||
+      !signedMessage.includes(nonce)
+    ) {
+      throw new Error("Signed message does not match the challenge");
+    }
+
+    let key;
+    let isValid = false;
+    try {
+      key = new Ed25519PublicKey(publicKey);
+      isValid = key.verifySignature({
+        message: new TextEncoder().encode(signedMessage),
+        signature: new Ed25519Signature(signature),
+      });
+    } catch (error) {
+      throw new Error(`Malformed public key or signature: ${error.message}`);
+    }
+
+    if (!isValid) {
+      throw new Error("Invalid signature");
+    }
+
+    const ownsAddress = await this.publicKeyControlsAddress(
+      key,
+      normalizedAddress
+    );
+    if (!ownsAddress) {
+      throw new Error("Public key does not control this address");
+    }
+
+    return this.issueToken(normalizedAddress);
+  }
+
+  /**
+   * Check that a public key is the current authentication key of an address.
+   * The key is read from the account on chain, so a rotated-out key no
+   * longer signs in and a rotated-in key does. Accounts not created on chain
+   * yet are controlled by the key their address was derived from.
+   * @param {Ed25519PublicKey} publicKey - The signer's public key
+   * @param {string} address - Normalized Aptos address
+   * @returns {Promise<boolean>} - Whether the key controls the address
+   */
+  async publicKeyControlsAddress(publicKey, address) {
+    const authKey = publicKey.authKey();
+    const current = await aptosService.getAuthenticationKey(address);
+
+    if (current === null) {
+      return (
+        normalizeAptosAddress(authKey.derivedAddress().toString()) === address
+      );
+    }
+    return (
+      normalizeAptosAddress(current) ===
+      normalizeAptosAddress(authKey.toString())
+    );
+  }
+
+  /**
+   * Issue a signed session token for a verified address
+   * @param {string} address - Verified Aptos address
+   * @returns {Object} - Session token and expiry
+   */
+  issueToken(address) {
+    const expiresAt = Date.now() + this.tokenTTL;
+    const payload = Buffer.from(
+      JSON.stringify({ sub: address, exp: expiresAt })
+    ).toString("base64url");
+
+    return {
+      token: `${payload}.${this.sign(payload)}`,
+      address,
+      expiresAt: new Date(expiresAt).toISOString(),
+    };
+  }
+
+  /**
+   * Verify a session token
+   * @param {string} token - Session token
+   * @returns {Object|null} - Session ({ address, expiresAt }) or null
+   */
+  verifyToken(token) {
+    if (!token || typeof token !== "string") return null;
+
+    const [payload, signature] = token.split(".");
+    if (!payload || !signature) return null;
+
+    const expected = Buffer.from(this.sign(payload));
+    const received = Buffer.from(signature);
+    if (
+      expected.length !== received.length ||
+      !crypto.timingSafeEqual(expected, received)
+    ) {
+      return null;
+    }
+
+    try {
+      const { sub, exp } = JSON.parse(
+        Buffer.from(payload, "base64url").toString("utf8")
+      );
+      if (!sub || !exp || exp < Date.now()) return null;
+      return { address: sub, expiresAt: new Date(exp).toISOString() };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * HMAC a token payload
+   * @param {string} payload - Encoded token payload
+   * @returns {string} - base64url signature
+   */
+  sign(payload) {
+    return crypto
+      .createHmac("sha256", this.tokenSecret)
+      .update(payload)
+      .digest("base64url");
+  }
+
+  /**
+   * Drop expired challenges
+   */
+  pruneChallenges() {
+    const now = Date.now();
+    for (const [nonce, challenge] of this.challenges) {
+      if (challenge.expiresAt < now) {
+        this.challenges.delete(nonce);
+      }
+    }
+  }
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,158 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline: pipelinePromise } = require("stream/promises");
+
+const ipfsService = require("./ipfsService");
+const encryptionService = require("./encryptionService");
+const metadataService = require("./metadataService");
+const { uploadTempDir } = require("../config/multer");
+const {
+  FORMATS,
+  getFormatByMimeType,
+  openTableReader,
+} = require("../utils/fileFormats");
+
+class ContentService {
+  /**
+   * Format detected when a dataset was uploaded
+   * @param {Object} dataset - On-chain dataset
+   * @returns {string|null} - Format key, or null for unknown files
+   */
+  getFormat(dataset) {
+    const upload = metadataService.getUpload(dataset.ipfs_hash) || {};
+    const keyRecord = encryptionService.getKeyRecord(dataset.ipfs_hash);
+    return (
+      upload.format ||
+      getFormatByMimeType((keyRecord && keyRecord.mimeType) || upload.mimeType)
+    );
+  }
+
+  /**
+   * SHA-256 digest of the plaintext file, when recorded. Unencrypted
+   * datasets are served as stored, so their storage digest is the one.
+   * @param {Object} dataset - On-chain dataset
+   * @returns {string|null} - Hex digest
+   */
+  getDigest(dataset) {
+    const keyRecord = encryptionService.getKeyRecord(dataset.ipfs_hash);
+    if (keyRecord) return keyRecord.sha256 || null;
+    return ipfsService.getDigest(dataset.ipfs_hash);
+  }
+
+  /**
+   * Copy the plaintext of a dataset from IPFS to a temporary file. None of
+   * it may be released before this resolves: the ciphertext is checked
+   * against its CID and storage digest, and the plaintext against the
+   * digest recorded at upload, only once all of it has been read. Datasets
+   * uploaded before encryption was introduced have no key record and are
+   * copied as stored.
+   * @param {Object} dataset - On-chain dataset
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the download with the
+   *   signal's reason
+   * @returns {Promise<Object>} - { path, size, remove() }
+   * @throws {Error} - With code CONTENT_MISMATCH when any check fails
+   */
+  async spool(dataset, { signal } = {}) {
+    await fs.promises.mkdir(uploadTempDir, { recursive: true });
+    const spoolPath = path.join(
+      uploadTempDir,
+      `${crypto.randomBytes(16).toString("hex")}.download`
+    );
+    const remove = () =>
+      fs.promises.rm(spoolPath, { force: true }).catch(() => {});
+
+    const source = ipfsService.getFileStream(dataset.ipfs_hash);
+    const abort = () => source.destroy(signal.reason);
+    if (signal) signal.addEventListener("abort", abort, { once: true });
+    try {
+      let size;
+      const keyRecord = encryptionService.getKeyRecord(dataset.ipfs_hash);
+      if (keyRecord) {
+        const decrypted = await encryptionService.decryptToFile(
+          dataset.ipfs_hash,
+          source,
+          spoolPath
+        );
+        // Checks the plaintext against the digest served in Digest headers
+        if (keyRecord.sha256 && decrypted.sha256 !== keyRecord.sha256) {
+          console.error(
+            `🚨 Integrity check failed: ${dataset.ipfs_hash} decrypts to the wrong SHA-256 digest`
+          );
+          const error = new Error(
+            `Content decrypted from ${dataset.ipfs_hash} does not match its recorded SHA-256 digest`
+          );
+          error.code = "CONTENT_MISMATCH";
+          throw error;
+        }
+        size = decrypted.size;
+      } else {
+        await pipelinePromise(
+          source,
+          fs.createWriteStream(spoolPath, { mode: 0o600 })
+        );
+        ({ size } = await fs.promises.stat(spoolPath));
+      }
+      return { path: spoolPath, size, remove };
+    } catch (error) {
+      source.destroy();
+      await remove();
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener("abort", abort);
+    }
+  }
+
+  /**
+   * Open the plaintext of a dataset for streaming, once all of it has been
+   * retrieved and decrypted
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Object>} - { stream, size }; the temporary copy is
+   *   removed when the stream closes
+   * @throws {Error} - IPFS, integrity and decryption errors, before any
+   *   content is released
+   */
+  async openStream(dataset) {
+    const spooled = await this.spool(dataset);
+    const stream = fs.createReadStream(spooled.path);
+    stream.on("close", () => spooled.remove());
+    return { stream, size: spooled.size };
+  }
+
+  /**
+   * Open a tabular dataset for reading row by row. Values can be typed with
+   * the column profile from the dataset's metadata document.
+   * @param {Object} dataset - On-chain dataset
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Aborts the download
+   * @returns {Promise<Object|null>} - { format, reader, headers, profile,
+   *   close }, or null when the dataset is not tabular. close() removes the
+   *   temporary copy once reading is done.
+   */
+  async openTable(dataset, { signal } = {}) {
+    const format = this.getFormat(dataset);
+    if (!FORMATS[format] || !FORMATS[format].tabular) return null;
+
+    const spooled = await this.spool(dataset, { signal });
+    const close = () => spooled.remove();
+
+    try {
+      const metadata = await metadataService.resolveMetadata(dataset);
+      const upload = metadataService.getUpload(dataset.ipfs_hash) || {};
+
+      return {
+        format,
+        reader: await openTableReader({ path: spooled.path }, format),
+        headers: upload.headers,
+        profile: metadata.status === "valid" ? metadata.document.profile : null,
+        close,
+      };
+    } catch (error) {
+      close();
+      throw error;
+    }
+  }
+}
+
+module.exports = new ContentService();
@@ -0,0 +1,261 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { JsonStore, getDataDir } = require("../utils/jsonStore");
+
+const ALGORITHM = "aes-256-gcm";
+const MAGIC = Buffer.from("DDX1"); // Marks files encrypted by this service
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH + TAG_LENGTH;
+
+class EncryptionService {
+  constructor() {
+    this.masterKey = this.loadMasterKey();
+    // Wrapped data keys keyed by the IPFS hash of the ciphertext
+    this.keyStore = new JsonStore("keys.json", { keys: {} });
+
+    console.log("🔐 Encryption service initialized");
+  }
+
+  /**
+   * Load the key-encryption key from the environment or the local key file
+   * @returns {Buffer} - 32-byte master key
+   */
+  loadMasterKey() {
+    if (process.env.KEY_STORE_MASTER_KEY) {
+      const key = Buffer.from(process.env.KEY_STORE_MASTER_KEY, "hex");
+      if (key.length !== 32) {
+        throw new Error(
+          "KEY_STORE_MASTER_KEY must be 64 hexadecimal characters"
+        );
+      }
+      return key;
+    }
+
+    // Development fallback: generate a master key once and keep it on disk
+    const keyPath = path.join(getDataDir(), "master.key");
+    if (fs.existsSync(keyPath)) {
+      return Buffer.from(fs.readFileSync(keyPath, "utf8").trim(), "hex");
+    }
+
+    console.warn(
+      `⚠️ KEY_STORE_MASTER_KEY not set, generating a local master key at ${keyPath}`
+    );
+    const key = crypto.randomBytes(32);
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(keyPath, key.toString("hex"), { mode: 0o600 });
+    return key;
+  }
+
+  /**
+   * Encrypt a dataset file with a fresh data key, streaming the ciphertext to
+   * disk. The authentication tag is only known at the end, so the header is
+   * written with a placeholder and the tag filled in afterwards.
+   * @param {Readable} source - Stream of the plaintext file content
+   * @param {string} destPath - Path the ciphertext is written to
+   * @returns {Promise<Object>} - Data key, algorithm, ciphertext size and
+   *   the SHA-256 digest of the plaintext
+   */
+  async encryptToFile(source, destPath) {
+    const dataKey = crypto.randomBytes(32);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, dataKey, iv);
+    const digest = crypto.createHash("sha256");
+
+    const file = await fs.promises.open(destPath, "w", 0o600);
+    try {
+      await file.write(Buffer.concat([MAGIC, iv, Buffer.alloc(TAG_LENGTH)]));
+      let encryptedSize = HEADER_LENGTH;
+
+      for await (const chunk of source) {
+        digest.update(chunk);
+        const encrypted = cipher.update(chunk);
+        await file.write(encrypted);
+        encryptedSize += encrypted.length;
+      }
+
+      const final = cipher.final();
+      await file.write(final);
+      encryptedSize += final.length;
+
+      await file.write(
+        cipher.getAuthTag(),
+        0,
+        TAG_LENGTH,
+        MAGIC.length + IV_LENGTH
+      );
+
+      return {
+        dataKey,
+        algorithm: ALGORITHM,
+        encryptedSize,
+        sha256: digest.digest("hex"),
+      };
+    } finally {
+      await file.close();
+    }
+  }
+
+  /**
+   * Wrap a data key with the master key and persist it
+   * @param {string} ipfsHash - IPFS hash of the ciphertext
+   * @param {Buffer} dataKey - Plaintext data key
+   * @param {Object} details - Extra details stored with the key (e.g. size)
+   */
+  storeDataKey(ipfsHash, dataKey, details = {}) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.masterKey, iv);
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    this.keyStore.update((store) => {
+      store.keys[ipfsHash] = {
+        algorithm: ALGORITHM,
+        wrappedKey: wrapped.toString("base64"),
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        createdAt: new Date().toISOString(),
+        ...details,
+      };
+    });
+
+    console.log(`🔑 Stored data key for ${ipfsHash}`);
+  }
+
+  /**
+   * Look up the key record for an encrypted file
+   * @param {string} ipfsHash - IPFS hash of the ciphertext
+   * @returns {Object|null} - Key record or null
+   */
+  getKeyRecord(ipfsHash) {
+    return this.keyStore.read().keys[ipfsHash] || null;
+  }
+
+  /**
+   * Unwrap the data key for an encrypted file
+   * @param {string} ipfsHash - IPFS hash of the ciphertext
+   * @returns {Buffer} - Plaintext data key
+   */
+  getDataKey(ipfsHash) {
+    const record = this.getKeyRecord(ipfsHash);
+    if (!record) {
+      throw new Error(`No data key stored for ${ipfsHash}`);
+    }
+
+    const decipher = crypto.createDecipheriv(
+      record.algorithm,
+      this.masterKey,
+      Buffer.from(record.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(record.tag, "base64"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(record.wrappedKey, "base64")),
+      decipher.final(),
+    ]);
+  }
+
+  /**
+   * Decrypt a whole file held in memory
+   * @param {string} ipfsHash - IPFS hash of the ciphertext
+   * @param {Buffer} ciphertext - Encrypted file content
+   * @returns {Buffer} - Plaintext file content
+   */
+  decryptFile(ipfsHash, ciphertext) {
+    if (!ciphertext.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error("File is not in DataDex encrypted format");
+    }
+
+    const ivStart = MAGIC.length;
+    const tagStart = ivStart + IV_LENGTH;
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      this.getDataKey(ipfsHash),
+      ciphertext.subarray(ivStart, tagStart)
+    );
+    decipher.setAuthTag(ciphertext.subarray(tagStart, HEADER_LENGTH));
+
+    return Buffer.concat([
+      decipher.update(ciphertext.subarray(HEADER_LENGTH)),
+      decipher.final(),
+    ]);
+  }
+
+  /**
+   * Decrypt a file produced by encryptToFile, streaming the plaintext to
+   * disk. GCM only authenticates the ciphertext once all of it has been
+   * read, so the plaintext must not be used before this resolves; on
+   * failure the partial file is removed.
+   * @param {string} ipfsHash - IPFS hash of the ciphertext
+   * @param {Readable} source - Stream of the ciphertext
+   * @param {string} destPath - Path the plaintext is written to
+   * @returns {Promise<Object>} - Plaintext size and SHA-256 digest
+   * @throws {Error} - With code CONTENT_MISMATCH when the ciphertext fails
+   *   authentication
+   */
+  async decryptToFile(ipfsHash, source, destPath) {
+    const dataKey = this.getDataKey(ipfsHash);
+    const digest = crypto.createHash("sha256");
+    let header = Buffer.alloc(0);
+    let decipher = null;
+    let size = 0;
+    let failed = false;
+
+    const file = await fs.promises.open(destPath, "w", 0o600);
+    try {
+      const write = async (plaintext) => {
+        digest.update(plaintext);
+        await file.write(plaintext);
+        size += plaintext.length;
+      };
+
+      for await (let chunk of source) {
+        if (!decipher) {
+          header = Buffer.concat([header, chunk]);
+          if (header.length < HEADER_LENGTH) continue;
+
+          if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+            throw new Error("File is not in DataDex encrypted format");
+          }
+
+          const ivStart = MAGIC.length;
+          const tagStart = ivStart + IV_LENGTH;
+          decipher = crypto.createDecipheriv(
+            ALGORITHM,
+            dataKey,
+            header.subarray(ivStart, tagStart)
+          );
+          decipher.setAuthTag(header.subarray(tagStart, HEADER_LENGTH));
+          chunk = header.subarray(HEADER_LENGTH);
+        }
+        await write(decipher.update(chunk));
+      }
+
+      if (!decipher) {
+        throw new Error("Encrypted file is truncated");
+      }
+      let final;
+      try {
+        final = decipher.final();
+      } catch (error) {
+        const mismatch = new Error(
+          `Content retrieved for ${ipfsHash} failed decryption: ${error.message}`
+        );
+        mismatch.code = "CONTENT_MISMATCH";
+        throw mismatch;
+      }
+      await write(final);
+
+      return { size, sha256: digest.digest("hex") };
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      await file.close();
+      if (failed) await fs.promises.rm(destPath, { force: true });
+    }
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,908 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const aptosService = require("./aptosService");
+const { getDataDir } = require("../utils/jsonStore");
+const { normalizeAptosAddress } = require("../utils/helpers");
+
+// Marketplace event handles followed by the indexer, keyed by table name
+const EVENT_STREAMS = {
+  uploads: { resource: "DataMarketplace", field: "dataset_uploaded_events" },
+  purchases: {
+    resource: "DataMarketplace",
+    field: "dataset_purchased_events",
+  },
+  rewards: { resource: "DataMarketplace", field: "reward_paid_events" },
+  versions: {
+    resource: "DatasetVersions",
+    field: "dataset_version_published_events",
+  },
+  licenses: { resource: "DatasetLicenses", field: "license_updated_events" },
+  licenseTerms: {
+    resource: "DatasetLicenses",
+    field: "license_terms_updated_events",
+  },
+  tierPurchases: { resource: "DatasetTiers", field: "tier_purchased_events" },
+  listings: { resource: "DatasetListings", field: "dataset_updated_events" },
+};
+
+const PAGE_SIZE = 100;
+
+// Events per stream checked against the node before each pass
+const DIVERGENCE_WINDOW = 20;
+
+// Index tables, emptied together when the index is rebuilt
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS cursors (
+    stream TEXT PRIMARY KEY,
+    next INTEGER NOT NULL,
+    last_version TEXT
+  );
+  CREATE TABLE IF NOT EXISTS recent_events (
+    stream TEXT NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    version TEXT NOT NULL,
+    PRIMARY KEY (stream, sequence_number)
+  );
+  CREATE TABLE IF NOT EXISTS datasets (
+    id TEXT PRIMARY KEY,
+    ipfs_hash TEXT NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT NOT NULL,
+    category TEXT NOT NULL,
+    price TEXT NOT NULL,
+    owner TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    is_active INTEGER NOT NULL,
+    hydrated INTEGER NOT NULL,
+    version TEXT NOT NULL,
+    sequence_number TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS datasets_owner ON datasets (owner);
+  CREATE TABLE IF NOT EXISTS purchases (
+    dataset_id TEXT NOT NULL,
+    buyer TEXT NOT NULL,
+    seller TEXT NOT NULL,
+    price TEXT NOT NULL,
+    purchased_at TEXT NOT NULL,
+    version TEXT NOT NULL,
+    sequence_number TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS purchases_dataset ON purchases (dataset_id);
+  CREATE INDEX IF NOT EXISTS purchases_buyer ON purchases (buyer);
+  CREATE TABLE IF NOT EXISTS tier_purchases (
+    dataset_id TEXT NOT NULL,
+    buyer TEXT NOT NULL,
+    tier_id TEXT NOT NULL,
+    version TEXT NOT NULL,
+    sequence_number TEXT NOT NULL,
+    PRIMARY KEY (dataset_id, buyer)
+  );
+  CREATE TABLE IF NOT EXISTS rewards (
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    dataset_id TEXT NOT NULL,
+    timestamp TEXT NOT NULL,
+    version TEXT NOT NULL,
+    sequence_number TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS rewards_recipient ON rewards (recipient);
+  CREATE TABLE IF NOT EXISTS versions (
+    dataset_id TEXT NOT NULL,
+    version TEXT NOT NULL,
+    ipfs_hash TEXT NOT NULL,
+    changelog TEXT NOT NULL,
+    published_at TEXT NOT NULL,
+    transaction_version TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS versions_dataset ON versions (dataset_id);
+  CREATE INDEX IF NOT EXISTS versions_ipfs_hash ON versions (ipfs_hash);
+  CREATE TABLE IF NOT EXISTS licenses (
+    dataset_id TEXT NOT NULL,
+    buyer TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL,
+    renewals TEXT NOT NULL,
+    renewal_spent TEXT NOT NULL,
+    version TEXT NOT NULL,
+    sequence_number TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS licenses_buyer ON licenses (buyer, dataset_id);
+  CREATE TABLE IF NOT EXISTS license_terms (
+    dataset_id TEXT PRIMARY KEY,
+    period TEXT NOT NULL
+  );
+`;
+
+// Purchases with the tier bought, if any
+const PURCHASE_JOIN =
+  "FROM purchases p LEFT JOIN tier_purchases t " +
+  "ON t.dataset_id = p.dataset_id AND t.buyer = p.buyer";
+
+const TABLES = [
+  "meta",
+  "cursors",
+  "recent_events",
+  "datasets",
+  "purchases",
+  "tier_purchases",
+  "rewards",
+  "versions",
+  "licenses",
+  "license_terms",
+];
+
+/**
+ * Version 1 of a dataset, which is its original upload
+ * @param {Object} dataset - Indexed dataset
+ * @returns {Object} - Indexed dataset version
+ */
+function firstVersion(dataset) {
+  return {
+    dataset_id: dataset.id,
+    version: "1",
+    ipfs_hash: dataset.ipfs_hash,
+    changelog: "",
+    published_at: dataset.created_at,
+    // Dataset versions use "version" for their number
+    transaction_version: dataset.version,
+  };
+}
+
+/**
+ * Build an INSERT statement for a row object
+ * @param {string} table - Table name
+ * @param {Object} row - Column values
+ * @returns {string} - SQL with named parameters
+ */
+function insertSql(table, row) {
+  const columns = Object.keys(row);
+  return `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns
+    .map((column) => `@${column}`)
+    .join(", ")})`;
+}
+
+class IndexerService {
+  /**
+   * @param {Object} options
+   * @param {Object} options.source - Chain source exposing getLedgerInfo,
+   *   getMarketplaceEvents, getDatasetById, getActiveDatasets,
+   *   getDatasetVersions, getLicensePeriod and getLicensesByBuyer
+   * @param {string} options.databasePath - SQLite file holding the index
+   */
+  constructor({
+    source = aptosService,
+    databasePath = path.join(getDataDir(), "indexer.db"),
+  } = {}) {
+    this.source = source;
+    this.databasePath = databasePath;
+    this.db = null;
+    this.pollInterval = parseInt(process.env.INDEXER_POLL_INTERVAL) || 10000;
+    this.timer = null;
+    this.syncing = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Open the index database, creating its tables on first use
+   * @returns {Database} - Open connection
+   */
+  database() {
+    if (!this.db) {
+      fs.mkdirSync(path.dirname(this.databasePath), { recursive: true });
+      this.db = new Database(this.databasePath);
+      this.db.pragma("journal_mode = WAL");
+      this.db.exec(SCHEMA);
+    }
+    return this.db;
+  }
+
+  /**
+   * Close the index database; the next query opens it again
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+
+  /**
+   * Start polling the chain for new events
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(
+      `🗂️ Indexer started, polling every ${this.pollInterval / 1000}s`
+    );
+    this.sync();
+    this.timer = setInterval(() => this.sync(), this.pollInterval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one indexing pass. Concurrent callers share the same pass.
+   * @returns {Promise<Object>} - Indexer status after the pass
+   */
+  sync() {
+    if (!this.syncing) {
+      this.syncing = this.runSync()
+        .then(() => {
+          this.lastError = null;
+        })
+        .catch((error) => {
+          console.error("❌ Indexer sync failed:", error.message);
+          this.lastError = error.message;
+        })
+        .finally(() => {
+          this.syncing = null;
+        });
+    }
+    return this.syncing.then(() => this.getStatus());
+  }
+
+  /**
+   * Index new events from every stream and fill in new datasets
+   */
+  async runSync() {
+    const startedAt = new Date().toISOString();
+    const chainId = this.getMeta("chainId");
+    const ledgerVersion = this.getMeta("ledgerVersion") || "0";
+    const ledger = await this.source.getLedgerInfo();
+
+    // A different chain or a ledger behind our cursor means the node was
+    // reset (e.g. local testnet restart): start over
+    if (
+      (chainId !== null && chainId !== ledger.chain_id) ||
+      BigInt(ledger.ledger_version) < BigInt(ledgerVersion)
+    ) {
+      console.warn("⚠️ Ledger was reset, rebuilding the index");
+      this.reset();
+      return this.runSync();
+    }
+
+    if (await this.hasDiverged()) {
+      console.warn("⚠️ Indexed events no longer match the chain, rebuilding");
+      this.reset();
+      return this.runSync();
+    }
+
+    for (const table of Object.keys(EVENT_STREAMS)) {
+      await this.syncStream(table);
+    }
+
+    await this.hydrateDatasets();
+
+    this.setMeta({
+      chainId: ledger.chain_id,
+      ledgerVersion: ledger.ledger_version,
+      lastSyncStartedAt: startedAt,
+      lastSyncedAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Empty every table, including cursors and sync state
+   */
+  reset() {
+    const db = this.database();
+    db.transaction(() => {
+      for (const table of TABLES) {
+        db.prepare(`DELETE FROM ${table}`).run();
+      }
+    })();
+  }
+
+  /**
+   * Read a sync state value
+   * @param {string} key - chainId, ledgerVersion, lastSyncStartedAt or
+   *   lastSyncedAt
+   * @returns {*} - Stored value or null
+   */
+  getMeta(key) {
+    const row = this.database()
+      .prepare("SELECT value FROM meta WHERE key = ?")
+      .get(key);
+    return row ? JSON.parse(row.value) : null;
+  }
+
+  /**
+   * Store sync state values in one transaction
+   * @param {Object} values - Values keyed by name
+   */
+  setMeta(values) {
+    const db = this.database();
+    const statement = db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) " +
+        "ON CONFLICT (key) DO UPDATE SET value = excluded.value"
+    );
+    db.transaction(() => {
+      for (const [key, value] of Object.entries(values)) {
+        statement.run(key, JSON.stringify(value));
+      }
+    })();
+  }
+
+  /**
+   * Position of an event stream
+   * @param {string} table - Table name in EVENT_STREAMS
+   * @returns {Object} - { next, lastVersion }; next is the sequence number
+   *   of the first event not indexed yet
+   */
+  getCursor(table) {
+    const row = this.database()
+      .prepare("SELECT next, last_version FROM cursors WHERE stream = ?")
+      .get(table);
+    return row
+      ? { next: row.next, lastVersion: row.last_version }
+      : { next: 0, lastVersion: null };
+  }
+
+  /**
+   * Versions of the most recently indexed events of a stream
+   * @param {string} table - Table name in EVENT_STREAMS
+   * @returns {Map<number, string>} - Transaction version by sequence number
+   */
+  getRecentEvents(table) {
+    const rows = this.database()
+      .prepare(
+        "SELECT sequence_number, version FROM recent_events WHERE stream = ?"
+      )
+      .all(table);
+    return new Map(rows.map((row) => [row.sequence_number, row.version]));
+  }
+
+  /**
+   * Check that the recently indexed events of every stream are still on
+   * chain. A window is compared rather than the last event alone, so a
+   * stream whose tail was replaced by the same number of events is caught.
+   * @returns {Promise<boolean>} - Whether the index must be rebuilt
+   */
+  async hasDiverged() {
+    for (const [table, { resource, field }] of Object.entries(EVENT_STREAMS)) {
+      const cursor = this.getCursor(table);
+      if (cursor.next === 0) continue;
+
+      const start = Math.max(0, cursor.next - DIVERGENCE_WINDOW);
+      const events = await this.source.getMarketplaceEvents(
+        field,
+        start,
+        cursor.next - start,
+        resource
+      );
+      if (
+        events.length !== cursor.next - start ||
+        events[events.length - 1].version !== cursor.lastVersion
+      ) {
+        return true;
+      }
+
+      // Indexes written before the window was kept only have the cursor
+      const recent = this.getRecentEvents(table);
+      for (const event of events) {
+        const version = recent.get(parseInt(event.sequence_number));
+        if (version !== undefined && version !== event.version) return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Page through one event stream from its cursor
+   * @param {string} table - Table name in EVENT_STREAMS
+   */
+  async syncStream(table) {
+    const { resource, field } = EVENT_STREAMS[table];
+    const db = this.database();
+
+    for (;;) {
+      const { next } = this.getCursor(table);
+      const events = await this.source.getMarketplaceEvents(
+        field,
+        next,
+        PAGE_SIZE,
+        resource
+      );
+      if (events.length === 0) return;
+
+      // Events and cursor are committed together so a restart resumes
+      // exactly after the last stored event
+      db.transaction(() => {
+        for (const event of events) {
+          this.applyEvent(table, event);
+        }
+        const last = events[events.length - 1];
+        const next = parseInt(last.sequence_number) + 1;
+        db.prepare(
+          "INSERT INTO cursors (stream, next, last_version) VALUES (?, ?, ?) " +
+            "ON CONFLICT (stream) DO UPDATE SET next = excluded.next, " +
+            "last_version = excluded.last_version"
+        ).run(table, next, last.version);
+        const remember = db.prepare(
+          "INSERT OR REPLACE INTO recent_events (stream, sequence_number, " +
+            "version) VALUES (?, ?, ?)"
+        );
+        for (const event of events.slice(-DIVERGENCE_WINDOW)) {
+          remember.run(table, parseInt(event.sequence_number), event.version);
+        }
+        db.prepare(
+          "DELETE FROM recent_events WHERE stream = ? AND sequence_number < ?"
+        ).run(table, next - DIVERGENCE_WINDOW);
+      })();
+
+      console.log(`🗂️ Indexed ${events.length} ${field}`);
+      if (events.length < PAGE_SIZE) return;
+    }
+  }
+
+  /**
+   * Insert a row
+   * @param {string} table - Table name
+   * @param {Object} row - Column values
+   */
+  insert(table, row) {
+    this.database().prepare(insertSql(table, row)).run(row);
+  }
+
+  /**
+   * Apply a single event to the index. Addresses are stored normalized so
+   * they can be compared in SQL.
+   * @param {string} table - Table the event belongs to
+   * @param {Object} event - Raw event from the node
+   */
+  applyEvent(table, event) {
+    const db = this.database();
+    const { data } = event;
+    const position = {
+      version: event.version,
+      sequence_number: event.sequence_number,
+    };
+
+    if (table === "uploads") {
+      const dataset = {
+        id: data.dataset_id,
+        ipfs_hash: data.ipfs_hash,
+        title: data.title,
+        description: "",
+        category: "",
+        price: data.price,
+        owner: normalizeAptosAddress(data.owner),
+        created_at: data.timestamp,
+        is_active: 1,
+        hydrated: 0,
+        ...position,
+      };
+      this.insert("datasets", dataset);
+      this.insert("versions", firstVersion(dataset));
+    } else if (table === "purchases") {
+      this.insert("purchases", {
+        dataset_id: data.dataset_id,
+        buyer: normalizeAptosAddress(data.buyer),
+        seller: normalizeAptosAddress(data.seller),
+        price: data.price,
+        purchased_at: data.timestamp,
+        ...position,
+      });
+    } else if (table === "rewards") {
+      this.insert("rewards", {
+        recipient: normalizeAptosAddress(data.recipient),
+        amount: data.amount,
+        dataset_id: data.dataset_id,
+        timestamp: data.timestamp,
+        ...position,
+      });
+    } else if (table === "versions") {
+      this.insert("versions", {
+        dataset_id: data.dataset_id,
+        version: data.version,
+        ipfs_hash: data.ipfs_hash,
+        changelog: data.changelog,
+        published_at: data.timestamp,
+        transaction_version: event.version,
+      });
+      // The dataset now points at its newest file
+      db.prepare("UPDATE datasets SET ipfs_hash = ? WHERE id = ?").run(
+        data.ipfs_hash,
+        data.dataset_id
+      );
+    } else if (table === "licenses") {
+      const buyer = normalizeAptosAddress(data.buyer);
+      const license = db
+        .prepare(
+          "SELECT rowid, renewals, renewal_spent FROM licenses " +
+            "WHERE dataset_id = ? AND buyer = ? ORDER BY rowid LIMIT 1"
+        )
+        .get(data.dataset_id, buyer);
+      if (data.renewal && license) {
+        db.prepare(
+          "UPDATE licenses SET expires_at = @expires_at, renewals = @renewals, " +
+            "renewal_spent = @renewal_spent, version = @version, " +
+            "sequence_number = @sequence_number WHERE rowid = @rowid"
+        ).run({
+          rowid: license.rowid,
+          expires_at: data.expires_at,
+          renewals: (parseInt(license.renewals) + 1).toString(),
+          // Renewals are paid like purchases but recorded only here
+          renewal_spent: (
+            BigInt(license.renewal_spent) + BigInt(data.price)
+          ).toString(),
+          ...position,
+        });
+      } else {
+        this.insert("licenses", {
+          dataset_id: data.dataset_id,
+          buyer,
+          started_at: data.timestamp,
+          expires_at: data.expires_at,
+          renewals: "0",
+          renewal_spent: "0",
+          ...position,
+        });
+      }
+    } else if (table === "licenseTerms") {
+      db.prepare(
+        "INSERT INTO license_terms (dataset_id, period) VALUES (?, ?) " +
+          "ON CONFLICT (dataset_id) DO UPDATE SET period = excluded.period"
+      ).run(data.dataset_id, data.period);
+    } else if (table === "tierPurchases") {
+      // Kept apart from purchases and joined on (dataset_id, buyer): the
+      // purchase is emitted in the same transaction but may only be indexed
+      // on the next pass, when the ledger moved on between the two streams
+      db.prepare(
+        "INSERT INTO tier_purchases (dataset_id, buyer, tier_id, version, " +
+          "sequence_number) VALUES (@dataset_id, @buyer, @tier_id, @version, " +
+          "@sequence_number) ON CONFLICT (dataset_id, buyer) DO UPDATE SET " +
+          "tier_id = excluded.tier_id, version = excluded.version, " +
+          "sequence_number = excluded.sequence_number"
+      ).run({
+        dataset_id: data.dataset_id,
+        buyer: normalizeAptosAddress(data.buyer),
+        tier_id: data.tier_id,
+        ...position,
+      });
+    } else if (table === "listings") {
+      // The event carries the whole listing. A dataset uploaded after the
+      // uploads stream was read is not indexed yet; its hydration on the
+      // next pass reads the listing as it is by then.
+      db.prepare(
+        "UPDATE datasets SET title = @title, description = @description, " +
+          "category = @category, price = @price, is_active = @is_active, " +
+          "hydrated = 1 WHERE id = @id"
+      ).run({
+        id: data.dataset_id,
+        title: data.title,
+        description: data.description,
+        category: data.category,
+        price: data.price,
+        is_active: data.is_active ? 1 : 0,
+      });
+    }
+  }
+
+  /**
+   * Fill in fields that upload events do not carry (description, category)
+   * and listing changes made before the upload was indexed
+   */
+  async hydrateDatasets() {
+    const pending = this.database()
+      .prepare("SELECT id FROM datasets WHERE hydrated = 0")
+      .all();
+
+    for (const { id } of pending) {
+      try {
+        const dataset = await this.source.getDatasetById(id);
+        if (!dataset) continue;
+
+        this.database()
+          .prepare(
+            "UPDATE datasets SET description = @description, " +
+              "category = @category, price = @price, is_active = @is_active, " +
+              "hydrated = 1 WHERE id = @id"
+          )
+          .run({
+            id,
+            description: dataset.description,
+            category: dataset.category,
+            price: dataset.price,
+            is_active: dataset.is_active ? 1 : 0,
+          });
+      } catch (error) {
+        // Retried on the next pass
+        console.warn(`⚠️ Could not hydrate dataset ${id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Whether the index has completed at least one pass
+   * @returns {boolean} - Ready state
+   */
+  isReady() {
+    return Boolean(this.getMeta("lastSyncedAt"));
+  }
+
+  /**
+   * Number of rows in a table
+   * @param {string} table - Table name
+   * @returns {number} - Row count
+   */
+  count(table) {
+    return this.database()
+      .prepare(`SELECT COUNT(*) AS count FROM ${table}`)
+      .get().count;
+  }
+
+  /**
+   * Indexer status for diagnostics
+   * @returns {Object} - Cursor positions and counts
+   */
+  getStatus() {
+    return {
+      ready: this.isReady(),
+      running: Boolean(this.timer),
+      chainId: this.getMeta("chainId"),
+      ledgerVersion: this.getMeta("ledgerVersion") || "0",
+      lastSyncStartedAt: this.getMeta("lastSyncStartedAt"),
+      lastSyncedAt: this.getMeta("lastSyncedAt"),
+      lastError: this.lastError,
+      cursors: Object.fromEntries(
+        Object.keys(EVENT_STREAMS).map((table) => [
+          table,
+          this.getCursor(table),
+        ])
+      ),
+      counts: {
+        datasets: this.count("datasets"),
+        purchases: this.count("purchases"),
+        rewards: this.count("rewards"),
+        versions: this.count("versions"),
+        licenses: this.count("licenses"),
+      },
+    };
+  }
+
+  //
+  // Queries. These mirror the AptosService view helpers and fall back to
+  // them until the first pass has completed.
+  //
+
+  /**
+   * Select indexed datasets with their purchase count, ordered by ID
+   * @param {string} [where] - SQL condition on the dataset alias d
+   * @param {Array} [params] - Condition parameters
+   * @returns {Array} - Datasets in the on-chain Dataset shape
+   */
+  queryDatasets(where = "1 = 1", params = []) {
+    return this.database()
+      .prepare(
+        "SELECT d.*, (SELECT COUNT(*) FROM purchases p " +
+          "WHERE p.dataset_id = d.id) AS total_purchases " +
+          `FROM datasets d WHERE ${where} ORDER BY CAST(d.id AS INTEGER)`
+      )
+      .all(...params)
+      .map((dataset) => ({
+        id: dataset.id,
+        ipfs_hash: dataset.ipfs_hash,
+        title: dataset.title,
+        description: dataset.description,
+        category: dataset.category,
+        price: dataset.price,
+        owner: dataset.owner,
+        created_at: dataset.created_at,
+        total_purchases: dataset.total_purchases.toString(),
+        is_active: Boolean(dataset.is_active),
+      }));
+  }
+
+  /**
+   * Get all active datasets
+   * @returns {Promise<Array>} - Active datasets
+   */
+  async getActiveDatasets() {
+    if (!this.isReady()) return this.source.getActiveDatasets();
+
+    return this.queryDatasets("d.is_active = 1");
+  }
+
+  /**
+   * Get a dataset by ID
+   * @param {number} datasetId - Dataset ID
+   * @returns {Promise<Object|null>} - Dataset or null
+   */
+  async getDatasetById(datasetId) {
+    if (!this.isReady()) return this.source.getDatasetById(datasetId);
+
+    const [dataset] = this.queryDatasets("d.id = ?", [datasetId.toString()]);
+    return dataset || null;
+  }
+
+  /**
+   * Get the release history of a dataset
+   * @param {number} datasetId - Dataset ID
+   * @returns {Promise<Array>} - Versions, oldest first
+   */
+  async getDatasetVersions(datasetId) {
+    if (!this.isReady()) return this.source.getDatasetVersions(datasetId);
+
+    return this.database()
+      .prepare(
+        "SELECT dataset_id, version, ipfs_hash, changelog, published_at " +
+          "FROM versions WHERE dataset_id = ? ORDER BY CAST(version AS INTEGER)"
+      )
+      .all(datasetId.toString());
+  }
+
+  /**
+   * Get the licence period of a dataset
+   * @param {number} datasetId - Dataset ID
+   * @returns {Promise<number>} - Period in seconds, 0 when perpetual
+   */
+  async getLicensePeriod(datasetId) {
+    if (!this.isReady()) return this.source.getLicensePeriod(datasetId);
+
+    const row = this.database()
+      .prepare("SELECT period FROM license_terms WHERE dataset_id = ?")
+      .get(datasetId.toString());
+    return row ? parseInt(row.period) || 0 : 0;
+  }
+
+  /**
+   * Get the time-limited licences of a buyer
+   * @param {string} buyerAddress - Buyer address
+   * @returns {Promise<Array>} - Licences as returned by the contract
+   */
+  async getLicensesByBuyer(buyerAddress) {
+    if (!this.isReady()) return this.source.getLicensesByBuyer(buyerAddress);
+
+    return this.database()
+      .prepare(
+        "SELECT dataset_id, buyer, started_at, expires_at, renewals " +
+          "FROM licenses WHERE buyer = ? ORDER BY rowid"
+      )
+      .all(normalizeAptosAddress(buyerAddress));
+  }
+
+  /**
+   * Get datasets owned by an address
+   * @param {string} ownerAddress - Owner address
+   * @returns {Promise<Array>} - Datasets
+   */
+  async getDatasetsByOwner(ownerAddress) {
+    if (!this.isReady()) return this.source.getDatasetsByOwner(ownerAddress);
+
+    return this.queryDatasets("d.owner = ?", [
+      normalizeAptosAddress(ownerAddress),
+    ]);
+  }
+
+  /**
+   * Get purchases made by an address
+   * @param {string} buyerAddress - Buyer address
+   * @returns {Promise<Array>} - Purchases; tier_id is only known once the
+   *   index is ready
+   */
+  async getPurchasesByBuyer(buyerAddress) {
+    if (!this.isReady()) return this.source.getPurchasesByBuyer(buyerAddress);
+
+    return this.database()
+      .prepare(
+        "SELECT p.dataset_id, p.buyer, p.seller, p.price, p.purchased_at, " +
+          `t.tier_id ${PURCHASE_JOIN} WHERE p.buyer = ? ORDER BY p.rowid`
+      )
+      .all(normalizeAptosAddress(buyerAddress));
+  }
+
+  /**
+   * Get purchases of a dataset, newest first. Only available from the index
+   * because the contract has no per-dataset purchase view.
+   * @param {number} datasetId - Dataset ID
+   * @returns {Array} - Purchases with their transaction version and tier_id
+   *   (null for purchases without a tier)
+   */
+  getPurchasesByDataset(datasetId) {
+    return this.database()
+      .prepare(
+        "SELECT p.dataset_id, p.buyer, p.seller, p.price, p.purchased_at, " +
+          `p.version, p.sequence_number, t.tier_id ${PURCHASE_JOIN} ` +
+          "WHERE p.dataset_id = ? ORDER BY CAST(p.version AS INTEGER) DESC"
+      )
+      .all(datasetId.toString());
+  }
+
+  /**
+   * Find the dataset version published with an IPFS hash; version 1 is the
+   * dataset's upload. Only available from the index.
+   * @param {string} ipfsHash - IPFS hash of the file
+   * @returns {Object|null} - Indexed version ({ dataset_id, version,
+   *   ipfs_hash, published_at, transaction_version }) or null
+   */
+  findVersionByIpfsHash(ipfsHash) {
+    const version = this.database()
+      .prepare("SELECT * FROM versions WHERE ipfs_hash = ? ORDER BY rowid")
+      .get(ipfsHash);
+    return version || null;
+  }
+
+  /**
+   * Get every indexed dataset version, including those of delisted datasets
+   * whose buyers keep access. Only available from the index.
+   * @returns {Array} - Indexed versions ({ dataset_id, version, ipfs_hash,
+   *   published_at, transaction_version })
+   */
+  getIndexedVersions() {
+    return this.database()
+      .prepare("SELECT * FROM versions ORDER BY rowid")
+      .all();
+  }
+
+  /**
+   * Get marketplace statistics for a user
+   * @param {string} userAddress - User address
+   * @returns {Promise<Object|null>} - UserStats shape or null without activity
+   */
+  async getUserStats(userAddress) {
+    if (!this.isReady()) return this.source.getUserStats(userAddress);
+
+    const db = this.database();
+    const address = normalizeAptosAddress(userAddress);
+    const uploaded = db
+      .prepare("SELECT COUNT(*) AS count FROM datasets WHERE owner = ?")
+      .get(address).count;
+    const purchased = db
+      .prepare("SELECT price FROM purchases WHERE buyer = ?")
+      .all(address);
+    const earned = db
+      .prepare("SELECT amount FROM rewards WHERE recipient = ?")
+      .all(address);
+    const renewed = db
+      .prepare("SELECT renewal_spent FROM licenses WHERE buyer = ?")
+      .all(address);
+
+    if (uploaded === 0 && purchased.length === 0) return null;
+
+    // Amounts are u64 octas, summed as BigInt rather than SQLite integers
+    const sum = (items, field) =>
+      items.reduce((total, item) => total + BigInt(item[field]), 0n).toString();
+
+    return {
+      datasets_uploaded: uploaded.toString(),
+      datasets_purchased: purchased.length.toString(),
+      total_earned: sum(earned, "amount"),
+      total_spent: (
+        BigInt(sum(purchased, "price")) + BigInt(sum(renewed, "renewal_spent"))
+      ).toString(),
+    };
+  }
+
+  /**
+   * Get platform statistics
+   * @returns {Promise<Object>} - Dataset and purchase counts
+   */
+  async getPlatformStats() {
+    if (!this.isReady()) return this.source.getPlatformStats();
+
+    return {
+      totalDatasets: this.count("datasets"),
+      totalPurchases: this.count("purchases"),
+      activeDatasets: this.database()
+        .prepare("SELECT COUNT(*) AS count FROM datasets WHERE is_active = 1")
+        .get().count,
+    };
+  }
+}
+
+module.exports = new IndexerService();
+module.exports.IndexerService = IndexerService;
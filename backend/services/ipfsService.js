@@ -1,129 +1,382 @@
-const { create } = require("ipfs-http-client");
+const crypto = require("crypto");
+const { Readable, Transform, pipeline } = require("stream");
+const { CID } = require("multiformats/cid");
+
+const { PROVIDER_NAMES, createProvider, getChunker } = require("./storage");
+const { JsonStore } = require("../utils/jsonStore");
+const { UnixFSHasher } = require("../utils/unixfs");
+const { generateMetadataHash } = require("../utils/helpers");
+
+/**
+ * Hash retrieved content both ways it is checked: its UnixFS CID and its
+ * SHA-256 digest. Only CIDv0, what `ipfs add` and every provider here
+ * produce, is recomputed; Kubo checks the blocks of other CIDs itself as it
+ * fetches them.
+ * @param {string} ipfsHash - CID the content was requested by
+ * @returns {Object} - { update(chunk), digest() } where digest() returns
+ *   { cid, sha256 }, cid being null when it cannot be recomputed
+ */
+function createContentHasher(ipfsHash) {
+  let recomputable = false;
+  try {
+    recomputable = CID.parse(ipfsHash).version === 0;
+  } catch (error) {
+    // Not a CID; the provider will fail to find it
+  }
+
+  const unixfs = recomputable ? new UnixFSHasher(getChunker()) : null;
+  const sha256 = crypto.createHash("sha256");
+  return {
+    update(chunk) {
+      if (unixfs) unixfs.update(chunk);
+      sha256.update(chunk);
+    },
+    digest() {
+      return {
+        cid: unixfs ? unixfs.digest() : null,
+        sha256: sha256.digest("hex"),
+      };
+    },
+  };
+}
 
 class IPFSService {
   constructor() {
-    // Initialize IPFS client
-    const auth =
-      process.env.IPFS_PROJECT_ID && process.env.IPFS_PROJECT_SECRET
-        ? `Basic ${Buffer.from(
-            `${process.env.IPFS_PROJECT_ID}:${process.env.IPFS_PROJECT_SECRET}`
-          ).toString("base64")}`
-        : undefined;
-
-    this.client = create({
-      host: process.env.IPFS_HOST || "ipfs.infura.io",
-      port: parseInt(process.env.IPFS_PORT) || 5001,
-      protocol: process.env.IPFS_PROTOCOL || "https",
-      headers: auth ? { authorization: auth } : undefined,
+    // Content is addressed by IPFS CIDs whichever provider stores it. The
+    // default provider takes new uploads; others may be chosen per dataset.
+    this.defaultProvider = process.env.STORAGE_PROVIDER || "kubo";
+    const enabled = new Set([
+      this.defaultProvider,
+      ...(process.env.STORAGE_PROVIDERS || "")
+        .split(",")
+        .map((name) => name.trim())
+        .filter(Boolean),
+    ]);
+
+    this.providers = {};
+    for (const name of enabled) {
+      this.providers[name] = createProvider(name);
+    }
+
+    // Provider holding each uploaded CID, and the SHA-256 digest of its bytes
+    this.locations = new JsonStore("storage-locations.json", {
+      locations: {},
+      digests: {},
     });
 
-    console.log("🔗 IPFS client initialized");
+    console.log(
+      `🔗 Storage initialized: ${[...enabled].join(", ")} (default ${
+        this.defaultProvider
+      })`
+    );
+  }
+
+  /**
+   * Names of the enabled storage providers
+   * @returns {Array<string>} - Provider names
+   */
+  getProviderNames() {
+    return Object.keys(this.providers);
+  }
+
+  /**
+   * Get an enabled provider by name
+   * @param {string} [name] - Provider name; the default provider if omitted
+   * @returns {Object} - Storage provider
+   */
+  getProvider(name = this.defaultProvider) {
+    const provider = this.providers[name];
+    if (!provider) {
+      const error = new Error(
+        PROVIDER_NAMES.includes(name)
+          ? `Storage provider "${name}" is not enabled`
+          : `Unknown storage provider "${name}"`
+      );
+      error.code = "STORAGE_UNAVAILABLE";
+      throw error;
+    }
+    return provider;
+  }
+
+  /**
+   * Name of the provider holding content
+   * @param {string} ipfsHash - CID of the content
+   * @returns {string|null} - Provider name, or null for content not uploaded
+   *   through this server
+   */
+  getLocation(ipfsHash) {
+    return this.locations.read().locations[ipfsHash] || null;
+  }
+
+  /**
+   * SHA-256 digest recorded when content was stored
+   * @param {string} ipfsHash - CID of the content
+   * @returns {string|null} - Hex digest, or null for content stored before
+   *   digests were recorded or not uploaded through this server
+   */
+  getDigest(ipfsHash) {
+    return (this.locations.read().digests || {})[ipfsHash] || null;
+  }
+
+  /**
+   * Provider to read content from. Content without a recorded location
+   * (uploaded before providers were tracked, or elsewhere) is looked up with
+   * the default provider.
+   * @param {string} ipfsHash - CID of the content
+   * @returns {Object} - Storage provider
+   */
+  providerFor(ipfsHash) {
+    return this.getProvider(this.getLocation(ipfsHash) || this.defaultProvider);
   }
 
   /**
-   * Upload a file to IPFS
-   * @param {Buffer} fileBuffer - The file buffer to upload
+   * Add content to a provider and record where it went and its digest
+   * @param {Object} provider - Storage provider
+   * @param {Buffer|Readable} content - Content, or a stream of it
+   * @param {string} [fileName] - File name
+   * @returns {Promise<Object>} - { cid, size, sha256 }
+   */
+  async store(provider, content, fileName) {
+    const hash = crypto.createHash("sha256");
+    let source = content;
+    if (Buffer.isBuffer(content)) {
+      hash.update(content);
+    } else {
+      source = pipeline(
+        content,
+        new Transform({
+          transform(chunk, encoding, callback) {
+            hash.update(chunk);
+            callback(null, chunk);
+          },
+        }),
+        () => {}
+      );
+    }
+
+    const result = await provider.add(source, { fileName });
+    const sha256 = hash.digest("hex");
+    this.locations.update((data) => {
+      data.locations[result.cid] = provider.name;
+      data.digests = data.digests || {};
+      data.digests[result.cid] = sha256;
+    });
+    return { ...result, sha256 };
+  }
+
+  /**
+   * Check retrieved content against the CID it was requested by and its
+   * recorded digest
+   * @param {string} ipfsHash - CID the content was requested by
+   * @param {Object} computed - { cid, sha256 } from createContentHasher
+   * @throws {Error} - With code CONTENT_MISMATCH when either differs
+   */
+  checkIntegrity(ipfsHash, { cid, sha256 }) {
+    const recorded = this.getDigest(ipfsHash);
+
+    let problem = null;
+    if (cid && cid !== ipfsHash) {
+      problem = `hashes to ${cid}`;
+    } else if (recorded && recorded !== sha256) {
+      problem = "does not match its recorded SHA-256 digest";
+    }
+    if (!problem) return;
+
+    console.error(`🚨 Integrity check failed: ${ipfsHash} ${problem}`);
+    const error = new Error(`Content retrieved for ${ipfsHash} ${problem}`);
+    error.code = "CONTENT_MISMATCH";
+    throw error;
+  }
+
+  /**
+   * Public URL of content
+   * @param {string} ipfsHash - CID of the content
+   * @returns {string} - Gateway URL, or the path of this server's file
+   *   route for providers without public URLs
+   */
+  getUrl(ipfsHash) {
+    const provider = this.providers[this.getLocation(ipfsHash)];
+    return (
+      (provider || this.providers[this.defaultProvider]).url(ipfsHash) ||
+      `/api/upload/file/${ipfsHash}`
+    );
+  }
+
+  /**
+   * Upload a file and its metadata document
+   * @param {Buffer|Readable} content - The file buffer, or a stream of it
    * @param {string} fileName - The original file name
    * @param {Object} metadata - Additional metadata
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Storage provider; the default
+   *   provider if omitted
    * @returns {Promise<Object>} - IPFS hash and metadata
    */
-  async uploadFile(fileBuffer, fileName, metadata = {}) {
+  async uploadFile(content, fileName, metadata = {}, { provider } = {}) {
     try {
-      console.log(`📤 Uploading file to IPFS: ${fileName}`);
-
-      // Create file object with metadata
-      const fileObject = {
-        path: fileName,
-        content: fileBuffer,
-      };
-
-      // Add file to IPFS
-      const result = await this.client.add(fileObject, {
-        progress: (bytes) => {
-          console.log(`⏳ Upload progress: ${bytes} bytes`);
-        },
-        pin: true, // Pin the file to ensure it stays on the network
-      });
+      const target = this.getProvider(provider);
+      console.log(`📤 Uploading file to ${target.name}: ${fileName}`);
 
-      const ipfsHash = result.cid.toString();
-      console.log(`✅ File uploaded to IPFS: ${ipfsHash}`);
+      const {
+        cid: ipfsHash,
+        size: fileSize,
+        sha256,
+      } = await this.store(target, content, fileName);
+      console.log(`✅ File uploaded: ${ipfsHash}`);
 
       // Upload metadata as well
       const metadataObject = {
         fileName,
-        fileSize: fileBuffer.length,
+        fileSize,
         uploadedAt: new Date().toISOString(),
         contentHash: ipfsHash,
+        contentSha256: sha256,
         ...metadata,
       };
 
-      const metadataResult = await this.client.add(
-        JSON.stringify(metadataObject, null, 2),
-        { pin: true }
+      const { cid: metadataHash } = await this.store(
+        target,
+        Buffer.from(JSON.stringify(metadataObject, null, 2))
       );
-
-      const metadataHash = metadataResult.cid.toString();
-      console.log(`✅ Metadata uploaded to IPFS: ${metadataHash}`);
+      console.log(`✅ Metadata uploaded: ${metadataHash}`);
 
       return {
         success: true,
         ipfsHash,
         metadataHash,
+        metadataSha256: generateMetadataHash(metadataObject),
         fileName,
-        fileSize: fileBuffer.length,
+        fileSize,
+        sha256,
+        storageProvider: target.name,
         metadata: metadataObject,
-        ipfsUrl: `https://ipfs.io/ipfs/${ipfsHash}`,
-        metadataUrl: `https://ipfs.io/ipfs/${metadataHash}`,
+        ipfsUrl: this.getUrl(ipfsHash),
+        metadataUrl: this.getUrl(metadataHash),
       };
     } catch (error) {
-      console.error("❌ IPFS upload error:", error);
-      throw new Error(`Failed to upload to IPFS: ${error.message}`);
+      if (error.code === "STORAGE_UNAVAILABLE") throw error;
+      console.error("❌ Storage upload error:", error);
+      throw new Error(`Failed to upload to storage: ${error.message}`);
     }
   }
 
   /**
-   * Retrieve file from IPFS
+   * Upload a JSON document unencrypted, for documents that are public by
+   * design such as licence terms
+   * @param {Object} document - Document to upload
+   * @param {Object} [options]
+   * @param {string} [options.provider] - Storage provider; the default
+   *   provider if omitted
+   * @returns {Promise<Object>} - IPFS hash and URL
+   */
+  async uploadJSON(document, { provider } = {}) {
+    try {
+      const { cid: ipfsHash } = await this.store(
+        this.getProvider(provider),
+        Buffer.from(JSON.stringify(document, null, 2))
+      );
+      console.log(`✅ Document uploaded: ${ipfsHash}`);
+
+      return {
+        ipfsHash,
+        ipfsUrl: this.getUrl(ipfsHash),
+      };
+    } catch (error) {
+      if (error.code === "STORAGE_UNAVAILABLE") throw error;
+      console.error("❌ Storage document upload error:", error);
+      throw new Error(`Failed to upload document to storage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieve a file and check it against its CID and recorded digest
    * @param {string} ipfsHash - The IPFS hash of the file
+   * @param {Object} options - Options passed to the provider (e.g. timeout)
    * @returns {Promise<Buffer>} - File content as buffer
+   * @throws {Error} - With code CONTENT_MISMATCH when the content is not
+   *   what was stored
    */
-  async getFile(ipfsHash) {
+  async getFile(ipfsHash, options = {}) {
+    let fileBuffer;
     try {
-      console.log(`📥 Retrieving file from IPFS: ${ipfsHash}`);
+      const provider = this.providerFor(ipfsHash);
+      console.log(`📥 Retrieving file from ${provider.name}: ${ipfsHash}`);
 
       const chunks = [];
-      for await (const chunk of this.client.cat(ipfsHash)) {
+      for await (const chunk of provider.cat(ipfsHash, options)) {
         chunks.push(chunk);
       }
 
-      const fileBuffer = Buffer.concat(chunks);
-      console.log(`✅ File retrieved from IPFS: ${fileBuffer.length} bytes`);
-
-      return fileBuffer;
+      fileBuffer = Buffer.concat(chunks);
+      console.log(`✅ File retrieved: ${fileBuffer.length} bytes`);
     } catch (error) {
-      console.error("❌ IPFS retrieval error:", error);
-      throw new Error(`Failed to retrieve from IPFS: ${error.message}`);
+      console.error("❌ Storage retrieval error:", error);
+      throw new Error(`Failed to retrieve from storage: ${error.message}`);
     }
+
+    const hasher = createContentHasher(ipfsHash);
+    hasher.update(fileBuffer);
+    this.checkIntegrity(ipfsHash, hasher.digest());
+
+    return fileBuffer;
   }
 
   /**
-   * Get file metadata from IPFS
+   * Stream a file without buffering it, checking it against its CID and
+   * recorded digest on the way. The check can only pass or fail at the end,
+   * when everything but the last chunk has been passed on, so a mismatch
+   * ends the stream with a CONTENT_MISMATCH error. Consumers that serve the
+   * content hold it until then (see contentService.spool).
+   * @param {string} ipfsHash - The IPFS hash of the file
+   * @returns {Readable} - Readable stream of the file content
+   */
+  getFileStream(ipfsHash) {
+    const provider = this.providerFor(ipfsHash);
+    console.log(`📥 Streaming file from ${provider.name}: ${ipfsHash}`);
+
+    const service = this;
+    const hasher = createContentHasher(ipfsHash);
+    let held = null;
+    return pipeline(
+      Readable.from(provider.cat(ipfsHash), { objectMode: false }),
+      new Transform({
+        transform(chunk, encoding, callback) {
+          hasher.update(chunk);
+          const previous = held;
+          held = chunk;
+          callback(null, previous);
+        },
+        flush(callback) {
+          try {
+            service.checkIntegrity(ipfsHash, hasher.digest());
+            callback(null, held);
+          } catch (error) {
+            callback(error);
+          }
+        },
+      }),
+      () => {}
+    );
+  }
+
+  /**
+   * Get a metadata document
    * @param {string} metadataHash - The IPFS hash of the metadata
+   * @param {Object} options - Options passed to the provider (e.g. timeout)
    * @returns {Promise<Object>} - Parsed metadata
    */
-  async getMetadata(metadataHash) {
+  async getMetadata(metadataHash, options = {}) {
     try {
-      console.log(`📥 Retrieving metadata from IPFS: ${metadataHash}`);
+      console.log(`📥 Retrieving metadata: ${metadataHash}`);
 
-      const metadataBuffer = await this.getFile(metadataHash);
+      const metadataBuffer = await this.getFile(metadataHash, options);
       const metadata = JSON.parse(metadataBuffer.toString());
 
-      console.log(`✅ Metadata retrieved from IPFS`);
+      console.log(`✅ Metadata retrieved`);
       return metadata;
     } catch (error) {
-      console.error("❌ IPFS metadata retrieval error:", error);
-      throw new Error(
-        `Failed to retrieve metadata from IPFS: ${error.message}`
-      );
+      console.error("❌ Metadata retrieval error:", error);
+      throw new Error(`Failed to retrieve metadata: ${error.message}`);
     }
   }
 
@@ -134,46 +387,56 @@ class IPFSService {
    */
   async pinFile(ipfsHash) {
     try {
-      console.log(`📌 Pinning file to IPFS: ${ipfsHash}`);
-      await this.client.pin.add(ipfsHash);
+      console.log(`📌 Pinning file: ${ipfsHash}`);
+      await this.providerFor(ipfsHash).pin(ipfsHash);
       console.log(`✅ File pinned successfully`);
       return true;
     } catch (error) {
-      console.error("❌ IPFS pinning error:", error);
+      console.error("❌ Pinning error:", error);
       return false;
     }
   }
 
   /**
-   * Check if IPFS client is connected
+   * Unpin a file so its provider may delete it
+   * @param {string} ipfsHash - The IPFS hash to unpin
+   * @returns {Promise<boolean>} - Success status; true when the file was not
+   *   pinned
+   */
+  async unpinFile(ipfsHash) {
+    try {
+      console.log(`📍 Unpinning file: ${ipfsHash}`);
+      await this.providerFor(ipfsHash).unpin(ipfsHash);
+      return true;
+    } catch (error) {
+      console.error("❌ Unpinning error:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Check if the default provider is reachable
    * @returns {Promise<boolean>} - Connection status
    */
   async isConnected() {
     try {
-      await this.client.version();
+      await this.getProvider().getInfo();
       return true;
     } catch (error) {
-      console.error("❌ IPFS connection error:", error);
+      console.error("❌ Storage connection error:", error);
       return false;
     }
   }
 
   /**
-   * Get IPFS node information
-   * @returns {Promise<Object>} - Node information
+   * Get information on the default provider
+   * @returns {Promise<Object>} - Provider information
    */
   async getNodeInfo() {
     try {
-      const version = await this.client.version();
-      const id = await this.client.id();
-      return {
-        version: version.version,
-        nodeId: id.id,
-        agentVersion: id.agentVersion,
-        protocolVersion: id.protocolVersion,
-      };
+      return await this.getProvider().getInfo();
     } catch (error) {
-      console.error("❌ Failed to get IPFS node info:", error);
+      console.error("❌ Failed to get storage info:", error);
       return null;
     }
   }
@@ -0,0 +1,89 @@
+const indexerService = require("./indexerService");
+const { isSameAptosAddress } = require("../utils/helpers");
+
+/**
+ * Current chain time in seconds
+ * @returns {number} - Unix timestamp in seconds
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+class LicenseService {
+  /**
+   * Combine a purchase with its licence. Purchases of datasets sold without
+   * a licence period have no licence and never expire.
+   * @param {Object} purchase - Purchase as returned by the contract
+   * @param {Object|undefined} license - Licence as returned by the contract
+   * @param {number} [now] - Current time in seconds
+   * @returns {Object} - { datasetId, tierId, seller, price, purchasedAt,
+   *   startedAt, expiresAt, renewals, status }; expiresAt is null for
+   *   perpetual access and tierId for purchases made without a tier
+   */
+  describe(purchase, license, now = nowSeconds()) {
+    const expiresAt = license ? parseInt(license.expires_at) : null;
+    return {
+      datasetId: parseInt(purchase.dataset_id),
+      tierId: purchase.tier_id ? parseInt(purchase.tier_id) : null,
+      seller: purchase.seller,
+      price: purchase.price,
+      purchasedAt: purchase.purchased_at,
+      startedAt: license ? license.started_at : purchase.purchased_at,
+      expiresAt,
+      renewals: license ? parseInt(license.renewals) : 0,
+      status: expiresAt === null || expiresAt > now ? "active" : "expired",
+    };
+  }
+
+  /**
+   * Every licence held by a buyer, one per purchase
+   * @param {string} buyerAddress - Buyer address
+   * @returns {Promise<Array>} - Described licences (see describe)
+   */
+  async listLicenses(buyerAddress) {
+    const [purchases, licenses] = await Promise.all([
+      indexerService.getPurchasesByBuyer(buyerAddress),
+      indexerService.getLicensesByBuyer(buyerAddress),
+    ]);
+    const now = nowSeconds();
+
+    return purchases.map((purchase) =>
+      this.describe(
+        purchase,
+        licenses.find((license) => license.dataset_id === purchase.dataset_id),
+        now
+      )
+    );
+  }
+
+  /**
+   * A buyer's licence for one dataset
+   * @param {string} buyerAddress - Buyer address
+   * @param {number} datasetId - Dataset ID
+   * @returns {Promise<Object|null>} - Described licence, or null when the
+   *   dataset was not purchased
+   */
+  async getLicense(buyerAddress, datasetId) {
+    const licenses = await this.listLicenses(buyerAddress);
+    return (
+      licenses.find((license) => license.datasetId === Number(datasetId)) ||
+      null
+    );
+  }
+
+  /**
+   * Whether an address holds an expired licence for a dataset; used to
+   * explain why access was denied
+   * @param {Object} dataset - Dataset
+   * @param {string} address - Authenticated address
+   * @returns {Promise<Object|null>} - The expired licence, or null
+   */
+  async findExpiredLicense(dataset, address) {
+    if (isSameAptosAddress(dataset.owner, address)) return null;
+
+    const license = await this.getLicense(address, dataset.id);
+    return license && license.status === "expired" ? license : null;
+  }
+}
+
+module.exports = new LicenseService();
@@ -0,0 +1,220 @@
+const Joi = require("joi");
+
+const ipfsService = require("./ipfsService");
+const { JsonStore } = require("../utils/jsonStore");
+const { generateMetadataHash } = require("../utils/helpers");
+
+const tabularDataSchema = Joi.object({
+  totalRows: Joi.number().integer().min(0).required(),
+  totalColumns: Joi.number().integer().min(0).required(),
+  headers: Joi.array().items(Joi.string().allow("")).required(),
+  sampleData: Joi.array().items(Joi.array()),
+}).unknown(true);
+
+// Shape of the metadata document written by ipfsService.uploadFile
+const metadataDocumentSchema = Joi.object({
+  fileName: Joi.string().required(),
+  fileSize: Joi.number().integer().min(0).required(),
+  uploadedAt: Joi.date().iso().required(),
+  contentHash: Joi.string().required(),
+  mimeType: Joi.string(),
+  title: Joi.string(),
+  description: Joi.string(),
+  category: Joi.string(),
+  price: Joi.number().min(0),
+  format: Joi.string(),
+  tabularData: tabularDataSchema,
+  csvData: tabularDataSchema, // Written by uploads before tabularData
+  profile: Joi.object({
+    rowCount: Joi.number().integer().min(0).required(),
+    columns: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().allow("").required(),
+          type: Joi.string().required(),
+        }).unknown(true)
+      )
+      .required(),
+  }).unknown(true),
+}).unknown(true);
+
+class MetadataService {
+  constructor() {
+    // Upload details keyed by the IPFS hash of the dataset file, which is the
+    // value stored on chain as Dataset.ipfs_hash
+    this.store = new JsonStore("metadata.json", { uploads: {} });
+
+    // Resolved metadata keyed by dataset IPFS hash. Both hashes are content
+    // addresses, so a resolved document only expires to bound memory use.
+    this.cache = new Map();
+    this.inFlight = new Map();
+    this.cacheTTL = parseInt(process.env.METADATA_CACHE_TTL) || 60 * 60 * 1000;
+    this.failureTTL = 60 * 1000;
+    this.maxCacheEntries = 500;
+    this.fetchTimeout = parseInt(process.env.METADATA_FETCH_TIMEOUT) || 10000;
+  }
+
+  /**
+   * Record details of an upload so they can be joined to the on-chain dataset
+   * @param {string} ipfsHash - IPFS hash of the dataset file
+   * @param {Object} details - Upload details (metadataHash, headers, ...)
+   */
+  recordUpload(ipfsHash, details) {
+    this.store.update((data) => {
+      data.uploads[ipfsHash] = {
+        ...data.uploads[ipfsHash],
+        ...details,
+        recordedAt: new Date().toISOString(),
+      };
+    });
+    this.invalidate(ipfsHash);
+  }
+
+  /**
+   * Get the recorded details of an upload
+   * @param {string} ipfsHash - IPFS hash of the dataset file
+   * @returns {Object|null} - Upload details or null
+   */
+  getUpload(ipfsHash) {
+    return this.store.read().uploads[ipfsHash] || null;
+  }
+
+  /**
+   * Resolve and validate the IPFS metadata document of an on-chain dataset.
+   * The result carries a status of "valid", "invalid" (fetched but failed
+   * validation), "missing" (no metadata CID recorded for the dataset) or
+   * "unavailable" (the document could not be fetched or parsed).
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Object>} - Resolution result
+   */
+  async resolveMetadata(dataset) {
+    const key = dataset.ipfs_hash;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { ...cached.result, cached: true };
+    }
+
+    // Share one IPFS fetch between concurrent requests for the same dataset
+    if (!this.inFlight.has(key)) {
+      const pending = this.fetchAndValidate(dataset)
+        .then((result) => {
+          this.cacheResult(key, result);
+          return result;
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, pending);
+    }
+
+    return { ...(await this.inFlight.get(key)), cached: false };
+  }
+
+  /**
+   * Fetch the metadata document from IPFS and validate it
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Object>} - Resolution result
+   */
+  async fetchAndValidate(dataset) {
+    const upload = this.getUpload(dataset.ipfs_hash);
+    const resolvedAt = new Date().toISOString();
+
+    if (!upload || !upload.metadataHash) {
+      return {
+        status: "missing",
+        metadataHash: null,
+        document: null,
+        errors: ["No metadata document is recorded for this dataset"],
+        resolvedAt,
+      };
+    }
+
+    const { metadataHash } = upload;
+    let document;
+    try {
+      document = await ipfsService.getMetadata(metadataHash, {
+        timeout: this.fetchTimeout,
+      });
+    } catch (error) {
+      return {
+        status: "unavailable",
+        metadataHash,
+        document: null,
+        errors: [error.message],
+        resolvedAt,
+      };
+    }
+
+    const errors = this.validateDocument(document, dataset);
+    return {
+      status: errors.length === 0 ? "valid" : "invalid",
+      metadataHash,
+      document,
+      errors,
+      resolvedAt,
+    };
+  }
+
+  /**
+   * Check a metadata document against its schema and the on-chain dataset
+   * @param {*} document - Parsed metadata document
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Array<string>} - Validation errors (empty when valid)
+   */
+  validateDocument(document, dataset) {
+    const { error } = metadataDocumentSchema.validate(document, {
+      abortEarly: false,
+    });
+    if (error) {
+      return error.details.map((detail) => detail.message);
+    }
+
+    const errors = [];
+    const upload = this.getUpload(dataset.ipfs_hash) || {};
+    if (
+      upload.metadataSha256 &&
+      generateMetadataHash(document) !== upload.metadataSha256
+    ) {
+      errors.push("Document does not match the digest recorded at upload");
+    }
+    if (document.contentHash !== dataset.ipfs_hash) {
+      errors.push(
+        `"contentHash" ${document.contentHash} does not match the dataset IPFS hash ${dataset.ipfs_hash}`
+      );
+    }
+    // The title is not compared: sellers can edit their listing after
+    // upload, so the document keeps the title the dataset was uploaded with
+    for (const key of ["tabularData", "csvData"]) {
+      const tabular = document[key];
+      if (tabular && tabular.headers.length !== tabular.totalColumns) {
+        errors.push(`"${key}.headers" does not match "${key}.totalColumns"`);
+      }
+    }
+    return errors;
+  }
+
+  /**
+   * Cache a resolution result, evicting the oldest entry when full
+   * @param {string} key - Dataset IPFS hash
+   * @param {Object} result - Resolution result
+   */
+  cacheResult(key, result) {
+    // Retry documents that could not be fetched sooner than resolved ones
+    const ttl =
+      result.status === "unavailable" ? this.failureTTL : this.cacheTTL;
+
+    this.cache.delete(key);
+    this.cache.set(key, { result, expiresAt: Date.now() + ttl });
+    if (this.cache.size > this.maxCacheEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop the cached metadata of a dataset
+   * @param {string} ipfsHash - IPFS hash of the dataset file
+   */
+  invalidate(ipfsHash) {
+    this.cache.delete(ipfsHash);
+  }
+}
+
+module.exports = new MetadataService();
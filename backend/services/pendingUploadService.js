@@ -0,0 +1,227 @@
+const indexerService = require("./indexerService");
+const ipfsService = require("./ipfsService");
+const { JsonStore } = require("../utils/jsonStore");
+const { isSameAptosAddress } = require("../utils/helpers");
+
+// How long settled entries are kept for reporting
+const SETTLED_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+class PendingUploadService {
+  constructor() {
+    // Uploads pinned to IPFS whose listing transaction has not been seen on
+    // chain yet, keyed by the IPFS hash of the file
+    this.store = new JsonStore("pending-uploads.json", { uploads: {} });
+    this.uploadTTL =
+      parseInt(process.env.PENDING_UPLOAD_TTL) || 24 * 60 * 60 * 1000; // 24h
+    this.interval = parseInt(process.env.INDEXER_POLL_INTERVAL) || 10000;
+    this.timer = null;
+    this.reconciling = null;
+  }
+
+  /**
+   * Start reconciling the ledger against the event index
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.reconcile(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop reconciling
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Record an upload that waits for its transaction
+   * @param {Object} upload
+   * @param {string} upload.kind - dataset or version
+   * @param {string} upload.ipfsHash - IPFS hash of the file
+   * @param {string} upload.owner - Uploader address
+   * @param {string} upload.title - Dataset title
+   * @param {number|null} upload.datasetId - Dataset a version belongs to
+   * @param {Array<string>} upload.pins - Every hash pinned for the upload:
+   *   the file, its metadata document and licence terms documents
+   * @returns {Object} - Ledger entry
+   */
+  track({ kind, ipfsHash, owner, title, datasetId = null, pins }) {
+    const now = Date.now();
+    const entry = {
+      ipfsHash,
+      kind,
+      owner,
+      title,
+      datasetId,
+      pins: [...new Set([ipfsHash, ...pins.filter(Boolean)])],
+      status: "pending",
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + this.uploadTTL).toISOString(),
+      confirmedAt: null,
+      version: null,
+      transactionVersion: null,
+      expiredAt: null,
+      unpinned: [],
+      unpinnedAt: null,
+    };
+
+    this.store.update((data) => {
+      data.uploads[ipfsHash] = entry;
+    });
+    return { ...entry };
+  }
+
+  /**
+   * Run one reconciliation pass. Concurrent callers share the same pass.
+   * @returns {Promise<Object>} - Counts of entries confirmed, expired and
+   *   unpinned by the pass
+   */
+  reconcile() {
+    if (!this.reconciling) {
+      this.reconciling = this.runReconcile()
+        .catch((error) => {
+          console.error("❌ Pending upload reconciliation failed:", error);
+          return { confirmed: 0, expired: 0, unpinned: 0 };
+        })
+        .finally(() => {
+          this.reconciling = null;
+        });
+    }
+    return this.reconciling;
+  }
+
+  /**
+   * Match entries to indexed dataset versions, expire the ones whose time is
+   * up and unpin the files of expired entries
+   * @returns {Promise<Object>} - { confirmed, expired, unpinned }
+   */
+  async runReconcile() {
+    const result = { confirmed: 0, expired: 0, unpinned: 0 };
+
+    // Without a complete pass the index cannot tell an upload that was never
+    // listed from one that was not indexed yet
+    const { ready, lastSyncStartedAt } = indexerService.getStatus();
+    if (!ready || !lastSyncStartedAt) return result;
+    const indexedFrom = Date.parse(lastSyncStartedAt);
+
+    this.store.update((data) => {
+      for (const entry of Object.values(data.uploads)) {
+        if (entry.status === "confirmed") continue;
+
+        const published = indexerService.findVersionByIpfsHash(entry.ipfsHash);
+        if (published) {
+          if (entry.status === "expired") {
+            console.warn(
+              `⚠️ Upload ${entry.ipfsHash} was listed after it expired`
+            );
+          }
+          Object.assign(entry, {
+            status: "confirmed",
+            datasetId: parseInt(published.dataset_id),
+            version: parseInt(published.version),
+            transactionVersion: published.transaction_version,
+            confirmedAt: new Date().toISOString(),
+          });
+          result.confirmed++;
+        } else if (
+          entry.status === "pending" &&
+          // Only a pass that started after the deadline has seen every
+          // transaction committed before it
+          Date.parse(entry.expiresAt) < indexedFrom
+        ) {
+          Object.assign(entry, {
+            status: "expired",
+            expiredAt: new Date().toISOString(),
+          });
+          result.expired++;
+        }
+      }
+      this.prune(data);
+    });
+
+    for (const entry of Object.values(this.store.read().uploads)) {
+      if (entry.status === "expired" && !entry.unpinnedAt) {
+        result.unpinned += await this.unpin(entry);
+      }
+    }
+
+    if (result.confirmed || result.expired || result.unpinned) {
+      console.log(
+        `🧾 Pending uploads: ${result.confirmed} confirmed, ${result.expired} expired, ${result.unpinned} files unpinned`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Unpin the files of an abandoned upload. Hashes that fail are retried on
+   * the next pass.
+   * @param {Object} entry - Expired ledger entry
+   * @returns {Promise<number>} - Number of hashes unpinned
+   */
+  async unpin(entry) {
+    const unpinned = [];
+    for (const hash of entry.pins) {
+      if (entry.unpinned.includes(hash)) continue;
+      if (await ipfsService.unpinFile(hash)) unpinned.push(hash);
+    }
+
+    this.store.update((data) => {
+      const current = data.uploads[entry.ipfsHash];
+      // Listed while its files were being unpinned
+      if (!current || current.status !== "expired") return;
+
+      current.unpinned = [...current.unpinned, ...unpinned];
+      if (current.pins.every((hash) => current.unpinned.includes(hash))) {
+        current.unpinnedAt = new Date().toISOString();
+      }
+    });
+    return unpinned.length;
+  }
+
+  /**
+   * Drop settled entries past the retention period
+   * @param {Object} data - Store contents
+   */
+  prune(data) {
+    const cutoff = Date.now() - SETTLED_RETENTION;
+    for (const [hash, entry] of Object.entries(data.uploads)) {
+      const settledAt =
+        entry.status === "confirmed" ? entry.confirmedAt : entry.unpinnedAt;
+      if (settledAt && Date.parse(settledAt) < cutoff) {
+        delete data.uploads[hash];
+      }
+    }
+  }
+
+  /**
+   * Ledger entries of an uploader, newest first
+   * @param {string} owner - Uploader address
+   * @param {string} [status] - Only entries with this status
+   * @returns {Array} - Ledger entries
+   */
+  listByOwner(owner, status) {
+    return Object.values(this.store.read().uploads)
+      .filter(
+        (entry) =>
+          isSameAptosAddress(entry.owner, owner) &&
+          (!status || entry.status === status)
+      )
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Get a ledger entry
+   * @param {string} ipfsHash - IPFS hash of the file
+   * @returns {Object|null} - Ledger entry or null
+   */
+  getEntry(ipfsHash) {
+    const entry = this.store.read().uploads[ipfsHash];
+    return entry ? { ...entry } : null;
+  }
+}
+
+module.exports = new PendingUploadService();
@@ -0,0 +1,413 @@
+const indexerService = require("./indexerService");
+const ipfsService = require("./ipfsService");
+const { PROVIDER_NAMES, buildProvider, getChunker } = require("./storage");
+const RemotePinningService = require("./storage/remotePinningService");
+const { JsonStore } = require("../utils/jsonStore");
+
+const PINNING_SERVICE = "pinning-service";
+
+/**
+ * Create the pinning targets configured in PIN_TARGETS, a JSON array of
+ * { name, type, ...options } where type is a storage provider (with the
+ * options of its class) or "pinning-service" ({ endpoint, accessToken })
+ * @param {string} [config] - PIN_TARGETS value
+ * @returns {Array<Object>} - Targets ({ name, type, client })
+ */
+function createTargets(config) {
+  if (!config) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(config);
+  } catch (error) {
+    throw new Error(`PIN_TARGETS is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error("PIN_TARGETS must be a JSON array");
+  }
+
+  const names = new Set();
+  return entries.map(({ name, type, ...options }) => {
+    if (!name || names.has(name)) {
+      throw new Error(`Pinning targets need unique names, got "${name}"`);
+    }
+    names.add(name);
+
+    if (type === PINNING_SERVICE) {
+      return { name, type, client: new RemotePinningService(options) };
+    }
+    if (!PROVIDER_NAMES.includes(type)) {
+      throw new Error(
+        `Unknown type "${type}" for pinning target ${name}, expected one of ${[
+          ...PROVIDER_NAMES,
+          PINNING_SERVICE,
+        ].join(", ")}`
+      );
+    }
+    // Copies must be chunked like the originals to keep their CIDs
+    return {
+      name,
+      type,
+      client: buildProvider(type, { ...options, chunker: getChunker() }),
+    };
+  });
+}
+
+class PinningService {
+  constructor() {
+    // Every dataset file is replicated to each of these targets on top of
+    // the storage provider it was uploaded to
+    this.targets = createTargets(process.env.PIN_TARGETS);
+    this.interval = parseInt(process.env.PIN_CHECK_INTERVAL) || 60 * 60 * 1000; // 1h
+    this.timeout = parseInt(process.env.PIN_CHECK_TIMEOUT) || 60000;
+    // Replication state of every indexed file, keyed by dataset ID then CID
+    this.store = new JsonStore("pins.json", {
+      lastCheckedAt: null,
+      datasets: {},
+    });
+    this.timer = null;
+    this.checking = null;
+  }
+
+  /**
+   * Start checking replicas on a schedule. Does nothing without targets.
+   */
+  start() {
+    if (this.timer || this.targets.length === 0) return;
+
+    console.log(
+      `📌 Pinning manager started: ${this.targets
+        .map((target) => target.name)
+        .join(", ")}, checking every ${this.interval / 1000}s`
+    );
+    // The first check waits for the indexer's first pass
+    indexerService.sync().then(() => this.check());
+    this.timer = setInterval(() => this.check(), this.interval);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop checking
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one check. Concurrent callers share the same check.
+   * @returns {Promise<Object>} - Counts of replicas checked, replicated and
+   *   re-pinned by the check, and of failures
+   */
+  check() {
+    if (!this.checking) {
+      this.checking = this.runCheck()
+        .catch((error) => {
+          console.error("❌ Pin check failed:", error);
+          return { checked: 0, replicated: 0, repinned: 0, failed: 0 };
+        })
+        .finally(() => {
+          this.checking = null;
+        });
+    }
+    return this.checking;
+  }
+
+  /**
+   * Check every indexed dataset file on every target, replicating it where
+   * it is missing
+   * @returns {Promise<Object>} - { checked, replicated, repinned, failed }
+   */
+  async runCheck() {
+    const result = { checked: 0, replicated: 0, repinned: 0, failed: 0 };
+    if (!indexerService.isReady()) return result;
+
+    const versions = indexerService.getIndexedVersions();
+
+    // Forget files that are no longer indexed, e.g. after a reindex
+    const indexed = new Set(versions.map((version) => version.ipfs_hash));
+    this.store.update((data) => {
+      for (const [datasetId, dataset] of Object.entries(data.datasets)) {
+        for (const cid of Object.keys(dataset.files)) {
+          if (!indexed.has(cid)) delete dataset.files[cid];
+        }
+        if (Object.keys(dataset.files).length === 0) {
+          delete data.datasets[datasetId];
+        }
+      }
+    });
+
+    for (const version of versions) {
+      const cid = version.ipfs_hash;
+      const previous =
+        (this.store.read().datasets[version.dataset_id] || { files: {} }).files[
+          cid
+        ] || {};
+
+      const file = {
+        version: parseInt(version.version),
+        source: await this.checkSource(cid),
+        targets: {},
+      };
+      for (const target of this.targets) {
+        const replica = await this.checkTarget(
+          target,
+          cid,
+          file.source,
+          (previous.targets || {})[target.name] || {}
+        );
+        file.targets[target.name] = replica;
+
+        result.checked++;
+        if (replica.status === "failed") result.failed++;
+        else if (replica.lastRepinAt === replica.checkedAt) result.repinned++;
+        else if (replica.replicatedAt === replica.checkedAt) {
+          result.replicated++;
+        }
+      }
+
+      // Saved per file so the report shows progress through long checks
+      this.store.update((data) => {
+        const dataset = (data.datasets[version.dataset_id] = data.datasets[
+          version.dataset_id
+        ] || { files: {} });
+        dataset.files[cid] = file;
+      });
+    }
+
+    this.store.update((data) => {
+      data.lastCheckedAt = new Date().toISOString();
+    });
+
+    if (result.replicated || result.repinned || result.failed) {
+      console.log(
+        `📌 Pin check: ${result.checked} replicas checked, ${result.replicated} replicated, ${result.repinned} re-pinned, ${result.failed} failed`
+      );
+    }
+    return result;
+  }
+
+  /**
+   * Check that the storage provider a file was uploaded to still holds it
+   * @param {string} cid - CID of the file
+   * @returns {Promise<Object>} - { provider, status } where status is
+   *   pinned, missing or unreachable
+   */
+  async checkSource(cid) {
+    let provider;
+    try {
+      provider = ipfsService.providerFor(cid);
+    } catch (error) {
+      // Uploaded to a provider that has since been disabled
+      return { provider: ipfsService.getLocation(cid), status: "unreachable" };
+    }
+
+    try {
+      const held = await withTimeout(provider.has(cid), this.timeout);
+      return { provider: provider.name, status: held ? "pinned" : "missing" };
+    } catch (error) {
+      return { provider: provider.name, status: "unreachable" };
+    }
+  }
+
+  /**
+   * Check one replica, replicating the file when the target lacks it
+   * @param {Object} target - Pinning target
+   * @param {string} cid - CID of the file
+   * @param {Object} source - Status of the file on its storage provider
+   * @param {Object} previous - Replica state from the last check
+   * @returns {Promise<Object>} - Replica state ({ status, checkedAt,
+   *   pinnedAt, replicatedAt, lastRepinAt, repins, error }) where status is
+   *   pinned, pinning, failed or unreachable
+   */
+  async checkTarget(target, cid, source, previous) {
+    const now = new Date().toISOString();
+    const replica = {
+      status: null,
+      checkedAt: now,
+      pinnedAt: previous.pinnedAt || null,
+      replicatedAt: previous.replicatedAt || null,
+      lastRepinAt: previous.lastRepinAt || null,
+      repins: previous.repins || 0,
+      error: null,
+    };
+
+    let status;
+    try {
+      status = await this.getStatus(target, cid);
+    } catch (error) {
+      return { ...replica, status: "unreachable", error: error.message };
+    }
+
+    if (status === "missing") {
+      // A replica that was pinned before has been lost
+      const lost = Boolean(replica.pinnedAt);
+      if (lost) {
+        console.warn(`⚠️ ${target.name} lost ${cid}, re-pinning`);
+      }
+
+      try {
+        status = await this.replicate(target, cid, source);
+      } catch (error) {
+        console.error(
+          `❌ Failed to pin ${cid} to ${target.name}: ${error.message}`
+        );
+        return { ...replica, status: "failed", error: error.message };
+      }
+
+      if (lost) {
+        replica.lastRepinAt = now;
+        replica.repins++;
+      } else {
+        replica.replicatedAt = now;
+      }
+    }
+
+    if (status === "pinned" && !replica.pinnedAt) replica.pinnedAt = now;
+    return { ...replica, status };
+  }
+
+  /**
+   * Whether a target holds a file
+   * @param {Object} target - Pinning target
+   * @param {string} cid - CID of the file
+   * @returns {Promise<string>} - pinned, pinning or missing
+   */
+  async getStatus(target, cid) {
+    if (target.type === PINNING_SERVICE) {
+      return target.client.status(cid, { timeout: this.timeout });
+    }
+    const held = await withTimeout(target.client.has(cid), this.timeout);
+    return held ? "pinned" : "missing";
+  }
+
+  /**
+   * Copy a file to a target. Storage providers are sent the bytes from the
+   * provider holding the file; Kubo nodes and pinning services can also
+   * fetch it from the IPFS network.
+   * @param {Object} target - Pinning target
+   * @param {string} cid - CID of the file
+   * @param {Object} source - Status of the file on its storage provider
+   * @returns {Promise<string>} - pinned, or pinning while a pinning service
+   *   fetches the file
+   */
+  async replicate(target, cid, source) {
+    if (target.type === PINNING_SERVICE) {
+      await target.client.pin(cid, { name: cid, timeout: this.timeout });
+      return "pinning";
+    }
+
+    if (source.status === "pinned") {
+      const { cid: copied } = await target.client.add(
+        ipfsService.getFileStream(cid)
+      );
+      if (copied !== cid) {
+        await target.client.unpin(copied);
+        throw new Error(
+          `Copy of ${cid} was stored as ${copied}; check that IPFS_CHUNKER matches the chunker it was uploaded with`
+        );
+      }
+      return "pinned";
+    }
+
+    if (target.type !== "kubo") {
+      throw new Error(
+        `${source.provider} does not hold ${cid} to copy it from`
+      );
+    }
+    await target.client.pin(cid, { timeout: this.timeout });
+    return "pinned";
+  }
+
+  /**
+   * Replication report of a dataset
+   * @param {string} datasetId - Dataset ID
+   * @param {Object} dataset - Stored dataset state
+   * @returns {Object} - { datasetId, health, replicas, files } where health
+   *   is healthy when every file is pinned on every target and replicas is
+   *   the fewest targets any file is pinned on
+   */
+  describe(datasetId, dataset) {
+    const files = Object.entries(dataset.files)
+      .map(([cid, file]) => ({
+        cid,
+        version: file.version,
+        source: file.source,
+        replicas: Object.values(file.targets).filter(
+          (replica) => replica.status === "pinned"
+        ).length,
+        targets: this.targets.map((target) => ({
+          name: target.name,
+          type: target.type,
+          ...(file.targets[target.name] || { status: "unchecked" }),
+        })),
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    const replicas = Math.min(...files.map((file) => file.replicas));
+    return {
+      datasetId: parseInt(datasetId),
+      health:
+        replicas === this.targets.length &&
+        files.every((file) => file.source.status === "pinned")
+          ? "healthy"
+          : "degraded",
+      replicas,
+      files,
+    };
+  }
+
+  /**
+   * Replication report of every checked dataset
+   * @param {Object} [filters]
+   * @param {string} [filters.health] - healthy or degraded
+   * @returns {Object} - { targets, checkInterval, checking, lastCheckedAt,
+   *   datasets } with datasets ordered by ID
+   */
+  getReport({ health } = {}) {
+    const data = this.store.read();
+    const datasets = Object.entries(data.datasets)
+      .map(([datasetId, dataset]) => this.describe(datasetId, dataset))
+      .filter((dataset) => !health || dataset.health === health)
+      .sort((a, b) => a.datasetId - b.datasetId);
+
+    return {
+      targets: this.targets.map(({ name, type }) => ({ name, type })),
+      checkInterval: this.interval,
+      checking: Boolean(this.checking),
+      lastCheckedAt: data.lastCheckedAt,
+      datasets,
+    };
+  }
+
+  /**
+   * Replication report of one dataset
+   * @param {number} datasetId - Dataset ID
+   * @returns {Object|null} - Dataset report, or null before its first check
+   */
+  getDatasetReport(datasetId) {
+    const dataset = this.store.read().datasets[datasetId.toString()];
+    return dataset ? this.describe(datasetId, dataset) : null;
+  }
+}
+
+/**
+ * Reject when a promise does not settle in time
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in ms
+ * @returns {Promise} - The promise's result
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${ms}ms`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+module.exports = new PinningService();
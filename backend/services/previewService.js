@@ -0,0 +1,129 @@
+const crypto = require("crypto");
+
+const contentService = require("./contentService");
+const metadataService = require("./metadataService");
+const { JsonStore } = require("../utils/jsonStore");
+const {
+  DEFAULT_PREVIEW_POLICY,
+  buildPreview,
+} = require("../utils/previewSampler");
+
+class PreviewService {
+  constructor() {
+    // Preview policies and the previews built from them, keyed by the IPFS
+    // hash of the dataset file. A preview is built once per policy so that
+    // random samples stay the same between requests.
+    this.store = new JsonStore("previews.json", { previews: {} });
+    this.inFlight = new Map();
+  }
+
+  /**
+   * Preview policy of a dataset
+   * @param {string} ipfsHash - IPFS hash of the dataset file
+   * @returns {Object} - Policy, or the default policy when none is set
+   */
+  getPolicy(ipfsHash) {
+    const entry = this.store.read().previews[ipfsHash];
+    return entry ? entry.policy : { ...DEFAULT_PREVIEW_POLICY };
+  }
+
+  /**
+   * Set the preview policy of a dataset, discarding any preview built from
+   * the previous policy
+   * @param {string} ipfsHash - IPFS hash of the dataset file
+   * @param {Object} policy - Validated policy; missing settings take their
+   *   default values
+   * @returns {Object} - Stored policy
+   */
+  setPolicy(ipfsHash, policy) {
+    const stored = { ...DEFAULT_PREVIEW_POLICY, ...policy };
+    this.store.update((data) => {
+      data.previews[ipfsHash] = {
+        policy: stored,
+        seed: crypto.randomBytes(4).readUInt32BE(0),
+        updatedAt: new Date().toISOString(),
+        preview: null,
+      };
+    });
+    return stored;
+  }
+
+  /**
+   * Get the preview of a dataset, building it on first use
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Object|null>} - { policy, headers, rows, generatedAt },
+   *   or null when the dataset is not tabular
+   */
+  async getPreview(dataset) {
+    const key = dataset.ipfs_hash;
+    const entry = this.store.read().previews[key];
+    if (entry && entry.preview) {
+      return { policy: entry.policy, ...entry.preview };
+    }
+
+    // Share one build between concurrent requests for the same policy
+    const buildKey = `${key}:${entry ? entry.seed : "default"}`;
+    if (!this.inFlight.has(buildKey)) {
+      const pending = this.build(dataset).finally(() =>
+        this.inFlight.delete(buildKey)
+      );
+      this.inFlight.set(buildKey, pending);
+    }
+    return this.inFlight.get(buildKey);
+  }
+
+  /**
+   * Build and store the preview of a dataset
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Object|null>} - Preview, or null when not tabular
+   */
+  async build(dataset) {
+    const key = dataset.ipfs_hash;
+    const entry = this.store.read().previews[key] || {
+      policy: { ...DEFAULT_PREVIEW_POLICY },
+      seed: crypto.randomBytes(4).readUInt32BE(0),
+      updatedAt: new Date().toISOString(),
+    };
+    const { policy, seed } = entry;
+
+    let preview;
+    if (policy.values === "synthetic") {
+      // Synthetic rows come from the public profile; the file is not read
+      const metadata = await metadataService.resolveMetadata(dataset);
+      if (metadata.status !== "valid" || !metadata.document.profile) {
+        return null;
+      }
+      const upload = metadataService.getUpload(key) || {};
+      preview = await buildPreview(null, policy, {
+        headers: upload.headers,
+        profile: metadata.document.profile,
+        seed,
+      });
+    } else {
+      const table = await contentService.openTable(dataset);
+      if (!table) return null;
+      try {
+        preview = await buildPreview(table.reader, policy, {
+          headers: table.headers,
+          profile: table.profile,
+          seed,
+        });
+      } finally {
+        table.close();
+      }
+    }
+
+    const generated = { ...preview, generatedAt: new Date().toISOString() };
+    this.store.update((data) => {
+      // Keep the preview only if the policy did not change meanwhile
+      const current = data.previews[key];
+      if (!current || current.seed === seed) {
+        data.previews[key] = { ...entry, preview: generated };
+      }
+    });
+
+    return { policy, ...generated };
+  }
+}
+
+module.exports = new PreviewService();
@@ -0,0 +1,122 @@
+const contentService = require("./contentService");
+const searchService = require("./searchService");
+const { parseQuery } = require("../utils/queryParser");
+const { executeQuery } = require("../utils/queryEngine");
+
+/**
+ * Make a result value safe for JSON. BigInts become numbers when they fit
+ * exactly and strings otherwise.
+ * @param {*} value - Result value
+ * @returns {*} - JSON value
+ */
+function toJSONValue(value) {
+  if (typeof value !== "bigint") return value;
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? number : value.toString();
+}
+
+class QueryService {
+  constructor() {
+    this.timeout = parseInt(process.env.QUERY_TIMEOUT) || 30000; // 30 seconds
+    this.memoryLimit =
+      parseInt(process.env.QUERY_MEMORY_LIMIT) || 64 * 1024 * 1024; // 64MB
+    this.maxConcurrent = parseInt(process.env.QUERY_MAX_CONCURRENT) || 4;
+
+    // Addresses with a query in progress; each caller may run one at a time
+    this.running = new Set();
+  }
+
+  /**
+   * Run a query against a tabular dataset and return one page of results.
+   * Every page re-reads the dataset; the page is applied on top of the
+   * query's own OFFSET and LIMIT so that memory stays bounded by the page.
+   * @param {Object} dataset - On-chain dataset
+   * @param {string} text - Query text
+   * @param {Object} options - Page options
+   * @param {string} options.address - Caller, for the concurrency limit
+   * @param {number} options.limit - Page size
+   * @param {string} [options.cursor] - Cursor from a previous page
+   * @returns {Promise<Object>} - { valid: true, columns, rows, nextCursor,
+   *   rowsScanned } or { valid: false, error, message }. Queries that break
+   *   a limit reject with an error whose code is QUERY_BUSY, QUERY_INVALID,
+   *   QUERY_TIMEOUT or QUERY_MEMORY_LIMIT.
+   */
+  async runQuery(dataset, text, { address, limit, cursor }) {
+    const parsed = parseQuery(text);
+    if (!parsed.valid) return parsed;
+
+    if (this.running.has(address) || this.running.size >= this.maxConcurrent) {
+      const error = new Error(
+        this.running.has(address)
+          ? "Wait for your previous query to finish"
+          : "Too many queries are running; try again shortly"
+      );
+      error.code = "QUERY_BUSY";
+      throw error;
+    }
+
+    this.running.add(address);
+    let table = null;
+    let timer = null;
+
+    try {
+      const pageOffset = searchService.decodeCursor(cursor);
+      const { query } = parsed;
+      const remaining =
+        query.limit === null ? Infinity : query.limit - pageOffset;
+
+      // One extra row tells whether another page follows
+      const pageQuery = {
+        ...query,
+        offset: query.offset + pageOffset,
+        limit: Math.max(0, Math.min(remaining, limit + 1)),
+      };
+
+      const deadline = Date.now() + this.timeout;
+      const timeoutError = new Error("Query took too long");
+      timeoutError.code = "QUERY_TIMEOUT";
+      // A download waiting on IPFS never reaches the engine's deadline check
+      const download = new AbortController();
+      timer = setTimeout(() => download.abort(timeoutError), this.timeout);
+
+      table = await contentService.openTable(dataset, {
+        signal: download.signal,
+      });
+      if (!table) {
+        return {
+          valid: false,
+          error: "Query not supported",
+          message: "Only tabular datasets can be queried",
+        };
+      }
+
+      const result = await executeQuery(table.reader, pageQuery, {
+        headers: table.headers,
+        profile: table.profile,
+        deadline,
+        memoryLimit: this.memoryLimit,
+      });
+
+      const rows = result.rows
+        .slice(0, limit)
+        .map((values) => values.map(toJSONValue));
+      const nextOffset = pageOffset + rows.length;
+      return {
+        valid: true,
+        columns: result.columns,
+        rows,
+        nextCursor:
+          result.rows.length > limit
+            ? searchService.encodeCursor(nextOffset)
+            : null,
+        rowsScanned: result.rowsScanned,
+      };
+    } finally {
+      clearTimeout(timer);
+      if (table) table.close();
+      this.running.delete(address);
+    }
+  }
+}
+
+module.exports = new QueryService();
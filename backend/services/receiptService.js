@@ -0,0 +1,115 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const { getDataDir } = require("../utils/jsonStore");
+
+const RECEIPT_TYPE = "datadex-license-receipt";
+
+/**
+ * Serialize a value as JSON with object keys sorted, so that a receipt
+ * always signs to the same bytes however it was built or parsed
+ * @param {*} value - JSON value
+ * @returns {string} - Canonical JSON text
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+class ReceiptService {
+  constructor() {
+    this.privateKey = this.loadSigningKey();
+    this.publicKey = crypto
+      .createPublicKey(this.privateKey)
+      .export({ type: "spki", format: "pem" });
+
+    console.log("🧾 Receipt service initialized");
+  }
+
+  /**
+   * Load the Ed25519 receipt signing key from the environment or the local
+   * key file
+   * @returns {KeyObject} - Private key
+   */
+  loadSigningKey() {
+    if (process.env.LICENSE_RECEIPT_SIGNING_KEY) {
+      const key = crypto.createPrivateKey(
+        process.env.LICENSE_RECEIPT_SIGNING_KEY.replace(/\\n/g, "\n")
+      );
+      if (key.asymmetricKeyType !== "ed25519") {
+        throw new Error("LICENSE_RECEIPT_SIGNING_KEY must be an Ed25519 key");
+      }
+      return key;
+    }
+
+    // Development fallback: generate a signing key once and keep it on disk
+    const keyPath = path.join(getDataDir(), "receipt-signing.pem");
+    if (fs.existsSync(keyPath)) {
+      return crypto.createPrivateKey(fs.readFileSync(keyPath, "utf8"));
+    }
+
+    console.warn(
+      `⚠️ LICENSE_RECEIPT_SIGNING_KEY not set, generating a local signing key at ${keyPath}`
+    );
+    const { privateKey } = crypto.generateKeyPairSync("ed25519");
+    fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+    fs.writeFileSync(
+      keyPath,
+      privateKey.export({ type: "pkcs8", format: "pem" }),
+      { mode: 0o600 }
+    );
+    return privateKey;
+  }
+
+  /**
+   * Sign a licence receipt
+   * @param {Object} details - What was licensed: dataset, buyer, seller,
+   *   tier, price, purchase time and expiry
+   * @returns {Object} - { receipt, algorithm, signature, publicKey }
+   */
+  issue(details) {
+    const receipt = {
+      type: RECEIPT_TYPE,
+      ...details,
+      issuedAt: new Date().toISOString(),
+    };
+    const signature = crypto.sign(
+      null,
+      Buffer.from(canonicalJSON(receipt)),
+      this.privateKey
+    );
+
+    return {
+      receipt,
+      algorithm: "ed25519",
+      signature: signature.toString("base64"),
+      publicKey: this.publicKey,
+    };
+  }
+
+  /**
+   * Check that a receipt was signed by this marketplace and not altered
+   * @param {Object} signed - { receipt, signature } as issued
+   * @returns {boolean} - True when the signature is valid
+   */
+  verify({ receipt, signature }) {
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalJSON(receipt)),
+      crypto.createPublicKey(this.privateKey),
+      Buffer.from(signature, "base64")
+    );
+  }
+}
+
+module.exports = new ReceiptService();
@@ -0,0 +1,546 @@
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const {
+  Account,
+  AccountAddress,
+  AccountAuthenticator,
+  Deserializer,
+  Ed25519PrivateKey,
+  Hex,
+  PrivateKey,
+  PrivateKeyVariants,
+  SimpleTransaction,
+  generateUserTransactionHash,
+} = require("@aptos-labs/ts-sdk");
+
+const aptosService = require("./aptosService");
+const { JsonStore } = require("../utils/jsonStore");
+const { isSameAptosAddress } = require("../utils/helpers");
+
+// Statuses after which a job no longer changes
+const FINAL_STATUSES = ["committed", "failed"];
+
+// Modules whose entry functions the sponsor pays gas for
+const SPONSORED_MODULES = ["Marketplace", "RewardSystem"];
+
+/**
+ * Build an error for a transaction the relay will not submit
+ * @param {string} code - RELAY_INVALID, RELAY_EXPIRED, RELAY_FORBIDDEN,
+ *   RELAY_NOT_SPONSORED or RELAY_BUDGET_EXCEEDED
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code
+ */
+function relayError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Decode a BCS-serialized value sent by a client
+ * @param {Function} type - SDK class with a static deserialize
+ * @param {string} hex - Hex encoded bytes
+ * @param {string} label - What the value is, for the error message
+ * @returns {Object} - Deserialized value
+ */
+function decodeBCS(type, hex, label) {
+  try {
+    return type.deserialize(
+      new Deserializer(Hex.fromHexInput(hex).toUint8Array())
+    );
+  } catch (error) {
+    throw relayError("RELAY_INVALID", `Could not decode ${label}`);
+  }
+}
+
+/**
+ * Current time in seconds
+ * @returns {number} - Unix timestamp in seconds
+ */
+function nowSeconds() {
+  return Math.floor(Date.now() / 1000);
+}
+
+class RelayService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Aptos access exposing aptos (SDK
+   *   client), contractAddress and serializeTransaction
+   * @param {JsonStore} options.store - Job store. Signed transactions are
+   *   not kept; a job only holds what is needed to report on it.
+   */
+  constructor({
+    client = aptosService,
+    store = new JsonStore("relay-jobs.json", { jobs: {} }),
+  } = {}) {
+    super();
+    this.client = client;
+    this.store = store;
+    this.sponsor = this.loadSponsor();
+    this.maxSponsoredFee = BigInt(
+      process.env.RELAY_MAX_SPONSORED_FEE || 20000000 // 0.2 APT
+    );
+    // Gas the sponsor pays for each account, and in total, per period
+    this.sponsorPeriod =
+      parseInt(process.env.RELAY_SPONSOR_PERIOD) || 24 * 60 * 60 * 1000; // 24h
+    this.accountBudget = BigInt(
+      process.env.RELAY_SPONSOR_ACCOUNT_BUDGET || 100000000 // 1 APT
+    );
+    this.sponsorBudget = BigInt(
+      process.env.RELAY_SPONSOR_BUDGET || 1000000000 // 10 APT
+    );
+    this.waitTimeout = parseInt(process.env.RELAY_WAIT_TIMEOUT) || 30; // seconds
+    this.retryDelay = 5000;
+    this.jobTTL = parseInt(process.env.RELAY_JOB_TTL) || 24 * 60 * 60 * 1000; // 24h
+
+    this.setMaxListeners(0);
+    this.resume();
+
+    console.log(
+      `📮 Transaction relay initialized${
+        this.sponsor
+          ? `, sponsoring gas from ${this.sponsor.accountAddress}`
+          : ""
+      }`
+    );
+  }
+
+  /**
+   * Load the account that pays gas for sponsored transactions
+   * @returns {Account|null} - Sponsor account, or null without sponsorship
+   */
+  loadSponsor() {
+    if (!process.env.RELAY_SPONSOR_PRIVATE_KEY) return null;
+
+    return Account.fromPrivateKey({
+      privateKey: new Ed25519PrivateKey(
+        PrivateKey.formatPrivateKey(
+          process.env.RELAY_SPONSOR_PRIVATE_KEY,
+          PrivateKeyVariants.Ed25519
+        )
+      ),
+    });
+  }
+
+  /**
+   * Relay configuration for clients
+   * @returns {Object} - { sponsored, sponsorAddress, maxSponsoredFee,
+   *   accountBudget, sponsorPeriod }
+   */
+  getConfig() {
+    return {
+      sponsored: Boolean(this.sponsor),
+      sponsorAddress: this.sponsor
+        ? this.sponsor.accountAddress.toString()
+        : null,
+      maxSponsoredFee: this.sponsor ? this.maxSponsoredFee.toString() : null,
+      accountBudget: this.sponsor ? this.accountBudget.toString() : null,
+      sponsorPeriod: this.sponsor ? this.sponsorPeriod : null,
+    };
+  }
+
+  /**
+   * Decode a transaction sent by the signed-in account
+   * @param {string} transactionHex - BCS-serialized SimpleTransaction
+   * @param {string} senderAddress - Signed-in address, which must be the
+   *   transaction's sender
+   * @returns {SimpleTransaction} - Transaction
+   */
+  decodeTransaction(transactionHex, senderAddress) {
+    const transaction = decodeBCS(
+      SimpleTransaction,
+      transactionHex,
+      "transaction"
+    );
+    const raw = transaction.rawTransaction;
+
+    // Sessions only relay their own transactions, so one account cannot
+    // spend the sponsor's budget on transactions collected from others
+    if (!isSameAptosAddress(raw.sender.toString(), senderAddress)) {
+      throw relayError(
+        "RELAY_FORBIDDEN",
+        "Only transactions sent by the signed-in account can be relayed"
+      );
+    }
+
+    if (Number(raw.expiration_timestamp_secs) <= nowSeconds()) {
+      throw relayError("RELAY_EXPIRED", "The transaction has expired");
+    }
+    return transaction;
+  }
+
+  /**
+   * Turn a transaction from a build route into one the sponsor pays gas
+   * for. Build routes leave the fee payer out so clients can submit their
+   * transactions themselves; clients choosing the relay sign this one
+   * instead and submit it here.
+   * @param {string} transactionHex - BCS-serialized SimpleTransaction
+   * @param {string} senderAddress - Signed-in address, which must be the
+   *   transaction's sender
+   * @returns {Object} - The fee payer transaction, as described by
+   *   serializeTransaction
+   */
+  prepareSponsored(transactionHex, senderAddress) {
+    if (!this.sponsor) {
+      throw relayError(
+        "RELAY_NOT_SPONSORED",
+        "This relay does not sponsor gas; submit the transaction as built"
+      );
+    }
+
+    const transaction = this.decodeTransaction(transactionHex, senderAddress);
+    if (transaction.feePayerAddress) {
+      throw relayError(
+        "RELAY_INVALID",
+        "The transaction already has a fee payer"
+      );
+    }
+
+    // The sender signs over an unset fee payer, which the sponsor fills in
+    const sponsored = new SimpleTransaction(
+      transaction.rawTransaction,
+      AccountAddress.ZERO
+    );
+    this.checkSponsorable(sponsored);
+    return this.client.serializeTransaction(sponsored);
+  }
+
+  /**
+   * Accept a signed transaction for submission. Checks happen before the
+   * job is created; submission and confirmation continue in the background.
+   * @param {string} transactionHex - BCS-serialized SimpleTransaction
+   * @param {string} authenticatorHex - BCS-serialized sender authenticator
+   * @param {string} senderAddress - Signed-in address, which must be the
+   *   transaction's sender
+   * @returns {Object} - The job; an existing job when the same transaction
+   *   was relayed before
+   */
+  submit(transactionHex, authenticatorHex, senderAddress) {
+    const transaction = this.decodeTransaction(transactionHex, senderAddress);
+    const senderAuthenticator = decodeBCS(
+      AccountAuthenticator,
+      authenticatorHex,
+      "sender authenticator"
+    );
+
+    const feePayerAuthenticator = transaction.feePayerAddress
+      ? this.sponsorTransaction(transaction)
+      : undefined;
+
+    const signed = { transaction, senderAuthenticator, feePayerAuthenticator };
+    const hash = generateUserTransactionHash(signed);
+
+    const existing = this.findByHash(hash);
+    if (existing) return existing;
+
+    const summary = this.client.serializeTransaction(transaction);
+    const job = {
+      id: crypto.randomBytes(16).toString("hex"),
+      status: "queued",
+      hash,
+      sender: summary.sender,
+      function: summary.function,
+      sponsored: Boolean(feePayerAuthenticator),
+      gasUnitPrice: summary.gasUnitPrice,
+      // Counted against the sponsor's budgets: the most the transaction can
+      // cost until it has executed, then what it cost
+      sponsoredFee: feePayerAuthenticator
+        ? (
+            BigInt(summary.maxGasAmount) * BigInt(summary.gasUnitPrice)
+          ).toString()
+        : null,
+      expiresAt: summary.expiresAt,
+      createdAt: new Date().toISOString(),
+      submittedAt: null,
+      completedAt: null,
+      version: null,
+      gasUsed: null,
+      vmStatus: null,
+      error: null,
+    };
+
+    this.store.update((data) => {
+      this.prune(data);
+      data.jobs[job.id] = job;
+    });
+
+    this.process(job.id, signed).catch((error) => this.abandon(job.id, error));
+    return job;
+  }
+
+  /**
+   * Sign a fee payer transaction as the sponsor, if the relay sponsors it
+   * @param {SimpleTransaction} transaction - Transaction built with a fee
+   *   payer
+   * @returns {AccountAuthenticator} - Fee payer authenticator
+   */
+  sponsorTransaction(transaction) {
+    if (!this.sponsor) {
+      throw relayError(
+        "RELAY_NOT_SPONSORED",
+        "This relay does not sponsor gas; build the transaction without a fee payer"
+      );
+    }
+    // The sender signs over an unset fee payer, which the sponsor fills in
+    if (!transaction.feePayerAddress.equals(AccountAddress.ZERO)) {
+      throw relayError(
+        "RELAY_INVALID",
+        "The transaction already names a different fee payer"
+      );
+    }
+    this.checkSponsorable(transaction);
+
+    return this.client.aptos.transaction.signAsFeePayer({
+      signer: this.sponsor,
+      transaction,
+    });
+  }
+
+  /**
+   * Check that the sponsor pays for a transaction: a call to the
+   * marketplace contracts within the fee cap and the sender's and the
+   * sponsor's budgets for the period
+   * @param {SimpleTransaction} transaction - Fee payer transaction
+   */
+  checkSponsorable(transaction) {
+    const raw = transaction.rawTransaction;
+    const entryFunction = raw.payload.entryFunction;
+    if (
+      !entryFunction ||
+      !entryFunction.module_name.address.equals(
+        AccountAddress.from(this.client.contractAddress)
+      ) ||
+      !SPONSORED_MODULES.includes(entryFunction.module_name.name.identifier)
+    ) {
+      throw relayError(
+        "RELAY_NOT_SPONSORED",
+        "Only calls to the marketplace contracts are sponsored"
+      );
+    }
+
+    const maxFee = BigInt(raw.max_gas_amount) * BigInt(raw.gas_unit_price);
+    if (maxFee > this.maxSponsoredFee) {
+      throw relayError(
+        "RELAY_NOT_SPONSORED",
+        `The transaction may cost up to ${maxFee} octas in gas; the sponsor pays at most ${this.maxSponsoredFee}`
+      );
+    }
+
+    const spent = this.getSponsoredSpending(raw.sender.toString());
+    if (spent.account + maxFee > this.accountBudget) {
+      throw relayError(
+        "RELAY_BUDGET_EXCEEDED",
+        `This account has ${
+          this.accountBudget - spent.account
+        } octas of sponsored gas left for the period and the transaction may cost up to ${maxFee}`
+      );
+    }
+    if (spent.total + maxFee > this.sponsorBudget) {
+      throw relayError(
+        "RELAY_BUDGET_EXCEEDED",
+        "The sponsor's gas budget for the period is used up; pay gas yourself or try again later"
+      );
+    }
+  }
+
+  /**
+   * Gas the sponsor paid or may still pay for jobs created within the
+   * sponsor period
+   * @param {string} senderAddress - Account to total separately
+   * @returns {Object} - { account, total } in octas, as BigInts
+   */
+  getSponsoredSpending(senderAddress) {
+    const since = Date.now() - this.sponsorPeriod;
+    const spent = { account: 0n, total: 0n };
+    for (const job of Object.values(this.store.read().jobs)) {
+      if (!job.sponsoredFee || new Date(job.createdAt).getTime() < since) {
+        continue;
+      }
+      const fee = BigInt(job.sponsoredFee);
+      spent.total += fee;
+      if (isSameAptosAddress(job.sender, senderAddress)) spent.account += fee;
+    }
+    return spent;
+  }
+
+  /**
+   * Submit a job's transaction and follow it until it is committed, fails
+   * or expires
+   * @param {string} jobId - Job ID
+   * @param {Object} signed - { transaction, senderAuthenticator,
+   *   feePayerAuthenticator }
+   */
+  async process(jobId, signed) {
+    try {
+      await this.client.aptos.transaction.submit.simple(signed);
+      this.updateJob(jobId, {
+        status: "pending",
+        submittedAt: new Date().toISOString(),
+      });
+    } catch (error) {
+      console.warn(`⚠️ Relay job ${jobId} was rejected:`, error.message);
+      this.updateJob(jobId, {
+        status: "failed",
+        error: error.message,
+        ...this.settleFee(jobId, "0"),
+      });
+      return;
+    }
+
+    await this.track(jobId);
+  }
+
+  /**
+   * Wait for a submitted transaction, in rounds of waitTimeout seconds,
+   * until it is committed or can no longer be
+   * @param {string} jobId - Job ID
+   */
+  async track(jobId) {
+    const job = this.getJob(jobId);
+
+    for (;;) {
+      try {
+        const result = await this.client.aptos.waitForTransaction({
+          transactionHash: job.hash,
+          options: { timeoutSecs: this.waitTimeout, checkSuccess: false },
+        });
+        this.updateJob(jobId, {
+          status: result.success ? "committed" : "failed",
+          version: result.version,
+          gasUsed: result.gas_used,
+          vmStatus: result.vm_status,
+          error: result.success ? null : result.vm_status,
+          ...this.settleFee(
+            jobId,
+            (BigInt(result.gas_used) * BigInt(job.gasUnitPrice || 0)).toString()
+          ),
+        });
+        return;
+      } catch (error) {
+        // Keep waiting while the transaction can still be committed
+        if (nowSeconds() <= job.expiresAt) {
+          await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+          continue;
+        }
+
+        this.updateJob(jobId, {
+          status: "failed",
+          error: `Transaction was not committed before it expired: ${error.message}`,
+          ...this.settleFee(jobId, "0"),
+        });
+        return;
+      }
+    }
+  }
+
+  /**
+   * Pick up jobs interrupted by a restart. Submitted transactions are
+   * followed again; queued ones lost their signed bytes and are failed.
+   */
+  resume() {
+    for (const job of Object.values(this.store.read().jobs)) {
+      if (job.status === "pending") {
+        this.track(job.id).catch((error) => this.abandon(job.id, error));
+      } else if (job.status === "queued") {
+        this.updateJob(job.id, {
+          status: "failed",
+          error: "The server restarted before the transaction was submitted",
+        });
+      }
+    }
+  }
+
+  /**
+   * Fail a job whose transaction could no longer be followed, e.g. because
+   * the job store could not be written
+   * @param {string} jobId - Job ID
+   * @param {Error} error - Why following stopped
+   */
+  abandon(jobId, error) {
+    console.error(
+      `❌ Relay job ${jobId} could not be followed:`,
+      error.message
+    );
+    this.updateJob(jobId, {
+      status: "failed",
+      error: `The relay stopped following the transaction: ${error.message}`,
+    });
+  }
+
+  /**
+   * Replace the fee reserved for a sponsored job with what it cost
+   * @param {string} jobId - Job ID
+   * @param {string} fee - Fee in octas
+   * @returns {Object} - Changes to apply to the job; none for jobs the
+   *   sponsor does not pay for
+   */
+  settleFee(jobId, fee) {
+    const job = this.getJob(jobId);
+    return job && job.sponsoredFee ? { sponsoredFee: fee } : {};
+  }
+
+  /**
+   * Update a job and notify its subscribers
+   * @param {string} jobId - Job ID
+   * @param {Object} changes - Fields to change
+   */
+  updateJob(jobId, changes) {
+    let job;
+    this.store.update((data) => {
+      if (!data.jobs[jobId]) return;
+      job = Object.assign(data.jobs[jobId], changes);
+      if (FINAL_STATUSES.includes(job.status)) {
+        job.completedAt = new Date().toISOString();
+      }
+    });
+    if (job) this.emit(jobId, { ...job });
+  }
+
+  /**
+   * Drop finished jobs older than the job TTL. Jobs are kept for at least
+   * the sponsor period, since they record what the sponsor spent.
+   * @param {Object} data - Store contents
+   */
+  prune(data) {
+    const cutoff = Date.now() - Math.max(this.jobTTL, this.sponsorPeriod);
+    for (const [id, job] of Object.entries(data.jobs)) {
+      if (this.isFinal(job) && new Date(job.completedAt).getTime() < cutoff) {
+        delete data.jobs[id];
+      }
+    }
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} - Job or null
+   */
+  getJob(jobId) {
+    const job = this.store.read().jobs[jobId];
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Find the job of a transaction
+   * @param {string} hash - Transaction hash
+   * @returns {Object|null} - Job or null
+   */
+  findByHash(hash) {
+    const job = Object.values(this.store.read().jobs).find(
+      (candidate) => candidate.hash === hash
+    );
+    return job ? { ...job } : null;
+  }
+
+  /**
+   * Whether a job has reached its final status
+   * @param {Object} job - Job
+   * @returns {boolean} - True once committed or failed
+   */
+  isFinal(job) {
+    return FINAL_STATUSES.includes(job.status);
+  }
+}
+
+module.exports = new RelayService();
+module.exports.RelayService = RelayService;
@@ -0,0 +1,126 @@
+const aptosService = require("./aptosService");
+const { decodeMoveBytes, formatTimestamp } = require("../utils/helpers");
+
+class RewardService {
+  /**
+   * Describe an on-chain milestone
+   * @param {Object} milestone - Milestone as returned by the contract
+   * @returns {Object} - { milestoneId, name, description, requirement,
+   *   reward, rewardInAPT }
+   */
+  describeMilestone(milestone) {
+    return {
+      milestoneId: parseInt(milestone.id),
+      name: decodeMoveBytes(milestone.name),
+      description: decodeMoveBytes(milestone.description),
+      requirement: parseInt(milestone.requirement),
+      reward: milestone.reward_amount,
+      rewardInAPT: aptosService.formatAPTAmount(milestone.reward_amount),
+    };
+  }
+
+  /**
+   * Active milestones, easiest first
+   * @returns {Promise<Array>} - Described milestones (see describeMilestone)
+   */
+  async listMilestones() {
+    const milestones = await aptosService.getActiveMilestones();
+    return milestones
+      .map((milestone) => this.describeMilestone(milestone))
+      .sort(
+        (a, b) => a.requirement - b.requirement || a.milestoneId - b.milestoneId
+      );
+  }
+
+  /**
+   * Reward pool balance and the total paid out of it
+   * @returns {Promise<Object>} - { balance, balanceInAPT, totalPaid,
+   *   totalPaidInAPT }
+   */
+  async getPool() {
+    const { balance, totalPaid } = await aptosService.getRewardPoolStats();
+    return {
+      balance,
+      balanceInAPT: aptosService.formatAPTAmount(balance),
+      totalPaid,
+      totalPaidInAPT: aptosService.formatAPTAmount(totalPaid),
+    };
+  }
+
+  /**
+   * A user's achievements and progress toward the next milestone. Progress
+   * counts uploads recorded by the marketplace, which is also what the
+   * milestone check transaction is built with.
+   * @param {string} userAddress - User address
+   * @returns {Promise<Object>} - { address, initialized, datasetsUploaded,
+   *   achieved, claimable, nextMilestone, bonusRewards, totalBonus,
+   *   totalBonusInAPT, lastMilestoneCheck }
+   */
+  async getAchievements(userAddress) {
+    const [milestones, achievements, bonuses, stats] = await Promise.all([
+      this.listMilestones(),
+      aptosService.getUserAchievements(userAddress),
+      aptosService.getBonusRewardsForUser(userAddress),
+      aptosService.getUserStats(userAddress),
+    ]);
+
+    const datasetsUploaded = stats ? parseInt(stats.datasets_uploaded) : 0;
+    const achievedIds = achievements
+      ? achievements.milestones_achieved.map((id) => parseInt(id))
+      : [];
+
+    // Retired milestones are no longer listed, so only their ID is known
+    const achieved = achievedIds.map(
+      (milestoneId) =>
+        milestones.find(
+          (milestone) => milestone.milestoneId === milestoneId
+        ) || {
+          milestoneId,
+          name: null,
+        }
+    );
+    const pending = milestones.filter(
+      (milestone) => !achievedIds.includes(milestone.milestoneId)
+    );
+    // Reached but not yet recorded; a milestone check pays them out
+    const claimable = pending.filter(
+      (milestone) => milestone.requirement <= datasetsUploaded
+    );
+    const next = pending.find(
+      (milestone) => milestone.requirement > datasetsUploaded
+    );
+
+    const bonusRewards = bonuses.map((bonus) => ({
+      amount: bonus.amount,
+      amountInAPT: aptosService.formatAPTAmount(bonus.amount),
+      reason: decodeMoveBytes(bonus.reason),
+      paidAt: formatTimestamp(bonus.timestamp),
+    }));
+    const totalBonus = bonuses
+      .reduce((total, bonus) => total + BigInt(bonus.amount), 0n)
+      .toString();
+
+    return {
+      address: userAddress,
+      initialized: Boolean(achievements),
+      datasetsUploaded,
+      achieved,
+      claimable,
+      nextMilestone: next
+        ? {
+            ...next,
+            remaining: next.requirement - datasetsUploaded,
+            progress: Math.floor((datasetsUploaded / next.requirement) * 100),
+          }
+        : null,
+      bonusRewards,
+      totalBonus,
+      totalBonusInAPT: aptosService.formatAPTAmount(totalBonus),
+      lastMilestoneCheck: achievements
+        ? formatTimestamp(achievements.last_milestone_check)
+        : null,
+    };
+  }
+}
+
+module.exports = new RewardService();
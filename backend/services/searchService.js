@@ -0,0 +1,372 @@
+const indexerService = require("./indexerService");
+const metadataService = require("./metadataService");
+
+// Relative weight of each indexed field when scoring matches
+const FIELD_WEIGHTS = {
+  title: 3,
+  category: 2,
+  headers: 2,
+  description: 1,
+};
+
+// Price buckets in APT used for facet counts and filtering
+const PRICE_BUCKETS = [
+  { key: "under_0_1", label: "Under 0.1 APT", min: 0, max: 0.1 },
+  { key: "0_1_to_1", label: "0.1 - 1 APT", min: 0.1, max: 1 },
+  { key: "1_to_10", label: "1 - 10 APT", min: 1, max: 10 },
+  { key: "over_10", label: "10+ APT", min: 10, max: Infinity },
+];
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// BM25 tuning constants
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Reduce a word to an approximate stem by stripping common English suffixes
+ * @param {string} word - Lowercase word
+ * @returns {string} - Stem
+ */
+function stem(word) {
+  if (word.length <= 3 || /^\d+$/.test(word)) return word;
+
+  const rules = [
+    [/ies$/, "y"],
+    [/(ss)es$/, "$1"],
+    [/([^s])s$/, "$1"],
+    [/ational$/, "ate"],
+    [/ization$/, "ize"],
+    [/(\w{3,})ments?$/, "$1"],
+    [/(\w{3,})ness$/, "$1"],
+    [/(\w{3,})ing$/, "$1"],
+    [/(\w{3,})ed$/, "$1"],
+    [/(\w{3,})ly$/, "$1"],
+    [/(\w{3,})er$/, "$1"],
+  ];
+
+  let result = word;
+  for (const [pattern, replacement] of rules) {
+    if (pattern.test(result)) {
+      result = result.replace(pattern, replacement);
+    }
+  }
+  // "running" -> "runn" -> "run"
+  return result.replace(/([^aeiouls])\1$/, "$1");
+}
+
+/**
+ * Split text into stemmed search terms
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms
+ */
+function tokenize(text) {
+  return (
+    String(text || "")
+      // Split camelCase identifiers such as CSV headers
+      .replace(/([a-z])([A-Z])/g, "$1 $2")
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token && !STOP_WORDS.has(token))
+      .map(stem)
+  );
+}
+
+/**
+ * Find the price bucket for a price in APT
+ * @param {number} priceInAPT - Price in APT
+ * @returns {string} - Bucket key
+ */
+function priceBucket(priceInAPT) {
+  const bucket = PRICE_BUCKETS.find(
+    ({ min, max }) => priceInAPT >= min && priceInAPT < max
+  );
+  return bucket.key;
+}
+
+class SearchService {
+  constructor() {
+    this.documents = new Map();
+    this.postings = new Map(); // term -> Map(datasetId -> weighted frequency)
+    this.averageLength = 0;
+    this.signature = null;
+  }
+
+  /**
+   * Rebuild the inverted index when the set of active datasets changed.
+   * The IPFS hash is part of the signature because a new version brings
+   * the column headers of its own file.
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    const datasets = await indexerService.getActiveDatasets();
+    const signature = datasets
+      .map(
+        (dataset) =>
+          `${dataset.id}:${dataset.ipfs_hash}:${dataset.price}:${dataset.total_purchases}:${dataset.title}:${dataset.category}:${dataset.description}`
+      )
+      .join("|");
+
+    if (signature === this.signature) return;
+
+    this.build(datasets);
+    this.signature = signature;
+  }
+
+  /**
+   * Build the inverted index from a list of datasets
+   * @param {Array<Object>} datasets - On-chain datasets
+   */
+  build(datasets) {
+    this.documents = new Map();
+    this.postings = new Map();
+    let totalLength = 0;
+
+    for (const dataset of datasets) {
+      const upload = metadataService.getUpload(dataset.ipfs_hash);
+      const fields = {
+        title: dataset.title,
+        category: dataset.category,
+        description: dataset.description,
+        headers: upload && upload.headers ? upload.headers.join(" ") : "",
+      };
+
+      const termFrequencies = new Map();
+      let length = 0;
+      for (const [field, weight] of Object.entries(FIELD_WEIGHTS)) {
+        for (const term of tokenize(fields[field])) {
+          termFrequencies.set(term, (termFrequencies.get(term) || 0) + weight);
+          length += weight;
+        }
+      }
+
+      for (const [term, frequency] of termFrequencies) {
+        if (!this.postings.has(term)) {
+          this.postings.set(term, new Map());
+        }
+        this.postings.get(term).set(dataset.id, frequency);
+      }
+
+      const priceInAPT = parseInt(dataset.price) / 100000000;
+      this.documents.set(dataset.id, {
+        dataset,
+        length,
+        priceInAPT,
+        priceBucket: priceBucket(priceInAPT),
+        headers: upload && upload.headers ? upload.headers : [],
+      });
+      totalLength += length;
+    }
+
+    this.averageLength = datasets.length ? totalLength / datasets.length : 0;
+    console.log(`🔍 Search index rebuilt with ${datasets.length} datasets`);
+  }
+
+  /**
+   * Score documents against a text query with BM25.
+   * Every query term must match (AND semantics).
+   * @param {string} query - Free-text query
+   * @returns {Map<string, number>} - Dataset ID -> relevance score
+   */
+  score(query) {
+    const terms = [...new Set(tokenize(query))];
+    const scores = new Map();
+
+    if (terms.length === 0) {
+      for (const id of this.documents.keys()) scores.set(id, 0);
+      return scores;
+    }
+
+    const documentCount = this.documents.size;
+    terms.forEach((term, position) => {
+      const postings = this.postings.get(term) || new Map();
+      const idf = Math.log(
+        1 + (documentCount - postings.size + 0.5) / (postings.size + 0.5)
+      );
+
+      const next = new Map();
+      for (const [id, frequency] of postings) {
+        if (position > 0 && !scores.has(id)) continue;
+
+        const { length } = this.documents.get(id);
+        const termScore =
+          (idf * frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + (B * length) / this.averageLength));
+        next.set(id, (scores.get(id) || 0) + termScore);
+      }
+
+      scores.clear();
+      for (const [id, value] of next) scores.set(id, value);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Search active datasets
+   * @param {Object} params - Search parameters
+   * @param {string} [params.q] - Free-text query
+   * @param {Array<string>} [params.categories] - Categories to include
+   * @param {Array<string>} [params.priceBuckets] - Price buckets to include
+   * @param {number} [params.minPrice] - Minimum price in APT
+   * @param {number} [params.maxPrice] - Maximum price in APT
+   * @param {string} [params.sort] - relevance, newest, price_asc, price_desc
+   *   or popular
+   * @param {number} [params.limit] - Page size
+   * @param {string} [params.cursor] - Cursor returned by a previous page
+   * @returns {Promise<Object>} - Results, facets and the next cursor
+   */
+  async search({
+    q = "",
+    categories = [],
+    priceBuckets = [],
+    minPrice,
+    maxPrice,
+    sort,
+    limit = 20,
+    cursor,
+  } = {}) {
+    await this.refresh();
+
+    const scores = this.score(q);
+    const matches = [...scores.keys()].map((id) => this.documents.get(id));
+
+    const inPriceRange = (doc) =>
+      (minPrice === undefined || doc.priceInAPT >= minPrice) &&
+      (maxPrice === undefined || doc.priceInAPT <= maxPrice);
+    const inCategories = (doc) =>
+      categories.length === 0 || categories.includes(doc.dataset.category);
+    const inPriceBuckets = (doc) =>
+      priceBuckets.length === 0 || priceBuckets.includes(doc.priceBucket);
+
+    // Each facet is counted with every filter applied except its own, so the
+    // counts show what selecting another value would return
+    const facets = {
+      category: this.countBy(
+        matches.filter((doc) => inPriceRange(doc) && inPriceBuckets(doc)),
+        (doc) => doc.dataset.category
+      ),
+      priceBucket: PRICE_BUCKETS.map(({ key, label }) => ({
+        value: key,
+        label,
+        count: matches.filter(
+          (doc) =>
+            inPriceRange(doc) && inCategories(doc) && doc.priceBucket === key
+        ).length,
+      })),
+    };
+
+    const results = matches.filter(
+      (doc) => inPriceRange(doc) && inCategories(doc) && inPriceBuckets(doc)
+    );
+
+    const sortBy = sort || (q ? "relevance" : "newest");
+    results.sort(this.comparator(sortBy, scores));
+
+    const offset = this.decodeCursor(cursor);
+    const page = results.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+
+    return {
+      total: results.length,
+      sort: sortBy,
+      nextCursor:
+        nextOffset < results.length ? this.encodeCursor(nextOffset) : null,
+      facets,
+      results: page.map((doc) => ({
+        ...doc.dataset,
+        score: Number((scores.get(doc.dataset.id) || 0).toFixed(4)),
+        headers: doc.headers,
+      })),
+    };
+  }
+
+  /**
+   * Build a sort comparator. Ties are broken by dataset ID so that cursors
+   * stay stable between pages.
+   * @param {string} sortBy - Sort key
+   * @param {Map<string, number>} scores - Relevance scores
+   * @returns {Function} - Comparator
+   */
+  comparator(sortBy, scores) {
+    const byId = (a, b) => parseInt(b.dataset.id) - parseInt(a.dataset.id);
+    const comparators = {
+      relevance: (a, b) =>
+        scores.get(b.dataset.id) - scores.get(a.dataset.id) || byId(a, b),
+      newest: (a, b) =>
+        parseInt(b.dataset.created_at) - parseInt(a.dataset.created_at) ||
+        byId(a, b),
+      price_asc: (a, b) => a.priceInAPT - b.priceInAPT || byId(a, b),
+      price_desc: (a, b) => b.priceInAPT - a.priceInAPT || byId(a, b),
+      popular: (a, b) =>
+        parseInt(b.dataset.total_purchases) -
+          parseInt(a.dataset.total_purchases) || byId(a, b),
+    };
+    return comparators[sortBy] || comparators.relevance;
+  }
+
+  /**
+   * Count documents per value
+   * @param {Array<Object>} docs - Documents
+   * @param {Function} keyOf - Extracts the facet value
+   * @returns {Array<Object>} - Facet values with counts, largest first
+   */
+  countBy(docs, keyOf) {
+    const counts = new Map();
+    for (const doc of docs) {
+      const key = keyOf(doc);
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return [...counts]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+  }
+
+  /**
+   * Encode a result offset as an opaque cursor
+   * @param {number} offset - Offset of the next page
+   * @returns {string} - Cursor
+   */
+  encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+  }
+
+  /**
+   * Decode a cursor produced by encodeCursor
+   * @param {string} cursor - Cursor
+   * @returns {number} - Offset (0 for a missing or malformed cursor)
+   */
+  decodeCursor(cursor) {
+    if (!cursor) return 0;
+    try {
+      const { offset } = JSON.parse(
+        Buffer.from(cursor, "base64url").toString("utf8")
+      );
+      return Number.isInteger(offset) && offset > 0 ? offset : 0;
+    } catch (error) {
+      return 0;
+    }
+  }
+}
+
+module.exports = new SearchService();
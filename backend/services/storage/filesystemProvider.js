@@ -0,0 +1,123 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { CID } = require("multiformats/cid");
+
+const { parseChunkSize, writeAndHash } = require("../../utils/unixfs");
+
+/**
+ * Content-addressed store in a local directory. Content is kept under the
+ * CID IPFS would give it, so the backend runs without any network service
+ * in development and CI.
+ */
+class FilesystemProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.root - Directory holding the content
+   * @param {string} options.chunker - Fixed-size chunker the CIDs are
+   *   computed with
+   */
+  constructor({ root, chunker }) {
+    this.name = "filesystem";
+    this.root = root;
+    this.tempDir = path.join(root, ".incoming");
+    this.chunker = chunker;
+    parseChunkSize(chunker); // CIDs need a fixed-size chunker
+
+    fs.mkdirSync(this.tempDir, { recursive: true });
+  }
+
+  /**
+   * Path of stored content
+   * @param {string} cid - Content ID
+   * @returns {string} - File path
+   */
+  contentPath(cid) {
+    // Parsing rejects anything that is not a CID, such as "../"
+    return path.join(this.root, CID.parse(cid).toString());
+  }
+
+  /**
+   * Store content
+   * @param {Buffer|Readable} content - Content, or a stream of it
+   * @returns {Promise<Object>} - { cid, size }
+   */
+  async add(content) {
+    const tempPath = path.join(
+      this.tempDir,
+      crypto.randomBytes(16).toString("hex")
+    );
+
+    try {
+      const { cid, size } = await writeAndHash(content, tempPath, this.chunker);
+      await fs.promises.rename(tempPath, this.contentPath(cid));
+      return { cid, size };
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Read content
+   * @param {string} cid - Content ID
+   * @returns {AsyncIterable<Uint8Array>} - Content bytes
+   */
+  async *cat(cid) {
+    const filePath = this.contentPath(cid);
+    if (!(await this.has(cid))) {
+      throw new Error(`${cid} is not in the local store`);
+    }
+    yield* fs.createReadStream(filePath);
+  }
+
+  /**
+   * Whether the content is stored
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} - True when stored
+   */
+  async has(cid) {
+    try {
+      await fs.promises.access(this.contentPath(cid));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Stored content stays until unpinned, so pinning only checks it is there
+   * @param {string} cid - Content ID
+   */
+  async pin(cid) {
+    if (!(await this.has(cid))) {
+      throw new Error(`${cid} is not in the local store`);
+    }
+  }
+
+  /**
+   * Delete content
+   * @param {string} cid - Content ID
+   */
+  async unpin(cid) {
+    await fs.promises.rm(this.contentPath(cid), { force: true });
+  }
+
+  /**
+   * Store information
+   * @returns {Promise<Object>} - { provider, root }
+   */
+  async getInfo() {
+    await fs.promises.access(this.root, fs.constants.W_OK);
+    return { provider: this.name, root: this.root };
+  }
+
+  /**
+   * Content in a local store has no public URL
+   * @returns {null}
+   */
+  url() {
+    return null;
+  }
+}
+
+module.exports = FilesystemProvider;
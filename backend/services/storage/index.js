@@ -0,0 +1,107 @@
+const path = require("path");
+
+const FilesystemProvider = require("./filesystemProvider");
+const KuboProvider = require("./kuboProvider");
+const { getDataDir } = require("../../utils/jsonStore");
+
+/*
+ * A storage provider keeps content under its IPFS CID and implements:
+ *
+ *   name                      Provider name
+ *   add(content, { fileName }) -> Promise<{ cid, size }>
+ *   cat(cid, { timeout })     -> AsyncIterable<Uint8Array>
+ *   has(cid)                  -> Promise<boolean>, whether content is held
+ *   pin(cid, { timeout })     -> Promise, keep content
+ *   unpin(cid)                -> Promise, release content
+ *   getInfo()                 -> Promise<Object>, rejects when unreachable
+ *   url(cid)                  -> Public URL, or null
+ */
+
+const PROVIDER_NAMES = ["kubo", "filesystem", "s3"];
+
+const DEFAULT_CHUNKER = "size-262144";
+
+/**
+ * Chunker content is added with. Every provider and pinning target must use
+ * the same one for content to keep its CID.
+ * @param {Object} [env] - Environment variables
+ * @returns {string} - Chunker setting
+ */
+function getChunker(env = process.env) {
+  return env.IPFS_CHUNKER || DEFAULT_CHUNKER;
+}
+
+/**
+ * Create a storage provider from explicit options
+ * @param {string} type - kubo, filesystem or s3
+ * @param {Object} options - Options of the provider class
+ * @returns {Object} - Storage provider
+ */
+function buildProvider(type, options) {
+  switch (type) {
+    case "kubo":
+      return new KuboProvider(options);
+    case "filesystem":
+      return new FilesystemProvider(options);
+    case "s3": {
+      // Loaded on demand so the AWS SDK is only required when S3 is used
+      const S3Provider = require("./s3Provider");
+      return new S3Provider({
+        tempDir: path.join(getDataDir(), "tmp"),
+        ...options,
+      });
+    }
+    default:
+      throw new Error(
+        `Unknown storage provider "${type}", expected one of ${PROVIDER_NAMES.join(
+          ", "
+        )}`
+      );
+  }
+}
+
+/**
+ * Create a storage provider configured from the environment
+ * @param {string} name - kubo, filesystem or s3
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} - Storage provider
+ */
+function createProvider(name, env = process.env) {
+  const chunker = getChunker(env);
+
+  switch (name) {
+    case "kubo":
+      return buildProvider(name, {
+        host: env.IPFS_HOST || "ipfs.infura.io",
+        port: parseInt(env.IPFS_PORT) || 5001,
+        protocol: env.IPFS_PROTOCOL || "https",
+        projectId: env.IPFS_PROJECT_ID,
+        projectSecret: env.IPFS_PROJECT_SECRET,
+        chunker,
+      });
+    case "filesystem":
+      return buildProvider(name, {
+        root: env.STORAGE_FS_ROOT || path.join(getDataDir(), "storage"),
+        chunker,
+      });
+    case "s3":
+      return buildProvider(name, {
+        bucket: env.S3_BUCKET,
+        prefix: env.S3_PREFIX,
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || "us-east-1",
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        chunker,
+      });
+    default:
+      return buildProvider(name);
+  }
+}
+
+module.exports = {
+  PROVIDER_NAMES,
+  getChunker,
+  buildProvider,
+  createProvider,
+};
@@ -0,0 +1,152 @@
+const { create } = require("ipfs-http-client");
+
+const PROGRESS_LOG_INTERVAL = 64 * 1024 * 1024; // Log upload progress every 64MB
+
+/**
+ * Stores content on an IPFS node through the Kubo HTTP API, either a local
+ * node or a hosted one such as Infura
+ */
+class KuboProvider {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - API host
+   * @param {number} options.port - API port
+   * @param {string} options.protocol - http or https
+   * @param {string} [options.projectId] - Project ID for basic auth
+   * @param {string} [options.projectSecret] - Project secret for basic auth
+   * @param {string} options.chunker - UnixFS chunker for adds
+   */
+  constructor({ host, port, protocol, projectId, projectSecret, chunker }) {
+    this.name = "kubo";
+
+    const auth =
+      projectId && projectSecret
+        ? `Basic ${Buffer.from(`${projectId}:${projectSecret}`).toString(
+            "base64"
+          )}`
+        : undefined;
+
+    this.client = create({
+      host,
+      port,
+      protocol,
+      headers: auth ? { authorization: auth } : undefined,
+    });
+    this.chunker = chunker;
+  }
+
+  /**
+   * Add and pin content
+   * @param {Buffer|Readable} content - Content, or a stream of it
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - File name recorded by the node
+   * @returns {Promise<Object>} - { cid, size }
+   */
+  async add(content, { fileName } = {}) {
+    // Count bytes as they are streamed so the size is known afterwards
+    let size = Buffer.isBuffer(content) ? content.length : 0;
+    const countBytes = async function* (source) {
+      for await (const chunk of source) {
+        size += chunk.length;
+        yield chunk;
+      }
+    };
+
+    // Add the content, split into fixed-size UnixFS blocks
+    let lastReported = 0;
+    const result = await this.client.add(
+      {
+        path: fileName,
+        content: Buffer.isBuffer(content) ? content : countBytes(content),
+      },
+      {
+        chunker: this.chunker,
+        progress: (bytes) => {
+          if (bytes - lastReported >= PROGRESS_LOG_INTERVAL) {
+            lastReported = bytes;
+            console.log(`⏳ Upload progress: ${bytes} bytes`);
+          }
+        },
+        pin: true, // Pin the content to ensure it stays on the network
+      }
+    );
+
+    return { cid: result.cid.toString(), size };
+  }
+
+  /**
+   * Read content
+   * @param {string} cid - Content ID
+   * @param {Object} [options] - Options passed to the client (e.g. timeout)
+   * @returns {AsyncIterable<Uint8Array>} - Content bytes
+   */
+  cat(cid, options = {}) {
+    return this.client.cat(cid, options);
+  }
+
+  /**
+   * Whether the node has the content pinned
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} - True when pinned
+   */
+  async has(cid) {
+    try {
+      for await (const pin of this.client.pin.ls({ paths: [cid] })) {
+        if (pin.cid.toString() === cid) return true;
+      }
+      return false;
+    } catch (error) {
+      if (/not pinned/i.test(error.message)) return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Pin content, fetching it from the network if the node lacks it
+   * @param {string} cid - Content ID
+   * @param {Object} [options] - Options passed to the client (e.g. timeout)
+   */
+  async pin(cid, options = {}) {
+    await this.client.pin.add(cid, options);
+  }
+
+  /**
+   * Unpin content so the node may garbage collect it
+   * @param {string} cid - Content ID
+   */
+  async unpin(cid) {
+    try {
+      await this.client.pin.rm(cid);
+    } catch (error) {
+      if (!/not pinned/i.test(error.message)) throw error;
+    }
+  }
+
+  /**
+   * Node information
+   * @returns {Promise<Object>} - { provider, version, nodeId, agentVersion,
+   *   protocolVersion }
+   */
+  async getInfo() {
+    const version = await this.client.version();
+    const id = await this.client.id();
+    return {
+      provider: this.name,
+      version: version.version,
+      nodeId: id.id,
+      agentVersion: id.agentVersion,
+      protocolVersion: id.protocolVersion,
+    };
+  }
+
+  /**
+   * Public gateway URL of content
+   * @param {string} cid - Content ID
+   * @returns {string} - Gateway URL
+   */
+  url(cid) {
+    return `https://ipfs.io/ipfs/${cid}`;
+  }
+}
+
+module.exports = KuboProvider;
@@ -0,0 +1,91 @@
+/**
+ * Client of a remote pinning service implementing the IPFS Pinning Service
+ * API (Pinata, Filebase, a self-hosted ipfs-cluster, ...). The service
+ * fetches content from the IPFS network itself, so it can only replicate
+ * content some IPFS node provides.
+ */
+class RemotePinningService {
+  /**
+   * @param {Object} options
+   * @param {string} options.endpoint - Base URL of the API, without /pins
+   * @param {string} options.accessToken - Bearer token
+   */
+  constructor({ endpoint, accessToken }) {
+    if (!endpoint || !accessToken) {
+      throw new Error(
+        "Remote pinning services need an endpoint and an accessToken"
+      );
+    }
+
+    this.name = "pinning-service";
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.accessToken = accessToken;
+  }
+
+  /**
+   * Call the API
+   * @param {string} path - Path and query string
+   * @param {Object} [options]
+   * @param {string} [options.method] - HTTP method
+   * @param {Object} [options.body] - JSON body
+   * @param {number} [options.timeout] - Time limit in ms
+   * @returns {Promise<Object>} - Parsed response
+   */
+  async request(path, { method = "GET", body, timeout } = {}) {
+    const response = await fetch(`${this.endpoint}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${this.accessToken}`,
+        "content-type": "application/json",
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: timeout ? AbortSignal.timeout(timeout) : undefined,
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      const reason = data.error
+        ? data.error.details || data.error.reason
+        : response.statusText;
+      throw new Error(`Pinning service returned ${response.status}: ${reason}`);
+    }
+    return data;
+  }
+
+  /**
+   * Pin status of content
+   * @param {string} cid - Content ID
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Time limit in ms
+   * @returns {Promise<string>} - pinned, pinning (queued or in progress) or
+   *   missing (never requested, or the request failed)
+   */
+  async status(cid, { timeout } = {}) {
+    const { results = [] } = await this.request(
+      `/pins?cid=${encodeURIComponent(
+        cid
+      )}&status=queued,pinning,pinned&limit=1`,
+      { timeout }
+    );
+
+    if (results.length === 0) return "missing";
+    return results[0].status === "pinned" ? "pinned" : "pinning";
+  }
+
+  /**
+   * Ask the service to pin content
+   * @param {string} cid - Content ID
+   * @param {Object} [options]
+   * @param {string} [options.name] - Name shown by the service
+   * @param {number} [options.timeout] - Time limit in ms
+   */
+  async pin(cid, { name, timeout } = {}) {
+    await this.request("/pins", {
+      method: "POST",
+      body: { cid, name },
+      timeout,
+    });
+  }
+}
+
+module.exports = RemotePinningService;
@@ -0,0 +1,188 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const {
+  S3Client,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { CID } = require("multiformats/cid");
+
+const { parseChunkSize, writeAndHash } = require("../../utils/unixfs");
+
+/**
+ * Content-addressed store in an S3-compatible bucket (AWS S3, MinIO, R2,
+ * ...). Objects are keyed by the CID IPFS would give the content.
+ */
+class S3Provider {
+  /**
+   * @param {Object} options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} [options.prefix] - Key prefix
+   * @param {string} [options.endpoint] - Endpoint of an S3-compatible
+   *   service; AWS when omitted
+   * @param {string} options.region - Region
+   * @param {string} [options.accessKeyId] - Access key; the default AWS
+   *   credential chain when omitted
+   * @param {string} [options.secretAccessKey] - Secret key
+   * @param {string} options.tempDir - Directory to spool content in while
+   *   its CID is computed
+   * @param {string} options.chunker - Fixed-size chunker the CIDs are
+   *   computed with
+   */
+  constructor({
+    bucket,
+    prefix = "",
+    endpoint,
+    region,
+    accessKeyId,
+    secretAccessKey,
+    tempDir,
+    chunker,
+  }) {
+    if (!bucket) {
+      throw new Error("S3_BUCKET must be set to use the s3 storage provider");
+    }
+
+    this.name = "s3";
+    this.bucket = bucket;
+    this.prefix = prefix;
+    this.endpoint = endpoint || null;
+    this.tempDir = tempDir;
+    this.chunker = chunker;
+    parseChunkSize(chunker); // CIDs need a fixed-size chunker
+
+    this.client = new S3Client({
+      region,
+      endpoint,
+      // Self-hosted services rarely resolve bucket subdomains
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+  }
+
+  /**
+   * Object key of content
+   * @param {string} cid - Content ID
+   * @returns {string} - Object key
+   */
+  objectKey(cid) {
+    return `${this.prefix}${CID.parse(cid).toString()}`;
+  }
+
+  /**
+   * Store content. It is spooled to disk first because the object key is
+   * its CID, which is only known once all of it has been read.
+   * @param {Buffer|Readable} content - Content, or a stream of it
+   * @returns {Promise<Object>} - { cid, size }
+   */
+  async add(content) {
+    await fs.promises.mkdir(this.tempDir, { recursive: true });
+    const tempPath = path.join(
+      this.tempDir,
+      `${crypto.randomBytes(16).toString("hex")}.s3`
+    );
+
+    try {
+      const { cid, size } = await writeAndHash(content, tempPath, this.chunker);
+
+      if (!(await this.has(cid))) {
+        await new Upload({
+          client: this.client,
+          params: {
+            Bucket: this.bucket,
+            Key: this.objectKey(cid),
+            Body: fs.createReadStream(tempPath),
+            ContentLength: size,
+            ContentType: "application/octet-stream",
+          },
+        }).done();
+      }
+
+      return { cid, size };
+    } finally {
+      await fs.promises.rm(tempPath, { force: true });
+    }
+  }
+
+  /**
+   * Read content
+   * @param {string} cid - Content ID
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Time limit in ms
+   * @returns {AsyncIterable<Uint8Array>} - Content bytes
+   */
+  async *cat(cid, { timeout } = {}) {
+    const { Body } = await this.client.send(
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(cid) }),
+      { abortSignal: timeout ? AbortSignal.timeout(timeout) : undefined }
+    );
+    yield* Body;
+  }
+
+  /**
+   * Whether the bucket holds the content
+   * @param {string} cid - Content ID
+   * @returns {Promise<boolean>} - True when stored
+   */
+  async has(cid) {
+    try {
+      await this.client.send(
+        new HeadObjectCommand({ Bucket: this.bucket, Key: this.objectKey(cid) })
+      );
+      return true;
+    } catch (error) {
+      if (error.$metadata && error.$metadata.httpStatusCode === 404) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Stored objects stay until unpinned, so pinning only checks the object
+   * is there
+   * @param {string} cid - Content ID
+   */
+  async pin(cid) {
+    if (!(await this.has(cid))) {
+      throw new Error(`${cid} is not in bucket ${this.bucket}`);
+    }
+  }
+
+  /**
+   * Delete content
+   * @param {string} cid - Content ID
+   */
+  async unpin(cid) {
+    await this.client.send(
+      new DeleteObjectCommand({ Bucket: this.bucket, Key: this.objectKey(cid) })
+    );
+  }
+
+  /**
+   * Bucket information
+   * @returns {Promise<Object>} - { provider, bucket, endpoint }
+   */
+  async getInfo() {
+    await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    return {
+      provider: this.name,
+      bucket: this.bucket,
+      endpoint: this.endpoint,
+    };
+  }
+
+  /**
+   * Objects are private, so content has no public URL
+   * @returns {null}
+   */
+  url() {
+    return null;
+  }
+}
+
+module.exports = S3Provider;
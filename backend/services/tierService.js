@@ -0,0 +1,117 @@
+const aptosService = require("./aptosService");
+const ipfsService = require("./ipfsService");
+const {
+  buildTermsDocument,
+  isTermsDocument,
+} = require("../utils/licenseTerms");
+
+class TierService {
+  constructor() {
+    // Terms documents are immutable, so fetched ones are kept for good
+    this.termsCache = new Map();
+    this.fetchTimeout = parseInt(process.env.METADATA_FETCH_TIMEOUT) || 10000;
+  }
+
+  /**
+   * Pin the terms document of a licence tier to IPFS
+   * @param {Object} tier - Validated tier (see schemas.licenseTier)
+   * @param {Object} dataset - { title, ipfsHash } of the dataset
+   * @param {string} sellerAddress - Address publishing the terms
+   * @returns {Promise<Object>} - { name, price, priceInOctas, termsHash,
+   *   termsUrl, terms }
+   */
+  async publishTerms(tier, dataset, sellerAddress) {
+    const terms = buildTermsDocument(tier, dataset, sellerAddress);
+    // Terms are kept with the dataset they belong to
+    const { ipfsHash, ipfsUrl } = await ipfsService.uploadJSON(terms, {
+      provider: ipfsService.getLocation(dataset.ipfsHash) || undefined,
+    });
+    this.termsCache.set(ipfsHash, terms);
+
+    return {
+      name: tier.name,
+      price: tier.price,
+      priceInOctas: aptosService.convertAPTToOctas(tier.price),
+      termsHash: ipfsHash,
+      termsUrl: ipfsUrl,
+      terms,
+    };
+  }
+
+  /**
+   * Fetch the terms document of a tier
+   * @param {string} termsHash - IPFS hash of the document
+   * @returns {Promise<Object|null>} - Terms document, or null when it cannot
+   *   be fetched or is not a terms document
+   */
+  async getTerms(termsHash) {
+    if (this.termsCache.has(termsHash)) return this.termsCache.get(termsHash);
+
+    try {
+      const document = await ipfsService.getMetadata(termsHash, {
+        timeout: this.fetchTimeout,
+      });
+      if (!isTermsDocument(document)) return null;
+
+      this.termsCache.set(termsHash, document);
+      return document;
+    } catch (error) {
+      console.warn(`⚠️ Could not fetch terms ${termsHash}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Describe an on-chain tier with the machine-readable part of its terms
+   * @param {Object} tier - Tier as returned by the contract
+   * @returns {Promise<Object>} - { tierId, name, price, priceInAPT,
+   *   isActive, termsHash, termsUrl, license, permissions, attribution };
+   *   the terms fields are null when the document cannot be fetched
+   */
+  async describe(tier) {
+    const terms = await this.getTerms(tier.terms_hash);
+    return {
+      tierId: parseInt(tier.tier_id),
+      name: tier.name,
+      price: tier.price,
+      priceInAPT: aptosService.formatAPTAmount(tier.price),
+      isActive: tier.is_active,
+      termsHash: tier.terms_hash,
+      termsUrl: ipfsService.getUrl(tier.terms_hash),
+      license: terms ? terms.license : null,
+      permissions: terms ? terms.permissions : null,
+      attribution: terms ? terms.attribution : null,
+    };
+  }
+
+  /**
+   * Licence tiers of a dataset
+   * @param {number} datasetId - Dataset ID
+   * @param {boolean} [includeInactive] - Include retired tiers
+   * @returns {Promise<Array>} - Described tiers (see describe)
+   */
+  async listTiers(datasetId, includeInactive = false) {
+    const tiers = await aptosService.getLicenseTiers(datasetId);
+    const described = [];
+    for (const tier of tiers) {
+      if (includeInactive || tier.is_active) {
+        described.push(await this.describe(tier));
+      }
+    }
+    return described;
+  }
+
+  /**
+   * One licence tier of a dataset
+   * @param {number} datasetId - Dataset ID
+   * @param {number} tierId - Tier ID
+   * @returns {Promise<Object|null>} - Described tier, or null when the
+   *   dataset has no such tier
+   */
+  async getTier(datasetId, tierId) {
+    const tiers = await this.listTiers(datasetId, true);
+    return tiers.find((tier) => tier.tierId === tierId) || null;
+  }
+}
+
+module.exports = new TierService();
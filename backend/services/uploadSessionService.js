@@ -0,0 +1,381 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+const { JsonStore, getDataDir } = require("../utils/jsonStore");
+
+const MIN_CHUNK_SIZE = 256 * 1024;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+class UploadSessionService {
+  constructor() {
+    // Session records survive restarts; chunk data lives next to them on disk
+    this.store = new JsonStore("upload-sessions.json", { sessions: {} });
+    this.chunkRoot = path.join(getDataDir(), "upload-sessions");
+
+    this.defaultChunkSize =
+      parseInt(process.env.UPLOAD_CHUNK_SIZE) || 8 * 1024 * 1024; // 8MB
+    this.maxUploadSize =
+      parseInt(process.env.MAX_UPLOAD_SIZE) || 50 * 1024 * 1024 * 1024; // 50GB
+    this.sessionTTL =
+      parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 60 * 60 * 1000; // 24h
+
+    // Sessions currently being assembled and published
+    this.completing = new Set();
+
+    this.reconcile();
+  }
+
+  /**
+   * Bring session records in line with the chunk files on disk. Chunks whose
+   * files are missing or truncated (e.g. after a crash) are marked missing so
+   * the client uploads them again.
+   */
+  reconcile() {
+    const sessions = this.store.read().sessions;
+    let changed = false;
+
+    for (const session of Object.values(sessions)) {
+      if (this.isExpired(session)) {
+        this.removeSession(session.id);
+        continue;
+      }
+
+      for (const [index, chunk] of Object.entries(session.chunks)) {
+        let size = -1;
+        try {
+          size = fs.statSync(this.chunkPath(session.id, index)).size;
+        } catch (error) {
+          // Missing chunk file
+        }
+        if (size !== chunk.size) {
+          delete session.chunks[index];
+          changed = true;
+        }
+      }
+    }
+
+    if (changed) {
+      this.store.write();
+    }
+
+    // Drop partially written chunks and directories of unknown sessions
+    if (!fs.existsSync(this.chunkRoot)) return;
+    for (const id of fs.readdirSync(this.chunkRoot)) {
+      if (!sessions[id]) {
+        fs.rmSync(this.sessionDir(id), { recursive: true, force: true });
+        continue;
+      }
+      for (const file of fs.readdirSync(this.sessionDir(id))) {
+        if (file.endsWith(".tmp")) {
+          fs.rmSync(path.join(this.sessionDir(id), file), { force: true });
+        }
+      }
+    }
+  }
+
+  /**
+   * Start a resumable upload
+   * @param {string} owner - Address of the uploader
+   * @param {Object} details - File details, PII action and optional dataset
+   *   or dataset version fields
+   * @returns {Object} - Session record
+   */
+  createSession(
+    owner,
+    { fileName, mimeType, totalSize, chunkSize, piiAction, dataset, version }
+  ) {
+    this.removeExpired();
+
+    const id = crypto.randomBytes(16).toString("hex");
+    const size = Math.min(
+      Math.max(chunkSize || this.defaultChunkSize, MIN_CHUNK_SIZE),
+      MAX_CHUNK_SIZE
+    );
+    const now = new Date();
+
+    const session = {
+      id,
+      owner,
+      fileName,
+      mimeType,
+      totalSize,
+      chunkSize: size,
+      totalChunks: Math.ceil(totalSize / size),
+      piiAction: piiAction || "report",
+      dataset: dataset || null,
+      version: version || null,
+      chunks: {},
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.sessionTTL).toISOString(),
+    };
+
+    fs.mkdirSync(this.sessionDir(id), { recursive: true });
+    this.store.update((data) => {
+      data.sessions[id] = session;
+    });
+
+    console.log(
+      `📦 Upload session ${id} created: ${fileName} (${session.totalChunks} chunks)`
+    );
+    return session;
+  }
+
+  /**
+   * Get an unexpired session
+   * @param {string} id - Session ID
+   * @returns {Object|null} - Session record or null
+   */
+  getSession(id) {
+    const session = this.store.read().sessions[id];
+    if (!session) return null;
+
+    if (this.isExpired(session) && !this.completing.has(id)) {
+      this.removeSession(id);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Expected size of a chunk; only the last chunk may be shorter
+   * @param {Object} session - Session record
+   * @param {number} index - Chunk index
+   * @returns {number} - Size in bytes
+   */
+  expectedChunkSize(session, index) {
+    return index === session.totalChunks - 1
+      ? session.totalSize - index * session.chunkSize
+      : session.chunkSize;
+  }
+
+  /**
+   * Stream one chunk to disk. The chunk is written to a temporary file and
+   * only renamed into place once it is complete and matches its checksum.
+   * @param {Object} session - Session record
+   * @param {number} index - Chunk index
+   * @param {Readable} source - Chunk content
+   * @param {string} [expectedSha256] - Hex SHA-256 supplied by the client
+   * @returns {Promise<Object>} - { accepted, sha256 } or { accepted: false, message }
+   */
+  async writeChunk(session, index, source, expectedSha256) {
+    const expectedSize = this.expectedChunkSize(session, index);
+    const finalPath = this.chunkPath(session.id, index);
+    const tempPath = `${finalPath}.${crypto
+      .randomBytes(4)
+      .toString("hex")}.tmp`;
+
+    const hash = crypto.createHash("sha256");
+    let received = 0;
+    let tooLarge = false;
+    const meter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > expectedSize) {
+          tooLarge = true;
+          return callback(new Error("Chunk too large"));
+        }
+        hash.update(chunk);
+        callback(null, chunk);
+      },
+    });
+
+    try {
+      fs.mkdirSync(this.sessionDir(session.id), { recursive: true });
+      await pipeline(source, meter, fs.createWriteStream(tempPath));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      if (tooLarge) {
+        return {
+          accepted: false,
+          message: `Chunk ${index} must be ${expectedSize} bytes`,
+        };
+      }
+      throw error;
+    }
+
+    const sha256 = hash.digest("hex");
+    let message = null;
+    if (received !== expectedSize) {
+      message = `Chunk ${index} must be ${expectedSize} bytes, received ${received}`;
+    } else if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+      message = `Chunk ${index} does not match its SHA-256 checksum`;
+    }
+    if (message) {
+      await fs.promises.rm(tempPath, { force: true });
+      return { accepted: false, message };
+    }
+
+    await fs.promises.rename(tempPath, finalPath);
+
+    // Every accepted chunk extends the session's lifetime
+    const now = new Date();
+    this.store.update((data) => {
+      const record = data.sessions[session.id];
+      if (!record) return;
+      record.chunks[index] = {
+        size: received,
+        sha256,
+        receivedAt: now.toISOString(),
+      };
+      record.updatedAt = now.toISOString();
+      record.expiresAt = new Date(
+        now.getTime() + this.sessionTTL
+      ).toISOString();
+    });
+
+    return { accepted: true, sha256 };
+  }
+
+  /**
+   * Chunk indexes that have not been received yet
+   * @param {Object} session - Session record
+   * @returns {Array<number>} - Missing chunk indexes
+   */
+  getMissingChunks(session) {
+    const missing = [];
+    for (let index = 0; index < session.totalChunks; index++) {
+      if (!session.chunks[index]) missing.push(index);
+    }
+    return missing;
+  }
+
+  /**
+   * Describe a session for API responses
+   * @param {Object} session - Session record
+   * @returns {Object} - Session status
+   */
+  getStatus(session) {
+    const received = Object.keys(session.chunks)
+      .map(Number)
+      .sort((a, b) => a - b);
+
+    return {
+      sessionId: session.id,
+      fileName: session.fileName,
+      mimeType: session.mimeType,
+      totalSize: session.totalSize,
+      chunkSize: session.chunkSize,
+      totalChunks: session.totalChunks,
+      receivedChunks: received,
+      missingChunks: this.getMissingChunks(session),
+      bytesReceived: received.reduce(
+        (total, index) => total + session.chunks[index].size,
+        0
+      ),
+      dataset: session.dataset,
+      version: session.version || null,
+      completing: this.completing.has(session.id),
+      createdAt: session.createdAt,
+      expiresAt: session.expiresAt,
+    };
+  }
+
+  /**
+   * Stream the assembled file by reading the chunk files in order
+   * @param {Object} session - Session record
+   * @returns {Readable} - Stream of the whole file
+   */
+  createReadStream(session) {
+    const chunkPaths = Array.from({ length: session.totalChunks }, (_, index) =>
+      this.chunkPath(session.id, index)
+    );
+
+    return Readable.from(
+      (async function* () {
+        for (const chunkPath of chunkPaths) {
+          yield* fs.createReadStream(chunkPath);
+        }
+      })(),
+      { objectMode: false }
+    );
+  }
+
+  /**
+   * Join the chunk files into a single file
+   * @param {Object} session - Session record
+   * @param {string} destPath - Path of the assembled file
+   * @returns {Promise<void>}
+   */
+  async assemble(session, destPath) {
+    await pipeline(
+      this.createReadStream(session),
+      fs.createWriteStream(destPath)
+    );
+  }
+
+  /**
+   * Mark a session as being completed
+   * @param {string} id - Session ID
+   * @returns {boolean} - False when the session is already being completed
+   */
+  beginCompletion(id) {
+    if (this.completing.has(id)) return false;
+    this.completing.add(id);
+    return true;
+  }
+
+  /**
+   * Clear the completion mark of a session
+   * @param {string} id - Session ID
+   */
+  endCompletion(id) {
+    this.completing.delete(id);
+  }
+
+  /**
+   * Delete a session and its chunk files
+   * @param {string} id - Session ID
+   */
+  removeSession(id) {
+    fs.rmSync(this.sessionDir(id), { recursive: true, force: true });
+    this.store.update((data) => {
+      delete data.sessions[id];
+    });
+  }
+
+  /**
+   * Delete every expired session that is not being completed
+   */
+  removeExpired() {
+    for (const session of Object.values(this.store.read().sessions)) {
+      if (this.isExpired(session) && !this.completing.has(session.id)) {
+        console.log(`🧹 Removing expired upload session ${session.id}`);
+        this.removeSession(session.id);
+      }
+    }
+  }
+
+  /**
+   * Check whether a session has passed its expiry time
+   * @param {Object} session - Session record
+   * @returns {boolean} - True when expired
+   */
+  isExpired(session) {
+    return Date.parse(session.expiresAt) <= Date.now();
+  }
+
+  /**
+   * Directory holding the chunk files of a session
+   * @param {string} id - Session ID
+   * @returns {string} - Directory path
+   */
+  sessionDir(id) {
+    return path.join(this.chunkRoot, id);
+  }
+
+  /**
+   * Path of one chunk file
+   * @param {string} id - Session ID
+   * @param {number|string} index - Chunk index
+   * @returns {string} - File path
+   */
+  chunkPath(id, index) {
+    return path.join(this.sessionDir(id), `${index}.part`);
+  }
+}
+
+module.exports = new UploadSessionService();
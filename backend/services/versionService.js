@@ -0,0 +1,251 @@
+const aptosService = require("./aptosService");
+const indexerService = require("./indexerService");
+const metadataService = require("./metadataService");
+const { isSameAptosAddress } = require("../utils/helpers");
+
+/**
+ * Row count and columns of a version from its metadata document
+ * @param {Object} document - Validated metadata document
+ * @returns {Object} - { rowCount, columns }; both null for files that are
+ *   not tabular
+ */
+function describeContent(document) {
+  const tabular = document.tabularData || document.csvData;
+  if (document.profile) {
+    return {
+      rowCount: document.profile.rowCount,
+      columns: document.profile.columns.map(({ name, type }) => ({
+        name,
+        type,
+      })),
+    };
+  }
+  if (tabular) {
+    return {
+      rowCount: tabular.totalRows,
+      columns: tabular.headers.map((name) => ({ name, type: null })),
+    };
+  }
+  return { rowCount: null, columns: null };
+}
+
+/**
+ * Differences in row count and schema between two versions
+ * @param {Object} from - Earlier version (see VersionService.describe)
+ * @param {Object} to - Later version
+ * @returns {Object} - { from, to, rowCount: { from, to, change }, columns:
+ *   { added, removed, retyped } }; column lists are null when either
+ *   version has no known schema
+ */
+function diffVersions(from, to) {
+  const rowCount = {
+    from: from.rowCount,
+    to: to.rowCount,
+    change:
+      from.rowCount === null || to.rowCount === null
+        ? null
+        : to.rowCount - from.rowCount,
+  };
+
+  if (!from.columns || !to.columns) {
+    return { from: from.version, to: to.version, rowCount, columns: null };
+  }
+
+  const before = new Map(from.columns.map((column) => [column.name, column]));
+  const after = new Map(to.columns.map((column) => [column.name, column]));
+  return {
+    from: from.version,
+    to: to.version,
+    rowCount,
+    columns: {
+      added: to.columns.filter((column) => !before.has(column.name)),
+      removed: from.columns.filter((column) => !after.has(column.name)),
+      retyped: to.columns
+        .filter(
+          (column) =>
+            before.has(column.name) &&
+            before.get(column.name).type !== column.type
+        )
+        .map((column) => ({
+          name: column.name,
+          from: before.get(column.name).type,
+          to: column.type,
+        })),
+    },
+  };
+}
+
+class VersionService {
+  /**
+   * Release history of a dataset, oldest first
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Array>} - Versions as returned by the contract
+   */
+  async getHistory(dataset) {
+    const versions = await indexerService.getDatasetVersions(dataset.id);
+    if (versions.length > 0) return versions;
+
+    // Datasets indexed before their first revision have only their upload
+    return [
+      {
+        dataset_id: dataset.id,
+        version: "1",
+        ipfs_hash: dataset.ipfs_hash,
+        changelog: "",
+        published_at: dataset.created_at,
+      },
+    ];
+  }
+
+  /**
+   * The dataset as it was at one version: the same record pointing at that
+   * version's file, so content, query and metadata helpers can read it
+   * @param {Object} dataset - On-chain dataset
+   * @param {Object} version - Version from the release history
+   * @returns {Object} - Dataset record for the version
+   */
+  atVersion(dataset, version) {
+    return { ...dataset, ipfs_hash: version.ipfs_hash };
+  }
+
+  /**
+   * Find the newest version up to a version number
+   * @param {Object} dataset - On-chain dataset
+   * @param {number} [maxVersion] - Highest version wanted
+   * @returns {Promise<Object|null>} - { version, dataset } with the version
+   *   number and the dataset record for it, or null when there is none
+   */
+  async resolveVersion(dataset, maxVersion = Infinity) {
+    const history = await this.getHistory(dataset);
+    const version = history
+      .filter((entry) => parseInt(entry.version) <= maxVersion)
+      .pop();
+    if (!version) return null;
+
+    return {
+      version: parseInt(version.version),
+      dataset: this.atVersion(dataset, version),
+    };
+  }
+
+  /**
+   * Find the newest version of a dataset an address may read. The owner may
+   * read every version. Anyone else must pass hasUserPurchasedDataset, the
+   * purchase check the other routes use; the accessible version then
+   * applies what that check does not know about: the seller's version
+   * policy and licence expiry.
+   * @param {Object} dataset - On-chain dataset
+   * @param {string} address - Authenticated address
+   * @param {number} [wanted] - Version asked for; the newest when omitted
+   * @returns {Promise<Object|null>} - { version, dataset } with the dataset
+   *   record for that version, or null when access is not allowed
+   */
+  async resolveAccess(dataset, address, wanted = Infinity) {
+    let accessible = Infinity;
+    if (!isSameAptosAddress(dataset.owner, address)) {
+      const purchased = await aptosService.hasUserPurchasedDataset(
+        address,
+        dataset.id
+      );
+      if (!purchased) return null;
+      accessible = await aptosService.getAccessibleVersion(address, dataset.id);
+    }
+
+    if (accessible === 0 || (wanted !== Infinity && wanted > accessible)) {
+      return null;
+    }
+    return this.resolveVersion(dataset, Math.min(accessible, wanted));
+  }
+
+  /**
+   * Describe a version with the row count and columns published in its
+   * metadata document
+   * @param {Object} dataset - On-chain dataset
+   * @param {Object} version - Version from the release history
+   * @returns {Promise<Object>} - { version, ipfsHash, changelog, publishedAt,
+   *   metadataStatus, rowCount, columns }
+   */
+  async describe(dataset, version) {
+    const metadata = await metadataService.resolveMetadata(
+      this.atVersion(dataset, version)
+    );
+    const content =
+      metadata.status === "valid"
+        ? describeContent(metadata.document)
+        : { rowCount: null, columns: null };
+
+    return {
+      version: parseInt(version.version),
+      ipfsHash: version.ipfs_hash,
+      changelog: version.changelog,
+      publishedAt: version.published_at,
+      metadataStatus: metadata.status,
+      ...content,
+    };
+  }
+
+  /**
+   * Describe every version of a dataset, each with its changes from the
+   * version before it
+   * @param {Object} dataset - On-chain dataset
+   * @returns {Promise<Array>} - Described versions, oldest first
+   */
+  async listVersions(dataset) {
+    const history = await this.getHistory(dataset);
+    const described = [];
+    for (const version of history) {
+      described.push(await this.describe(dataset, version));
+    }
+
+    return described.map((version, index) => ({
+      ...version,
+      changes: index === 0 ? null : diffVersions(described[index - 1], version),
+    }));
+  }
+
+  /**
+   * Describe one version with its changes from the version before it
+   * @param {Object} dataset - On-chain dataset
+   * @param {number} number - Version number
+   * @returns {Promise<Object|null>} - Described version, or null when the
+   *   dataset has no such version
+   */
+  async getVersion(dataset, number) {
+    const history = await this.getHistory(dataset);
+    const index = history.findIndex(
+      (entry) => parseInt(entry.version) === number
+    );
+    if (index === -1) return null;
+
+    const version = await this.describe(dataset, history[index]);
+    const previous =
+      index > 0 ? await this.describe(dataset, history[index - 1]) : null;
+    return {
+      ...version,
+      changes: previous ? diffVersions(previous, version) : null,
+    };
+  }
+
+  /**
+   * Compare two versions of a dataset
+   * @param {Object} dataset - On-chain dataset
+   * @param {number} from - Version to compare from
+   * @param {number} to - Version to compare to
+   * @returns {Promise<Object|null>} - Differences (see diffVersions), or null
+   *   when either version does not exist
+   */
+  async compare(dataset, from, to) {
+    const history = await this.getHistory(dataset);
+    const find = (number) =>
+      history.find((entry) => parseInt(entry.version) === number);
+    if (!find(from) || !find(to)) return null;
+
+    return diffVersions(
+      await this.describe(dataset, find(from)),
+      await this.describe(dataset, find(to))
+    );
+  }
+}
+
+module.exports = new VersionService();
+module.exports.VersionService = VersionService;
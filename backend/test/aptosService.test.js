@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const aptosService = require("../services/aptosService");
+
+const HASH = "0x" + "c".repeat(64);
+
+/**
+ * A committed transaction with the given events
+ * @param {Array} events - Events of the transaction
+ * @param {boolean} [success] - Whether the transaction succeeded
+ * @returns {Object} - Transaction as returned by the node
+ */
+function committed(events, success = true) {
+  return {
+    type: "user_transaction",
+    hash: HASH,
+    success,
+    vm_status: success ? "Executed successfully" : "Move abort",
+    events,
+  };
+}
+
+/**
+ * A LicenseTierAddedEvent emitted by a contract
+ * @param {string} contractAddress - Address of the emitting module
+ * @returns {Object} - Event
+ */
+function tierAdded(contractAddress) {
+  return {
+    type: `${contractAddress}::Marketplace::LicenseTierAddedEvent`,
+    data: { dataset_id: "4", tier_id: "3", name: "Commercial" },
+  };
+}
+
+describe("AptosService.getAddedLicenseTier", () => {
+  let transaction;
+
+  beforeEach(() => {
+    transaction = null;
+    mock.method(aptosService.aptos, "getTransactionByHash", async () => {
+      if (transaction) return transaction;
+      const error = new Error("Transaction not found");
+      error.status = 404;
+      throw error;
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it("reads the tier id from the transaction's event", async () => {
+    transaction = committed([
+      { type: "0x1::transaction_fee::FeeStatement", data: {} },
+      tierAdded(aptosService.contractAddress),
+    ]);
+
+    assert.deepEqual(await aptosService.getAddedLicenseTier(HASH), {
+      datasetId: 4,
+      tierId: 3,
+    });
+  });
+
+  it("returns null while the transaction is unknown or pending", async () => {
+    assert.equal(await aptosService.getAddedLicenseTier(HASH), null);
+
+    transaction = { type: "pending_transaction", hash: HASH };
+    assert.equal(await aptosService.getAddedLicenseTier(HASH), null);
+  });
+
+  it("rejects transactions that added no tier", async () => {
+    transaction = committed([tierAdded(aptosService.contractAddress)], false);
+    await assert.rejects(aptosService.getAddedLicenseTier(HASH), {
+      code: "TIER_NOT_ADDED",
+      message: "Transaction failed: Move abort",
+    });
+
+    transaction = committed([tierAdded("0x" + "d".repeat(64))]);
+    await assert.rejects(aptosService.getAddedLicenseTier(HASH), {
+      code: "TIER_NOT_ADDED",
+      message: "Transaction did not add a licence tier",
+    });
+  });
+});
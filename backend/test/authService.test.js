@@ -0,0 +1,92 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const { Account } = require("@aptos-labs/ts-sdk");
+const aptosService = require("../services/aptosService");
+const authService = require("../services/authService");
+
+/**
+ * Sign in with an account's key
+ * @param {Account} signer - Account whose key signs
+ * @param {string} address - Address signing in
+ * @returns {Promise<Object>} - Session
+ */
+function signIn(signer, address) {
+  const { nonce, message } = authService.createChallenge(address);
+  return authService.verifyChallenge({
+    address,
+    publicKey: signer.publicKey.toString(),
+    signature: signer.sign(new TextEncoder().encode(message)).toString(),
+    nonce,
+  });
+}
+
+describe("AuthService", () => {
+  let authenticationKeys;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    authenticationKeys = new Map();
+    mock.method(aptosService, "getAuthenticationKey", async (address) =>
+      authenticationKeys.has(address) ? authenticationKeys.get(address) : null
+    );
+  });
+
+  afterEach(() => {
+    mock.restoreAll();
+    authService.challenges.clear();
+  });
+
+  it("signs in an account that is not on chain yet with its own key", async () => {
+    const account = Account.generate();
+    const address = account.accountAddress.toStringLong();
+
+    const session = await signIn(account, address);
+
+    assert.equal(session.address, address);
+    assert.equal(authService.verifyToken(session.token).address, address);
+  });
+
+  it("follows key rotation", async () => {
+    const original = Account.generate();
+    const rotated = Account.generate();
+    const address = original.accountAddress.toStringLong();
+    authenticationKeys.set(address, rotated.publicKey.authKey().toString());
+
+    assert.equal((await signIn(rotated, address)).address, address);
+    await assert.rejects(signIn(original, address), {
+      message: "Public key does not control this address",
+    });
+  });
+
+  it("keeps the newest challenges of an address", () => {
+    const address = Account.generate().accountAddress.toStringLong();
+
+    const nonces = [];
+    for (let i = 0; i < 7; i++) {
+      nonces.push(authService.createChallenge(address).nonce);
+    }
+
+    assert.deepEqual([...authService.challenges.keys()], nonces.slice(2));
+  });
+
+  it("caps outstanding challenges", () => {
+    const maxChallenges = authService.maxChallenges;
+    authService.maxChallenges = 3;
+    try {
+      for (let i = 0; i < 3; i++) {
+        authService.createChallenge(
+          Account.generate().accountAddress.toStringLong()
+        );
+      }
+      assert.throws(
+        () =>
+          authService.createChallenge(
+            Account.generate().accountAddress.toStringLong()
+          ),
+        { code: "CHALLENGE_LIMIT" }
+      );
+    } finally {
+      authService.maxChallenges = maxChallenges;
+    }
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  ColumnProfiler,
+  withholdColumnStatistics,
+} = require("../utils/columnProfiler");
+const { buildPreview } = require("../utils/previewSampler");
+
+/**
+ * Profile a small table
+ * @returns {Object} - Profile
+ */
+function profileTable() {
+  const profiler = new ColumnProfiler();
+  profiler.addRow(["alice@example.com", "31", "2024-01-05", "gold"]);
+  profiler.addRow(["bob@example.com", "45", "2024-02-11", "silver"]);
+  profiler.addRow(["carol@example.com", "27", "2024-03-20", "gold"]);
+  return profiler.finish(["email", "age", "joined", "plan"]);
+}
+
+describe("withholdColumnStatistics", () => {
+  it("drops value statistics of flagged columns only", () => {
+    const profile = profileTable();
+
+    const published = withholdColumnStatistics(profile, ["age", "plan"]);
+    const [email, age, joined, plan] = published.columns;
+
+    assert.deepEqual(age, {
+      name: "age",
+      type: "integer",
+      nullCount: 0,
+      nullRate: 0,
+      distinctCount: 3,
+      distinctApproximate: false,
+      statisticsWithheld: true,
+    });
+    assert.equal(plan.histogram, undefined);
+    assert.equal(plan.statisticsWithheld, true);
+    assert.deepEqual(email, profile.columns[0]);
+    assert.deepEqual(joined, profile.columns[2]);
+    // The original profile is left as it was
+    assert.equal(profile.columns[1].min, 27);
+  });
+
+  it("returns the profile as is when nothing is flagged", () => {
+    const profile = profileTable();
+    assert.equal(withholdColumnStatistics(profile, []), profile);
+  });
+
+  it("masks withheld columns in perturbed previews", async () => {
+    const profile = withholdColumnStatistics(profileTable(), ["age"]);
+    const headers = ["email", "age", "joined", "plan"];
+    const reader = {
+      headers,
+      rows: (async function* () {
+        yield { fields: ["alice@example.com", "31", "2024-01-05", "gold"] };
+        yield { fields: ["bob@example.com", "45", "2024-02-11", "silver"] };
+      })(),
+    };
+
+    const preview = await buildPreview(
+      reader,
+      {
+        rows: 2,
+        sampling: "head",
+        values: "perturbed",
+        noise: 0.5,
+        maskedColumns: [],
+      },
+      { headers, profile, seed: 1 }
+    );
+
+    assert.equal(preview.rows.length, 2);
+    for (const row of preview.rows) {
+      assert.equal(row[1], "***");
+    }
+  });
+});
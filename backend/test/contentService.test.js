@@ -0,0 +1,113 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { once } = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "content-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.KEY_STORE_MASTER_KEY = crypto.randomBytes(32).toString("hex");
+process.env.STORAGE_PROVIDER = "filesystem";
+const contentService = require("../services/contentService");
+const encryptionService = require("../services/encryptionService");
+const ipfsService = require("../services/ipfsService");
+const { uploadTempDir } = require("../config/multer");
+
+const PLAINTEXT = Buffer.from("id,reading\n1,0.5\n2,0.75\n".repeat(5000));
+
+/**
+ * Read all of a stream
+ * @param {Readable} stream - Stream
+ * @returns {Promise<Buffer>} - Content
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Temporary copies left in the upload directory
+ * @returns {Array<string>} - File names
+ */
+function leftovers() {
+  return fs
+    .readdirSync(uploadTempDir)
+    .filter((name) => name.endsWith(".download"));
+}
+
+describe("ContentService", () => {
+  let dataset;
+  let recorded;
+
+  before(async () => {
+    // Keep the services' progress logs out of the test runner's output
+    mock.method(console, "log", () => {});
+
+    const encryptedPath = path.join(dataDir, "file.enc");
+    const { dataKey, sha256 } = await encryptionService.encryptToFile(
+      Readable.from([PLAINTEXT]),
+      encryptedPath
+    );
+    const { cid } = await ipfsService.store(
+      ipfsService.getProvider(),
+      fs.createReadStream(encryptedPath)
+    );
+    encryptionService.storeDataKey(cid, dataKey, { sha256 });
+    dataset = { id: "1", ipfs_hash: cid };
+    recorded = {
+      storage: ipfsService.getDigest(cid),
+      plaintext: sha256,
+    };
+  });
+
+  afterEach(() => {
+    ipfsService.locations.update((data) => {
+      data.digests[dataset.ipfs_hash] = recorded.storage;
+    });
+    encryptionService.keyStore.update((store) => {
+      store.keys[dataset.ipfs_hash].sha256 = recorded.plaintext;
+    });
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it("streams the decrypted file once it has been checked", async () => {
+    const content = await contentService.openStream(dataset);
+
+    assert.equal(content.size, PLAINTEXT.length);
+    assert.deepEqual(await readAll(content.stream), PLAINTEXT);
+    if (!content.stream.closed) await once(content.stream, "close");
+    // The copy is removed asynchronously once the stream has closed
+    for (let turn = 0; turn < 100 && leftovers().length > 0; turn++) {
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    assert.deepEqual(leftovers(), []);
+  });
+
+  it("refuses stored bytes that do not match their digest", async () => {
+    ipfsService.locations.update((data) => {
+      data.digests[dataset.ipfs_hash] = "0".repeat(64);
+    });
+
+    await assert.rejects(contentService.openStream(dataset), {
+      code: "CONTENT_MISMATCH",
+    });
+    assert.deepEqual(leftovers(), []);
+  });
+
+  it("refuses a file that decrypts to the wrong digest", async () => {
+    encryptionService.keyStore.update((store) => {
+      store.keys[dataset.ipfs_hash].sha256 = "0".repeat(64);
+    });
+
+    await assert.rejects(contentService.openStream(dataset), {
+      code: "CONTENT_MISMATCH",
+      message: /recorded SHA-256 digest/,
+    });
+    assert.deepEqual(leftovers(), []);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "encryption-test-"));
+process.env.DATA_DIR = dataDir;
+process.env.KEY_STORE_MASTER_KEY = crypto.randomBytes(32).toString("hex");
+const encryptionService = require("../services/encryptionService");
+
+const PLAINTEXT = Buffer.from("id,reading\n1,0.5\n2,0.75\n".repeat(5000));
+const IPFS_HASH = "QmEncryptedTestFile";
+
+describe("EncryptionService", () => {
+  let ciphertext;
+
+  before(async () => {
+    const encryptedPath = path.join(dataDir, "file.enc");
+    const { dataKey, sha256 } = await encryptionService.encryptToFile(
+      Readable.from([PLAINTEXT]),
+      encryptedPath
+    );
+    encryptionService.storeDataKey(IPFS_HASH, dataKey, { sha256 });
+    ciphertext = fs.readFileSync(encryptedPath);
+  });
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  /**
+   * Stream ciphertext in small chunks, as storage providers do
+   * @param {Buffer} content - Ciphertext
+   * @returns {Readable} - Stream of the ciphertext
+   */
+  function chunked(content) {
+    const chunks = [];
+    for (let offset = 0; offset < content.length; offset += 1000) {
+      chunks.push(content.subarray(offset, offset + 1000));
+    }
+    return Readable.from(chunks);
+  }
+
+  it("decrypts a file to disk", async () => {
+    const destPath = path.join(dataDir, "plain");
+
+    const result = await encryptionService.decryptToFile(
+      IPFS_HASH,
+      chunked(ciphertext),
+      destPath
+    );
+
+    assert.deepEqual(fs.readFileSync(destPath), PLAINTEXT);
+    assert.deepEqual(result, {
+      size: PLAINTEXT.length,
+      sha256: crypto.createHash("sha256").update(PLAINTEXT).digest("hex"),
+    });
+    assert.deepEqual(
+      encryptionService.decryptFile(IPFS_HASH, ciphertext),
+      PLAINTEXT
+    );
+  });
+
+  it("leaves no plaintext behind when the ciphertext was tampered with", async () => {
+    const tampered = Buffer.from(ciphertext);
+    tampered[tampered.length - 10] ^= 0xff;
+    const destPath = path.join(dataDir, "tampered");
+
+    await assert.rejects(
+      encryptionService.decryptToFile(IPFS_HASH, chunked(tampered), destPath),
+      { code: "CONTENT_MISMATCH" }
+    );
+    assert.equal(fs.existsSync(destPath), false);
+  });
+
+  it("rejects truncated files", async () => {
+    const destPath = path.join(dataDir, "truncated");
+
+    await assert.rejects(
+      encryptionService.decryptToFile(
+        IPFS_HASH,
+        chunked(ciphertext.subarray(0, 10)),
+        destPath
+      ),
+      /truncated/
+    );
+    assert.equal(fs.existsSync(destPath), false);
+  });
+});
@@ -0,0 +1,313 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { IndexerService } = require("../services/indexerService");
+const recording = require("./fixtures/marketplace-events.json");
+
+const CAROL = "0xca401";
+
+/**
+ * Chain source replaying recorded events up to a ledger version
+ */
+class RecordedChain {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.ledgerVersion] - Last visible ledger version
+   * @param {number} [options.chainId] - Chain ID reported by the node
+   */
+  constructor({
+    ledgerVersion = recording.ledger.ledger_version,
+    chainId = recording.ledger.chain_id,
+  } = {}) {
+    this.ledgerVersion = ledgerVersion;
+    this.chainId = chainId;
+    this.events = structuredClone(recording.events);
+    this.requests = [];
+  }
+
+  async getLedgerInfo() {
+    return { chain_id: this.chainId, ledger_version: this.ledgerVersion };
+  }
+
+  async getMarketplaceEvents(field, start, limit) {
+    this.requests.push({ field, start, limit });
+    return (this.events[field] || [])
+      .filter((event) => BigInt(event.version) <= BigInt(this.ledgerVersion))
+      .filter((event) => parseInt(event.sequence_number) >= start)
+      .slice(0, limit);
+  }
+
+  async getDatasetById(datasetId) {
+    return (
+      recording.datasets.find((dataset) => dataset.id === datasetId) || null
+    );
+  }
+
+  async getActiveDatasets() {
+    return recording.datasets.filter((dataset) => dataset.is_active);
+  }
+
+  /**
+   * Sequence numbers requested from a stream, excluding divergence checks,
+   * which ask for fewer events than a page
+   * @param {string} field - Event handle field
+   * @returns {Array<number>} - Start of each page request
+   */
+  pageStarts(field) {
+    return this.requests
+      .filter((request) => request.field === field && request.limit === 100)
+      .map((request) => request.start);
+  }
+}
+
+describe("IndexerService", () => {
+  let dataDir;
+  let databasePath;
+  let indexers;
+
+  /**
+   * Create an indexer on the test database, closed after the test
+   * @param {RecordedChain} source - Chain source
+   * @returns {IndexerService} - Indexer
+   */
+  function createIndexer(source) {
+    const indexer = new IndexerService({ source, databasePath });
+    indexers.push(indexer);
+    return indexer;
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+    databasePath = path.join(dataDir, "indexer.db");
+    indexers = [];
+  });
+
+  afterEach(() => {
+    for (const indexer of indexers) indexer.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it("indexes the recorded marketplace events", async () => {
+    const indexer = createIndexer(new RecordedChain());
+
+    const status = await indexer.sync();
+
+    assert.equal(status.ready, true);
+    assert.equal(status.lastError, null);
+    assert.deepEqual(status.counts, {
+      datasets: 3,
+      purchases: 3,
+      rewards: 2,
+      versions: 4,
+      licenses: 1,
+    });
+
+    const dataset = await indexer.getDatasetById(1);
+    assert.equal(dataset.description, recording.datasets[0].description);
+    assert.equal(dataset.total_purchases, "2");
+    // Points at the file of version 2
+    assert.equal(dataset.ipfs_hash, recording.datasets[0].ipfs_hash);
+
+    const active = await indexer.getActiveDatasets();
+    assert.deepEqual(
+      active.map((entry) => entry.id),
+      ["1", "2"]
+    );
+
+    const purchases = await indexer.getPurchasesByBuyer(CAROL);
+    assert.deepEqual(
+      purchases.map(({ dataset_id, tier_id }) => ({ dataset_id, tier_id })),
+      [
+        { dataset_id: "1", tier_id: "2" },
+        { dataset_id: "2", tier_id: null },
+      ]
+    );
+
+    const [license] = await indexer.getLicensesByBuyer(CAROL);
+    assert.equal(license.renewals, "1");
+    assert.equal(await indexer.getLicensePeriod(1), 2592000);
+
+    const stats = await indexer.getUserStats(CAROL);
+    assert.equal(stats.datasets_purchased, "2");
+    // Two purchases plus one renewal
+    assert.equal(stats.total_spent, "150000000");
+  });
+
+  it("resumes every stream from its cursor", async () => {
+    const chain = new RecordedChain({ ledgerVersion: "420" });
+    const indexer = createIndexer(chain);
+
+    const first = await indexer.sync();
+    assert.equal(first.counts.purchases, 2);
+    assert.deepEqual(first.cursors.purchases, { next: 2, lastVersion: "402" });
+
+    chain.ledgerVersion = "1500";
+    chain.requests = [];
+    const second = await indexer.sync();
+
+    assert.deepEqual(chain.pageStarts("dataset_purchased_events"), [2]);
+    assert.deepEqual(chain.pageStarts("dataset_uploaded_events"), [3]);
+    assert.equal(second.counts.purchases, 3);
+    assert.equal(second.counts.datasets, 3);
+    const [license] = await indexer.getLicensesByBuyer(CAROL);
+    assert.equal(license.renewals, "1");
+  });
+
+  it("keeps its index and cursors across a restart", async () => {
+    const chain = new RecordedChain({ ledgerVersion: "420" });
+    const before = createIndexer(chain);
+    const status = await before.sync();
+    before.close();
+
+    chain.ledgerVersion = "1500";
+    chain.requests = [];
+    const after = createIndexer(chain);
+
+    assert.equal(after.isReady(), true);
+    assert.deepEqual(after.getStatus().cursors, status.cursors);
+    assert.equal(
+      (await after.getDatasetById(3)).title,
+      "Noise sensor readings"
+    );
+
+    const resumed = await after.sync();
+    assert.deepEqual(chain.pageStarts("dataset_purchased_events"), [2]);
+    assert.equal(resumed.counts.purchases, 3);
+  });
+
+  it("rebuilds when an indexed event no longer matches the chain", async () => {
+    const chain = new RecordedChain();
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    // A reorg replaced the last purchase with another transaction
+    const purchases = chain.events.dataset_purchased_events;
+    purchases[2] = {
+      ...purchases[2],
+      version: "981",
+      data: { ...purchases[2].data, buyer: "0xb0b", seller: "0xb0b" },
+    };
+    chain.requests = [];
+    const status = await indexer.sync();
+
+    assert.deepEqual(chain.pageStarts("dataset_purchased_events"), [0]);
+    assert.equal(status.counts.purchases, 3);
+    assert.equal(status.cursors.purchases.lastVersion, "981");
+    assert.deepEqual(
+      (await indexer.getPurchasesByBuyer(CAROL)).map((p) => p.dataset_id),
+      ["1"]
+    );
+  });
+
+  it("rebuilds when an earlier event in the window no longer matches", async () => {
+    const chain = new RecordedChain();
+    const indexer = createIndexer(chain);
+    await indexer.sync();
+
+    // The last purchase is unchanged but the first moved to another version
+    const purchases = chain.events.dataset_purchased_events;
+    purchases[0] = { ...purchases[0], version: "213" };
+    chain.requests = [];
+    await indexer.sync();
+
+    assert.deepEqual(chain.pageStarts("dataset_purchased_events"), [0]);
+    assert.deepEqual(chain.pageStarts("dataset_uploaded_events"), [0]);
+  });
+
+  it("follows listing changes from their events", async () => {
+    const chain = new RecordedChain({ ledgerVersion: "420" });
+    // Every dataset was listed when it was first indexed
+    chain.getDatasetById = async (datasetId) => ({
+      ...recording.datasets.find((dataset) => dataset.id === datasetId),
+      is_active: true,
+    });
+    chain.getActiveDatasets = async () => {
+      throw new Error("The active dataset list should not be read");
+    };
+    const indexer = createIndexer(chain);
+
+    const first = await indexer.sync();
+    assert.equal(first.lastError, null);
+    assert.deepEqual(
+      (await indexer.getActiveDatasets()).map((entry) => entry.id),
+      ["1", "2", "3"]
+    );
+
+    chain.ledgerVersion = "1500";
+    const second = await indexer.sync();
+
+    assert.equal(second.lastError, null);
+    assert.deepEqual(
+      (await indexer.getActiveDatasets()).map((entry) => entry.id),
+      ["1", "2"]
+    );
+    assert.equal((await indexer.getDatasetById(3)).is_active, false);
+  });
+
+  it("keeps the tier of a purchase indexed on a later pass", async () => {
+    const chain = new RecordedChain({ ledgerVersion: "400" });
+    const indexer = createIndexer(chain);
+
+    // The tier purchase at 402 lands while the pass is between streams
+    const getEvents = chain.getMarketplaceEvents.bind(chain);
+    chain.getMarketplaceEvents = (field, ...args) => {
+      if (field === "tier_purchased_events") chain.ledgerVersion = "420";
+      return getEvents(field, ...args);
+    };
+    await indexer.sync();
+    assert.deepEqual(await indexer.getPurchasesByBuyer(CAROL), []);
+
+    await indexer.sync();
+
+    const [purchase] = await indexer.getPurchasesByBuyer(CAROL);
+    assert.equal(purchase.tier_id, "2");
+    assert.deepEqual(
+      indexer.getPurchasesByDataset(1).map(({ buyer, tier_id }) => ({
+        buyer,
+        tier_id,
+      })),
+      [
+        {
+          buyer: recording.events.tier_purchased_events[0].data.buyer,
+          tier_id: "2",
+        },
+        {
+          buyer: recording.events.dataset_purchased_events[0].data.buyer,
+          tier_id: null,
+        },
+      ]
+    );
+  });
+
+  it("rebuilds when the chain ID changes", async () => {
+    const indexer = createIndexer(new RecordedChain());
+    await indexer.sync();
+
+    // Another network that is further along but has only the first upload
+    const chain = new RecordedChain({ ledgerVersion: "1600", chainId: 5 });
+    chain.events = {
+      dataset_uploaded_events: recording.events.dataset_uploaded_events.slice(
+        0,
+        1
+      ),
+      license_terms_updated_events:
+        recording.events.license_terms_updated_events,
+    };
+    indexer.source = chain;
+    const status = await indexer.sync();
+
+    assert.equal(status.chainId, 5);
+    assert.equal(status.ledgerVersion, "1600");
+    assert.deepEqual(status.counts, {
+      datasets: 1,
+      purchases: 0,
+      rewards: 0,
+      versions: 1,
+      licenses: 0,
+    });
+    assert.equal(await indexer.getLicensePeriod(1), 2592000);
+    assert.equal(await indexer.getDatasetById(2), null);
+  });
+});
@@ -0,0 +1,602 @@
+const { describe, it, beforeEach, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  Account,
+  AccountAddress,
+  Aptos,
+  AptosConfig,
+  ChainId,
+  Deserializer,
+  EntryFunction,
+  Hex,
+  Network,
+  RawTransaction,
+  SimpleTransaction,
+  TransactionPayloadEntryFunction,
+  U64,
+} = require("@aptos-labs/ts-sdk");
+const aptosService = require("../services/aptosService");
+const { RelayService } = require("../services/relayService");
+const { JsonStore } = require("../utils/jsonStore");
+
+const CONTRACT = `0x${"cafe".padStart(64, "0")}`;
+
+// Signing needs no node, so fee payer signatures come from a real client
+const offlineAptos = new Aptos(new AptosConfig({ network: Network.LOCAL }));
+
+/**
+ * Build and sign a marketplace transaction
+ * @param {Account} sender - Signing account
+ * @param {Object} [options]
+ * @param {string} [options.moduleId] - Module of the entry function
+ * @param {AccountAddress} [options.feePayer] - Fee payer placeholder
+ * @param {number} [options.expiresIn] - Seconds until expiry
+ * @param {number} [options.maxGasAmount] - Gas limit
+ * @returns {Object} - { transaction, senderAuthenticator } as hex
+ */
+function signTransaction(
+  sender,
+  {
+    moduleId = `${CONTRACT}::Marketplace`,
+    feePayer,
+    expiresIn = 600,
+    maxGasAmount = 2000,
+  } = {}
+) {
+  const raw = new RawTransaction(
+    sender.accountAddress,
+    0n,
+    new TransactionPayloadEntryFunction(
+      EntryFunction.build(moduleId, "purchase_dataset", [], [new U64(1)])
+    ),
+    BigInt(maxGasAmount),
+    100n,
+    BigInt(Math.floor(Date.now() / 1000) + expiresIn),
+    new ChainId(4)
+  );
+  const transaction = new SimpleTransaction(raw, feePayer);
+
+  return {
+    transaction: transaction.bcsToHex().toString(),
+    senderAuthenticator: sender
+      .signTransactionWithAuthenticator(transaction)
+      .bcsToHex()
+      .toString(),
+  };
+}
+
+/**
+ * Aptos client whose node calls are mocks
+ * @returns {Object} - Client for RelayService
+ */
+function createClient() {
+  return {
+    contractAddress: CONTRACT,
+    serializeTransaction: (transaction) =>
+      aptosService.serializeTransaction(transaction),
+    aptos: {
+      transaction: {
+        signAsFeePayer: (args) => offlineAptos.transaction.signAsFeePayer(args),
+        submit: { simple: mock.fn(async () => ({})) },
+      },
+      waitForTransaction: mock.fn(async () => ({
+        success: true,
+        version: "1234",
+        gas_used: "12",
+        vm_status: "Executed successfully",
+      })),
+    },
+  };
+}
+
+/**
+ * Resolve with a job once it reaches its final status
+ * @param {RelayService} relay - Relay
+ * @param {string} jobId - Job ID
+ * @returns {Promise<Object>} - Final job
+ */
+function settled(relay, jobId) {
+  const job = relay.getJob(jobId);
+  if (relay.isFinal(job)) return Promise.resolve(job);
+
+  return new Promise((resolve) => {
+    const listener = (update) => {
+      if (!relay.isFinal(update)) return;
+      relay.off(jobId, listener);
+      resolve(update);
+    };
+    relay.on(jobId, listener);
+  });
+}
+
+describe("RelayService", () => {
+  let dataDir;
+  let sender;
+  let client;
+
+  /**
+   * Create a relay on a fresh job store
+   * @param {Object} [options]
+   * @param {Account} [options.sponsor] - Account paying gas
+   * @param {JsonStore} [options.store] - Job store
+   * @returns {RelayService} - Relay
+   */
+  function createRelay({ sponsor, store } = {}) {
+    if (sponsor) {
+      process.env.RELAY_SPONSOR_PRIVATE_KEY = sponsor.privateKey.toString();
+    }
+    const relay = new RelayService({
+      client,
+      store: store || new JsonStore("relay-jobs.json", { jobs: {} }),
+    });
+    relay.retryDelay = 10;
+    return relay;
+  }
+
+  beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "relay-test-"));
+    process.env.DATA_DIR = dataDir;
+    sender = Account.generate();
+    client = createClient();
+  });
+
+  afterEach(() => {
+    delete process.env.RELAY_SPONSOR_PRIVATE_KEY;
+    delete process.env.DATA_DIR;
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("submit", () => {
+    it("submits a transaction and follows it until it is committed", async () => {
+      const relay = createRelay();
+      const signed = signTransaction(sender);
+
+      const job = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        sender.accountAddress.toString()
+      );
+      assert.equal(job.status, "queued");
+      assert.equal(job.sponsored, false);
+      assert.equal(job.function, `${CONTRACT}::Marketplace::purchase_dataset`);
+
+      const done = await settled(relay, job.id);
+      assert.equal(done.status, "committed");
+      assert.equal(done.version, "1234");
+      assert.equal(done.gasUsed, "12");
+      assert.ok(done.submittedAt);
+      assert.ok(done.completedAt);
+
+      const [call] = client.aptos.transaction.submit.simple.mock.calls;
+      assert.equal(call.arguments[0].feePayerAuthenticator, undefined);
+      assert.equal(
+        client.aptos.waitForTransaction.mock.calls[0].arguments[0]
+          .transactionHash,
+        job.hash
+      );
+    });
+
+    it("returns the existing job when a transaction is relayed again", async () => {
+      const relay = createRelay();
+      const signed = signTransaction(sender);
+      const address = sender.accountAddress.toString();
+
+      const first = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        address
+      );
+      await settled(relay, first.id);
+      const second = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        address
+      );
+
+      assert.equal(second.id, first.id);
+      assert.equal(second.status, "committed");
+      assert.equal(client.aptos.transaction.submit.simple.mock.callCount(), 1);
+    });
+
+    it("rejects transactions sent by another account", () => {
+      const relay = createRelay();
+      const signed = signTransaction(sender);
+
+      assert.throws(
+        () =>
+          relay.submit(
+            signed.transaction,
+            signed.senderAuthenticator,
+            Account.generate().accountAddress.toString()
+          ),
+        { code: "RELAY_FORBIDDEN" }
+      );
+      assert.equal(client.aptos.transaction.submit.simple.mock.callCount(), 0);
+    });
+
+    it("rejects expired and undecodable transactions", () => {
+      const relay = createRelay();
+      const address = sender.accountAddress.toString();
+      const expired = signTransaction(sender, { expiresIn: -1 });
+
+      assert.throws(
+        () =>
+          relay.submit(
+            expired.transaction,
+            expired.senderAuthenticator,
+            address
+          ),
+        { code: "RELAY_EXPIRED" }
+      );
+      assert.throws(
+        () => relay.submit("0x00", expired.senderAuthenticator, address),
+        { code: "RELAY_INVALID" }
+      );
+    });
+
+    it("fails the job when the node rejects the transaction", async () => {
+      const relay = createRelay();
+      client.aptos.transaction.submit.simple.mock.mockImplementation(
+        async () => {
+          throw new Error("SEQUENCE_NUMBER_TOO_OLD");
+        }
+      );
+      const signed = signTransaction(sender);
+
+      const job = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        sender.accountAddress.toString()
+      );
+      const done = await settled(relay, job.id);
+
+      assert.equal(done.status, "failed");
+      assert.equal(done.error, "SEQUENCE_NUMBER_TOO_OLD");
+      assert.equal(client.aptos.waitForTransaction.mock.callCount(), 0);
+    });
+  });
+
+  describe("sponsorTransaction", () => {
+    it("signs marketplace calls as the fee payer", async () => {
+      const sponsor = Account.generate();
+      const relay = createRelay({ sponsor });
+      const signed = signTransaction(sender, {
+        feePayer: AccountAddress.ZERO,
+      });
+
+      const job = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        sender.accountAddress.toString()
+      );
+      assert.equal(job.sponsored, true);
+      await settled(relay, job.id);
+
+      const [call] = client.aptos.transaction.submit.simple.mock.calls;
+      const { transaction, feePayerAuthenticator } = call.arguments[0];
+      assert.ok(feePayerAuthenticator);
+      assert.ok(transaction.feePayerAddress.equals(sponsor.accountAddress));
+    });
+
+    it("refuses fee payer transactions without a sponsor", () => {
+      const relay = createRelay();
+      const signed = signTransaction(sender, {
+        feePayer: AccountAddress.ZERO,
+      });
+
+      assert.throws(
+        () =>
+          relay.submit(
+            signed.transaction,
+            signed.senderAuthenticator,
+            sender.accountAddress.toString()
+          ),
+        { code: "RELAY_NOT_SPONSORED" }
+      );
+    });
+
+    it("refuses transactions naming another fee payer", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      const signed = signTransaction(sender, {
+        feePayer: Account.generate().accountAddress,
+      });
+
+      assert.throws(
+        () =>
+          relay.submit(
+            signed.transaction,
+            signed.senderAuthenticator,
+            sender.accountAddress.toString()
+          ),
+        { code: "RELAY_INVALID" }
+      );
+    });
+
+    it("refuses calls outside the marketplace contracts", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      const signed = signTransaction(sender, {
+        moduleId: "0x1::aptos_account",
+        feePayer: AccountAddress.ZERO,
+      });
+
+      assert.throws(
+        () =>
+          relay.submit(
+            signed.transaction,
+            signed.senderAuthenticator,
+            sender.accountAddress.toString()
+          ),
+        { code: "RELAY_NOT_SPONSORED", message: /marketplace contracts/ }
+      );
+    });
+
+    it("refuses transactions that may cost more than the sponsored fee", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      // 200001 units at 100 octas is just over the 0.2 APT default
+      const signed = signTransaction(sender, {
+        maxGasAmount: 200001,
+        feePayer: AccountAddress.ZERO,
+      });
+
+      assert.throws(
+        () =>
+          relay.submit(
+            signed.transaction,
+            signed.senderAuthenticator,
+            sender.accountAddress.toString()
+          ),
+        { code: "RELAY_NOT_SPONSORED", message: /20000100 octas/ }
+      );
+      assert.equal(client.aptos.transaction.submit.simple.mock.callCount(), 0);
+    });
+  });
+
+  describe("prepareSponsored", () => {
+    /**
+     * Sign a transaction returned by prepareSponsored
+     * @param {Object} summary - Serialized transaction
+     * @returns {Object} - { transaction, senderAuthenticator } as hex
+     */
+    function signPrepared(summary) {
+      const transaction = SimpleTransaction.deserialize(
+        new Deserializer(Hex.fromHexInput(summary.bcs).toUint8Array())
+      );
+      return {
+        transaction: summary.bcs,
+        senderAuthenticator: sender
+          .signTransactionWithAuthenticator(transaction)
+          .bcsToHex()
+          .toString(),
+      };
+    }
+
+    it("turns a built transaction into a sponsored one", async () => {
+      const sponsor = Account.generate();
+      const relay = createRelay({ sponsor });
+      const address = sender.accountAddress.toString();
+      const built = signTransaction(sender);
+
+      const prepared = relay.prepareSponsored(built.transaction, address);
+      assert.equal(prepared.feePayer, true);
+      assert.equal(prepared.sender, sender.accountAddress.toString());
+
+      const signed = signPrepared(prepared);
+      const job = relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        address
+      );
+      assert.equal(job.sponsored, true);
+      // 2000 units at 100 octas are reserved until the transaction executes
+      assert.equal(job.sponsoredFee, "200000");
+
+      const done = await settled(relay, job.id);
+      assert.equal(done.status, "committed");
+      assert.equal(done.sponsoredFee, "1200");
+    });
+
+    it("leaves built transactions unsponsored", () => {
+      const relay = createRelay();
+      const built = signTransaction(sender);
+
+      assert.throws(
+        () =>
+          relay.prepareSponsored(
+            built.transaction,
+            sender.accountAddress.toString()
+          ),
+        { code: "RELAY_NOT_SPONSORED" }
+      );
+      const job = relay.submit(
+        built.transaction,
+        built.senderAuthenticator,
+        sender.accountAddress.toString()
+      );
+      assert.equal(job.sponsored, false);
+      assert.equal(job.sponsoredFee, null);
+    });
+
+    it("refuses transactions of other accounts", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      const built = signTransaction(sender);
+
+      assert.throws(
+        () =>
+          relay.prepareSponsored(
+            built.transaction,
+            Account.generate().accountAddress.toString()
+          ),
+        { code: "RELAY_FORBIDDEN" }
+      );
+    });
+  });
+
+  describe("sponsor budgets", () => {
+    /**
+     * Relay a sponsored transaction
+     * @param {RelayService} relay - Relay
+     * @param {Account} account - Sender
+     * @param {number} expiresIn - Seconds until expiry, to tell transactions
+     *   apart
+     * @returns {Object} - The job
+     */
+    function relaySponsored(relay, account, expiresIn) {
+      const signed = signTransaction(account, {
+        feePayer: AccountAddress.ZERO,
+        expiresIn,
+      });
+      return relay.submit(
+        signed.transaction,
+        signed.senderAuthenticator,
+        account.accountAddress.toString()
+      );
+    }
+
+    it("reserves the maximum fee of each account until it is spent", async () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      relay.accountBudget = 300000n;
+
+      const first = relaySponsored(relay, sender, 600);
+      // The first transaction may still cost 200000 octas
+      assert.throws(() => relaySponsored(relay, sender, 601), {
+        code: "RELAY_BUDGET_EXCEEDED",
+      });
+      // Other accounts have budgets of their own
+      relaySponsored(relay, Account.generate(), 600);
+
+      await settled(relay, first.id);
+      // It cost 1200 octas, which leaves room for another
+      const second = relaySponsored(relay, sender, 601);
+      assert.equal(second.sponsored, true);
+    });
+
+    it("caps the sponsor's total spending", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      relay.sponsorBudget = 300000n;
+
+      relaySponsored(relay, sender, 600);
+      assert.throws(() => relaySponsored(relay, Account.generate(), 600), {
+        code: "RELAY_BUDGET_EXCEEDED",
+        message: /budget for the period is used up/,
+      });
+    });
+
+    it("does not count jobs older than the period", () => {
+      const relay = createRelay({ sponsor: Account.generate() });
+      relay.accountBudget = 300000n;
+      const job = relaySponsored(relay, sender, 600);
+      relay.store.update((data) => {
+        data.jobs[job.id].createdAt = new Date(
+          Date.now() - relay.sponsorPeriod - 1000
+        ).toISOString();
+      });
+
+      assert.equal(relaySponsored(relay, sender, 601).sponsored, true);
+    });
+  });
+
+  describe("track", () => {
+    /**
+     * Store a pending job as if it had been submitted earlier
+     * @param {JsonStore} store - Job store
+     * @param {Object} [fields] - Fields to override
+     * @returns {Object} - The job
+     */
+    function pendingJob(store, fields = {}) {
+      const job = {
+        id: "a1",
+        status: "pending",
+        hash: "0x01",
+        sender: sender.accountAddress.toString(),
+        function: `${CONTRACT}::Marketplace::purchase_dataset`,
+        sponsored: false,
+        expiresAt: Math.floor(Date.now() / 1000) + 600,
+        createdAt: new Date().toISOString(),
+        submittedAt: new Date().toISOString(),
+        completedAt: null,
+        version: null,
+        gasUsed: null,
+        vmStatus: null,
+        error: null,
+        ...fields,
+      };
+      store.update((data) => {
+        data.jobs[job.id] = job;
+      });
+      return job;
+    }
+
+    it("fails transactions that executed and aborted", async () => {
+      const relay = createRelay();
+      const job = pendingJob(relay.store);
+      client.aptos.waitForTransaction.mock.mockImplementation(async () => ({
+        success: false,
+        version: "99",
+        gas_used: "7",
+        vm_status: "Move abort in Marketplace: E_ALREADY_PURCHASED",
+      }));
+
+      await relay.track(job.id);
+
+      const done = relay.getJob(job.id);
+      assert.equal(done.status, "failed");
+      assert.equal(done.version, "99");
+      assert.match(done.error, /E_ALREADY_PURCHASED/);
+    });
+
+    it("keeps waiting until the transaction expires", async () => {
+      const relay = createRelay();
+      const job = pendingJob(relay.store, {
+        expiresAt: Math.floor(Date.now() / 1000) + 1,
+      });
+      client.aptos.waitForTransaction.mock.mockImplementation(async () => {
+        throw new Error("Transaction not found");
+      });
+
+      await relay.track(job.id);
+
+      const done = relay.getJob(job.id);
+      assert.equal(done.status, "failed");
+      assert.match(done.error, /not committed before it expired/);
+      assert.ok(client.aptos.waitForTransaction.mock.callCount() > 1);
+    });
+
+    it("resumes pending jobs and fails queued ones after a restart", async () => {
+      const store = new JsonStore("relay-jobs.json", { jobs: {} });
+      pendingJob(store);
+      pendingJob(store, { id: "b2", status: "queued", submittedAt: null });
+
+      const relay = createRelay({ store });
+      const resumed = await settled(relay, "a1");
+
+      assert.equal(resumed.status, "committed");
+      assert.equal(relay.getJob("b2").status, "failed");
+      assert.match(relay.getJob("b2").error, /restarted/);
+    });
+
+    it("fails resumed jobs that cannot be followed", async () => {
+      const store = new JsonStore("relay-jobs.json", { jobs: {} });
+      pendingJob(store, { expiresAt: Math.floor(Date.now() / 1000) - 1 });
+      client.aptos.waitForTransaction.mock.mockImplementation(async () => {
+        throw new Error("Transaction not found");
+      });
+
+      // Recording the expiry after the restart cannot be written
+      const write = store.write.bind(store);
+      let failures = 1;
+      store.write = (data) => {
+        if (failures-- > 0) throw new Error("ENOSPC: no space left on device");
+        write(data);
+      };
+
+      const relay = createRelay({ store });
+      const done = await settled(relay, "a1");
+
+      assert.equal(done.status, "failed");
+      assert.match(done.error, /ENOSPC/);
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { buildProvider } = require("../services/storage");
+const { computeCID } = require("../utils/unixfs");
+
+const CHUNKER = "size-262144";
+
+// "hello world\n" as added by `ipfs add` with the default chunker
+const HELLO = Buffer.from("hello world\n");
+const HELLO_CID = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+
+// Spans two chunks, so its CID has a root node linking two leaves
+const LARGE = Buffer.alloc(300 * 1024, "datadex");
+
+// A valid CID nothing was ever stored under
+const MISSING_CID = computeCID(Buffer.from("never stored"), CHUNKER);
+
+/**
+ * Start an HTTP server on a free local port
+ * @param {Function} handler - (req, res, body) request handler
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => handler(req, res, Buffer.concat(chunks)));
+  });
+  return new Promise((resolve) =>
+    server.listen(0, "127.0.0.1", () => resolve(server))
+  );
+}
+
+/**
+ * Path-style S3 API over an in-memory bucket: enough of HeadBucket,
+ * HeadObject, GetObject, PutObject and DeleteObject for S3Provider
+ * @param {string} bucket - Name of the only bucket
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startS3(bucket) {
+  const objects = new Map();
+
+  return listen((req, res, body) => {
+    const { pathname } = new URL(req.url, "http://s3");
+    const [, name, ...key] = pathname.split("/").map(decodeURIComponent);
+    const objectKey = key.join("/");
+    const notFound = (code) => {
+      res.writeHead(404, { "Content-Type": "application/xml" });
+      res.end(
+        req.method === "HEAD"
+          ? undefined
+          : `<Error><Code>${code}</Code></Error>`
+      );
+    };
+
+    if (name !== bucket) return notFound("NoSuchBucket");
+    if (!objectKey) return res.writeHead(200).end();
+
+    if (req.method === "PUT") {
+      objects.set(objectKey, body);
+      return res.writeHead(200, { ETag: '"stored"' }).end();
+    }
+    if (req.method === "DELETE") {
+      objects.delete(objectKey);
+      return res.writeHead(204).end();
+    }
+
+    const object = objects.get(objectKey);
+    if (!object) return notFound("NoSuchKey");
+    res.writeHead(200, {
+      "Content-Length": object.length,
+      "Content-Type": "application/octet-stream",
+    });
+    res.end(req.method === "HEAD" ? undefined : object);
+  });
+}
+
+/**
+ * File content of a multipart/form-data body with a single file
+ * @param {http.IncomingMessage} req - Request
+ * @param {Buffer} body - Request body
+ * @returns {Buffer} - File content
+ */
+function multipartFile(req, body) {
+  const boundary = /boundary=(.+)$/.exec(req.headers["content-type"])[1];
+  const start = body.indexOf("\r\n\r\n") + 4;
+  const end = body.lastIndexOf(`\r\n--${boundary}`);
+  return body.subarray(start, end);
+}
+
+/**
+ * Offline Kubo node: enough of the HTTP RPC API (add, cat, pin/add,
+ * pin/ls, pin/rm, version, id) for KuboProvider
+ * @returns {Promise<http.Server>} - Listening server
+ */
+function startKubo() {
+  const blocks = new Map();
+  const pins = new Set();
+
+  return listen((req, res, body) => {
+    const url = new URL(req.url, "http://kubo");
+    const arg = url.searchParams.get("arg");
+    const reply = (value) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(value));
+    };
+    const fail = (message) => {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ Message: message, Code: 0, Type: "error" }));
+    };
+
+    switch (url.pathname) {
+      case "/api/v0/add": {
+        const content = multipartFile(req, body);
+        const cid = computeCID(content, url.searchParams.get("chunker"));
+        blocks.set(cid, content);
+        if (url.searchParams.get("pin") === "true") pins.add(cid);
+        return reply({ Name: cid, Hash: cid, Size: String(content.length) });
+      }
+      case "/api/v0/cat":
+        if (!blocks.has(arg)) {
+          return fail("block was not found locally (offline)");
+        }
+        return res.writeHead(200).end(blocks.get(arg));
+      case "/api/v0/pin/add":
+        if (!blocks.has(arg)) {
+          return fail("block was not found locally (offline)");
+        }
+        pins.add(arg);
+        return reply({ Pins: [arg] });
+      case "/api/v0/pin/ls":
+        if (!pins.has(arg)) return fail(`path '${arg}' is not pinned`);
+        return reply({ Cid: arg, Type: "recursive" });
+      case "/api/v0/pin/rm":
+        if (!pins.delete(arg)) return fail("not pinned or pinned indirectly");
+        return reply({ Pins: [arg] });
+      case "/api/v0/version":
+        return reply({ Version: "0.29.0", Commit: "", Repo: "15" });
+      case "/api/v0/id":
+        return reply({
+          ID: "12D3KooWStandIn",
+          AgentVersion: "kubo/0.29.0/",
+          ProtocolVersion: "ipfs/0.1.0",
+        });
+      default:
+        res.writeHead(404).end();
+    }
+  });
+}
+
+/**
+ * Read all of a provider's content stream
+ * @param {AsyncIterable<Uint8Array>} stream - Content bytes
+ * @returns {Promise<Buffer>} - Content
+ */
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Behaviour every storage provider must share
+ * @param {string} type - Provider type
+ * @param {Function} setup - Resolves with { options, teardown }
+ */
+function providerContract(type, setup) {
+  describe(`${type} provider`, () => {
+    let provider;
+    let teardown;
+
+    before(async () => {
+      const environment = await setup();
+      teardown = environment.teardown;
+      provider = buildProvider(type, {
+        chunker: CHUNKER,
+        ...environment.options,
+      });
+    });
+
+    after(() => teardown());
+
+    it("is named after its type", async () => {
+      assert.equal(provider.name, type);
+      assert.equal((await provider.getInfo()).provider, type);
+    });
+
+    it("stores content under the CID IPFS gives it", async () => {
+      const added = await provider.add(HELLO, { fileName: "hello.txt" });
+
+      assert.deepEqual(added, { cid: HELLO_CID, size: HELLO.length });
+      assert.equal(await provider.has(HELLO_CID), true);
+      assert.deepEqual(await readAll(provider.cat(HELLO_CID)), HELLO);
+    });
+
+    it("adds streams of several chunks", async () => {
+      const added = await provider.add(Readable.from([LARGE]));
+
+      assert.deepEqual(added, {
+        cid: computeCID(LARGE, CHUNKER),
+        size: LARGE.length,
+      });
+      assert.deepEqual(await readAll(provider.cat(added.cid)), LARGE);
+    });
+
+    it("pins stored content and releases it on unpin", async () => {
+      const { cid } = await provider.add(Buffer.from("pin me"));
+
+      await provider.pin(cid, { timeout: 1000 });
+      assert.equal(await provider.has(cid), true);
+
+      await provider.unpin(cid);
+      assert.equal(await provider.has(cid), false);
+      // Unpinning twice is not an error
+      await provider.unpin(cid);
+    });
+
+    it("fails on content it does not hold", async () => {
+      assert.equal(await provider.has(MISSING_CID), false);
+      await assert.rejects(
+        readAll(provider.cat(MISSING_CID, { timeout: 1000 }))
+      );
+      await assert.rejects(provider.pin(MISSING_CID, { timeout: 1000 }));
+    });
+  });
+}
+
+describe("storage providers", () => {
+  providerContract("filesystem", async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "storage-fs-"));
+    return {
+      options: { root },
+      teardown: () => fs.rmSync(root, { recursive: true, force: true }),
+    };
+  });
+
+  providerContract("s3", async () => {
+    const server = await startS3("datasets");
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-s3-"));
+    return {
+      options: {
+        bucket: "datasets",
+        prefix: "content/",
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        region: "us-east-1",
+        accessKeyId: "test",
+        secretAccessKey: "test",
+        tempDir,
+      },
+      teardown: () => {
+        server.close();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      },
+    };
+  });
+
+  providerContract("kubo", async () => {
+    const server = await startKubo();
+    return {
+      options: {
+        host: "127.0.0.1",
+        port: server.address().port,
+        protocol: "http",
+      },
+      teardown: () => server.close(),
+    };
+  });
+});
@@ -0,0 +1,80 @@
+const {
+  describe,
+  it,
+  beforeEach,
+  afterEach,
+  after,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "version-test-"));
+process.env.DATA_DIR = dataDir;
+const aptosService = require("../services/aptosService");
+const versionService = require("../services/versionService");
+
+const OWNER = "0x" + "a".repeat(64);
+const BUYER = "0x" + "b".repeat(64);
+
+const DATASET = { id: "7", owner: OWNER, ipfs_hash: "QmVersion3" };
+const HISTORY = [1, 2, 3].map((version) => ({
+  dataset_id: DATASET.id,
+  version: String(version),
+  ipfs_hash: `QmVersion${version}`,
+}));
+
+describe("VersionService.resolveAccess", () => {
+  let purchases;
+  let accessible;
+
+  beforeEach(() => {
+    mock.method(console, "log", () => {});
+    purchases = new Set([BUYER]);
+    accessible = 2;
+    mock.method(aptosService, "hasUserPurchasedDataset", async (address) =>
+      purchases.has(address)
+    );
+    mock.method(aptosService, "getAccessibleVersion", async () => accessible);
+    mock.method(versionService, "getHistory", async () => HISTORY);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  it("lets the owner read every version without a purchase", async () => {
+    const resolved = await versionService.resolveAccess(DATASET, OWNER);
+
+    assert.equal(resolved.version, 3);
+    assert.equal(resolved.dataset.ipfs_hash, "QmVersion3");
+    assert.equal(aptosService.hasUserPurchasedDataset.mock.callCount(), 0);
+  });
+
+  it("denies an address that has not bought the dataset", async () => {
+    purchases.clear();
+
+    assert.equal(await versionService.resolveAccess(DATASET, BUYER), null);
+    assert.equal(aptosService.getAccessibleVersion.mock.callCount(), 0);
+  });
+
+  it("caps a buyer at the version their licence covers", async () => {
+    const newest = await versionService.resolveAccess(DATASET, BUYER);
+    assert.equal(newest.version, 2);
+    assert.equal(newest.dataset.ipfs_hash, "QmVersion2");
+
+    assert.equal(
+      (await versionService.resolveAccess(DATASET, BUYER, 1)).version,
+      1
+    );
+    assert.equal(await versionService.resolveAccess(DATASET, BUYER, 3), null);
+  });
+
+  it("denies a buyer whose licence has expired", async () => {
+    accessible = 0;
+
+    assert.equal(await versionService.resolveAccess(DATASET, BUYER), null);
+  });
+});
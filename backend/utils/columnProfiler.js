@@ -0,0 +1,455 @@
+/**
+ * Streaming column profiler for tabular uploads. Infers a type per column and
+ * computes summary statistics in a single pass with bounded memory.
+ */
+
+const NULL_VALUES = new Set(["", "null", "na", "n/a", "nan", "none", "-"]);
+const BOOLEAN_VALUES = new Map([
+  ["true", true],
+  ["false", false],
+  ["yes", true],
+  ["no", false],
+  ["y", true],
+  ["n", false],
+  ["t", true],
+  ["f", false],
+]);
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const FLOAT_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const DATE_PATTERN =
+  /^(\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{4})$/;
+
+const MAX_TRACKED_VALUES = 1000; // Exact value counts kept per column
+const MAX_CATEGORIES = 50; // Most distinct values a categorical column may have
+const RESERVOIR_SIZE = 10000; // Values sampled per column for histograms
+const HISTOGRAM_BINS = 10;
+const TOP_VALUES = 10;
+const HLL_BITS = 12; // 4096 registers, about 1.6% standard error
+
+// Summary fields built from a column's values rather than counted over them
+const VALUE_FIELDS = [
+  "min",
+  "max",
+  "mean",
+  "histogram",
+  "histogramApproximate",
+];
+
+/**
+ * 32-bit FNV-1a hash with a murmur-style finalizer
+ * @param {string} value - Value to hash
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function hash32(value) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    h ^= value.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+/**
+ * HyperLogLog sketch used once a column has too many distinct values to
+ * count exactly
+ */
+class DistinctSketch {
+  constructor() {
+    this.registers = new Uint8Array(1 << HLL_BITS);
+  }
+
+  /**
+   * Add a value to the sketch
+   * @param {string} value - Column value
+   */
+  add(value) {
+    const h = hash32(value);
+    const index = h >>> (32 - HLL_BITS);
+    const rest = (h << HLL_BITS) | (1 << (HLL_BITS - 1));
+    const rank = Math.clz32(rest) + 1;
+    if (rank > this.registers[index]) {
+      this.registers[index] = rank;
+    }
+  }
+
+  /**
+   * Estimate the number of distinct values added
+   * @returns {number} - Estimated distinct count
+   */
+  estimate() {
+    const m = this.registers.length;
+    let sum = 0;
+    let zeros = 0;
+    for (const register of this.registers) {
+      sum += 2 ** -register;
+      if (register === 0) zeros++;
+    }
+    const estimate = ((0.7213 / (1 + 1.079 / m)) * m * m) / sum;
+    // Linear counting is more accurate for small cardinalities
+    if (estimate <= 2.5 * m && zeros > 0) {
+      return Math.round(m * Math.log(m / zeros));
+    }
+    return Math.round(estimate);
+  }
+}
+
+/**
+ * Fixed-size uniform sample of a stream of numbers (algorithm R) with a
+ * seeded generator so profiles are reproducible
+ */
+class Reservoir {
+  constructor() {
+    this.values = [];
+    this.seen = 0;
+    this.seed = 0x2545f491;
+  }
+
+  /**
+   * Next pseudo-random number (xorshift32)
+   * @returns {number} - Number in [0, 1)
+   */
+  random() {
+    this.seed ^= this.seed << 13;
+    this.seed ^= this.seed >>> 17;
+    this.seed ^= this.seed << 5;
+    return (this.seed >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Offer a value to the sample
+   * @param {number} value - Sampled value
+   */
+  add(value) {
+    this.seen++;
+    if (this.values.length < RESERVOIR_SIZE) {
+      this.values.push(value);
+      return;
+    }
+    const slot = Math.floor(this.random() * this.seen);
+    if (slot < RESERVOIR_SIZE) {
+      this.values[slot] = value;
+    }
+  }
+}
+
+/**
+ * Running statistics for one column
+ */
+class ColumnStats {
+  constructor() {
+    this.count = 0;
+    this.nullCount = 0;
+
+    this.isInteger = true;
+    this.isFloat = true;
+    this.isBoolean = true;
+    this.isDate = true;
+
+    this.numeric = { min: Infinity, max: -Infinity, sum: 0 };
+    this.numericSample = new Reservoir();
+    this.dates = { min: Infinity, max: -Infinity, sum: 0 };
+    this.dateSample = new Reservoir();
+    this.lengths = { min: Infinity, max: 0, sum: 0 };
+
+    this.valueCounts = new Map();
+    this.sketch = null;
+  }
+
+  /**
+   * Add one raw cell value
+   * @param {string} raw - Cell value as parsed
+   */
+  add(raw) {
+    this.count++;
+    const value = raw.trim();
+    if (NULL_VALUES.has(value.toLowerCase())) {
+      this.nullCount++;
+      return;
+    }
+
+    this.trackValue(value);
+
+    this.lengths.min = Math.min(this.lengths.min, value.length);
+    this.lengths.max = Math.max(this.lengths.max, value.length);
+    this.lengths.sum += value.length;
+
+    if (this.isBoolean && !BOOLEAN_VALUES.has(value.toLowerCase())) {
+      this.isBoolean = false;
+    }
+    if (this.isInteger && !INTEGER_PATTERN.test(value)) {
+      this.isInteger = false;
+    }
+    if (this.isFloat) {
+      if (FLOAT_PATTERN.test(value)) {
+        const number = Number(value);
+        this.numeric.min = Math.min(this.numeric.min, number);
+        this.numeric.max = Math.max(this.numeric.max, number);
+        this.numeric.sum += number;
+        this.numericSample.add(number);
+      } else {
+        this.isFloat = false;
+        this.isInteger = false;
+      }
+    }
+    if (this.isDate) {
+      const time = DATE_PATTERN.test(value) ? Date.parse(value) : NaN;
+      if (Number.isNaN(time)) {
+        this.isDate = false;
+      } else {
+        this.dates.min = Math.min(this.dates.min, time);
+        this.dates.max = Math.max(this.dates.max, time);
+        this.dates.sum += time;
+        this.dateSample.add(time);
+      }
+    }
+  }
+
+  /**
+   * Count a non-null value towards the distinct count
+   * @param {string} value - Trimmed cell value
+   */
+  trackValue(value) {
+    if (this.sketch) {
+      this.sketch.add(value);
+      return;
+    }
+
+    this.valueCounts.set(value, (this.valueCounts.get(value) || 0) + 1);
+    if (this.valueCounts.size > MAX_TRACKED_VALUES) {
+      // Too many distinct values to count exactly: switch to an estimate
+      this.sketch = new DistinctSketch();
+      for (const seen of this.valueCounts.keys()) this.sketch.add(seen);
+      this.valueCounts = null;
+    }
+  }
+
+  get nonNullCount() {
+    return this.count - this.nullCount;
+  }
+
+  get distinctCount() {
+    return this.sketch ? this.sketch.estimate() : this.valueCounts.size;
+  }
+
+  /**
+   * Pick the narrowest type every non-null value fits
+   * @returns {string} - Column type
+   */
+  inferType() {
+    if (this.nonNullCount === 0) return "empty";
+    if (this.isBoolean) return "boolean";
+    if (this.isInteger) return "integer";
+    if (this.isFloat) return "float";
+    if (this.isDate) return "date";
+
+    const categorical =
+      !this.sketch &&
+      this.valueCounts.size <= MAX_CATEGORIES &&
+      this.valueCounts.size <= this.nonNullCount / 2;
+    return categorical ? "categorical" : "text";
+  }
+}
+
+/**
+ * Split a sample into equal-width bins between the exact min and max, scaling
+ * counts up to the full number of values when the sample is partial
+ * @param {Reservoir} sample - Sampled values
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @param {number} total - Number of values the sample was drawn from
+ * @param {Function} format - Formats bin edges
+ * @returns {Array<Object>} - Bins of { from, to, count }
+ */
+function buildHistogram(sample, min, max, total, format = (edge) => edge) {
+  const binCount = min === max ? 1 : HISTOGRAM_BINS;
+  const width = (max - min) / binCount;
+  const counts = new Array(binCount).fill(0);
+
+  for (const value of sample.values) {
+    const bin =
+      width === 0
+        ? 0
+        : Math.min(Math.floor((value - min) / width), binCount - 1);
+    counts[bin]++;
+  }
+
+  const scale = sample.values.length ? total / sample.values.length : 0;
+  return counts.map((count, bin) => ({
+    from: format(min + bin * width),
+    to: format(bin === binCount - 1 ? max : min + (bin + 1) * width),
+    count: Math.round(count * scale),
+  }));
+}
+
+/**
+ * Most frequent values of a column
+ * @param {Map<string, number>} valueCounts - Exact value counts
+ * @returns {Array<Object>} - Values of { value, count }, most frequent first
+ */
+function topValues(valueCounts) {
+  return [...valueCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, TOP_VALUES)
+    .map(([value, count]) => ({ value, count }));
+}
+
+/**
+ * Profiles rows as they stream past. Columns are created from the first row,
+ * and names are attached when the profile is finished.
+ */
+class ColumnProfiler {
+  constructor() {
+    this.columns = [];
+    this.rowCount = 0;
+  }
+
+  /**
+   * Add one data row
+   * @param {Array<string>} fields - Row values
+   */
+  addRow(fields) {
+    // Formats without a fixed header (NDJSON) can add columns part way through
+    while (this.columns.length < fields.length) {
+      const stats = new ColumnStats();
+      stats.count = stats.nullCount = this.rowCount;
+      this.columns.push(stats);
+    }
+    this.rowCount++;
+    this.columns.forEach((stats, index) => {
+      stats.add(index < fields.length ? fields[index] : "");
+    });
+  }
+
+  /**
+   * Summarise every column
+   * @param {Array<string>} headers - Column names
+   * @returns {Object} - Profile with a summary per column
+   */
+  finish(headers) {
+    const columns = this.columns.map((stats, index) =>
+      this.summarize(headers[index] || `column_${index + 1}`, stats)
+    );
+
+    return {
+      rowCount: this.rowCount,
+      columnCount: columns.length,
+      profiledAt: new Date().toISOString(),
+      columns,
+    };
+  }
+
+  /**
+   * Summarise one column
+   * @param {string} name - Column name
+   * @param {ColumnStats} stats - Collected statistics
+   * @returns {Object} - Column summary
+   */
+  summarize(name, stats) {
+    const type = stats.inferType();
+    const nonNull = stats.nonNullCount;
+    const summary = {
+      name,
+      type,
+      nullCount: stats.nullCount,
+      nullRate: stats.count
+        ? Number((stats.nullCount / stats.count).toFixed(4))
+        : 0,
+      distinctCount: stats.distinctCount,
+      distinctApproximate: Boolean(stats.sketch),
+    };
+
+    if (type === "integer" || type === "float") {
+      const { min, max, sum } = stats.numeric;
+      Object.assign(summary, {
+        min,
+        max,
+        mean: Number((sum / nonNull).toPrecision(12)),
+        histogram: buildHistogram(stats.numericSample, min, max, nonNull),
+        histogramApproximate: stats.numericSample.seen > RESERVOIR_SIZE,
+      });
+    } else if (type === "date") {
+      const { min, max, sum } = stats.dates;
+      const toISO = (time) => new Date(time).toISOString();
+      Object.assign(summary, {
+        min: toISO(min),
+        max: toISO(max),
+        mean: toISO(Math.round(sum / nonNull)),
+        histogram: buildHistogram(stats.dateSample, min, max, nonNull, toISO),
+        histogramApproximate: stats.dateSample.seen > RESERVOIR_SIZE,
+      });
+    } else if (type === "boolean" || type === "categorical") {
+      summary.histogram = topValues(stats.valueCounts);
+    } else if (type === "text") {
+      const { min, max, sum } = stats.lengths;
+      // Free-text values are not listed since they may quote row content
+      Object.assign(summary, {
+        minLength: min,
+        maxLength: max,
+        meanLength: Number((sum / nonNull).toFixed(2)),
+      });
+    }
+
+    return summary;
+  }
+}
+
+/**
+ * Drop the value statistics of columns flagged as personal data before a
+ * profile is published. Histograms list the most frequent values and min and
+ * max are cells of the file, so they would reveal the very values the scan
+ * found. Types, null and distinct counts and text lengths are kept.
+ * @param {Object} profile - Profile from ColumnProfiler.finish
+ * @param {Array<string>} columnNames - Names of the flagged columns
+ * @returns {Object} - Profile with statisticsWithheld set on those columns
+ */
+function withholdColumnStatistics(profile, columnNames) {
+  if (columnNames.length === 0) return profile;
+
+  return {
+    ...profile,
+    columns: profile.columns.map((column) => {
+      if (!columnNames.includes(column.name)) return column;
+
+      const summary = { ...column, statisticsWithheld: true };
+      for (const field of VALUE_FIELDS) delete summary[field];
+      return summary;
+    }),
+  };
+}
+
+/**
+ * Convert a raw cell to a typed value using its profiled column type. Values
+ * the profiler counts as null become null; integers become BigInt so large
+ * values keep their precision.
+ * @param {string} raw - Cell value as parsed
+ * @param {string} [type] - Profiled column type
+ * @returns {*} - Typed value, or the raw string for untyped columns
+ */
+function parseValue(raw, type) {
+  if (!type) return raw;
+
+  const value = raw.trim();
+  if (NULL_VALUES.has(value.toLowerCase())) return null;
+
+  switch (type) {
+    case "boolean":
+      return BOOLEAN_VALUES.get(value.toLowerCase());
+    case "integer":
+      return BigInt(value);
+    case "float":
+      return Number(value);
+    default:
+      return value;
+  }
+}
+
+module.exports = {
+  ColumnProfiler,
+  parseValue,
+  withholdColumnStatistics,
+};
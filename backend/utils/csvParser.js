@@ -0,0 +1,424 @@
+/**
+ * Streaming RFC 4180 CSV parsing shared by upload validation and previews
+ */
+
+const DELIMITERS = [",", ";", "\t", "|"];
+const SNIFF_SIZE = 64 * 1024; // Bytes inspected to detect encoding and delimiter
+const SNIFF_RECORDS = 20; // Records compared when detecting the delimiter
+const SAMPLE_ROWS = 5; // Data rows kept as a sample
+const MAX_REPORTED_ERRORS = 100;
+const MAX_FIELD_LENGTH = 1024 * 1024; // Guards against runaway quoted fields
+
+/**
+ * Incremental RFC 4180 parser. Text can be written in arbitrary pieces;
+ * quoted fields may contain delimiters, escaped quotes ("") and line breaks.
+ * Records end at LF, CRLF or CR. Blank lines are skipped.
+ */
+class CSVParser {
+  /**
+   * @param {Object} options - Parser options
+   * @param {string} [options.delimiter] - Field delimiter
+   * @param {Function} options.onRecord - Called with (fields, line) per record
+   * @param {Function} [options.onError] - Called with { line, message }
+   */
+  constructor({ delimiter = ",", onRecord, onError = () => {} }) {
+    this.delimiter = delimiter;
+    this.onRecord = onRecord;
+    this.onError = onError;
+
+    this.record = [];
+    this.field = "";
+    this.fieldQuoted = false;
+    this.recordQuoted = false;
+    this.inQuotes = false;
+    this.afterQuote = false; // Just read a quote that may close the field
+    this.lastWasCR = false;
+    this.line = 1;
+    this.recordLine = 1;
+    this.fatal = null;
+  }
+
+  /**
+   * Parse a piece of text
+   * @param {string} text - Decoded text
+   */
+  write(text) {
+    if (this.fatal) return;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+
+      if (this.inQuotes) {
+        if (ch === '"') {
+          this.inQuotes = false;
+          this.afterQuote = true;
+        } else {
+          if (ch === "\n") this.line++;
+          this.field += ch;
+        }
+        continue;
+      }
+
+      if (this.afterQuote) {
+        this.afterQuote = false;
+        if (ch === '"') {
+          // "" inside a quoted field is an escaped quote
+          this.field += '"';
+          this.inQuotes = true;
+          continue;
+        }
+        if (ch !== this.delimiter && ch !== "\r" && ch !== "\n") {
+          this.onError({
+            line: this.line,
+            message: "Unexpected character after closing quote",
+          });
+        }
+      }
+
+      if (ch === "\n" && this.lastWasCR) {
+        this.lastWasCR = false;
+        continue;
+      }
+      this.lastWasCR = false;
+
+      if (ch === this.delimiter) {
+        this.endField();
+      } else if (ch === "\r" || ch === "\n") {
+        this.endRecord();
+        this.lastWasCR = ch === "\r";
+        this.line++;
+        this.recordLine = this.line;
+      } else if (ch === '"' && this.field === "" && !this.fieldQuoted) {
+        this.inQuotes = true;
+        this.fieldQuoted = true;
+        this.recordQuoted = true;
+      } else {
+        if (ch === '"') {
+          this.onError({
+            line: this.line,
+            message: "Unexpected quote in unquoted field",
+          });
+        }
+        this.field += ch;
+      }
+    }
+
+    if (this.field.length > MAX_FIELD_LENGTH) {
+      this.fatal = {
+        line: this.recordLine,
+        message: `Field exceeds ${MAX_FIELD_LENGTH} characters${
+          this.inQuotes ? " (unterminated quoted field?)" : ""
+        }`,
+      };
+    }
+  }
+
+  /**
+   * Flush the final record
+   */
+  end() {
+    if (this.fatal) return;
+
+    if (this.inQuotes) {
+      this.onError({
+        line: this.recordLine,
+        message: "Unterminated quoted field",
+      });
+    }
+    if (this.field !== "" || this.record.length > 0 || this.fieldQuoted) {
+      this.endRecord();
+    }
+  }
+
+  /**
+   * Close the current field
+   */
+  endField() {
+    this.record.push(this.field);
+    this.field = "";
+    this.fieldQuoted = false;
+  }
+
+  /**
+   * Close the current record and emit it unless it is a blank line
+   */
+  endRecord() {
+    this.endField();
+    const blank =
+      this.record.length === 1 && this.record[0] === "" && !this.recordQuoted;
+    if (!blank) {
+      this.onRecord(this.record, this.recordLine);
+    }
+    this.record = [];
+    this.recordQuoted = false;
+  }
+}
+
+/**
+ * Detect the text encoding from a byte order mark, falling back to
+ * Windows-1252 when the sample is not valid UTF-8
+ * @param {Buffer} sample - First bytes of the file
+ * @returns {string} - WHATWG encoding label
+ */
+function detectEncoding(sample) {
+  if (sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return "utf-8";
+  }
+  if (sample[0] === 0xff && sample[1] === 0xfe) return "utf-16le";
+  if (sample[0] === 0xfe && sample[1] === 0xff) return "utf-16be";
+
+  try {
+    // stream: true tolerates a character cut off at the end of the sample
+    new TextDecoder("utf-8", { fatal: true }).decode(sample, { stream: true });
+    return "utf-8";
+  } catch (error) {
+    return "windows-1252";
+  }
+}
+
+/**
+ * Pick the delimiter that splits the first records into the most columns
+ * with a consistent column count
+ * @param {string} text - Decoded sample of the file
+ * @returns {string} - Delimiter
+ */
+function detectDelimiter(text) {
+  let best = { delimiter: ",", consistency: 0, columns: 0 };
+
+  for (const delimiter of DELIMITERS) {
+    const counts = [];
+    const parser = new CSVParser({
+      delimiter,
+      onRecord: (fields) => counts.push(fields.length),
+    });
+    // The last record of the sample may be cut off, so it is not flushed
+    parser.write(text);
+
+    const sample = counts.slice(0, SNIFF_RECORDS);
+    if (sample.length === 0 || sample[0] < 2) continue;
+
+    const consistency =
+      sample.filter((count) => count === sample[0]).length / sample.length;
+    if (
+      consistency > best.consistency ||
+      (consistency === best.consistency && sample[0] > best.columns)
+    ) {
+      best = { delimiter, consistency, columns: sample[0] };
+    }
+  }
+
+  return best.delimiter;
+}
+
+/**
+ * Incremental CSV inspector. Feed it raw chunks as they arrive; it detects
+ * the encoding and delimiter, validates every row against the header and
+ * collects a sample without holding the file in memory.
+ */
+class CSVInspector {
+  /**
+   * @param {Object} [options] - Inspector options
+   * @param {Function} [options.onRow] - Called with (fields, line) for every
+   *   data row that matches the header
+   */
+  constructor({ onRow } = {}) {
+    this.onRow = onRow;
+    this.pending = [];
+    this.pendingSize = 0;
+    this.parser = null;
+    this.decoder = null;
+    this.encoding = null;
+    this.delimiter = null;
+
+    this.headers = null;
+    this.dataRows = 0;
+    this.sampleData = [];
+    this.errors = [];
+    this.errorCount = 0;
+  }
+
+  /**
+   * Fatal error that stops parsing, if any
+   * @returns {Object|null} - { line, message } or null
+   */
+  get fatal() {
+    return this.parser ? this.parser.fatal : null;
+  }
+
+  /**
+   * Consume a chunk of the file
+   * @param {Buffer} chunk - Raw file bytes
+   */
+  write(chunk) {
+    if (this.parser) {
+      this.parser.write(this.decoder.decode(chunk, { stream: true }));
+      return;
+    }
+
+    this.pending.push(chunk);
+    this.pendingSize += chunk.length;
+    if (this.pendingSize >= SNIFF_SIZE) {
+      this.start();
+    }
+  }
+
+  /**
+   * Detect encoding and delimiter from the buffered sample and start parsing
+   */
+  start() {
+    const sample = Buffer.concat(this.pending);
+    this.pending = [];
+
+    this.encoding = detectEncoding(sample);
+    this.decoder = new TextDecoder(this.encoding); // Strips the BOM
+    const text = this.decoder.decode(sample, { stream: true });
+    this.delimiter = detectDelimiter(text);
+
+    this.parser = new CSVParser({
+      delimiter: this.delimiter,
+      onRecord: (fields, line) => this.addRecord(fields, line),
+      onError: (error) => this.addError(error),
+    });
+    this.parser.write(text);
+  }
+
+  /**
+   * Check one parsed record against the header
+   * @param {Array<string>} fields - Parsed fields
+   * @param {number} line - Line the record starts on
+   */
+  addRecord(fields, line) {
+    if (!this.headers) {
+      this.headers = fields.map((header) => header.trim());
+      return;
+    }
+
+    this.dataRows++;
+    if (fields.length !== this.headers.length) {
+      this.addError({
+        line,
+        message: `Expected ${this.headers.length} fields but found ${fields.length}`,
+      });
+      return;
+    }
+
+    if (this.sampleData.length < SAMPLE_ROWS) {
+      this.sampleData.push(fields.map((cell) => cell.trim()));
+    }
+    if (this.onRow) {
+      this.onRow(fields, line);
+    }
+  }
+
+  /**
+   * Record a row-level error, keeping only the first few in detail
+   * @param {Object} error - { line, message }
+   */
+  addError(error) {
+    this.errorCount++;
+    if (this.errors.length < MAX_REPORTED_ERRORS) {
+      this.errors.push(error);
+    }
+  }
+
+  /**
+   * Finish the file and return the inspection result
+   * @returns {Object} - { valid, metadata } or
+   *   { valid: false, error, message, errors, errorCount }
+   */
+  end() {
+    if (!this.parser) {
+      this.start();
+    }
+    if (!this.fatal) {
+      this.parser.write(this.decoder.decode());
+      this.parser.end();
+    }
+
+    if (this.fatal) {
+      return {
+        valid: false,
+        error: "Invalid CSV file",
+        message: `Line ${this.fatal.line}: ${this.fatal.message}`,
+        errors: [this.fatal],
+        errorCount: 1,
+      };
+    }
+
+    if (!this.headers || this.dataRows === 0) {
+      return {
+        valid: false,
+        error: "Invalid CSV file",
+        message: "CSV file must contain at least a header row and one data row",
+      };
+    }
+
+    if (this.headers.length < 2) {
+      return {
+        valid: false,
+        error: "Invalid CSV format",
+        message: "CSV file must contain at least 2 columns",
+      };
+    }
+
+    if (this.errorCount > 0) {
+      const [first] = this.errors;
+      return {
+        valid: false,
+        error: "Invalid CSV structure",
+        message: `Found ${this.errorCount} errors, first on line ${first.line}: ${first.message}`,
+        errors: this.errors,
+        errorCount: this.errorCount,
+      };
+    }
+
+    return {
+      valid: true,
+      metadata: {
+        totalRows: this.dataRows, // Excludes the header row
+        totalColumns: this.headers.length,
+        headers: this.headers,
+        sampleData: this.sampleData,
+        delimiter: this.delimiter,
+        encoding: this.encoding,
+      },
+    };
+  }
+}
+
+/**
+ * Inspect a CSV file from a readable stream
+ * @param {Readable} source - Stream of the file content
+ * @param {Object} [options] - CSVInspector options
+ * @returns {Promise<Object>} - Inspection result (see CSVInspector#end)
+ */
+async function inspectCSVStream(source, options) {
+  const inspector = new CSVInspector(options);
+  for await (const chunk of source) {
+    inspector.write(chunk);
+    // Leaving the loop early also destroys the source stream
+    if (inspector.fatal) break;
+  }
+  return inspector.end();
+}
+
+/**
+ * Inspect a CSV file held in memory
+ * @param {Buffer} buffer - File content
+ * @param {Object} [options] - CSVInspector options
+ * @returns {Object} - Inspection result (see CSVInspector#end)
+ */
+function inspectCSVBuffer(buffer, options) {
+  const inspector = new CSVInspector(options);
+  inspector.write(buffer);
+  return inspector.end();
+}
+
+module.exports = {
+  CSVParser,
+  CSVInspector,
+  detectEncoding,
+  detectDelimiter,
+  inspectCSVStream,
+  inspectCSVBuffer,
+};
@@ -0,0 +1,689 @@
+/**
+ * Dataset file formats: detection from MIME type, extension and magic bytes,
+ * row readers for each tabular format, and upload inspection (validation,
+ * preview and profiling) dispatched by format
+ */
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { Readable } = require("stream");
+const { StringDecoder } = require("string_decoder");
+const ExcelJS = require("exceljs");
+const yauzl = require("yauzl");
+
+const { CSVInspector, inspectCSVStream } = require("./csvParser");
+const { ColumnProfiler } = require("./columnProfiler");
+const { PIIScanner } = require("./piiScanner");
+
+const FORMATS = {
+  csv: { mimeType: "text/csv", extension: "csv", label: "CSV", tabular: true },
+  "csv.gz": {
+    mimeType: "application/gzip",
+    extension: "csv.gz",
+    label: "gzip-compressed CSV",
+    tabular: true,
+    binary: true,
+  },
+  zip: {
+    mimeType: "application/zip",
+    extension: "zip",
+    label: "zip-compressed CSV",
+    tabular: true,
+    binary: true,
+    randomAccess: true, // Entries are located through the central directory
+  },
+  ndjson: {
+    mimeType: "application/x-ndjson",
+    extension: "ndjson",
+    label: "NDJSON",
+    tabular: true,
+  },
+  parquet: {
+    mimeType: "application/vnd.apache.parquet",
+    extension: "parquet",
+    label: "Parquet",
+    tabular: true,
+    binary: true,
+    randomAccess: true, // Metadata is in the footer
+  },
+  xlsx: {
+    mimeType:
+      "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extension: "xlsx",
+    label: "Excel",
+    tabular: true,
+    binary: true,
+  },
+  json: { mimeType: "application/json", extension: "json", label: "JSON" },
+  text: { mimeType: "text/plain", extension: "txt", label: "text" },
+};
+
+// Non-canonical MIME types browsers and tools send for the same formats
+const MIME_ALIASES = {
+  "application/csv": "csv",
+  "application/x-gzip": "csv.gz",
+  "application/x-zip-compressed": "zip",
+  "application/jsonl": "ndjson",
+  "application/x-jsonlines": "ndjson",
+  "application/x-parquet": "parquet",
+};
+
+const EXTENSIONS = {
+  csv: "csv",
+  gz: "csv.gz",
+  zip: "zip",
+  ndjson: "ndjson",
+  jsonl: "ndjson",
+  parquet: "parquet",
+  xlsx: "xlsx",
+  json: "json",
+  txt: "text",
+};
+
+const SAMPLE_ROWS = 5;
+const MAX_REPORTED_ERRORS = 100;
+const MAX_LINE_LENGTH = 16 * 1024 * 1024; // Longest NDJSON record accepted
+const PARQUET_BATCH_ROWS = 10000; // Rows decoded from a Parquet file at once
+
+/**
+ * MIME types accepted for upload
+ * @returns {Array<string>} - Allowed MIME types
+ */
+function getAllowedMimeTypes() {
+  return process.env.ALLOWED_FILE_TYPES
+    ? process.env.ALLOWED_FILE_TYPES.split(",")
+    : Object.values(FORMATS).map((format) => format.mimeType);
+}
+
+/**
+ * Look up a format by MIME type
+ * @param {string} mimeType - MIME type
+ * @returns {string|null} - Format key or null
+ */
+function getFormatByMimeType(mimeType) {
+  const format = Object.keys(FORMATS).find(
+    (key) => FORMATS[key].mimeType === mimeType
+  );
+  return format || MIME_ALIASES[mimeType] || null;
+}
+
+/**
+ * Format a file claims to be, from its extension or else its MIME type
+ * @param {Object} declared - { mimeType, fileName }
+ * @returns {string|null} - Format key or null
+ */
+function resolveDeclaredFormat({ mimeType, fileName } = {}) {
+  const extension = path
+    .extname(fileName || "")
+    .slice(1)
+    .toLowerCase();
+  return EXTENSIONS[extension] || getFormatByMimeType(mimeType);
+}
+
+/**
+ * Check whether uploads of a format are allowed
+ * @param {string} format - Format key
+ * @returns {boolean} - True when the format's MIME type is allowed
+ */
+function isAllowedFormat(format) {
+  return Boolean(
+    FORMATS[format] && getAllowedMimeTypes().includes(FORMATS[format].mimeType)
+  );
+}
+
+/**
+ * Open a readable stream over a file source
+ * @param {Object} source - { path } of a file on disk, { buffer }, or
+ *   { stream } for formats without randomAccess
+ * @returns {Readable} - File content
+ */
+function openStream(source) {
+  if (source.stream) return source.stream;
+  return source.buffer
+    ? Readable.from([source.buffer])
+    : fs.createReadStream(source.path);
+}
+
+/**
+ * Read the first bytes of a file source
+ * @param {Object} source - { path } or { buffer }
+ * @param {number} length - Number of bytes
+ * @returns {Promise<Buffer>} - Leading bytes
+ */
+async function readHead(source, length) {
+  if (source.buffer) return source.buffer.subarray(0, length);
+
+  const file = await fs.promises.open(source.path, "r");
+  try {
+    const { buffer, bytesRead } = await file.read(
+      Buffer.alloc(length),
+      0,
+      length,
+      0
+    );
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await file.close();
+  }
+}
+
+/**
+ * Open a ZIP archive for reading entry by entry
+ * @param {Object} source - { path } or { buffer }
+ * @returns {Promise<Object>} - yauzl ZipFile
+ */
+function openZip(source) {
+  return new Promise((resolve, reject) => {
+    const callback = (error, zipFile) =>
+      error ? reject(error) : resolve(zipFile);
+    if (source.buffer) {
+      yauzl.fromBuffer(source.buffer, { lazyEntries: true }, callback);
+    } else {
+      yauzl.open(source.path, { lazyEntries: true }, callback);
+    }
+  });
+}
+
+/**
+ * Find the first ZIP entry matching a predicate
+ * @param {Object} source - { path } or { buffer }
+ * @param {Function} predicate - Receives the entry name
+ * @returns {Promise<Object|null>} - { name, stream } or null; `names` lists
+ *   every entry when nothing matched
+ */
+async function findZipEntry(source, predicate) {
+  const zipFile = await openZip(source);
+  const names = [];
+
+  return new Promise((resolve, reject) => {
+    zipFile.on("error", reject);
+    zipFile.on("end", () => resolve({ name: null, stream: null, names }));
+    zipFile.on("entry", (entry) => {
+      names.push(entry.fileName);
+      if (!predicate(entry.fileName)) {
+        zipFile.readEntry();
+        return;
+      }
+      zipFile.openReadStream(entry, (error, stream) => {
+        if (error) return reject(error);
+        stream.on("end", () => zipFile.close());
+        resolve({ name: entry.fileName, stream, names });
+      });
+    });
+    zipFile.readEntry();
+  });
+}
+
+/**
+ * Check whether a ZIP entry is a CSV file worth reading
+ * @param {string} name - Entry name
+ * @returns {boolean} - True for CSV files outside macOS metadata folders
+ */
+function isCSVEntry(name) {
+  return /\.csv$/i.test(name) && !name.startsWith("__MACOSX/");
+}
+
+/**
+ * Detect the format of a file from its magic bytes, falling back to its
+ * declared MIME type and extension for text formats
+ * @param {Object} source - { path } or { buffer }
+ * @param {Object} declared - { mimeType, fileName } sent by the client
+ * @returns {Promise<string|null>} - Format key, or null when unsupported
+ */
+async function detectFormat(source, declared = {}) {
+  const head = await readHead(source, 4);
+
+  if (head.toString("latin1") === "PAR1") return "parquet";
+  if (head[0] === 0x1f && head[1] === 0x8b) return "csv.gz";
+  if (head.toString("latin1") === "PK\x03\x04") {
+    // Excel workbooks are ZIP archives with a known layout
+    const { names } = await findZipEntry(source, () => false);
+    const isWorkbook =
+      names.includes("[Content_Types].xml") &&
+      names.some((name) => name.startsWith("xl/"));
+    return isWorkbook ? "xlsx" : "zip";
+  }
+
+  // A binary format without its magic bytes is not that format
+  const declaredFormat = resolveDeclaredFormat(declared);
+  if (!declaredFormat || FORMATS[declaredFormat].binary) return null;
+  return declaredFormat;
+}
+
+/**
+ * Convert a decoded value to the string cell form used by profiling
+ * @param {*} value - Decoded value
+ * @returns {string} - Cell text
+ */
+function toCell(value) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "bigint") return value.toString();
+  if (value instanceof Uint8Array) return Buffer.from(value).toString("base64");
+  if (typeof value === "object") {
+    return JSON.stringify(value, (key, inner) =>
+      typeof inner === "bigint" ? inner.toString() : inner
+    );
+  }
+  return String(value);
+}
+
+/**
+ * Read NDJSON records. Keys are collected into headers in order of first
+ * appearance, so earlier rows may have fewer fields than the final header.
+ * @param {Object} source - { path } or { buffer }
+ * @returns {Object} - { headers, info, rows } where rows is an async iterable
+ */
+function readNDJSON(source) {
+  const headers = [];
+  const columnIndex = new Map();
+
+  async function* rows() {
+    const decoder = new StringDecoder("utf8");
+    let remainder = "";
+    let line = 0;
+
+    const parseLine = (text) => {
+      line++;
+      if (!text.trim()) return null;
+
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        return { line, error: `Invalid JSON: ${error.message}` };
+      }
+      if (!record || typeof record !== "object" || Array.isArray(record)) {
+        return { line, error: "Each line must be a JSON object" };
+      }
+
+      for (const key of Object.keys(record)) {
+        if (!columnIndex.has(key)) {
+          columnIndex.set(key, headers.length);
+          headers.push(key);
+        }
+      }
+      return { line, fields: headers.map((key) => toCell(record[key])) };
+    };
+
+    for await (const chunk of openStream(source)) {
+      const lines = (remainder + decoder.write(chunk)).split("\n");
+      remainder = lines.pop();
+      if (remainder.length > MAX_LINE_LENGTH) {
+        throw new Error(
+          `Line ${line + 1} exceeds ${MAX_LINE_LENGTH} characters`
+        );
+      }
+      for (const text of lines) {
+        const row = parseLine(text.replace(/\r$/, ""));
+        if (row) yield row;
+      }
+    }
+
+    const last = parseLine((remainder + decoder.end()).replace(/\r$/, ""));
+    if (last) yield last;
+  }
+
+  return { headers, info: {}, rows: rows() };
+}
+
+/**
+ * Build a hyparquet AsyncBuffer over a file source
+ * @param {Object} source - { path } or { buffer }
+ * @returns {Promise<Object>} - AsyncBuffer
+ */
+async function parquetBuffer(source) {
+  if (!source.buffer) {
+    const { asyncBufferFromFile } = await import("hyparquet");
+    return asyncBufferFromFile(source.path);
+  }
+
+  const { buffer } = source;
+  return {
+    byteLength: buffer.length,
+    slice: async (start, end = buffer.length) =>
+      buffer.buffer.slice(buffer.byteOffset + start, buffer.byteOffset + end),
+  };
+}
+
+/**
+ * Read Parquet rows in batches so large files are never decoded at once
+ * @param {Object} source - { path } or { buffer }
+ * @returns {Promise<Object>} - { headers, info, rows }
+ */
+async function readParquet(source) {
+  const { parquetMetadataAsync, parquetReadObjects, parquetSchema } =
+    await import("hyparquet");
+
+  const file = await parquetBuffer(source);
+  const metadata = await parquetMetadataAsync(file);
+  const headers = parquetSchema(metadata).children.map(
+    (child) => child.element.name
+  );
+  const totalRows = Number(metadata.num_rows);
+
+  async function* rows() {
+    for (let start = 0; start < totalRows; start += PARQUET_BATCH_ROWS) {
+      const end = Math.min(start + PARQUET_BATCH_ROWS, totalRows);
+      const batch = await parquetReadObjects({
+        file,
+        metadata,
+        rowStart: start,
+        rowEnd: end,
+      });
+      for (let i = 0; i < batch.length; i++) {
+        yield {
+          line: start + i + 1,
+          fields: headers.map((header) => toCell(batch[i][header])),
+        };
+      }
+    }
+  }
+
+  return {
+    headers,
+    info: {
+      rowGroups: metadata.row_groups.length,
+      createdBy: metadata.created_by || null,
+    },
+    rows: rows(),
+  };
+}
+
+/**
+ * Convert an ExcelJS cell value to text
+ * @param {*} value - Cell value
+ * @returns {string} - Cell text
+ */
+function excelCell(value) {
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if ("result" in value) return toCell(value.result); // Formula
+    if ("text" in value) return toCell(value.text); // Hyperlink
+    if ("error" in value) return "";
+  }
+  return toCell(value);
+}
+
+/**
+ * Read the first worksheet of an Excel workbook. The first non-empty row is
+ * the header.
+ * @param {Object} source - { path } or { buffer }
+ * @returns {Object} - { headers, info, rows }
+ */
+function readXLSX(source) {
+  const headers = [];
+  const info = {};
+
+  async function* rows() {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookReader(
+      openStream(source),
+      {
+        sharedStrings: "cache",
+        styles: "cache", // Needed to recognise date cells
+        hyperlinks: "ignore",
+        worksheets: "emit",
+      }
+    );
+
+    for await (const worksheet of workbook) {
+      info.sheet = worksheet.name;
+      for await (const row of worksheet) {
+        // row.values is 1-based
+        const values = row.values.slice(1).map(excelCell);
+        if (headers.length === 0) {
+          if (values.some((value) => value.trim())) {
+            headers.push(...values.map((value) => value.trim()));
+          }
+          continue;
+        }
+        yield { line: row.number, fields: values };
+      }
+      break; // Only the first worksheet is used
+    }
+  }
+
+  return { headers, info, rows: rows() };
+}
+
+/**
+ * Open the CSV text stream inside a CSV, gzip or ZIP file
+ * @param {Object} source - { path } or { buffer }
+ * @param {string} format - csv, csv.gz or zip
+ * @returns {Promise<Object>} - { stream, info }; stream is null when a ZIP
+ *   archive holds no CSV file
+ */
+async function openCSVStream(source, format) {
+  if (format === "csv.gz") {
+    const input = openStream(source);
+    const gunzip = zlib.createGunzip();
+    input.on("error", (error) => gunzip.destroy(error));
+    return { stream: input.pipe(gunzip), info: {} };
+  }
+
+  if (format === "zip") {
+    const entry = await findZipEntry(source, isCSVEntry);
+    return { stream: entry.stream, info: { archiveEntry: entry.name } };
+  }
+
+  return { stream: openStream(source), info: {} };
+}
+
+/**
+ * Read CSV rows (plain or compressed). Rows that do not match the header are
+ * skipped; uploads were validated, so there are none in stored datasets.
+ * @param {Object} source - { path }, { buffer } or { stream }
+ * @param {string} format - csv, csv.gz or zip
+ * @returns {Object} - { headers, info, rows }
+ */
+function readCSV(source, format) {
+  const headers = [];
+  const info = {};
+
+  async function* rows() {
+    const { stream, info: streamInfo } = await openCSVStream(source, format);
+    if (!stream) throw new Error("The archive does not contain a CSV file");
+    Object.assign(info, streamInfo);
+
+    let batch = [];
+    const inspector = new CSVInspector({
+      onRow: (fields, line) => batch.push({ line, fields }),
+    });
+    const flush = () => {
+      if (headers.length === 0 && inspector.headers) {
+        headers.push(...inspector.headers);
+      }
+      const ready = batch;
+      batch = [];
+      return ready;
+    };
+
+    for await (const chunk of stream) {
+      inspector.write(chunk);
+      if (inspector.fatal) {
+        throw new Error(
+          `Line ${inspector.fatal.line}: ${inspector.fatal.message}`
+        );
+      }
+      yield* flush();
+    }
+    inspector.end();
+    yield* flush();
+  }
+
+  return { headers, info, rows: rows() };
+}
+
+/**
+ * Open a row reader for a tabular format. `headers` is filled in once the
+ * first row has been read; `rows` yields { line, fields } or { line, error }.
+ * @param {Object} source - { path } or { buffer }; { stream } is accepted
+ *   for formats without randomAccess
+ * @param {string} format - Format key
+ * @returns {Promise<Object>} - { headers, info, rows }
+ */
+async function openTableReader(source, format) {
+  switch (format) {
+    case "csv":
+    case "csv.gz":
+    case "zip":
+      return readCSV(source, format);
+    case "ndjson":
+      return readNDJSON(source);
+    case "parquet":
+      return readParquet(source);
+    case "xlsx":
+      return readXLSX(source);
+    default:
+      throw new Error(`Unsupported tabular format: ${format}`);
+  }
+}
+
+/**
+ * Validate, sample and profile a CSV file (plain or compressed) and scan it
+ * for personal data
+ * @param {Object} source - { path } or { buffer }
+ * @param {string} format - csv, csv.gz or zip
+ * @returns {Promise<Object>} - Inspection result
+ */
+async function inspectCSVFile(source, format) {
+  const { stream, info } = await openCSVStream(source, format);
+  if (!stream) {
+    return {
+      valid: false,
+      error: "Invalid ZIP archive",
+      message: "The archive does not contain a CSV file",
+    };
+  }
+
+  const profiler = new ColumnProfiler();
+  const scanner = new PIIScanner();
+  const result = await inspectCSVStream(stream, {
+    onRow: (fields) => {
+      profiler.addRow(fields);
+      scanner.addRow(fields);
+    },
+  });
+  if (!result.valid) return result;
+
+  return {
+    valid: true,
+    metadata: { format, ...result.metadata, ...info },
+    profile: profiler.finish(result.metadata.headers),
+    pii: scanner.finish(result.metadata.headers),
+  };
+}
+
+/**
+ * Validate, sample and profile an NDJSON, Parquet or Excel file and scan it
+ * for personal data
+ * @param {Object} source - { path } or { buffer }
+ * @param {string} format - Format key
+ * @returns {Promise<Object>} - Inspection result
+ */
+async function inspectTableFile(source, format) {
+  const profiler = new ColumnProfiler();
+  const scanner = new PIIScanner();
+  const sampleData = [];
+  const errors = [];
+  let errorCount = 0;
+  let totalRows = 0;
+  let reader;
+
+  try {
+    reader = await openTableReader(source, format);
+    for await (const row of reader.rows) {
+      if (row.error) {
+        errorCount++;
+        if (errors.length < MAX_REPORTED_ERRORS) {
+          errors.push({ line: row.line, message: row.error });
+        }
+        continue;
+      }
+
+      totalRows++;
+      profiler.addRow(row.fields);
+      scanner.addRow(row.fields);
+      if (sampleData.length < SAMPLE_ROWS) {
+        sampleData.push(row.fields);
+      }
+    }
+  } catch (error) {
+    return {
+      valid: false,
+      error: `Invalid ${FORMATS[format].label} file`,
+      message: error.message,
+    };
+  }
+
+  if (errorCount > 0) {
+    const [first] = errors;
+    return {
+      valid: false,
+      error: `Invalid ${FORMATS[format].label} structure`,
+      message: `Found ${errorCount} errors, first on line ${first.line}: ${first.message}`,
+      errors,
+      errorCount,
+    };
+  }
+
+  const { headers } = reader;
+  if (headers.length === 0 || totalRows === 0) {
+    return {
+      valid: false,
+      error: `Invalid ${FORMATS[format].label} file`,
+      message: "File must contain at least one column and one row",
+    };
+  }
+
+  return {
+    valid: true,
+    metadata: {
+      format,
+      totalRows,
+      totalColumns: headers.length,
+      headers,
+      // Pad rows read before later columns were discovered
+      sampleData: sampleData.map((fields) =>
+        headers.map((header, index) => fields[index] || "")
+      ),
+      ...reader.info,
+    },
+    profile: profiler.finish(headers),
+    pii: scanner.finish(headers),
+  };
+}
+
+/**
+ * Detect the format of an upload and, for tabular formats, validate it and
+ * compute its preview metadata, column profile and personal data report
+ * @param {Object} source - { path } or { buffer }
+ * @param {Object} declared - { mimeType, fileName } sent by the client
+ * @returns {Promise<Object>} - { format, result }; format is null when the
+ *   file type is not supported, result is null for non-tabular formats
+ */
+async function inspectUpload(source, declared) {
+  const format = await detectFormat(source, declared);
+  if (!format || !FORMATS[format].tabular) {
+    return { format, result: null };
+  }
+
+  const result = ["csv", "csv.gz", "zip"].includes(format)
+    ? await inspectCSVFile(source, format)
+    : await inspectTableFile(source, format);
+  return { format, result };
+}
+
+module.exports = {
+  FORMATS,
+  getAllowedMimeTypes,
+  getFormatByMimeType,
+  resolveDeclaredFormat,
+  isAllowedFormat,
+  detectFormat,
+  openStream,
+  openCSVStream,
+  openTableReader,
+  inspectUpload,
+};
@@ -0,0 +1,249 @@
+/**
+ * Conversion of tabular datasets to download formats. Rows come from the
+ * format readers in fileFormats and are written out as they are read, so
+ * only one batch (or one Parquet row group) is held in memory at a time.
+ */
+
+const { parseValue } = require("./columnProfiler");
+const { escapeCSVValue } = require("./helpers");
+
+const OUTPUT_FORMATS = ["csv", "json", "ndjson", "parquet"];
+const FLUSH_SIZE = 64 * 1024; // Characters of text output buffered per write
+const PARQUET_ROW_GROUP_SIZE = 10000;
+
+/**
+ * Describe the output columns. Record keys must be unique, so empty and
+ * repeated header names get a positional key.
+ * @param {Array<string>} headers - Column names
+ * @param {Object|null} profile - Column profile recorded at upload
+ * @returns {Array<Object>} - { name, key, type } per column
+ */
+function buildColumns(headers, profile) {
+  const profiled = (profile && profile.columns) || [];
+  const seen = new Set();
+
+  return headers.map((name, index) => {
+    let key = name || `column_${index + 1}`;
+    if (seen.has(key)) key = `${key}_${index + 1}`;
+    seen.add(key);
+
+    // Profiles list columns in header order
+    const column = profiled[index];
+    const type = column && column.name === name ? column.type : undefined;
+    return { name, key, type };
+  });
+}
+
+/**
+ * Build a record from a row, typing values by their profiled column type
+ * @param {Array<string>} fields - Row values
+ * @param {Array<Object>} columns - Output columns
+ * @returns {Object} - Record keyed by column key
+ */
+function toRecord(fields, columns) {
+  const record = {};
+  columns.forEach((column, index) => {
+    const raw = index < fields.length ? fields[index] : "";
+    record[column.key] = parseValue(raw, column.type);
+  });
+  return record;
+}
+
+/**
+ * Serialize a record as JSON. BigInts become numbers when they fit exactly
+ * and strings otherwise.
+ * @param {Object} record - Record
+ * @returns {string} - JSON text
+ */
+function stringifyRecord(record) {
+  return JSON.stringify(record, (key, value) => {
+    if (typeof value !== "bigint") return value;
+    const number = Number(value);
+    return Number.isSafeInteger(number) ? number : value.toString();
+  });
+}
+
+/**
+ * Write rows as CSV. Values are written as read, without typing.
+ * @param {AsyncIterable<Array<string>>} rows - Row values
+ * @param {Array<Object>} columns - Output columns
+ */
+async function* writeCSV(rows, columns) {
+  let buffer =
+    columns.map((column) => escapeCSVValue(column.name)).join(",") + "\r\n";
+
+  for await (const fields of rows) {
+    buffer +=
+      columns.map((column, index) => escapeCSVValue(fields[index])).join(",") +
+      "\r\n";
+    if (buffer.length >= FLUSH_SIZE) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  yield buffer;
+}
+
+/**
+ * Write rows as newline-delimited JSON objects
+ * @param {AsyncIterable<Array<string>>} rows - Row values
+ * @param {Array<Object>} columns - Output columns
+ */
+async function* writeNDJSON(rows, columns) {
+  let buffer = "";
+
+  for await (const fields of rows) {
+    buffer += stringifyRecord(toRecord(fields, columns)) + "\n";
+    if (buffer.length >= FLUSH_SIZE) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  if (buffer) yield buffer;
+}
+
+/**
+ * Write rows as a JSON array of objects
+ * @param {AsyncIterable<Array<string>>} rows - Row values
+ * @param {Array<Object>} columns - Output columns
+ */
+async function* writeJSON(rows, columns) {
+  let buffer = "[";
+  let separator = "\n";
+
+  for await (const fields of rows) {
+    buffer += separator + stringifyRecord(toRecord(fields, columns));
+    separator = ",\n";
+    if (buffer.length >= FLUSH_SIZE) {
+      yield buffer;
+      buffer = "";
+    }
+  }
+  yield buffer + (separator === "\n" ? "]\n" : "\n]\n");
+}
+
+/**
+ * Parquet schema element for a profiled column type
+ * @param {Object} column - Output column
+ * @returns {Object} - Schema element
+ */
+function parquetColumn(column) {
+  const element = { name: column.key, repetition_type: "OPTIONAL" };
+  switch (column.type) {
+    case "boolean":
+      return { ...element, type: "BOOLEAN" };
+    case "integer":
+      return { ...element, type: "INT64" };
+    case "float":
+      return { ...element, type: "DOUBLE" };
+    default:
+      return { ...element, type: "BYTE_ARRAY", converted_type: "UTF8" };
+  }
+}
+
+/**
+ * Write rows as a Snappy-compressed Parquet file, one row group at a time
+ * @param {AsyncIterable<Array<string>>} rows - Row values
+ * @param {Array<Object>} columns - Output columns
+ */
+async function* writeParquet(rows, columns) {
+  const { ByteWriter, ParquetWriter } = await import("hyparquet-writer");
+
+  // Hand over the bytes of each finished row group instead of keeping the
+  // whole file in memory; offsets in the footer are tracked separately
+  const chunks = [];
+  const writer = new ByteWriter();
+  writer.flush = () => {
+    chunks.push(Buffer.from(writer.getBytes()));
+    writer.index = 0;
+  };
+  writer.finish = writer.flush;
+
+  const parquet = new ParquetWriter({
+    writer,
+    schema: [
+      { name: "root", num_children: columns.length },
+      ...columns.map(parquetColumn),
+    ],
+  });
+
+  let batch = columns.map(() => []);
+  let batchRows = 0;
+  const writeBatch = () => {
+    parquet.write({
+      columnData: columns.map((column, index) => ({
+        name: column.key,
+        data: batch[index],
+      })),
+      rowGroupSize: batchRows,
+    });
+    batch = columns.map(() => []);
+    batchRows = 0;
+  };
+
+  for await (const fields of rows) {
+    const record = toRecord(fields, columns);
+    columns.forEach((column, index) => batch[index].push(record[column.key]));
+    if (++batchRows === PARQUET_ROW_GROUP_SIZE) {
+      writeBatch();
+      yield* chunks.splice(0);
+    }
+  }
+
+  if (batchRows > 0) writeBatch();
+  parquet.finish();
+  yield* chunks.splice(0);
+}
+
+const WRITERS = {
+  csv: writeCSV,
+  json: writeJSON,
+  ndjson: writeNDJSON,
+  parquet: writeParquet,
+};
+
+/**
+ * Values of every readable row
+ * @param {Object} reader - Table reader from fileFormats.openTableReader
+ */
+async function* readFields(reader) {
+  for await (const row of reader.rows) {
+    if (row.fields) yield row.fields;
+  }
+}
+
+/**
+ * Convert a table to an output format
+ * @param {Object} reader - Table reader from fileFormats.openTableReader
+ * @param {string} format - Output format (see OUTPUT_FORMATS)
+ * @param {Object} [options] - Conversion options
+ * @param {Array<string>} [options.headers] - Column names recorded at upload;
+ *   defaults to the names the reader finds
+ * @param {Object} [options.profile] - Column profile used to type values in
+ *   JSON, NDJSON and Parquet output; values stay strings without one
+ * @returns {AsyncGenerator<string|Buffer>} - Output chunks
+ */
+async function* convertTable(reader, format, { headers, profile } = {}) {
+  const rows = readFields(reader);
+
+  // Readers only know their headers once the first row has been read
+  const first = await rows.next();
+  const columns = buildColumns(
+    headers && headers.length > 0 ? headers : reader.headers,
+    profile
+  );
+
+  yield* WRITERS[format](
+    (async function* () {
+      if (first.done) return;
+      yield first.value;
+      yield* rows;
+    })(),
+    columns
+  );
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  convertTable,
+};
@@ -31,122 +31,6 @@ function generateUniqueFilename(originalName) {
   return `${nameWithoutExt}_${timestamp}_${random}.${extension}`;
 }
 
-/**
- * Validate CSV file structure
- * @param {string} content - CSV file content
- * @returns {Object} - Validation result
- */
-function validateCSVStructure(content) {
-  try {
-    const lines = content.split("\n").filter((line) => line.trim());
-
-    if (lines.length < 2) {
-      return {
-        isValid: false,
-        error: "CSV must contain at least a header row and one data row",
-      };
-    }
-
-    const headers = lines[0].split(",");
-    if (headers.length < 2) {
-      return {
-        isValid: false,
-        error: "CSV must contain at least 2 columns",
-      };
-    }
-
-    // Check for consistent column count
-    const headerCount = headers.length;
-    const inconsistentRows = [];
-
-    for (let i = 1; i < Math.min(lines.length, 11); i++) {
-      const columns = lines[i].split(",");
-      if (columns.length !== headerCount) {
-        inconsistentRows.push(i + 1);
-      }
-    }
-
-    if (inconsistentRows.length > 0) {
-      return {
-        isValid: false,
-        error: `Inconsistent column count in rows: ${inconsistentRows.join(
-          ", "
-        )}`,
-      };
-    }
-
-    return {
-      isValid: true,
-      headers: headers.map((h) => h.trim()),
-      rowCount: lines.length,
-      columnCount: headerCount,
-      sampleData: lines
-        .slice(1, 6)
-        .map((line) => line.split(",").map((cell) => cell.trim())),
-    };
-  } catch (error) {
-    return {
-      isValid: false,
-      error: `CSV parsing error: ${error.message}`,
-    };
-  }
-}
-
-/**
- * Extract preview data from dataset content
- * @param {Buffer} buffer - File buffer
- * @param {string} mimeType - File MIME type
- * @returns {Object} - Preview data
- */
-function extractPreviewData(buffer, mimeType) {
-  try {
-    const content = buffer.toString("utf8");
-
-    if (mimeType === "text/csv") {
-      const validation = validateCSVStructure(content);
-      if (validation.isValid) {
-        return {
-          type: "csv",
-          headers: validation.headers,
-          sampleData: validation.sampleData,
-          totalRows: validation.rowCount - 1, // Exclude header
-          totalColumns: validation.columnCount,
-          preview: validation.sampleData.slice(0, 3), // First 3 rows
-        };
-      }
-    } else if (mimeType === "application/json") {
-      const jsonData = JSON.parse(content);
-      return {
-        type: "json",
-        structure:
-          typeof jsonData === "object" ? Object.keys(jsonData) : "array",
-        preview: JSON.stringify(jsonData, null, 2).substring(0, 500) + "...",
-        size: Object.keys(jsonData).length,
-      };
-    } else if (mimeType === "text/plain") {
-      const lines = content.split("\n");
-      return {
-        type: "text",
-        totalLines: lines.length,
-        preview: lines.slice(0, 10).join("\n"),
-        encoding: "utf-8",
-      };
-    }
-
-    return {
-      type: "unknown",
-      size: buffer.length,
-      preview: "Preview not available for this file type",
-    };
-  } catch (error) {
-    return {
-      type: "error",
-      error: error.message,
-      preview: "Failed to generate preview",
-    };
-  }
-}
-
 /**
  * Sanitize filename for safe storage
  * @param {string} filename - Original filename
@@ -169,6 +53,27 @@ function isValidAptosAddress(address) {
   return pattern.test(address);
 }
 
+/**
+ * Normalize an Aptos address to its long lowercase form
+ * @param {string} address - Address to normalize
+ * @returns {string} - 0x-prefixed, zero-padded, lowercase address
+ */
+function normalizeAptosAddress(address) {
+  const hex = String(address).toLowerCase().replace(/^0x/, "");
+  return `0x${hex.padStart(64, "0")}`;
+}
+
+/**
+ * Compare two Aptos addresses regardless of formatting
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean} - Whether both refer to the same account
+ */
+function isSameAptosAddress(a, b) {
+  if (!a || !b) return false;
+  return normalizeAptosAddress(a) === normalizeAptosAddress(b);
+}
+
 /**
  * Format timestamp to ISO string
  * @param {number} timestamp - Unix timestamp
@@ -178,6 +83,25 @@ function formatTimestamp(timestamp) {
   return new Date(parseInt(timestamp) * 1000).toISOString();
 }
 
+/**
+ * Decode a Move vector<u8> returned by a view function as UTF-8 text
+ * @param {string} bytes - Hex encoded bytes ("0x...")
+ * @returns {string} - Decoded text
+ */
+function decodeMoveBytes(bytes) {
+  if (!bytes) return "";
+  return Buffer.from(bytes.replace(/^0x/, ""), "hex").toString("utf8");
+}
+
+/**
+ * Encode text as the bytes of a Move vector<u8> argument
+ * @param {string} text - Text to encode
+ * @returns {Uint8Array} - UTF-8 bytes
+ */
+function encodeMoveBytes(text) {
+  return new Uint8Array(Buffer.from(text, "utf8"));
+}
+
 /**
  * Generate dataset categories for validation
  * @returns {Array} - List of valid categories
@@ -210,16 +134,44 @@ function isValidCategory(category) {
 }
 
 /**
- * Generate metadata hash for integrity checking
+ * Generate metadata hash for integrity checking. Keys are sorted at every
+ * level, so the hash does not depend on how the document was serialized.
  * @param {Object} metadata - Metadata object
  * @returns {string} - Hash of metadata
  */
 function generateMetadataHash(metadata) {
   const crypto = require("crypto");
-  const metadataString = JSON.stringify(metadata, Object.keys(metadata).sort());
+  const metadataString = JSON.stringify(metadata, (key, value) =>
+    value && typeof value === "object" && !Array.isArray(value)
+      ? Object.fromEntries(
+          Object.keys(value)
+            .sort()
+            .map((name) => [name, value[name]])
+        )
+      : value
+  );
   return crypto.createHash("sha256").update(metadataString).digest("hex");
 }
 
+/**
+ * Generate a SHA-256 digest of file content for integrity checking
+ * @param {Buffer|string} content - File content
+ * @returns {string} - Hex digest
+ */
+function generateContentDigest(content) {
+  const crypto = require("crypto");
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Format a SHA-256 digest as a Digest header value (RFC 3230)
+ * @param {string} digest - Hex digest
+ * @returns {string} - Header value
+ */
+function formatDigestHeader(digest) {
+  return `sha-256=${Buffer.from(digest, "hex").toString("base64")}`;
+}
+
 /**
  * Parse and validate price input
  * @param {string|number} price - Price input
@@ -257,6 +209,32 @@ function validatePrice(price) {
   };
 }
 
+/**
+ * Serialize rows to CSV, quoting fields where needed
+ * @param {Array<Object>} rows - Rows to serialize
+ * @param {Array<string>} columns - Column names, in output order
+ * @returns {string} - CSV text with a header row
+ */
+function toCSV(rows, columns) {
+  return [
+    columns.map(escapeCSVValue).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => escapeCSVValue(row[column])).join(",")
+    ),
+  ].join("\r\n");
+}
+
+/**
+ * Quote a value for a CSV field when it contains a delimiter, quote or line
+ * break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field
+ */
+function escapeCSVValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
 /**
  * Rate limiting key generator
  * @param {Object} req - Express request object
@@ -292,15 +270,21 @@ function logAPIUsage(req, res, duration) {
 module.exports = {
   formatFileSize,
   generateUniqueFilename,
-  validateCSVStructure,
-  extractPreviewData,
   sanitizeFilename,
   isValidAptosAddress,
+  normalizeAptosAddress,
+  isSameAptosAddress,
   formatTimestamp,
+  decodeMoveBytes,
+  encodeMoveBytes,
   getValidCategories,
   isValidCategory,
   generateMetadataHash,
+  generateContentDigest,
+  formatDigestHeader,
   validatePrice,
+  toCSV,
+  escapeCSVValue,
   generateRateLimitKey,
   logAPIUsage,
 };
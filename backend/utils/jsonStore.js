@@ -0,0 +1,77 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Directory holding the backend's local state files
+ * @returns {string} - Absolute path of the data directory
+ */
+function getDataDir() {
+  return path.resolve(
+    process.env.DATA_DIR || path.join(__dirname, "..", "data")
+  );
+}
+
+/**
+ * Small JSON file store for local backend state.
+ * Reads are served from memory; every write replaces the file atomically.
+ */
+class JsonStore {
+  /**
+   * @param {string} fileName - File name inside the data directory
+   * @param {Object} defaults - Initial contents when the file does not exist
+   */
+  constructor(fileName, defaults = {}) {
+    this.filePath = path.join(getDataDir(), fileName);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  /**
+   * Load the store contents
+   * @returns {Object} - Stored data
+   */
+  read() {
+    if (this.data) return this.data;
+
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        throw new Error(`Failed to read ${this.filePath}: ${error.message}`);
+      }
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Persist the store contents
+   * @param {Object} [data] - New contents, defaults to the in-memory copy
+   */
+  write(data = this.data) {
+    this.data = data;
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, this.filePath);
+  }
+
+  /**
+   * Read, modify and persist the store in one step
+   * @param {Function} updater - Receives the data and may mutate or replace it
+   * @returns {Object} - Updated data
+   */
+  update(updater) {
+    const current = this.read();
+    const result = updater(current);
+    this.write(result === undefined ? current : result);
+    return this.data;
+  }
+}
+
+module.exports = {
+  JsonStore,
+  getDataDir,
+};
@@ -0,0 +1,120 @@
+/**
+ * Machine-readable licence terms for dataset tiers. Each tier is published
+ * with a terms document pinned to IPFS; the document names an SPDX licence
+ * identifier (or a LicenseRef- for custom terms) and spells out what the
+ * buyer may do with the data so that clients do not have to parse the text.
+ */
+
+const TERMS_TYPE = "datadex-license-terms";
+const TERMS_SCHEMA_VERSION = 1;
+
+// Built-in tiers sellers can start from
+const TERMS_TEMPLATES = {
+  "research-only": {
+    license: "LicenseRef-DataDex-Research-Only",
+    permissions: {
+      research: true,
+      commercialUse: false,
+      derivatives: true,
+      redistribution: false,
+    },
+    attribution: true,
+    text:
+      "The data may be used for non-commercial research and teaching only. " +
+      "Results derived from it may be published with attribution, but the " +
+      "data itself may not be shared or used in commercial products.",
+  },
+  commercial: {
+    license: "LicenseRef-DataDex-Commercial",
+    permissions: {
+      research: true,
+      commercialUse: true,
+      derivatives: true,
+      redistribution: false,
+    },
+    attribution: false,
+    text:
+      "The data may be used for any internal or commercial purpose, " +
+      "including in products and services, but may not be shared or resold " +
+      "in its original or a substantially similar form.",
+  },
+  redistribution: {
+    license: "CC-BY-4.0",
+    permissions: {
+      research: true,
+      commercialUse: true,
+      derivatives: true,
+      redistribution: true,
+    },
+    attribution: true,
+    text:
+      "The data is licensed under the Creative Commons Attribution 4.0 " +
+      "International licence: it may be shared and adapted for any purpose " +
+      "provided the seller is credited.",
+  },
+};
+
+// Custom terms without a template grant nothing unless stated
+const NO_PERMISSIONS = {
+  research: false,
+  commercialUse: false,
+  derivatives: false,
+  redistribution: false,
+};
+
+/**
+ * Build the terms document of a licence tier
+ * @param {Object} tier - Validated tier ({ name, template, license,
+ *   permissions, attribution, text })
+ * @param {Object} dataset - { title, ipfsHash } of the dataset
+ * @param {string} sellerAddress - Address publishing the terms
+ * @returns {Object} - Terms document
+ */
+function buildTermsDocument(tier, dataset, sellerAddress) {
+  const template = TERMS_TEMPLATES[tier.template] || {
+    license: null,
+    permissions: NO_PERMISSIONS,
+    attribution: false,
+    text: null,
+  };
+
+  return {
+    type: TERMS_TYPE,
+    schemaVersion: TERMS_SCHEMA_VERSION,
+    name: tier.name,
+    template: tier.template || null,
+    license:
+      tier.license ||
+      template.license ||
+      `LicenseRef-DataDex-${tier.name.replace(/[^A-Za-z0-9.]+/g, "-")}`,
+    permissions: { ...template.permissions, ...tier.permissions },
+    attribution:
+      tier.attribution === undefined ? template.attribution : tier.attribution,
+    text: tier.text || template.text,
+    dataset: {
+      title: dataset.title,
+      ipfsHash: dataset.ipfsHash,
+    },
+    seller: sellerAddress,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check that a document fetched from IPFS is a terms document
+ * @param {Object} document - Parsed document
+ * @returns {boolean} - True for terms documents this version understands
+ */
+function isTermsDocument(document) {
+  return Boolean(
+    document &&
+      document.type === TERMS_TYPE &&
+      document.schemaVersion === TERMS_SCHEMA_VERSION
+  );
+}
+
+module.exports = {
+  TERMS_TEMPLATES,
+  buildTermsDocument,
+  isTermsDocument,
+};
@@ -0,0 +1,200 @@
+/**
+ * Detection of personal data in tabular uploads. Every cell is matched
+ * against a few patterns while the file is inspected, and columns where most
+ * values match one kind of personal data are flagged. Flagged columns can be
+ * redacted or replaced by keyed hashes before the file is published.
+ */
+
+const crypto = require("crypto");
+const net = require("net");
+
+const MIN_MATCH_RATE = 0.5; // Share of non-empty values that must match
+const MAX_SCANNED_LENGTH = 256; // Longer values are free text and skipped
+const REDACTED = "[REDACTED]";
+
+const EMAIL_PATTERN = /[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /^\+?[\d\s().-]{7,24}$/;
+const NOT_PHONE_PATTERN =
+  /^(\d{4}-\d{2}-\d{2}|\d{1,2}-\d{1,2}-\d{4}|-?\d+\.\d+)$/;
+const CARD_PATTERN = /^\d(?:[ -]?\d){12,18}$/;
+const SSN_PATTERN = /^(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}$/;
+const NINO_PATTERN =
+  /^(?!BG|GB|NK|KN|TN|NT|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]$/i;
+
+/**
+ * Check a card number with the Luhn checksum
+ * @param {string} digits - Card number digits
+ * @returns {boolean} - True when the checksum is valid
+ */
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Checked in order; the first match decides the kind of a value
+const DETECTORS = [
+  {
+    type: "credit_card",
+    test: (value) =>
+      CARD_PATTERN.test(value) && passesLuhn(value.replace(/\D/g, "")),
+  },
+  {
+    type: "national_id",
+    test: (value) => SSN_PATTERN.test(value) || NINO_PATTERN.test(value),
+  },
+  {
+    type: "ip_address",
+    test: (value) => net.isIP(value) !== 0,
+  },
+  {
+    type: "email",
+    test: (value) => EMAIL_PATTERN.test(value),
+  },
+  {
+    type: "phone",
+    test: (value) => {
+      // Dates and decimals share the characters of phone numbers
+      if (!PHONE_PATTERN.test(value) || NOT_PHONE_PATTERN.test(value)) {
+        return false;
+      }
+      const digits = value.replace(/\D/g, "").length;
+      // Plain numbers are too ambiguous; phone numbers are formatted
+      return digits >= 7 && digits <= 15 && /^\+|[\s().-]/.test(value);
+    },
+  },
+];
+
+/**
+ * Kind of personal data a value looks like
+ * @param {string} value - Cell value
+ * @returns {string|null} - Detector type, or null
+ */
+function detectValue(value) {
+  const trimmed = value.trim();
+  if (trimmed === "" || trimmed.length > MAX_SCANNED_LENGTH) return null;
+
+  const detector = DETECTORS.find(({ test }) => test(trimmed));
+  return detector ? detector.type : null;
+}
+
+/**
+ * Streaming scanner that counts personal data matches per column
+ */
+class PIIScanner {
+  constructor() {
+    this.columns = [];
+    this.rowCount = 0;
+  }
+
+  /**
+   * Scan one row
+   * @param {Array<string>} fields - Row values
+   */
+  addRow(fields) {
+    this.rowCount++;
+    fields.forEach((field, index) => {
+      if (!this.columns[index]) {
+        this.columns[index] = { nonEmpty: 0, matches: {} };
+      }
+      if (typeof field !== "string" || field.trim() === "") return;
+
+      const column = this.columns[index];
+      column.nonEmpty++;
+      const type = detectValue(field);
+      if (type) column.matches[type] = (column.matches[type] || 0) + 1;
+    });
+  }
+
+  /**
+   * Report the flagged columns
+   * @param {Array<string>} headers - Column names
+   * @returns {Object} - { scannedRows, flagged, columns }; columns lists
+   *   { name, index, type, matches, matchRate } for each flagged column
+   */
+  finish(headers) {
+    const columns = [];
+
+    this.columns.forEach((column, index) => {
+      if (!column || column.nonEmpty === 0) return;
+
+      const [type, matches] = Object.entries(column.matches).sort(
+        (a, b) => b[1] - a[1]
+      )[0] || [null, 0];
+      const matchRate = matches / column.nonEmpty;
+      if (type && matchRate >= MIN_MATCH_RATE) {
+        columns.push({
+          name: headers[index] || `column_${index + 1}`,
+          index,
+          type,
+          matches,
+          matchRate: Number(matchRate.toFixed(4)),
+        });
+      }
+    });
+
+    return {
+      scannedRows: this.rowCount,
+      flagged: columns.length > 0,
+      columns,
+    };
+  }
+}
+
+/**
+ * Wrap a table reader so that the given columns are redacted or replaced by
+ * a keyed hash. The same value always gets the same hash within one upload,
+ * so hashed columns can still be joined and counted, but the key is not kept
+ * so the values cannot be recovered by hashing guesses.
+ * @param {Object} reader - Table reader from fileFormats.openTableReader
+ * @param {Array<number>} indexes - Column indexes to rewrite
+ * @param {string} action - redact or hash
+ * @returns {Object} - Table reader with rewritten rows
+ */
+function redactReader(reader, indexes, action) {
+  const key = crypto.randomBytes(32);
+  const rewrite = (value) => {
+    if (!value || value.trim() === "") return value;
+    if (action === "redact") return REDACTED;
+    return crypto
+      .createHmac("sha256", key)
+      .update(value.trim())
+      .digest("hex")
+      .slice(0, 32);
+  };
+  const columns = new Set(indexes);
+
+  return {
+    // Readers only know their headers once the first row has been read
+    get headers() {
+      return reader.headers;
+    },
+    info: reader.info,
+    rows: (async function* () {
+      for await (const row of reader.rows) {
+        if (!row.fields) {
+          yield row;
+          continue;
+        }
+        yield {
+          ...row,
+          fields: row.fields.map((field, index) =>
+            columns.has(index) ? rewrite(field) : field
+          ),
+        };
+      }
+    })(),
+  };
+}
+
+module.exports = {
+  PIIScanner,
+  redactReader,
+};
@@ -0,0 +1,281 @@
+/**
+ * Free previews of tabular datasets under a seller's preview policy. The
+ * policy decides how many rows are shown, whether they are the first rows or
+ * a random sample, which columns are masked and whether values are shown as
+ * stored, perturbed or replaced by synthetic values drawn from the public
+ * column profile.
+ */
+
+const DEFAULT_PREVIEW_POLICY = {
+  rows: 5,
+  sampling: "head",
+  maskedColumns: [],
+  values: "original",
+  noise: 0.1,
+};
+
+const MASK = "***";
+const MAX_SYNTHETIC_TEXT_LENGTH = 40;
+const SYNTHETIC_WORDS = [
+  "alpha",
+  "bravo",
+  "delta",
+  "echo",
+  "lima",
+  "nova",
+  "orbit",
+  "pixel",
+  "quartz",
+  "sierra",
+  "tango",
+  "vector",
+];
+
+/**
+ * Seeded pseudo-random generator (xorshift32), so a policy always yields the
+ * same preview and repeated requests cannot be combined to reveal more rows
+ * @param {number} seed - Non-zero 32-bit seed
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0 || 0x2545f491;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return (state >>> 0) / 0x100000000;
+  };
+}
+
+/**
+ * Pick an entry of a histogram, weighted by its count
+ * @param {Array<Object>} histogram - Entries with a count
+ * @param {Function} random - Random generator
+ * @returns {Object|null} - Entry, or null for an empty histogram
+ */
+function pickWeighted(histogram, random) {
+  const total = histogram.reduce((sum, entry) => sum + entry.count, 0);
+  if (total === 0) return null;
+
+  let target = random() * total;
+  for (const entry of histogram) {
+    target -= entry.count;
+    if (target < 0) return entry;
+  }
+  return histogram[histogram.length - 1];
+}
+
+/**
+ * Format a number the way the column stores it
+ * @param {number} value - Number
+ * @param {string} type - integer or float
+ * @returns {string} - Cell value
+ */
+function formatNumber(value, type) {
+  return type === "integer"
+    ? String(Math.round(value))
+    : String(Number(value.toPrecision(6)));
+}
+
+/**
+ * Generate a value for a column from its profile alone
+ * @param {Object|undefined} column - Profiled column
+ * @param {Function} random - Random generator
+ * @returns {string|null} - Cell value
+ */
+function syntheticValue(column, random) {
+  if (!column || random() < column.nullRate) return null;
+
+  switch (column.type) {
+    case "integer":
+    case "float": {
+      const bin = pickWeighted(column.histogram || [], random);
+      if (!bin) return null;
+      return formatNumber(
+        bin.from + random() * (bin.to - bin.from),
+        column.type
+      );
+    }
+    case "date": {
+      const bin = pickWeighted(column.histogram || [], random);
+      if (!bin) return null;
+      const from = Date.parse(bin.from);
+      const to = Date.parse(bin.to);
+      return new Date(from + random() * (to - from)).toISOString();
+    }
+    case "boolean":
+    case "categorical": {
+      const entry = pickWeighted(column.histogram || [], random);
+      return entry ? entry.value : null;
+    }
+    case "text": {
+      const min = Math.min(column.minLength || 1, MAX_SYNTHETIC_TEXT_LENGTH);
+      const max = Math.min(column.maxLength || min, MAX_SYNTHETIC_TEXT_LENGTH);
+      const length = min + Math.floor(random() * (max - min + 1));
+      let text = "";
+      while (text.length < length) {
+        const word =
+          SYNTHETIC_WORDS[Math.floor(random() * SYNTHETIC_WORDS.length)];
+        text += (text ? " " : "") + word;
+      }
+      return text.slice(0, length).trim();
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Perturb a value: numbers and dates move by up to ±noise of the column's
+ * range, staying within it, and categories are swapped for another observed category with
+ * probability noise. Text is left as stored.
+ * @param {string} value - Cell value
+ * @param {Object|undefined} column - Profiled column
+ * @param {number} noise - Perturbation strength, 0 to 1
+ * @param {Function} random - Random generator
+ * @returns {string} - Perturbed value
+ */
+function perturbValue(value, column, noise, random) {
+  // Without a profile, or without the range of a personal data column,
+  // there is nothing to perturb within, so hide it
+  if (!column || column.statisticsWithheld) return MASK;
+  if (value.trim() === "") return value;
+  const jitter = () => (random() * 2 - 1) * noise;
+
+  switch (column.type) {
+    case "integer":
+    case "float": {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return value;
+      const range = column.max - column.min || Math.abs(number) || 1;
+      const moved = number + jitter() * range;
+      return formatNumber(
+        Math.min(Math.max(moved, column.min), column.max),
+        column.type
+      );
+    }
+    case "date": {
+      const time = Date.parse(value);
+      if (Number.isNaN(time)) return value;
+      const min = Date.parse(column.min);
+      const max = Date.parse(column.max);
+      const moved = time + jitter() * (max - min || 864e5);
+      return new Date(Math.min(Math.max(moved, min), max)).toISOString();
+    }
+    case "boolean":
+    case "categorical": {
+      if (random() >= noise) return value;
+      const entry = pickWeighted(column.histogram || [], random);
+      return entry ? entry.value : value;
+    }
+    default:
+      return value;
+  }
+}
+
+/**
+ * Take the preview rows from a table: the first rows, or a uniform random
+ * sample of the whole table (reservoir sampling)
+ * @param {Object} reader - Table reader from fileFormats.openTableReader
+ * @param {Object} policy - Preview policy
+ * @param {Function} random - Random generator
+ * @returns {Promise<Array<Array<string>>>} - Row values in table order
+ */
+async function sampleRows(reader, policy, random) {
+  const sample = [];
+  let seen = 0;
+
+  for await (const row of reader.rows) {
+    if (!row.fields) continue;
+    if (sample.length < policy.rows) {
+      sample.push({ position: seen, fields: row.fields });
+    } else if (policy.sampling === "head") {
+      break;
+    } else {
+      const slot = Math.floor(random() * (seen + 1));
+      if (slot < policy.rows)
+        sample[slot] = { position: seen, fields: row.fields };
+    }
+    seen++;
+  }
+
+  return sample
+    .sort((a, b) => a.position - b.position)
+    .map((entry) => entry.fields);
+}
+
+/**
+ * Build a preview of a tabular dataset under a preview policy
+ * @param {Object|null} reader - Table reader from fileFormats.openTableReader;
+ *   not read for synthetic previews
+ * @param {Object} policy - Preview policy (see DEFAULT_PREVIEW_POLICY)
+ * @param {Object} options - Preview options
+ * @param {Array<string>} [options.headers] - Column names recorded at upload
+ * @param {Object} [options.profile] - Column profile; needed for synthetic
+ *   and perturbed values
+ * @param {number} options.seed - Seed for sampling and generated values
+ * @returns {Promise<Object>} - { headers, rows }
+ */
+async function buildPreview(reader, policy, { headers, profile, seed }) {
+  const random = createRandom(seed);
+  const profiled = (profile && profile.columns) || [];
+
+  let rows = [];
+  if (policy.values !== "synthetic" && policy.rows > 0) {
+    rows = await sampleRows(reader, policy, random);
+  }
+
+  const names =
+    headers && headers.length > 0
+      ? headers
+      : (reader && reader.headers) || profiled.map((column) => column.name);
+  const columns = names.map((name, index) =>
+    profiled[index] && profiled[index].name === name
+      ? profiled[index]
+      : undefined
+  );
+
+  if (policy.values === "synthetic") {
+    rows = Array.from({ length: policy.rows }, () =>
+      columns.map((column) => syntheticValue(column, random))
+    );
+  } else if (policy.values === "perturbed") {
+    rows = rows.map((fields) =>
+      names.map((name, index) =>
+        perturbValue(
+          index < fields.length ? fields[index] : "",
+          columns[index],
+          policy.noise,
+          random
+        )
+      )
+    );
+  }
+
+  const masked = new Set(policy.maskedColumns);
+  return {
+    headers: names,
+    rows: rows.map((fields) =>
+      names.map((name, index) => {
+        if (masked.has(name)) return MASK;
+        return index < fields.length ? fields[index] : "";
+      })
+    ),
+  };
+}
+
+/**
+ * Masked columns of a policy that the dataset does not have
+ * @param {Object} policy - Preview policy
+ * @param {Array<string>} headers - Dataset column names
+ * @returns {Array<string>} - Unknown column names
+ */
+function findUnknownColumns(policy, headers) {
+  return (policy.maskedColumns || []).filter((name) => !headers.includes(name));
+}
+
+module.exports = {
+  DEFAULT_PREVIEW_POLICY,
+  buildPreview,
+  findUnknownColumns,
+};
@@ -0,0 +1,504 @@
+/**
+ * Streaming executor for queries parsed by queryParser. Rows are read once;
+ * only matching rows needed for the result, or one accumulator per group,
+ * are kept, and their estimated size is checked against a memory budget.
+ */
+
+const { parseValue } = require("./columnProfiler");
+
+const CHECK_INTERVAL = 1000; // Rows between deadline checks
+const ROW_OVERHEAD = 64; // Estimated bytes per retained row or group
+
+/**
+ * Build an error for a query that broke one of its limits
+ * @param {string} code - QUERY_INVALID, QUERY_TIMEOUT or QUERY_MEMORY_LIMIT
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a code
+ */
+function queryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Estimate the memory held by a value
+ * @param {*} value - Value
+ * @returns {number} - Approximate size in bytes
+ */
+function sizeOf(value) {
+  return typeof value === "string" ? 16 + value.length * 2 : 16;
+}
+
+/**
+ * Compare two non-null values. Numbers compare numerically, also against
+ * numeric strings; everything else compares as text.
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareValues(a, b) {
+  const isNumber = (value) =>
+    typeof value === "number" || typeof value === "bigint";
+  const toNumber = (value) =>
+    isNumber(value) ? value : value.trim() === "" ? NaN : Number(value);
+
+  if (isNumber(a) || isNumber(b)) {
+    const left = toNumber(a);
+    const right = toNumber(b);
+    if (!Number.isNaN(left) && !Number.isNaN(right)) {
+      if (left < right) return -1;
+      return left > right ? 1 : 0;
+    }
+  }
+
+  const left = String(a);
+  const right = String(b);
+  if (left < right) return -1;
+  return left > right ? 1 : 0;
+}
+
+/**
+ * Order values with nulls last, as for ORDER BY
+ * @param {*} a - Left value
+ * @param {*} b - Right value
+ * @returns {number} - Negative, zero or positive
+ */
+function compareForSort(a, b) {
+  if (a === null || b === null) {
+    return (a === null) - (b === null);
+  }
+  return compareValues(a, b);
+}
+
+/**
+ * Translate a LIKE pattern (% and _ wildcards) to a regular expression
+ * @param {string} pattern - LIKE pattern
+ * @returns {RegExp} - Case-insensitive expression
+ */
+function likeToRegExp(pattern) {
+  const source = pattern
+    .split("")
+    .map((ch) => {
+      if (ch === "%") return ".*";
+      if (ch === "_") return ".";
+      return ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "is");
+}
+
+/**
+ * Compile a WHERE condition to a predicate over a row accessor. A comparison
+ * with null is never true.
+ * @param {Object} node - Condition
+ * @param {Function} resolve - Maps a column name to its index
+ * @returns {Function} - (valueOf) => boolean, where valueOf(index) returns
+ *   the typed value of a column
+ */
+function compileCondition(node, resolve) {
+  const operand = (side) => {
+    if (side.column === undefined) return () => side.value;
+    const index = resolve(side.column);
+    return (valueOf) => valueOf(index);
+  };
+
+  switch (node.op) {
+    case "and": {
+      const left = compileCondition(node.left, resolve);
+      const right = compileCondition(node.right, resolve);
+      return (valueOf) => left(valueOf) && right(valueOf);
+    }
+    case "or": {
+      const left = compileCondition(node.left, resolve);
+      const right = compileCondition(node.right, resolve);
+      return (valueOf) => left(valueOf) || right(valueOf);
+    }
+    case "not": {
+      const inner = compileCondition(node.operand, resolve);
+      return (valueOf) => !inner(valueOf);
+    }
+    case "isNull": {
+      const value = operand(node.operand);
+      return (valueOf) => (value(valueOf) === null) !== node.negated;
+    }
+    case "in": {
+      const value = operand(node.operand);
+      const values = node.values.filter((item) => item !== null);
+      return (valueOf) => {
+        const actual = value(valueOf);
+        if (actual === null) return false;
+        const found = values.some((item) => compareValues(actual, item) === 0);
+        return found !== node.negated;
+      };
+    }
+    case "like": {
+      const value = operand(node.operand);
+      const pattern = likeToRegExp(node.pattern);
+      return (valueOf) => {
+        const actual = value(valueOf);
+        if (actual === null) return false;
+        return pattern.test(String(actual)) !== node.negated;
+      };
+    }
+    case "between": {
+      const value = operand(node.operand);
+      const low = operand(node.low);
+      const high = operand(node.high);
+      return (valueOf) => {
+        const actual = value(valueOf);
+        const from = low(valueOf);
+        const to = high(valueOf);
+        if (actual === null || from === null || to === null) return false;
+        const inside =
+          compareValues(actual, from) >= 0 && compareValues(actual, to) <= 0;
+        return inside !== node.negated;
+      };
+    }
+    default: {
+      const left = operand(node.left);
+      const right = operand(node.right);
+      const test = {
+        "=": (order) => order === 0,
+        "!=": (order) => order !== 0,
+        "<": (order) => order < 0,
+        "<=": (order) => order <= 0,
+        ">": (order) => order > 0,
+        ">=": (order) => order >= 0,
+      }[node.operator];
+      return (valueOf) => {
+        const a = left(valueOf);
+        const b = right(valueOf);
+        return a !== null && b !== null && test(compareValues(a, b));
+      };
+    }
+  }
+}
+
+/**
+ * Running state of one aggregate
+ */
+class Accumulator {
+  /**
+   * @param {string} fn - COUNT, SUM, AVG, MIN or MAX
+   */
+  constructor(fn) {
+    this.fn = fn;
+    this.count = 0;
+    this.sum = null;
+    this.extreme = null;
+  }
+
+  /**
+   * Add a value; COUNT(*) passes undefined for every row
+   * @param {*} value - Typed value
+   */
+  add(value) {
+    if (value === null) return;
+    this.count++;
+
+    if (this.fn === "SUM" || this.fn === "AVG") {
+      let number = value;
+      if (typeof value === "string") number = Number(value);
+      if (typeof number === "boolean") number = Number(number);
+      if (typeof number !== "bigint" && !Number.isFinite(number)) {
+        throw queryError(
+          "QUERY_INVALID",
+          `${this.fn} needs numeric values, found "${value}"`
+        );
+      }
+      if (this.sum === null) {
+        this.sum = number;
+      } else if (typeof this.sum === "bigint" && typeof number === "bigint") {
+        this.sum += number;
+      } else {
+        this.sum = Number(this.sum) + Number(number);
+      }
+    } else if (this.fn === "MIN" || this.fn === "MAX") {
+      const order =
+        this.extreme === null ? 0 : compareValues(value, this.extreme);
+      if (
+        this.extreme === null ||
+        (this.fn === "MIN" ? order < 0 : order > 0)
+      ) {
+        this.extreme = value;
+      }
+    }
+  }
+
+  /**
+   * Final value
+   * @returns {*} - Aggregate result
+   */
+  result() {
+    switch (this.fn) {
+      case "COUNT":
+        return this.count;
+      case "SUM":
+        return this.sum;
+      case "AVG":
+        return this.count === 0 ? null : Number(this.sum) / this.count;
+      default:
+        return this.extreme;
+    }
+  }
+}
+
+/**
+ * Run a query over a table reader
+ * @param {Object} reader - Table reader from fileFormats.openTableReader
+ * @param {Object} query - Query from queryParser.parseQuery
+ * @param {Object} options - Execution options
+ * @param {Array<string>} [options.headers] - Column names recorded at upload
+ * @param {Object} [options.profile] - Column profile used to type values
+ * @param {number} options.deadline - Time (ms since epoch) to give up at
+ * @param {number} options.memoryLimit - Bytes of retained rows allowed
+ * @returns {Promise<Object>} - { columns, rows, rowsScanned }
+ */
+async function executeQuery(
+  reader,
+  query,
+  { headers, profile, deadline, memoryLimit }
+) {
+  let plan = null;
+  let rowsScanned = 0;
+  let retained = 0;
+
+  const results = [];
+  const groups = new Map();
+  const retain = (bytes) => {
+    retained += bytes;
+    if (retained > memoryLimit) {
+      throw queryError(
+        "QUERY_MEMORY_LIMIT",
+        "Query needs more memory than allowed; add filters or a LIMIT"
+      );
+    }
+  };
+
+  // With ORDER BY and LIMIT only the best offset + limit rows are needed
+  const keep = query.limit === null ? Infinity : query.offset + query.limit;
+  const sortRows = () => results.sort(plan.compareRows);
+
+  for await (const row of reader.rows) {
+    if (!row.fields) continue;
+
+    if (!plan) {
+      plan = planQuery(
+        query,
+        headers && headers.length > 0 ? headers : reader.headers,
+        profile
+      );
+    }
+
+    if (++rowsScanned % CHECK_INTERVAL === 0 && Date.now() > deadline) {
+      throw queryError("QUERY_TIMEOUT", "Query took too long");
+    }
+
+    const cache = new Map();
+    const valueOf = (index) => {
+      if (!cache.has(index)) {
+        const raw = index < row.fields.length ? row.fields[index] : "";
+        cache.set(index, plan.parse(raw, index));
+      }
+      return cache.get(index);
+    };
+    if (plan.where && !plan.where(valueOf)) continue;
+
+    if (query.aggregated) {
+      const keyValues = plan.groupIndexes.map(valueOf);
+      const key = keyValues
+        .map((value) => `${typeof value}:${String(value)}`)
+        .join("\u0000");
+      let group = groups.get(key);
+      if (!group) {
+        group = {
+          keyValues,
+          accumulators: plan.aggregates.map(({ fn }) => new Accumulator(fn)),
+        };
+        groups.set(key, group);
+        retain(
+          ROW_OVERHEAD +
+            key.length * 2 +
+            keyValues.reduce((total, value) => total + sizeOf(value), 0) +
+            group.accumulators.length * ROW_OVERHEAD
+        );
+      }
+      plan.aggregates.forEach(({ index }, position) => {
+        group.accumulators[position].add(
+          index === null ? undefined : valueOf(index)
+        );
+      });
+      continue;
+    }
+
+    const values = plan.outputIndexes.map(valueOf);
+    const sortValues = plan.sortIndexes.map(valueOf);
+    results.push({ values, sortValues });
+    retain(
+      ROW_OVERHEAD +
+        values.reduce((total, value) => total + sizeOf(value), 0) +
+        sortValues.reduce((total, value) => total + sizeOf(value), 0)
+    );
+
+    if (query.orderBy.length === 0) {
+      // Rows past OFFSET + LIMIT are never returned
+      if (results.length >= keep) break;
+    } else if (results.length >= Math.max(keep, 1) * 2) {
+      // Keep only the best rows so memory stays proportional to LIMIT
+      sortRows();
+      results.length = keep;
+      retained = 0;
+      for (const kept of results) {
+        retain(
+          ROW_OVERHEAD +
+            kept.values.reduce((total, value) => total + sizeOf(value), 0) +
+            kept.sortValues.reduce((total, value) => total + sizeOf(value), 0)
+        );
+      }
+    }
+  }
+
+  if (!plan) {
+    plan = planQuery(query, headers || reader.headers || [], profile);
+  }
+
+  if (query.aggregated) {
+    // An aggregate query without GROUP BY always returns one row
+    if (groups.size === 0 && query.groupBy.length === 0) {
+      groups.set("", {
+        keyValues: [],
+        accumulators: plan.aggregates.map(({ fn }) => new Accumulator(fn)),
+      });
+    }
+    for (const group of groups.values()) {
+      const values = query.select.map((item, position) =>
+        item.aggregate
+          ? group.accumulators[plan.aggregatePositions[position]].result()
+          : group.keyValues[plan.groupPositions[position]]
+      );
+      results.push({
+        values,
+        sortValues: plan.sortOutputs.map((i) => values[i]),
+      });
+    }
+  }
+
+  if (query.orderBy.length > 0) sortRows();
+
+  const rows = results
+    .slice(
+      query.offset,
+      query.offset + (query.limit === null ? Infinity : query.limit)
+    )
+    .map((result) => result.values);
+
+  return { columns: plan.columns, rows, rowsScanned };
+}
+
+/**
+ * Resolve the column names of a query against the dataset and compile its
+ * condition and sort order
+ * @param {Object} query - Parsed query
+ * @param {Array<string>} headers - Dataset column names
+ * @param {Object|null} profile - Column profile
+ * @returns {Object} - Execution plan
+ */
+function planQuery(query, headers, profile) {
+  const resolve = (name) => {
+    let index = headers.indexOf(name);
+    if (index === -1) {
+      // Bare identifiers match case-insensitively when unambiguous
+      const matches = headers
+        .map((header, position) => ({ header, position }))
+        .filter(({ header }) => header.toLowerCase() === name.toLowerCase());
+      if (matches.length === 1) index = matches[0].position;
+    }
+    if (index === -1) {
+      throw queryError("QUERY_INVALID", `Unknown column "${name}"`);
+    }
+    return index;
+  };
+
+  const profiled = (profile && profile.columns) || [];
+  const types = headers.map((name, index) =>
+    profiled[index] && profiled[index].name === name
+      ? profiled[index].type
+      : undefined
+  );
+  const parse = (raw, index) => {
+    if (types[index]) return parseValue(raw, types[index]);
+    return raw === "" ? null : raw;
+  };
+
+  const select =
+    query.select || headers.map((name) => ({ name, column: name }));
+  const columns = select.map((item) => item.name);
+  const groupIndexes = query.groupBy.map(resolve);
+
+  const aggregates = [];
+  const aggregatePositions = [];
+  const groupPositions = [];
+  const outputIndexes = [];
+  select.forEach((item, position) => {
+    if (item.aggregate) {
+      aggregatePositions[position] = aggregates.length;
+      aggregates.push({
+        fn: item.aggregate.fn,
+        index:
+          item.aggregate.column === null
+            ? null
+            : resolve(item.aggregate.column),
+      });
+    } else if (query.aggregated) {
+      groupPositions[position] = query.groupBy.indexOf(item.column);
+    } else {
+      outputIndexes.push(query.select ? resolve(item.column) : position);
+    }
+  });
+
+  // ORDER BY refers to output columns, or to any column when not aggregated
+  const sortOutputs = [];
+  const sortIndexes = [];
+  for (const { name } of query.orderBy) {
+    const output = columns.indexOf(name);
+    if (output !== -1) {
+      sortOutputs.push(output);
+      if (!query.aggregated) sortIndexes.push(outputIndexes[output]);
+    } else if (query.aggregated) {
+      throw queryError(
+        "QUERY_INVALID",
+        `ORDER BY "${name}" must name a selected column`
+      );
+    } else {
+      sortIndexes.push(resolve(name));
+    }
+  }
+
+  const descending = query.orderBy.map((order) => order.descending);
+  const compareRows = (a, b) => {
+    for (let i = 0; i < descending.length; i++) {
+      const order = compareForSort(a.sortValues[i], b.sortValues[i]);
+      if (order !== 0) return descending[i] ? -order : order;
+    }
+    return 0;
+  };
+
+  return {
+    columns,
+    parse,
+    where: query.where ? compileCondition(query.where, resolve) : null,
+    groupIndexes,
+    aggregates,
+    aggregatePositions,
+    groupPositions,
+    outputIndexes,
+    sortOutputs,
+    sortIndexes,
+    compareRows,
+  };
+}
+
+module.exports = {
+  executeQuery,
+};
@@ -0,0 +1,477 @@
+/**
+ * Parser for the restricted SQL dialect accepted by the dataset query API:
+ *
+ *   SELECT * | item [AS alias], ...
+ *   [FROM dataset]
+ *   [WHERE condition]
+ *   [GROUP BY column, ...]
+ *   [ORDER BY name [ASC | DESC], ...]
+ *   [LIMIT n] [OFFSET n]
+ *
+ * Items are columns or COUNT(*), COUNT(column), SUM, AVG, MIN and MAX.
+ * Conditions combine comparisons (=, !=, <>, <, <=, >, >=), IS [NOT] NULL,
+ * [NOT] IN (...), [NOT] LIKE and [NOT] BETWEEN with AND, OR, NOT and
+ * parentheses. Columns may be quoted with double quotes or backticks.
+ */
+
+const KEYWORDS = new Set([
+  "SELECT",
+  "FROM",
+  "WHERE",
+  "GROUP",
+  "ORDER",
+  "BY",
+  "ASC",
+  "DESC",
+  "LIMIT",
+  "OFFSET",
+  "AS",
+  "AND",
+  "OR",
+  "NOT",
+  "IS",
+  "NULL",
+  "IN",
+  "LIKE",
+  "BETWEEN",
+  "TRUE",
+  "FALSE",
+]);
+const AGGREGATES = new Set(["COUNT", "SUM", "AVG", "MIN", "MAX"]);
+const COMPARISONS = new Set(["=", "!=", "<>", "<", "<=", ">", ">="]);
+const MAX_IN_VALUES = 1000;
+
+/**
+ * Split a query into tokens
+ * @param {string} text - Query text
+ * @returns {Array<Object>} - Tokens of { type, value, position }
+ */
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const position = i;
+
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.slice(i))[0];
+      const upper = match.toUpperCase();
+      tokens.push(
+        KEYWORDS.has(upper) || AGGREGATES.has(upper)
+          ? { type: "keyword", value: upper, position }
+          : { type: "identifier", value: match, position }
+      );
+      i += match.length;
+    } else if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(text.slice(i));
+      if (!match) throw syntaxError(`Unexpected "${ch}"`, position);
+      tokens.push({ type: "number", value: match[0], position });
+      i += match[0].length;
+    } else if (ch === "'" || ch === '"' || ch === "`") {
+      // Strings use single quotes, identifiers double quotes or backticks.
+      // A doubled quote character escapes itself.
+      let value = "";
+      i++;
+      for (;;) {
+        if (i >= text.length) {
+          throw syntaxError("Unterminated quoted text", position);
+        }
+        if (text[i] === ch) {
+          if (text[i + 1] !== ch) break;
+          i++;
+        }
+        value += text[i++];
+      }
+      i++;
+      tokens.push({
+        type: ch === "'" ? "string" : "identifier",
+        value,
+        position,
+      });
+    } else {
+      const operator = ["<=", ">=", "!=", "<>"].includes(text.substr(i, 2))
+        ? text.substr(i, 2)
+        : ch;
+      if (!"=<>(),*-".includes(operator[0])) {
+        throw syntaxError(`Unexpected "${ch}"`, position);
+      }
+      tokens.push({ type: "symbol", value: operator, position });
+      i += operator.length;
+    }
+  }
+
+  tokens.push({ type: "end", value: null, position: text.length });
+  return tokens;
+}
+
+/**
+ * Build a syntax error carrying the character position it refers to
+ * @param {string} message - Error message
+ * @param {number} position - Offset in the query text
+ * @returns {Error} - Error
+ */
+function syntaxError(message, position) {
+  const error = new Error(`${message} at position ${position + 1}`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Recursive descent parser over the token list
+ */
+class Parser {
+  /**
+   * @param {Array<Object>} tokens - Tokens from tokenize
+   */
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.index = 0;
+  }
+
+  /**
+   * Token at the read position
+   * @returns {Object} - Token
+   */
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  /**
+   * Consume the current token if it matches
+   * @param {string} type - Token type
+   * @param {string} [value] - Token value
+   * @returns {Object|null} - Consumed token or null
+   */
+  accept(type, value) {
+    const token = this.current;
+    if (token.type !== type || (value !== undefined && token.value !== value)) {
+      return null;
+    }
+    this.index++;
+    return token;
+  }
+
+  /**
+   * Consume the current token, which must match
+   * @param {string} type - Token type
+   * @param {string} [value] - Token value
+   * @returns {Object} - Consumed token
+   */
+  expect(type, value) {
+    const token = this.accept(type, value);
+    if (!token) {
+      const found =
+        this.current.type === "end"
+          ? "end of query"
+          : `"${this.current.value}"`;
+      throw syntaxError(
+        `Expected ${value || type} but found ${found}`,
+        this.current.position
+      );
+    }
+    return token;
+  }
+
+  /**
+   * Parse a whole query
+   * @returns {Object} - Query description
+   */
+  parseQuery() {
+    this.expect("keyword", "SELECT");
+    const select = this.accept("symbol", "*") ? null : this.parseSelectList();
+
+    if (this.accept("keyword", "FROM")) {
+      // Queries always run against the requested dataset
+      this.expect("identifier");
+    }
+
+    const where = this.accept("keyword", "WHERE") ? this.parseOr() : null;
+
+    const groupBy = [];
+    if (this.accept("keyword", "GROUP")) {
+      this.expect("keyword", "BY");
+      do {
+        groupBy.push(this.parseColumn());
+      } while (this.accept("symbol", ","));
+    }
+
+    const orderBy = [];
+    if (this.accept("keyword", "ORDER")) {
+      this.expect("keyword", "BY");
+      do {
+        const name = this.parseSelectItem(false).name;
+        const descending = Boolean(this.accept("keyword", "DESC"));
+        if (!descending) this.accept("keyword", "ASC");
+        orderBy.push({ name, descending });
+      } while (this.accept("symbol", ","));
+    }
+
+    const limit = this.accept("keyword", "LIMIT") ? this.parseCount() : null;
+    const offset = this.accept("keyword", "OFFSET") ? this.parseCount() : 0;
+
+    this.expect("end");
+    return { select, where, groupBy, orderBy, limit, offset };
+  }
+
+  /**
+   * Parse a non-negative integer
+   * @returns {number} - Value
+   */
+  parseCount() {
+    const token = this.expect("number");
+    if (!/^\d+$/.test(token.value)) {
+      throw syntaxError("Expected a whole number", token.position);
+    }
+    return Number(token.value);
+  }
+
+  /**
+   * Parse a quoted or bare column name
+   * @returns {string} - Column name
+   */
+  parseColumn() {
+    return this.expect("identifier").value;
+  }
+
+  /**
+   * Parse the SELECT list
+   * @returns {Array<Object>} - Select items
+   */
+  parseSelectList() {
+    const items = [];
+    do {
+      items.push(this.parseSelectItem(true));
+    } while (this.accept("symbol", ","));
+    return items;
+  }
+
+  /**
+   * Parse a column or aggregate, optionally with an alias
+   * @param {boolean} allowAlias - Whether AS alias may follow
+   * @returns {Object} - { name, column, aggregate }; aggregate is
+   *   { fn, column } with a null column for COUNT(*)
+   */
+  parseSelectItem(allowAlias) {
+    const token = this.current;
+    let item;
+
+    if (token.type === "keyword" && AGGREGATES.has(token.value)) {
+      this.index++;
+      this.expect("symbol", "(");
+      let column = null;
+      if (!(token.value === "COUNT" && this.accept("symbol", "*"))) {
+        column = this.parseColumn();
+      }
+      this.expect("symbol", ")");
+      item = {
+        name: `${token.value.toLowerCase()}(${column === null ? "*" : column})`,
+        column: null,
+        aggregate: { fn: token.value, column },
+      };
+    } else {
+      const column = this.parseColumn();
+      item = { name: column, column, aggregate: null };
+    }
+
+    if (allowAlias && this.accept("keyword", "AS")) {
+      item.name = this.parseColumn();
+    }
+    return item;
+  }
+
+  /**
+   * condition OR condition ...
+   * @returns {Object} - Condition
+   */
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.accept("keyword", "OR")) {
+      left = { op: "or", left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  /**
+   * condition AND condition ...
+   * @returns {Object} - Condition
+   */
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.accept("keyword", "AND")) {
+      left = { op: "and", left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  /**
+   * [NOT] condition
+   * @returns {Object} - Condition
+   */
+  parseNot() {
+    if (this.accept("keyword", "NOT")) {
+      return { op: "not", operand: this.parseNot() };
+    }
+    return this.parsePredicate();
+  }
+
+  /**
+   * Parenthesised condition or a single predicate
+   * @returns {Object} - Condition
+   */
+  parsePredicate() {
+    if (this.accept("symbol", "(")) {
+      const condition = this.parseOr();
+      this.expect("symbol", ")");
+      return condition;
+    }
+
+    const left = this.parseOperand();
+
+    if (this.accept("keyword", "IS")) {
+      const negated = Boolean(this.accept("keyword", "NOT"));
+      this.expect("keyword", "NULL");
+      return { op: "isNull", operand: left, negated };
+    }
+
+    const negated = Boolean(this.accept("keyword", "NOT"));
+    if (this.accept("keyword", "IN")) {
+      this.expect("symbol", "(");
+      const values = [];
+      do {
+        values.push(this.parseLiteral());
+      } while (this.accept("symbol", ","));
+      this.expect("symbol", ")");
+      if (values.length > MAX_IN_VALUES) {
+        throw syntaxError(
+          `IN lists are limited to ${MAX_IN_VALUES} values`,
+          this.current.position
+        );
+      }
+      return { op: "in", operand: left, values, negated };
+    }
+    if (this.accept("keyword", "LIKE")) {
+      const pattern = this.expect("string").value;
+      return { op: "like", operand: left, pattern, negated };
+    }
+    if (this.accept("keyword", "BETWEEN")) {
+      const low = this.parseOperand();
+      this.expect("keyword", "AND");
+      const high = this.parseOperand();
+      return { op: "between", operand: left, low, high, negated };
+    }
+    if (negated) {
+      throw syntaxError(
+        "Expected IN, LIKE or BETWEEN after NOT",
+        this.current.position
+      );
+    }
+
+    const operator = this.current;
+    if (operator.type !== "symbol" || !COMPARISONS.has(operator.value)) {
+      throw syntaxError("Expected a comparison", operator.position);
+    }
+    this.index++;
+    return {
+      op: "compare",
+      operator: operator.value === "<>" ? "!=" : operator.value,
+      left,
+      right: this.parseOperand(),
+    };
+  }
+
+  /**
+   * Column reference or literal
+   * @returns {Object} - { column } or { value }
+   */
+  parseOperand() {
+    if (this.current.type === "identifier") {
+      return { column: this.parseColumn() };
+    }
+    return { value: this.parseLiteral() };
+  }
+
+  /**
+   * String, number, boolean or NULL literal. Whole numbers become BigInt so
+   * they compare exactly with integer columns.
+   * @returns {*} - Literal value
+   */
+  parseLiteral() {
+    const negative = Boolean(this.accept("symbol", "-"));
+    const number = this.accept("number");
+    if (number) {
+      if (/^\d+$/.test(number.value)) {
+        return BigInt(number.value) * (negative ? -1n : 1n);
+      }
+      return Number(number.value) * (negative ? -1 : 1);
+    }
+    if (negative) {
+      throw syntaxError("Expected a number", this.current.position);
+    }
+
+    const string = this.accept("string");
+    if (string) return string.value;
+    if (this.accept("keyword", "TRUE")) return true;
+    if (this.accept("keyword", "FALSE")) return false;
+    if (this.accept("keyword", "NULL")) return null;
+    throw syntaxError("Expected a value", this.current.position);
+  }
+}
+
+/**
+ * Parse a query. Column names are checked against the dataset when the query
+ * runs.
+ * @param {string} text - Query text
+ * @returns {Object} - { valid: true, query } or { valid: false, error, message }
+ */
+function parseQuery(text) {
+  let query;
+  try {
+    query = new Parser(tokenize(text)).parseQuery();
+  } catch (error) {
+    return { valid: false, error: "Invalid query", message: error.message };
+  }
+
+  const aggregated =
+    query.groupBy.length > 0 ||
+    (query.select || []).some((item) => item.aggregate);
+
+  if (aggregated) {
+    if (!query.select) {
+      return {
+        valid: false,
+        error: "Invalid query",
+        message: "SELECT * cannot be used with GROUP BY or aggregates",
+      };
+    }
+    const ungrouped = query.select.find(
+      (item) => item.column !== null && !query.groupBy.includes(item.column)
+    );
+    if (ungrouped) {
+      return {
+        valid: false,
+        error: "Invalid query",
+        message: `Column "${ungrouped.column}" must appear in GROUP BY or be aggregated`,
+      };
+    }
+  }
+
+  const names = (query.select || []).map((item) => item.name);
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    return {
+      valid: false,
+      error: "Invalid query",
+      message: `Output column "${duplicate}" is selected more than once; use AS to rename it`,
+    };
+  }
+
+  query.aggregated = aggregated;
+  return { valid: true, query };
+}
+
+module.exports = {
+  parseQuery,
+};
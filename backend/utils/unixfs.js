@@ -0,0 +1,179 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const dagPB = require("@ipld/dag-pb");
+const { UnixFS } = require("ipfs-unixfs");
+const { CID } = require("multiformats/cid");
+const Digest = require("multiformats/hashes/digest");
+
+// Multihash code of sha2-256
+const SHA2_256 = 0x12;
+
+// Links per node of the balanced layout, as in Kubo's importer
+const MAX_CHILDREN = 174;
+
+/**
+ * Parse a fixed-size chunker setting
+ * @param {string} chunker - Chunker setting such as "size-262144"
+ * @returns {number} - Chunk size in bytes
+ */
+function parseChunkSize(chunker) {
+  const match = /^size-(\d+)$/.exec(chunker);
+  if (!match) {
+    throw new Error(
+      `Content addresses can only be computed with a fixed-size chunker, not "${chunker}"`
+    );
+  }
+  return parseInt(match[1]);
+}
+
+/**
+ * Encode a dag-pb node and address it with a CIDv0
+ * @param {UnixFS} file - UnixFS data of the node
+ * @param {Array} links - Links to child nodes
+ * @returns {Object} - { cid, blockSize } where blockSize is the size of the
+ *   encoded node
+ */
+function encodeNode(file, links = []) {
+  const block = dagPB.encode(
+    dagPB.prepare({ Data: file.marshal(), Links: links })
+  );
+  const hash = crypto.createHash("sha256").update(block).digest();
+  return {
+    cid: CID.createV0(Digest.create(SHA2_256, hash)),
+    blockSize: block.length,
+  };
+}
+
+/**
+ * Computes the CID that `ipfs add` gives a file (CIDv0, dag-pb leaves,
+ * balanced layout, fixed-size chunks) without an IPFS node, so content
+ * kept outside IPFS is addressed exactly as it would be on IPFS
+ */
+class UnixFSHasher {
+  /**
+   * @param {string} [chunker] - Fixed-size chunker setting
+   */
+  constructor(chunker = "size-262144") {
+    this.chunkSize = parseChunkSize(chunker);
+    this.buffered = [];
+    this.bufferedSize = 0;
+    this.leaves = [];
+    this.size = 0;
+  }
+
+  /**
+   * Add the next bytes of the file
+   * @param {Buffer|Uint8Array} data - File bytes
+   */
+  update(data) {
+    this.size += data.length;
+    this.buffered.push(Buffer.from(data));
+    this.bufferedSize += data.length;
+
+    if (this.bufferedSize < this.chunkSize) return;
+
+    let pending = Buffer.concat(this.buffered);
+    while (pending.length >= this.chunkSize) {
+      this.addLeaf(pending.subarray(0, this.chunkSize));
+      pending = pending.subarray(this.chunkSize);
+    }
+    this.buffered = pending.length ? [pending] : [];
+    this.bufferedSize = pending.length;
+  }
+
+  /**
+   * Hash one chunk as a leaf node
+   * @param {Buffer} chunk - Chunk of at most chunkSize bytes
+   */
+  addLeaf(chunk) {
+    const { cid, blockSize } = encodeNode(
+      new UnixFS({ type: "file", data: chunk })
+    );
+    this.leaves.push({ cid, fileSize: chunk.length, treeSize: blockSize });
+  }
+
+  /**
+   * Finish the file
+   * @returns {string} - CID of the file
+   */
+  digest() {
+    if (this.bufferedSize > 0 || this.leaves.length === 0) {
+      this.addLeaf(Buffer.concat(this.buffered));
+      this.buffered = [];
+      this.bufferedSize = 0;
+    }
+
+    // Join nodes into parents of at most MAX_CHILDREN until one is left
+    let level = this.leaves;
+    while (level.length > 1) {
+      const parents = [];
+      for (let i = 0; i < level.length; i += MAX_CHILDREN) {
+        const children = level.slice(i, i + MAX_CHILDREN);
+        const file = new UnixFS({ type: "file" });
+        children.forEach((child) => file.addBlockSize(child.fileSize));
+
+        const { cid, blockSize } = encodeNode(
+          file,
+          children.map((child) => ({
+            Hash: child.cid,
+            Name: "",
+            Tsize: child.treeSize,
+          }))
+        );
+        parents.push({
+          cid,
+          fileSize: children.reduce((sum, child) => sum + child.fileSize, 0),
+          treeSize:
+            blockSize +
+            children.reduce((sum, child) => sum + child.treeSize, 0),
+        });
+      }
+      level = parents;
+    }
+
+    return level[0].cid.toString();
+  }
+}
+
+/**
+ * Compute the CID of a whole file in memory
+ * @param {Buffer|string} content - File content
+ * @param {string} [chunker] - Fixed-size chunker setting
+ * @returns {string} - CID of the file
+ */
+function computeCID(content, chunker) {
+  const hasher = new UnixFSHasher(chunker);
+  hasher.update(Buffer.from(content));
+  return hasher.digest();
+}
+
+/**
+ * Write content to a file while computing its CID
+ * @param {Buffer|Readable|AsyncIterable} content - File content
+ * @param {string} destPath - File to write
+ * @param {string} [chunker] - Fixed-size chunker setting
+ * @returns {Promise<Object>} - { cid, size }
+ */
+async function writeAndHash(content, destPath, chunker) {
+  const hasher = new UnixFSHasher(chunker);
+  await pipeline(
+    Buffer.isBuffer(content) ? Readable.from([content]) : content,
+    new Transform({
+      transform(chunk, encoding, callback) {
+        hasher.update(chunk);
+        callback(null, chunk);
+      },
+    }),
+    fs.createWriteStream(destPath)
+  );
+  return { cid: hasher.digest(), size: hasher.size };
+}
+
+module.exports = {
+  UnixFSHasher,
+  computeCID,
+  writeAndHash,
+  parseChunkSize,
+};
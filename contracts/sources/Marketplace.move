@@ -5,7 +5,7 @@ module DataDex::Marketplace {
     use aptos_framework::event::{Self, EventHandle};
     use aptos_framework::account;
     use aptos_framework::timestamp;
-    use std::string::String;
+    use std::string::{Self, String};
     use std::vector;
     use std::option::{Self, Option};
 
@@ -17,6 +17,13 @@ module DataDex::Marketplace {
     const E_UNAUTHORIZED: u64 = 5;
     const E_INVALID_PRICE: u64 = 6;
     const E_DATASET_ALREADY_PURCHASED: u64 = 7;
+    const E_EMPTY_IPFS_HASH: u64 = 8;
+    const E_LICENSE_NOT_FOUND: u64 = 9;
+    const E_LICENSE_NOT_RENEWABLE: u64 = 10;
+    const E_TIER_NOT_FOUND: u64 = 11;
+    const E_TIER_REQUIRED: u64 = 12;
+    const E_INVALID_TIERS: u64 = 13;
+    const E_EMPTY_TITLE: u64 = 14;
 
     /// Dataset structure containing metadata
     struct Dataset has store, drop, copy {
@@ -59,6 +66,60 @@ module DataDex::Marketplace {
         timestamp: u64,
     }
 
+    struct DatasetVersionPublishedEvent has drop, store {
+        dataset_id: u64,
+        version: u64,
+        owner: address,
+        ipfs_hash: String,
+        changelog: String,
+        timestamp: u64,
+    }
+
+    struct LicenseUpdatedEvent has drop, store {
+        dataset_id: u64,
+        buyer: address,
+        seller: address,
+        price: u64,
+        expires_at: u64,
+        renewal: bool,
+        timestamp: u64,
+    }
+
+    struct LicenseTermsUpdatedEvent has drop, store {
+        dataset_id: u64,
+        period: u64,
+        timestamp: u64,
+    }
+
+    /// Listing state of a dataset after its owner changed it
+    struct DatasetUpdatedEvent has drop, store {
+        dataset_id: u64,
+        title: String,
+        description: String,
+        category: String,
+        price: u64,
+        is_active: bool,
+        timestamp: u64,
+    }
+
+    struct LicenseTierAddedEvent has drop, store {
+        dataset_id: u64,
+        tier_id: u64,
+        name: String,
+        price: u64,
+        terms_hash: String,
+        timestamp: u64,
+    }
+
+    struct TierPurchasedEvent has drop, store {
+        dataset_id: u64,
+        buyer: address,
+        tier_id: u64,
+        price: u64,
+        terms_hash: String,
+        timestamp: u64,
+    }
+
     struct RewardPaidEvent has drop, store {
         recipient: address,
         amount: u64,
@@ -80,6 +141,91 @@ module DataDex::Marketplace {
         reward_paid_events: EventHandle<RewardPaidEvent>,
     }
 
+    /// A published release of a dataset. Version 1 is the original upload.
+    struct DatasetVersion has store, drop, copy {
+        dataset_id: u64,
+        version: u64,
+        ipfs_hash: String,
+        changelog: String,
+        published_at: u64,
+    }
+
+    /// Whether buyers of a dataset may download versions published after
+    /// their purchase
+    struct VersionPolicy has store, drop, copy {
+        dataset_id: u64,
+        upgrades_included: bool,
+    }
+
+    /// Release history of every dataset that has been republished. Kept apart
+    /// from DataMarketplace so that existing deployments can be upgraded.
+    struct DatasetVersions has key {
+        versions: vector<DatasetVersion>,
+        policies: vector<VersionPolicy>,
+        dataset_version_published_events: EventHandle<DatasetVersionPublishedEvent>,
+    }
+
+    /// Time-limited access to a dataset, granted by a purchase and extended
+    /// by renewals
+    struct License has store, drop, copy {
+        dataset_id: u64,
+        buyer: address,
+        started_at: u64,
+        expires_at: u64,
+        renewals: u64,
+    }
+
+    /// Licence period of a dataset in seconds; datasets without terms are
+    /// sold with perpetual access
+    struct LicenseTerms has store, drop, copy {
+        dataset_id: u64,
+        period: u64,
+    }
+
+    /// Licences of time-limited datasets. Perpetual purchases have none.
+    struct DatasetLicenses has key {
+        licenses: vector<License>,
+        terms: vector<LicenseTerms>,
+        license_updated_events: EventHandle<LicenseUpdatedEvent>,
+        license_terms_updated_events: EventHandle<LicenseTermsUpdatedEvent>,
+    }
+
+    /// A licence tier of a dataset with its own price and the IPFS hash of
+    /// its terms document
+    struct LicenseTier has store, drop, copy {
+        dataset_id: u64,
+        tier_id: u64,
+        name: String,
+        price: u64,
+        terms_hash: String,
+        is_active: bool,
+    }
+
+    /// The tier a purchase was made under
+    struct PurchaseTier has store, drop, copy {
+        dataset_id: u64,
+        buyer: address,
+        tier_id: u64,
+    }
+
+    /// Licence tiers of datasets sold under several sets of terms. Datasets
+    /// without tiers are sold at their price with no stated terms. Tiers are
+    /// kept here rather than on Dataset and Purchase because a compatible
+    /// upgrade cannot add fields to structs that are already published.
+    struct DatasetTiers has key {
+        tiers: vector<LicenseTier>,
+        purchase_tiers: vector<PurchaseTier>,
+        license_tier_added_events: EventHandle<LicenseTierAddedEvent>,
+        tier_purchased_events: EventHandle<TierPurchasedEvent>,
+    }
+
+    /// Listing changes of datasets: edits, price changes, deactivation and
+    /// reactivation. Kept apart from DataMarketplace so that existing
+    /// deployments can be upgraded.
+    struct DatasetListings has key {
+        dataset_updated_events: EventHandle<DatasetUpdatedEvent>,
+    }
+
     /// User statistics for tracking individual user data
     struct UserStats has key, copy, drop {
         datasets_uploaded: u64,
@@ -110,6 +256,66 @@ module DataDex::Marketplace {
         };
 
         move_to(admin, marketplace);
+        initialize_versions(admin);
+        initialize_licenses(admin);
+        initialize_tiers(admin);
+        initialize_listings(admin);
+    }
+
+    /// Initialize dataset versioning; called by initialize, or once by the
+    /// deployer after upgrading a marketplace deployed without it
+    public entry fun initialize_versions(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        assert!(exists<DataMarketplace>(admin_addr), E_NOT_INITIALIZED);
+        assert!(!exists<DatasetVersions>(admin_addr), E_ALREADY_INITIALIZED);
+
+        move_to(admin, DatasetVersions {
+            versions: vector::empty<DatasetVersion>(),
+            policies: vector::empty<VersionPolicy>(),
+            dataset_version_published_events: account::new_event_handle<DatasetVersionPublishedEvent>(admin),
+        });
+    }
+
+    /// Initialize time-limited licences; called by initialize, or once by the
+    /// deployer after upgrading a marketplace deployed without them
+    public entry fun initialize_licenses(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        assert!(exists<DataMarketplace>(admin_addr), E_NOT_INITIALIZED);
+        assert!(!exists<DatasetLicenses>(admin_addr), E_ALREADY_INITIALIZED);
+
+        move_to(admin, DatasetLicenses {
+            licenses: vector::empty<License>(),
+            terms: vector::empty<LicenseTerms>(),
+            license_updated_events: account::new_event_handle<LicenseUpdatedEvent>(admin),
+            license_terms_updated_events: account::new_event_handle<LicenseTermsUpdatedEvent>(admin),
+        });
+    }
+
+    /// Initialize licence tiers; called by initialize, or once by the
+    /// deployer after upgrading a marketplace deployed without them
+    public entry fun initialize_tiers(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        assert!(exists<DataMarketplace>(admin_addr), E_NOT_INITIALIZED);
+        assert!(!exists<DatasetTiers>(admin_addr), E_ALREADY_INITIALIZED);
+
+        move_to(admin, DatasetTiers {
+            tiers: vector::empty<LicenseTier>(),
+            purchase_tiers: vector::empty<PurchaseTier>(),
+            license_tier_added_events: account::new_event_handle<LicenseTierAddedEvent>(admin),
+            tier_purchased_events: account::new_event_handle<TierPurchasedEvent>(admin),
+        });
+    }
+
+    /// Initialize listing change events; called by initialize, or once by the
+    /// deployer after upgrading a marketplace deployed without them
+    public entry fun initialize_listings(admin: &signer) {
+        let admin_addr = signer::address_of(admin);
+        assert!(exists<DataMarketplace>(admin_addr), E_NOT_INITIALIZED);
+        assert!(!exists<DatasetListings>(admin_addr), E_ALREADY_INITIALIZED);
+
+        move_to(admin, DatasetListings {
+            dataset_updated_events: account::new_event_handle<DatasetUpdatedEvent>(admin),
+        });
     }
 
     /// Upload a new dataset to the marketplace
@@ -169,11 +375,145 @@ module DataDex::Marketplace {
         });
     }
 
-    /// Purchase a dataset and transfer payment to the seller
+    /// Upload a new dataset together with its licence tiers. The three tier
+    /// vectors hold the name, price and terms document hash of each tier.
+    public entry fun upload_dataset_with_tiers(
+        account: &signer,
+        ipfs_hash: String,
+        title: String,
+        description: String,
+        category: String,
+        price: u64,
+        tier_names: vector<String>,
+        tier_prices: vector<u64>,
+        tier_terms: vector<String>
+    ) acquires DataMarketplace, UserStats, DatasetTiers {
+        assert!(exists<DatasetTiers>(@DataDex), E_NOT_INITIALIZED);
+        let count = vector::length(&tier_names);
+        assert!(count > 0, E_INVALID_TIERS);
+        assert!(vector::length(&tier_prices) == count, E_INVALID_TIERS);
+        assert!(vector::length(&tier_terms) == count, E_INVALID_TIERS);
+
+        let dataset_id = borrow_global<DataMarketplace>(@DataDex).next_dataset_id;
+        upload_dataset(account, ipfs_hash, title, description, category, price);
+
+        let i = 0;
+        while (i < count) {
+            add_tier(
+                dataset_id,
+                *vector::borrow(&tier_names, i),
+                *vector::borrow(&tier_prices, i),
+                *vector::borrow(&tier_terms, i)
+            );
+            i = i + 1;
+        };
+    }
+
+    /// Add a licence tier to a dataset (only owner can do this)
+    public entry fun add_license_tier(
+        owner: &signer,
+        dataset_id: u64,
+        name: String,
+        price: u64,
+        terms_hash: String
+    ) acquires DataMarketplace, DatasetTiers {
+        assert!(exists<DatasetTiers>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow(&marketplace.datasets, dataset_index);
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+        assert!(dataset.is_active, E_DATASET_NOT_FOUND);
+
+        add_tier(dataset_id, name, price, terms_hash);
+    }
+
+    /// Stop selling a licence tier (only owner can do this). Buyers keep the
+    /// rights of the tier they bought.
+    public entry fun deactivate_license_tier(
+        owner: &signer,
+        dataset_id: u64,
+        tier_id: u64
+    ) acquires DataMarketplace, DatasetTiers {
+        assert!(exists<DatasetTiers>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow(&marketplace.datasets, dataset_index);
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+
+        let registry = borrow_global_mut<DatasetTiers>(@DataDex);
+        let tier_option = find_tier(&registry.tiers, dataset_id, tier_id);
+        assert!(option::is_some(&tier_option), E_TIER_NOT_FOUND);
+
+        let tier = vector::borrow_mut(&mut registry.tiers, option::extract(&mut tier_option));
+        tier.is_active = false;
+    }
+
+    /// Purchase a dataset and transfer payment to the seller. Datasets with
+    /// a licence period grant a licence that expires after one period.
+    /// Datasets with licence tiers must be bought with purchase_dataset_tier.
     public entry fun purchase_dataset(
         buyer: &signer,
         dataset_id: u64
-    ) acquires DataMarketplace, UserStats {
+    ) acquires DataMarketplace, UserStats, DatasetLicenses, DatasetTiers {
+        assert!(!has_active_tiers(dataset_id), E_TIER_REQUIRED);
+        buy_dataset(buyer, dataset_id, option::none<u64>());
+    }
+
+    /// Purchase a dataset under one of its licence tiers, paying the tier's
+    /// price
+    public entry fun purchase_dataset_tier(
+        buyer: &signer,
+        dataset_id: u64,
+        tier_id: u64
+    ) acquires DataMarketplace, UserStats, DatasetLicenses, DatasetTiers {
+        assert!(exists<DatasetTiers>(@DataDex), E_NOT_INITIALIZED);
+
+        let registry = borrow_global<DatasetTiers>(@DataDex);
+        let tier_option = find_tier(&registry.tiers, dataset_id, tier_id);
+        assert!(option::is_some(&tier_option), E_TIER_NOT_FOUND);
+
+        let tier = *vector::borrow(&registry.tiers, option::extract(&mut tier_option));
+        assert!(tier.is_active, E_TIER_NOT_FOUND);
+
+        let current_time = buy_dataset(buyer, dataset_id, option::some(tier.price));
+
+        let buyer_addr = signer::address_of(buyer);
+        let registry = borrow_global_mut<DatasetTiers>(@DataDex);
+        vector::push_back(&mut registry.purchase_tiers, PurchaseTier {
+            dataset_id,
+            buyer: buyer_addr,
+            tier_id,
+        });
+
+        event::emit_event(&mut registry.tier_purchased_events, TierPurchasedEvent {
+            dataset_id,
+            buyer: buyer_addr,
+            tier_id,
+            price: tier.price,
+            terms_hash: tier.terms_hash,
+            timestamp: current_time,
+        });
+    }
+
+    /// Helper function to record a purchase and transfer payment to the
+    /// seller, at the tier price when one is given. Returns the purchase time.
+    fun buy_dataset(
+        buyer: &signer,
+        dataset_id: u64,
+        tier_price: Option<u64>
+    ): u64 acquires DataMarketplace, UserStats, DatasetLicenses {
         let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
         let buyer_addr = signer::address_of(buyer);
         
@@ -190,21 +530,24 @@ module DataDex::Marketplace {
         // Check if buyer has already purchased this dataset
         assert!(!has_purchased_dataset(&marketplace.purchases, buyer_addr, dataset_id), E_DATASET_ALREADY_PURCHASED);
         
-        let price = dataset.price;
+        let price = if (option::is_some(&tier_price)) {
+            *option::borrow(&tier_price)
+        } else {
+            dataset.price
+        };
         let seller_addr = dataset.owner;
         
         // Check buyer balance
         assert!(coin::balance<AptosCoin>(buyer_addr) >= price, E_INSUFFICIENT_BALANCE);
         
-        // Calculate platform fee
-        let platform_fee = (price * marketplace.platform_fee_percentage) / 100;
-        let seller_amount = price - platform_fee;
-        
         // Transfer payment
-        if (platform_fee > 0) {
-            coin::transfer<AptosCoin>(buyer, marketplace.platform_fee_recipient, platform_fee);
-        };
-        coin::transfer<AptosCoin>(buyer, seller_addr, seller_amount);
+        let seller_amount = pay_seller(
+            buyer,
+            seller_addr,
+            price,
+            marketplace.platform_fee_percentage,
+            marketplace.platform_fee_recipient
+        );
         
         // Record the purchase
         let current_time = timestamp::now_seconds();
@@ -255,13 +598,131 @@ module DataDex::Marketplace {
             dataset_id,
             timestamp: current_time,
         });
+        
+        grant_license(dataset_id, buyer_addr, seller_addr, price, current_time);
+        current_time
+    }
+
+    /// Renew a time-limited licence for one more period at the current price
+    /// of the dataset, or of the tier it was bought under. Renewing before
+    /// expiry extends the licence; renewing after it starts the new period now.
+    public entry fun renew_license(
+        buyer: &signer,
+        dataset_id: u64
+    ) acquires DataMarketplace, UserStats, DatasetLicenses, DatasetTiers {
+        assert!(exists<DatasetLicenses>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
+        let registry = borrow_global_mut<DatasetLicenses>(@DataDex);
+        let buyer_addr = signer::address_of(buyer);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow(&marketplace.datasets, dataset_index);
+        assert!(dataset.is_active, E_DATASET_NOT_FOUND);
+
+        let period = find_license_period(&registry.terms, dataset_id);
+        assert!(period > 0, E_LICENSE_NOT_RENEWABLE);
+
+        let license_option = find_license(&registry.licenses, buyer_addr, dataset_id);
+        assert!(option::is_some(&license_option), E_LICENSE_NOT_FOUND);
+
+        let price = purchase_price(buyer_addr, dataset_id, dataset.price);
+        let seller_addr = dataset.owner;
+        assert!(coin::balance<AptosCoin>(buyer_addr) >= price, E_INSUFFICIENT_BALANCE);
+
+        let seller_amount = pay_seller(
+            buyer,
+            seller_addr,
+            price,
+            marketplace.platform_fee_percentage,
+            marketplace.platform_fee_recipient
+        );
+
+        let current_time = timestamp::now_seconds();
+        let license_index = option::extract(&mut license_option);
+        let license = vector::borrow_mut(&mut registry.licenses, license_index);
+        let start = if (license.expires_at > current_time) { license.expires_at } else { current_time };
+        license.expires_at = start + period;
+        license.renewals = license.renewals + 1;
+        let expires_at = license.expires_at;
+
+        let buyer_stats = borrow_global_mut<UserStats>(buyer_addr);
+        buyer_stats.total_spent = buyer_stats.total_spent + price;
+
+        if (exists<UserStats>(seller_addr)) {
+            let seller_stats = borrow_global_mut<UserStats>(seller_addr);
+            seller_stats.total_earned = seller_stats.total_earned + seller_amount;
+        };
+
+        event::emit_event(&mut registry.license_updated_events, LicenseUpdatedEvent {
+            dataset_id,
+            buyer: buyer_addr,
+            seller: seller_addr,
+            price,
+            expires_at,
+            renewal: true,
+            timestamp: current_time,
+        });
+
+        event::emit_event(&mut marketplace.reward_paid_events, RewardPaidEvent {
+            recipient: seller_addr,
+            amount: seller_amount,
+            dataset_id,
+            timestamp: current_time,
+        });
+    }
+
+    /// Set the licence period of a dataset in seconds, or 0 for perpetual
+    /// access (only owner can do this). Applies to purchases made afterwards;
+    /// existing licences keep their expiry.
+    public entry fun set_license_period(
+        owner: &signer,
+        dataset_id: u64,
+        period: u64
+    ) acquires DataMarketplace, DatasetLicenses {
+        assert!(exists<DatasetLicenses>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow(&marketplace.datasets, dataset_index);
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+
+        let registry = borrow_global_mut<DatasetLicenses>(@DataDex);
+        let found = false;
+        let i = 0;
+        let len = vector::length(&registry.terms);
+        while (i < len) {
+            let terms = vector::borrow_mut(&mut registry.terms, i);
+            if (terms.dataset_id == dataset_id) {
+                terms.period = period;
+                found = true;
+            };
+            i = i + 1;
+        };
+        if (!found) {
+            vector::push_back(&mut registry.terms, LicenseTerms { dataset_id, period });
+        };
+
+        event::emit_event(&mut registry.license_terms_updated_events, LicenseTermsUpdatedEvent {
+            dataset_id,
+            period,
+            timestamp: timestamp::now_seconds(),
+        });
     }
 
     /// Deactivate a dataset (only owner can do this)
     public entry fun deactivate_dataset(
         owner: &signer,
         dataset_id: u64
-    ) acquires DataMarketplace {
+    ) acquires DataMarketplace, DatasetListings {
         let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
         let owner_addr = signer::address_of(owner);
         
@@ -273,6 +734,7 @@ module DataDex::Marketplace {
         
         assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
         dataset.is_active = false;
+        emit_dataset_updated(dataset);
     }
 
     /// Update dataset price (only owner can do this)
@@ -280,7 +742,7 @@ module DataDex::Marketplace {
         owner: &signer,
         dataset_id: u64,
         new_price: u64
-    ) acquires DataMarketplace {
+    ) acquires DataMarketplace, DatasetListings {
         assert!(new_price > 0, E_INVALID_PRICE);
         
         let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
@@ -294,9 +756,171 @@ module DataDex::Marketplace {
         
         assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
         dataset.price = new_price;
+        emit_dataset_updated(dataset);
+    }
+
+    /// Relist a deactivated dataset (only owner can do this)
+    public entry fun reactivate_dataset(
+        owner: &signer,
+        dataset_id: u64
+    ) acquires DataMarketplace, DatasetListings {
+        let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+        
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+        
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow_mut(&mut marketplace.datasets, dataset_index);
+        
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+        dataset.is_active = true;
+        emit_dataset_updated(dataset);
+    }
+
+    /// Edit the title, description and category of a dataset (only owner
+    /// can do this). The file and price are changed by their own functions.
+    public entry fun update_dataset_details(
+        owner: &signer,
+        dataset_id: u64,
+        title: String,
+        description: String,
+        category: String
+    ) acquires DataMarketplace, DatasetListings {
+        assert!(!string::is_empty(&title), E_EMPTY_TITLE);
+        
+        let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+        
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+        
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow_mut(&mut marketplace.datasets, dataset_index);
+        
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+        dataset.title = title;
+        dataset.description = description;
+        dataset.category = category;
+        emit_dataset_updated(dataset);
+    }
+
+    /// Publish a new version of a dataset (only owner can do this). Earlier
+    /// versions stay in the release history; the dataset now points at the
+    /// new file.
+    public entry fun publish_dataset_version(
+        owner: &signer,
+        dataset_id: u64,
+        ipfs_hash: String,
+        changelog: String
+    ) acquires DataMarketplace, DatasetVersions {
+        assert!(!string::is_empty(&ipfs_hash), E_EMPTY_IPFS_HASH);
+        assert!(exists<DatasetVersions>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global_mut<DataMarketplace>(@DataDex);
+        let registry = borrow_global_mut<DatasetVersions>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow_mut(&mut marketplace.datasets, dataset_index);
+
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+        assert!(dataset.is_active, E_DATASET_NOT_FOUND);
+
+        // The original upload becomes version 1 when the first revision is
+        // published
+        let latest = count_versions(&registry.versions, dataset_id);
+        if (latest == 0) {
+            vector::push_back(&mut registry.versions, DatasetVersion {
+                dataset_id,
+                version: 1,
+                ipfs_hash: dataset.ipfs_hash,
+                changelog: string::utf8(b""),
+                published_at: dataset.created_at,
+            });
+            latest = 1;
+        };
+
+        let version = latest + 1;
+        let current_time = timestamp::now_seconds();
+        vector::push_back(&mut registry.versions, DatasetVersion {
+            dataset_id,
+            version,
+            ipfs_hash,
+            changelog,
+            published_at: current_time,
+        });
+        dataset.ipfs_hash = ipfs_hash;
+
+        event::emit_event(&mut registry.dataset_version_published_events, DatasetVersionPublishedEvent {
+            dataset_id,
+            version,
+            owner: owner_addr,
+            ipfs_hash,
+            changelog,
+            timestamp: current_time,
+        });
+    }
+
+    /// Choose whether buyers may download versions published after their
+    /// purchase (only owner can do this). Upgrades are included by default.
+    public entry fun set_version_policy(
+        owner: &signer,
+        dataset_id: u64,
+        upgrades_included: bool
+    ) acquires DataMarketplace, DatasetVersions {
+        assert!(exists<DatasetVersions>(@DataDex), E_NOT_INITIALIZED);
+
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        let owner_addr = signer::address_of(owner);
+
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        assert!(option::is_some(&dataset_option), E_DATASET_NOT_FOUND);
+
+        let dataset_index = option::extract(&mut dataset_option);
+        let dataset = vector::borrow(&marketplace.datasets, dataset_index);
+        assert!(dataset.owner == owner_addr, E_UNAUTHORIZED);
+
+        let registry = borrow_global_mut<DatasetVersions>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.policies);
+        while (i < len) {
+            let policy = vector::borrow_mut(&mut registry.policies, i);
+            if (policy.dataset_id == dataset_id) {
+                policy.upgrades_included = upgrades_included;
+                return
+            };
+            i = i + 1;
+        };
+        vector::push_back(&mut registry.policies, VersionPolicy {
+            dataset_id,
+            upgrades_included,
+        });
     }
 
     /// Helper function to find dataset by ID
+    /// Record the listing state of a dataset after a change. Deployments
+    /// upgraded without initialize_listings keep working but emit nothing.
+    fun emit_dataset_updated(dataset: &Dataset) acquires DatasetListings {
+        if (!exists<DatasetListings>(@DataDex)) {
+            return
+        };
+
+        let listings = borrow_global_mut<DatasetListings>(@DataDex);
+        event::emit_event(&mut listings.dataset_updated_events, DatasetUpdatedEvent {
+            dataset_id: dataset.id,
+            title: dataset.title,
+            description: dataset.description,
+            category: dataset.category,
+            price: dataset.price,
+            is_active: dataset.is_active,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
     fun find_dataset_by_id(datasets: &vector<Dataset>, dataset_id: u64): Option<u64> {
         let i = 0;
         let len = vector::length(datasets);
@@ -324,6 +948,241 @@ module DataDex::Marketplace {
         false
     }
 
+    /// Helper function to pay for a dataset, sending the platform fee to the
+    /// fee recipient and the rest to the seller. Returns the seller's share.
+    fun pay_seller(
+        buyer: &signer,
+        seller: address,
+        price: u64,
+        fee_percentage: u64,
+        fee_recipient: address
+    ): u64 {
+        let platform_fee = (price * fee_percentage) / 100;
+        let seller_amount = price - platform_fee;
+        if (platform_fee > 0) {
+            coin::transfer<AptosCoin>(buyer, fee_recipient, platform_fee);
+        };
+        coin::transfer<AptosCoin>(buyer, seller, seller_amount);
+        seller_amount
+    }
+
+    /// Helper function to grant the licence of a time-limited dataset on
+    /// purchase. Datasets without a licence period are sold perpetually.
+    fun grant_license(
+        dataset_id: u64,
+        buyer: address,
+        seller: address,
+        price: u64,
+        current_time: u64
+    ) acquires DatasetLicenses {
+        if (!exists<DatasetLicenses>(@DataDex)) {
+            return
+        };
+        let registry = borrow_global_mut<DatasetLicenses>(@DataDex);
+        let period = find_license_period(&registry.terms, dataset_id);
+        if (period == 0) {
+            return
+        };
+
+        let expires_at = current_time + period;
+        vector::push_back(&mut registry.licenses, License {
+            dataset_id,
+            buyer,
+            started_at: current_time,
+            expires_at,
+            renewals: 0,
+        });
+
+        event::emit_event(&mut registry.license_updated_events, LicenseUpdatedEvent {
+            dataset_id,
+            buyer,
+            seller,
+            price,
+            expires_at,
+            renewal: false,
+            timestamp: current_time,
+        });
+    }
+
+    /// Helper function to find the licence period of a dataset (0 when
+    /// perpetual)
+    fun find_license_period(terms: &vector<LicenseTerms>, dataset_id: u64): u64 {
+        let i = 0;
+        let len = vector::length(terms);
+        while (i < len) {
+            let entry = vector::borrow(terms, i);
+            if (entry.dataset_id == dataset_id) {
+                return entry.period
+            };
+            i = i + 1;
+        };
+        0
+    }
+
+    /// Helper function to find a buyer's licence for a dataset
+    fun find_license(licenses: &vector<License>, buyer: address, dataset_id: u64): Option<u64> {
+        let i = 0;
+        let len = vector::length(licenses);
+        while (i < len) {
+            let license = vector::borrow(licenses, i);
+            if (license.buyer == buyer && license.dataset_id == dataset_id) {
+                return option::some(i)
+            };
+            i = i + 1;
+        };
+        option::none<u64>()
+    }
+
+    /// Helper function to check that a buyer's licence has not expired.
+    /// Purchases without a licence are perpetual.
+    fun license_is_current(buyer: address, dataset_id: u64): bool acquires DatasetLicenses {
+        if (!exists<DatasetLicenses>(@DataDex)) {
+            return true
+        };
+        let registry = borrow_global<DatasetLicenses>(@DataDex);
+        let license_option = find_license(&registry.licenses, buyer, dataset_id);
+        if (option::is_none(&license_option)) {
+            return true
+        };
+        let license = vector::borrow(&registry.licenses, option::extract(&mut license_option));
+        license.expires_at > timestamp::now_seconds()
+    }
+
+    /// Helper function to add a licence tier to a dataset
+    fun add_tier(
+        dataset_id: u64,
+        name: String,
+        price: u64,
+        terms_hash: String
+    ) acquires DatasetTiers {
+        assert!(price > 0, E_INVALID_PRICE);
+        assert!(!string::is_empty(&name), E_INVALID_TIERS);
+        assert!(!string::is_empty(&terms_hash), E_INVALID_TIERS);
+
+        let registry = borrow_global_mut<DatasetTiers>(@DataDex);
+        let tier_id = 1;
+        let i = 0;
+        let len = vector::length(&registry.tiers);
+        while (i < len) {
+            if (vector::borrow(&registry.tiers, i).dataset_id == dataset_id) {
+                tier_id = tier_id + 1;
+            };
+            i = i + 1;
+        };
+
+        vector::push_back(&mut registry.tiers, LicenseTier {
+            dataset_id,
+            tier_id,
+            name,
+            price,
+            terms_hash,
+            is_active: true,
+        });
+
+        event::emit_event(&mut registry.license_tier_added_events, LicenseTierAddedEvent {
+            dataset_id,
+            tier_id,
+            name,
+            price,
+            terms_hash,
+            timestamp: timestamp::now_seconds(),
+        });
+    }
+
+    /// Helper function to find a licence tier of a dataset
+    fun find_tier(tiers: &vector<LicenseTier>, dataset_id: u64, tier_id: u64): Option<u64> {
+        let i = 0;
+        let len = vector::length(tiers);
+        while (i < len) {
+            let tier = vector::borrow(tiers, i);
+            if (tier.dataset_id == dataset_id && tier.tier_id == tier_id) {
+                return option::some(i)
+            };
+            i = i + 1;
+        };
+        option::none<u64>()
+    }
+
+    /// Helper function to check whether a dataset is sold in tiers
+    fun has_active_tiers(dataset_id: u64): bool acquires DatasetTiers {
+        if (!exists<DatasetTiers>(@DataDex)) {
+            return false
+        };
+        let registry = borrow_global<DatasetTiers>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.tiers);
+        while (i < len) {
+            let tier = vector::borrow(&registry.tiers, i);
+            if (tier.dataset_id == dataset_id && tier.is_active) {
+                return true
+            };
+            i = i + 1;
+        };
+        false
+    }
+
+    /// Helper function to find the tier a buyer purchased a dataset under
+    fun find_purchase_tier(buyer: address, dataset_id: u64): Option<LicenseTier> acquires DatasetTiers {
+        if (!exists<DatasetTiers>(@DataDex)) {
+            return option::none<LicenseTier>()
+        };
+        let registry = borrow_global<DatasetTiers>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.purchase_tiers);
+        while (i < len) {
+            let purchase = vector::borrow(&registry.purchase_tiers, i);
+            if (purchase.buyer == buyer && purchase.dataset_id == dataset_id) {
+                let tier_option = find_tier(&registry.tiers, dataset_id, purchase.tier_id);
+                if (option::is_some(&tier_option)) {
+                    return option::some(*vector::borrow(&registry.tiers, option::extract(&mut tier_option)))
+                };
+            };
+            i = i + 1;
+        };
+        option::none<LicenseTier>()
+    }
+
+    /// Helper function to find what a buyer pays to renew: the current price
+    /// of their tier, or the dataset price
+    fun purchase_price(buyer: address, dataset_id: u64, dataset_price: u64): u64 acquires DatasetTiers {
+        let tier_option = find_purchase_tier(buyer, dataset_id);
+        if (option::is_some(&tier_option)) {
+            let tier = option::extract(&mut tier_option);
+            tier.price
+        } else {
+            dataset_price
+        }
+    }
+
+    /// Helper function to count the recorded versions of a dataset. Datasets
+    /// that were never republished have no recorded versions.
+    fun count_versions(versions: &vector<DatasetVersion>, dataset_id: u64): u64 {
+        let count = 0;
+        let i = 0;
+        let len = vector::length(versions);
+        while (i < len) {
+            if (vector::borrow(versions, i).dataset_id == dataset_id) {
+                count = count + 1;
+            };
+            i = i + 1;
+        };
+        count
+    }
+
+    /// Helper function to find when a user purchased a dataset
+    fun find_purchase_time(purchases: &vector<Purchase>, buyer: address, dataset_id: u64): Option<u64> {
+        let i = 0;
+        let len = vector::length(purchases);
+        while (i < len) {
+            let purchase = vector::borrow(purchases, i);
+            if (purchase.buyer == buyer && purchase.dataset_id == dataset_id) {
+                return option::some(purchase.purchased_at)
+            };
+            i = i + 1;
+        };
+        option::none<u64>()
+    }
+
     //
     // View functions for querying data
     //
@@ -420,4 +1279,180 @@ module DataDex::Marketplace {
         let active_datasets = vector::length(&get_active_datasets());
         (total_datasets, total_purchases, active_datasets)
     }
+
+    /// Platform fee percentage and the address fees are paid to
+    #[view]
+    public fun get_platform_fee(): (u64, address) acquires DataMarketplace {
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        (marketplace.platform_fee_percentage, marketplace.platform_fee_recipient)
+    }
+
+    #[view]
+    public fun get_dataset_versions(dataset_id: u64): vector<DatasetVersion> acquires DataMarketplace, DatasetVersions {
+        let result = vector::empty<DatasetVersion>();
+        if (exists<DatasetVersions>(@DataDex)) {
+            let registry = borrow_global<DatasetVersions>(@DataDex);
+            let i = 0;
+            let len = vector::length(&registry.versions);
+            while (i < len) {
+                let version = vector::borrow(&registry.versions, i);
+                if (version.dataset_id == dataset_id) {
+                    vector::push_back(&mut result, *version);
+                };
+                i = i + 1;
+            };
+        };
+
+        // A dataset that was never republished has only its original upload
+        if (vector::is_empty(&result)) {
+            let marketplace = borrow_global<DataMarketplace>(@DataDex);
+            let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+            if (option::is_some(&dataset_option)) {
+                let dataset = vector::borrow(&marketplace.datasets, option::extract(&mut dataset_option));
+                vector::push_back(&mut result, DatasetVersion {
+                    dataset_id,
+                    version: 1,
+                    ipfs_hash: dataset.ipfs_hash,
+                    changelog: string::utf8(b""),
+                    published_at: dataset.created_at,
+                });
+            };
+        };
+        result
+    }
+
+    #[view]
+    public fun get_version_policy(dataset_id: u64): bool acquires DatasetVersions {
+        if (!exists<DatasetVersions>(@DataDex)) {
+            return true
+        };
+        let registry = borrow_global<DatasetVersions>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.policies);
+        while (i < len) {
+            let policy = vector::borrow(&registry.policies, i);
+            if (policy.dataset_id == dataset_id) {
+                return policy.upgrades_included
+            };
+            i = i + 1;
+        };
+        true
+    }
+
+    /// Newest version of a dataset that a user may download, or 0 when the
+    /// user may download none. Every earlier version may be downloaded too.
+    #[view]
+    public fun get_accessible_version(user: address, dataset_id: u64): u64 acquires DataMarketplace, DatasetVersions, DatasetLicenses {
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        let dataset_option = find_dataset_by_id(&marketplace.datasets, dataset_id);
+        if (option::is_none(&dataset_option)) {
+            return 0
+        };
+        let dataset = vector::borrow(&marketplace.datasets, option::extract(&mut dataset_option));
+        let is_owner = dataset.owner == user;
+
+        let purchased_at = find_purchase_time(&marketplace.purchases, user, dataset_id);
+        if (!is_owner && option::is_none(&purchased_at)) {
+            return 0
+        };
+        if (!is_owner && !license_is_current(user, dataset_id)) {
+            return 0
+        };
+
+        let versions = get_dataset_versions(dataset_id);
+        let latest = vector::length(&versions);
+        if (is_owner || get_version_policy(dataset_id)) {
+            return latest
+        };
+
+        // Without upgrades, buyers keep the versions published up to their
+        // purchase
+        let purchase_time = option::extract(&mut purchased_at);
+        let accessible = 1;
+        let i = 0;
+        while (i < latest) {
+            let version = vector::borrow(&versions, i);
+            if (version.published_at <= purchase_time && version.version > accessible) {
+                accessible = version.version;
+            };
+            i = i + 1;
+        };
+        accessible
+    }
+
+    #[view]
+    public fun get_license_period(dataset_id: u64): u64 acquires DatasetLicenses {
+        if (!exists<DatasetLicenses>(@DataDex)) {
+            return 0
+        };
+        find_license_period(&borrow_global<DatasetLicenses>(@DataDex).terms, dataset_id)
+    }
+
+    #[view]
+    public fun get_license(buyer: address, dataset_id: u64): Option<License> acquires DatasetLicenses {
+        if (!exists<DatasetLicenses>(@DataDex)) {
+            return option::none<License>()
+        };
+        let registry = borrow_global<DatasetLicenses>(@DataDex);
+        let license_option = find_license(&registry.licenses, buyer, dataset_id);
+        if (option::is_some(&license_option)) {
+            let index = option::extract(&mut license_option);
+            option::some(*vector::borrow(&registry.licenses, index))
+        } else {
+            option::none<License>()
+        }
+    }
+
+    #[view]
+    public fun get_licenses_by_buyer(buyer: address): vector<License> acquires DatasetLicenses {
+        let result = vector::empty<License>();
+        if (!exists<DatasetLicenses>(@DataDex)) {
+            return result
+        };
+        let registry = borrow_global<DatasetLicenses>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.licenses);
+        while (i < len) {
+            let license = vector::borrow(&registry.licenses, i);
+            if (license.buyer == buyer) {
+                vector::push_back(&mut result, *license);
+            };
+            i = i + 1;
+        };
+        result
+    }
+
+    /// Whether a user has purchased a dataset and, for time-limited
+    /// datasets, their licence has not expired
+    #[view]
+    public fun has_active_license(user: address, dataset_id: u64): bool acquires DataMarketplace, DatasetLicenses {
+        let marketplace = borrow_global<DataMarketplace>(@DataDex);
+        has_purchased_dataset(&marketplace.purchases, user, dataset_id)
+            && license_is_current(user, dataset_id)
+    }
+
+    #[view]
+    public fun get_license_tiers(dataset_id: u64): vector<LicenseTier> acquires DatasetTiers {
+        let result = vector::empty<LicenseTier>();
+        if (!exists<DatasetTiers>(@DataDex)) {
+            return result
+        };
+        let registry = borrow_global<DatasetTiers>(@DataDex);
+        let i = 0;
+        let len = vector::length(&registry.tiers);
+        while (i < len) {
+            let tier = vector::borrow(&registry.tiers, i);
+            if (tier.dataset_id == dataset_id) {
+                vector::push_back(&mut result, *tier);
+            };
+            i = i + 1;
+        };
+        result
+    }
+
+    /// The licence tier a buyer purchased a dataset under, if any
+    #[view]
+    public fun get_purchase_tier(buyer: address, dataset_id: u64): Option<LicenseTier> acquires DatasetTiers {
+        find_purchase_tier(buyer, dataset_id)
+    }
 }
@@ -8,6 +8,7 @@ module DataDex::MarketplaceTests {
     use aptos_framework::timestamp;
     use std::string::utf8;
     use std::signer;
+    use std::option;
     use std::vector;
 
     #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer = @0x456)]
@@ -199,6 +200,10 @@ module DataDex::MarketplaceTests {
         assert!(total_datasets == 0, 2);
         assert!(total_purchases == 0, 3);
         assert!(active_datasets == 0, 4);
+
+        let (fee_percentage, fee_recipient) = Marketplace::get_platform_fee();
+        assert!(fee_percentage == 10, 5);
+        assert!(fee_recipient == admin_addr, 6);
     }
 
     #[test(aptos_framework = @0x1, admin = @DataDex, user1 = @0x123, user2 = @0x456)]
@@ -288,4 +293,484 @@ module DataDex::MarketplaceTests {
         coin::destroy_burn_cap(burn_cap);
         coin::destroy_mint_cap(mint_cap);
     }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer1 = @0x456, buyer2 = @0x789)]
+    public entry fun test_dataset_versions(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        buyer1: signer,
+        buyer2: signer,
+    ) {
+        // Initialize timestamp for testing
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        // Initialize APT coin for testing
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        let seller_addr = signer::address_of(&seller);
+        let buyer1_addr = signer::address_of(&buyer1);
+        let buyer2_addr = signer::address_of(&buyer2);
+        
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(seller_addr);
+        account::create_account_for_test(buyer1_addr);
+        account::create_account_for_test(buyer2_addr);
+        
+        coin::register<AptosCoin>(&admin);
+        coin::register<AptosCoin>(&seller);
+        coin::register<AptosCoin>(&buyer1);
+        coin::register<AptosCoin>(&buyer2);
+        
+        let buyer1_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        let buyer2_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        
+        coin::deposit<AptosCoin>(buyer1_addr, buyer1_coins);
+        coin::deposit<AptosCoin>(buyer2_addr, buyer2_coins);
+        
+        // Initialize marketplace
+        Marketplace::initialize(&admin, 5, admin_addr); // 5% platform fee
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmVersion1"),
+            utf8(b"Weather Readings"),
+            utf8(b"Hourly weather station readings"),
+            utf8(b"Environment"),
+            50000000 // 0.5 APT
+        );
+        
+        // A dataset that was never republished has its upload as version 1
+        assert!(vector::length(&Marketplace::get_dataset_versions(1)) == 1, 1);
+        
+        // Buyer 1 purchases version 1
+        Marketplace::purchase_dataset(&buyer1, 1);
+        assert!(Marketplace::get_accessible_version(buyer1_addr, 1) == 1, 2);
+        
+        // Seller publishes version 2 later on
+        timestamp::update_global_time_for_test_secs(100);
+        Marketplace::publish_dataset_version(
+            &seller,
+            1,
+            utf8(b"QmVersion2"),
+            utf8(b"Added March readings")
+        );
+        
+        // The release history keeps version 1 and the dataset keeps its ID
+        assert!(vector::length(&Marketplace::get_dataset_versions(1)) == 2, 3);
+        assert!(Marketplace::get_dataset_count() == 1, 4);
+        
+        // Upgrades are included by default
+        assert!(Marketplace::get_version_policy(1), 5);
+        assert!(Marketplace::get_accessible_version(buyer1_addr, 1) == 2, 6);
+        
+        // Without upgrades, buyer 1 keeps the version they bought
+        Marketplace::set_version_policy(&seller, 1, false);
+        assert!(!Marketplace::get_version_policy(1), 7);
+        assert!(Marketplace::get_accessible_version(buyer1_addr, 1) == 1, 8);
+        
+        // Buyers after the release get it, and the owner always gets everything
+        timestamp::update_global_time_for_test_secs(200);
+        Marketplace::purchase_dataset(&buyer2, 1);
+        assert!(Marketplace::get_accessible_version(buyer2_addr, 1) == 2, 9);
+        assert!(Marketplace::get_accessible_version(seller_addr, 1) == 2, 10);
+        assert!(Marketplace::get_accessible_version(admin_addr, 1) == 0, 11);
+        
+        // Cleanup
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, other = @0x456)]
+    #[expected_failure(abort_code = 5, location = DataDex::Marketplace)]
+    public entry fun test_only_owner_publishes_versions(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        other: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(signer::address_of(&seller));
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmVersion1"),
+            utf8(b"Weather Readings"),
+            utf8(b"Hourly weather station readings"),
+            utf8(b"Environment"),
+            50000000
+        );
+        
+        // Abort with E_UNAUTHORIZED
+        Marketplace::publish_dataset_version(
+            &other,
+            1,
+            utf8(b"QmVersion2"),
+            utf8(b"Not my dataset")
+        );
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer = @0x456)]
+    public entry fun test_license_expiry_and_renewal(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        buyer: signer,
+    ) {
+        // Initialize timestamp for testing
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        // Initialize APT coin for testing
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        let seller_addr = signer::address_of(&seller);
+        let buyer_addr = signer::address_of(&buyer);
+        
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(seller_addr);
+        account::create_account_for_test(buyer_addr);
+        
+        coin::register<AptosCoin>(&admin);
+        coin::register<AptosCoin>(&seller);
+        coin::register<AptosCoin>(&buyer);
+        
+        let buyer_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        coin::deposit<AptosCoin>(buyer_addr, buyer_coins);
+        
+        // Initialize marketplace
+        Marketplace::initialize(&admin, 5, admin_addr); // 5% platform fee
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmLicensed"),
+            utf8(b"Live Prices"),
+            utf8(b"Daily commodity prices"),
+            utf8(b"Finance"),
+            100000000 // 1 APT
+        );
+        
+        // Datasets are sold perpetually until the seller sets a period
+        assert!(Marketplace::get_license_period(1) == 0, 1);
+        Marketplace::set_license_period(&seller, 1, 1000);
+        assert!(Marketplace::get_license_period(1) == 1000, 2);
+        
+        // Purchasing grants a licence for one period
+        timestamp::update_global_time_for_test_secs(100);
+        Marketplace::purchase_dataset(&buyer, 1);
+        let license = Marketplace::get_license(buyer_addr, 1);
+        assert!(option::is_some(&license), 3);
+        assert!(Marketplace::has_active_license(buyer_addr, 1), 4);
+        assert!(Marketplace::get_accessible_version(buyer_addr, 1) == 1, 5);
+        
+        // Access ends when the licence expires, but not for the owner
+        timestamp::update_global_time_for_test_secs(1100);
+        assert!(!Marketplace::has_active_license(buyer_addr, 1), 6);
+        assert!(Marketplace::get_accessible_version(buyer_addr, 1) == 0, 7);
+        assert!(Marketplace::get_accessible_version(seller_addr, 1) == 1, 8);
+        
+        // Renewing pays the price again and restores access
+        Marketplace::renew_license(&buyer, 1);
+        assert!(Marketplace::has_active_license(buyer_addr, 1), 9);
+        assert!(coin::balance<AptosCoin>(buyer_addr) == 300000000, 10);
+        assert!(coin::balance<AptosCoin>(seller_addr) == 190000000, 11);
+        assert!(vector::length(&Marketplace::get_licenses_by_buyer(buyer_addr)) == 1, 12);
+        
+        // Cleanup
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer = @0x456)]
+    #[expected_failure(abort_code = 10, location = DataDex::Marketplace)]
+    public entry fun test_perpetual_purchase_cannot_be_renewed(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        buyer: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        let seller_addr = signer::address_of(&seller);
+        let buyer_addr = signer::address_of(&buyer);
+        
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(seller_addr);
+        account::create_account_for_test(buyer_addr);
+        
+        coin::register<AptosCoin>(&admin);
+        coin::register<AptosCoin>(&seller);
+        coin::register<AptosCoin>(&buyer);
+        
+        let buyer_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        coin::deposit<AptosCoin>(buyer_addr, buyer_coins);
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmPerpetual"),
+            utf8(b"Census Extract"),
+            utf8(b"Population by region"),
+            utf8(b"Demographics"),
+            100000000
+        );
+        Marketplace::purchase_dataset(&buyer, 1);
+        
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+        
+        // Abort with E_LICENSE_NOT_RENEWABLE
+        Marketplace::renew_license(&buyer, 1);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer = @0x456)]
+    public entry fun test_license_tiers(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        buyer: signer,
+    ) {
+        // Initialize timestamp for testing
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        // Initialize APT coin for testing
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        let seller_addr = signer::address_of(&seller);
+        let buyer_addr = signer::address_of(&buyer);
+        
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(seller_addr);
+        account::create_account_for_test(buyer_addr);
+        
+        coin::register<AptosCoin>(&admin);
+        coin::register<AptosCoin>(&seller);
+        coin::register<AptosCoin>(&buyer);
+        
+        let buyer_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        coin::deposit<AptosCoin>(buyer_addr, buyer_coins);
+        
+        // Initialize marketplace
+        Marketplace::initialize(&admin, 5, admin_addr); // 5% platform fee
+        
+        let names = vector::empty();
+        vector::push_back(&mut names, utf8(b"Research only"));
+        vector::push_back(&mut names, utf8(b"Commercial"));
+        let prices = vector::empty();
+        vector::push_back(&mut prices, 20000000); // 0.2 APT
+        vector::push_back(&mut prices, 100000000); // 1 APT
+        let terms = vector::empty();
+        vector::push_back(&mut terms, utf8(b"QmResearchTerms"));
+        vector::push_back(&mut terms, utf8(b"QmCommercialTerms"));
+        
+        Marketplace::upload_dataset_with_tiers(
+            &seller,
+            utf8(b"QmTiered"),
+            utf8(b"Retail Footfall"),
+            utf8(b"Store visits per hour"),
+            utf8(b"Retail"),
+            100000000,
+            names,
+            prices,
+            terms
+        );
+        assert!(vector::length(&Marketplace::get_license_tiers(1)) == 2, 1);
+        
+        // Buying the research tier pays its price and records the tier
+        Marketplace::purchase_dataset_tier(&buyer, 1, 1);
+        assert!(coin::balance<AptosCoin>(buyer_addr) == 480000000, 2);
+        assert!(coin::balance<AptosCoin>(seller_addr) == 19000000, 3);
+        assert!(Marketplace::has_user_purchased_dataset(buyer_addr, 1), 4);
+        assert!(option::is_some(&Marketplace::get_purchase_tier(buyer_addr, 1)), 5);
+        assert!(option::is_none(&Marketplace::get_purchase_tier(seller_addr, 1)), 6);
+        
+        // Owners can add and retire tiers later
+        Marketplace::add_license_tier(
+            &seller,
+            1,
+            utf8(b"Redistribution"),
+            300000000,
+            utf8(b"QmRedistributionTerms")
+        );
+        Marketplace::deactivate_license_tier(&seller, 1, 3);
+        assert!(vector::length(&Marketplace::get_license_tiers(1)) == 3, 7);
+        
+        // Cleanup
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, buyer = @0x456)]
+    #[expected_failure(abort_code = 12, location = DataDex::Marketplace)]
+    public entry fun test_tiered_dataset_requires_tier(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        buyer: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let (burn_cap, mint_cap) = aptos_coin::initialize_for_test(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        let seller_addr = signer::address_of(&seller);
+        let buyer_addr = signer::address_of(&buyer);
+        
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(seller_addr);
+        account::create_account_for_test(buyer_addr);
+        
+        coin::register<AptosCoin>(&admin);
+        coin::register<AptosCoin>(&seller);
+        coin::register<AptosCoin>(&buyer);
+        
+        let buyer_coins = coin::mint<AptosCoin>(500000000, &mint_cap);
+        coin::deposit<AptosCoin>(buyer_addr, buyer_coins);
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmTiered"),
+            utf8(b"Retail Footfall"),
+            utf8(b"Store visits per hour"),
+            utf8(b"Retail"),
+            100000000
+        );
+        Marketplace::add_license_tier(
+            &seller,
+            1,
+            utf8(b"Commercial"),
+            100000000,
+            utf8(b"QmCommercialTerms")
+        );
+        
+        coin::destroy_burn_cap(burn_cap);
+        coin::destroy_mint_cap(mint_cap);
+        
+        // Abort with E_TIER_REQUIRED
+        Marketplace::purchase_dataset(&buyer, 1);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123)]
+    public entry fun test_seller_manages_listing(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(signer::address_of(&seller));
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmListing"),
+            utf8(b"Air Quality"),
+            utf8(b"PM2.5 readings"),
+            utf8(b"Environment"),
+            50000000
+        );
+        
+        Marketplace::update_dataset_details(
+            &seller,
+            1,
+            utf8(b"Urban Air Quality"),
+            utf8(b"Hourly PM2.5 and PM10 readings"),
+            utf8(b"Health")
+        );
+        Marketplace::update_dataset_price(&seller, 1, 75000000);
+        
+        Marketplace::deactivate_dataset(&seller, 1);
+        let (_, _, active_datasets) = Marketplace::get_platform_stats();
+        assert!(active_datasets == 0, 1);
+        
+        Marketplace::reactivate_dataset(&seller, 1);
+        let (total_datasets, _, active_datasets) = Marketplace::get_platform_stats();
+        assert!(total_datasets == 1, 2);
+        assert!(active_datasets == 1, 3);
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123, other = @0x456)]
+    #[expected_failure(abort_code = 5, location = DataDex::Marketplace)]
+    public entry fun test_only_owner_edits_listing(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+        other: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(signer::address_of(&seller));
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmListing"),
+            utf8(b"Air Quality"),
+            utf8(b"PM2.5 readings"),
+            utf8(b"Environment"),
+            50000000
+        );
+        
+        // Abort with E_UNAUTHORIZED
+        Marketplace::update_dataset_details(
+            &other,
+            1,
+            utf8(b"Not my dataset"),
+            utf8(b""),
+            utf8(b"Other")
+        );
+    }
+
+    #[test(aptos_framework = @0x1, admin = @DataDex, seller = @0x123)]
+    #[expected_failure(abort_code = 14, location = DataDex::Marketplace)]
+    public entry fun test_listing_title_cannot_be_empty(
+        aptos_framework: signer,
+        admin: signer,
+        seller: signer,
+    ) {
+        timestamp::set_time_has_started_for_testing(&aptos_framework);
+        
+        let admin_addr = signer::address_of(&admin);
+        account::create_account_for_test(admin_addr);
+        account::create_account_for_test(signer::address_of(&seller));
+        
+        Marketplace::initialize(&admin, 5, admin_addr);
+        
+        Marketplace::upload_dataset(
+            &seller,
+            utf8(b"QmListing"),
+            utf8(b"Air Quality"),
+            utf8(b"PM2.5 readings"),
+            utf8(b"Environment"),
+            50000000
+        );
+        
+        // Abort with E_EMPTY_TITLE
+        Marketplace::update_dataset_details(
+            &seller,
+            1,
+            utf8(b""),
+            utf8(b"PM2.5 readings"),
+            utf8(b"Environment")
+        );
+    }
 }